@@ -1,9 +1,11 @@
 const path = require('path');
 
 module.exports = {
-  // Server configuration (for future Phase 2)
+  // Server configuration (oinio serve)
   PORT: process.env.PORT || 3000,
   HOST: process.env.HOST || 'localhost',
+  SESSION_TTL_MS: parseInt(process.env.SESSION_TTL_MS || '3600000', 10), // 1 hour
+  MAX_REQUEST_BYTES: 1024 * 1024,
   
   // File paths
   BASE_PATH: process.env.BASE_PATH || null, // Auto-detected if null
@@ -14,14 +16,29 @@ module.exports = {
   
   // Storage
   DATA_DIR: process.env.DATA_DIR || null, // Uses BASE_PATH if null
+  MASTER_KEY_FILE: process.env.MASTER_KEY_FILE || null, // Account master key file (default: <data>/master.key)
+  MASTER_PASSPHRASE: process.env.MASTER_PASSPHRASE || null, // Operator passphrase instead of a key file
+  BACKUP_COUNT: parseInt(process.env.BACKUP_COUNT || '5', 10), // Soul file backups kept per user (0 disables)
+  DECKS_DIR: process.env.DECKS_DIR || null, // Custom pattern decks (default: <data>/decks)
   
   // Security
   PBKDF2_ITERATIONS: parseInt(process.env.PBKDF2_ITERATIONS || '100000', 10),
   PBKDF2_KEY_LENGTH: 32,
   PBKDF2_DIGEST: 'sha256',
+  KDF_ALGORITHM: process.env.KDF_ALGORITHM || 'pbkdf2', // 'pbkdf2' or 'scrypt'
+  SCRYPT_COST: parseInt(process.env.SCRYPT_COST || '32768', 10), // N, power of two
+  SCRYPT_BLOCK_SIZE: 8,
+  SCRYPT_PARALLELIZATION: 1,
+  LOGIN_BACKOFF_BASE_MS: parseInt(process.env.LOGIN_BACKOFF_BASE_MS || '1000', 10), // Doubles per failed login
+  LOGIN_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10), // Failures before lockout
+  LOGIN_LOCKOUT_MS: parseInt(process.env.LOGIN_LOCKOUT_MS || '900000', 10), // 15 minutes
   
   // Features
   ENABLE_QUANTUM: process.env.ENABLE_QUANTUM !== 'false', // Enabled by default if Forge available
+  QUANTUM_PROVIDER: process.env.QUANTUM_PROVIDER || 'python', // python, exec, http or module
+  QUANTUM_PROVIDER_COMMAND: process.env.QUANTUM_PROVIDER_COMMAND || null, // exec: command speaking JSON on stdin/stdout
+  QUANTUM_PROVIDER_URL: process.env.QUANTUM_PROVIDER_URL || null, // http: local endpoint taking JSON POSTs
+  QUANTUM_PROVIDER_MODULE: process.env.QUANTUM_PROVIDER_MODULE || null, // module: JS file exporting enhance()
   
   // Performance
   QUANTUM_TIMEOUT_MS: parseInt(process.env.QUANTUM_TIMEOUT_MS || '3000', 10),
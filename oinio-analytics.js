@@ -0,0 +1,479 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾📈 OINIO ANALYTICS — Metric Trends, Streaks & Charts
+ * ═══════════════════════════════════════════════════════════════
+ *  Pure functions over a soul's epochs (oldest first). The client
+ *  returns the structured analysis; the terminal renders it with
+ *  sparklines and line charts.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { PATTERNS } = require('./oinio-shared');
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 DEFINITIONS
+// ═══════════════════════════════════════════════════════════════
+
+const ANALYTICS_METRICS = ['resonance', 'clarity', 'flux', 'emergence'];
+
+const ANALYTICS_PERIODS = ['week', 'month'];
+
+const DEFAULT_WINDOW = 5;
+
+const MAX_WINDOW = 100;
+
+// Readings at or above / at or below these marks count towards high / low streaks
+const HIGH_MARK = 70;
+const LOW_MARK = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧮 SERIES STATISTICS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Count, mean, min, max, population standard deviation and latest value
+ * Returns null for an empty series
+ */
+function summarizeSeries(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    count: values.length,
+    mean: round(mean),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    stdDev: round(Math.sqrt(variance)),
+    latest: values[values.length - 1]
+  };
+}
+
+/**
+ * Trailing mean over the last `window` values; the first few points
+ * average whatever precedes them so the result lines up with the input
+ */
+function rollingAverage(values, window) {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= window) {
+      sum -= values[index - window];
+    }
+    return round(sum / Math.min(index + 1, window));
+  });
+}
+
+/**
+ * Current and longest runs in a series:
+ *   rising / falling   consecutive increases / decreases between epochs
+ *   high / low         consecutive epochs at or above HIGH_MARK / at or below LOW_MARK
+ */
+function findStreaks(values) {
+  const runs = {
+    rising: (value, previous) => previous !== undefined && value > previous,
+    falling: (value, previous) => previous !== undefined && value < previous,
+    high: value => value >= HIGH_MARK,
+    low: value => value <= LOW_MARK
+  };
+
+  const streaks = {};
+  for (const [name, holds] of Object.entries(runs)) {
+    let current = 0;
+    let longest = 0;
+    values.forEach((value, index) => {
+      current = holds(value, values[index - 1]) ? current + 1 : 0;
+      longest = Math.max(longest, current);
+    });
+    streaks[name] = { current, longest };
+  }
+  return streaks;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🗓️ PERIOD AGGREGATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * ISO 8601 week of a UTC date, e.g. "2026-W03"; the week belongs to
+ * the year its Thursday falls in
+ */
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const week = Math.ceil(((day - Date.UTC(day.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Bucket label for a timestamp: "2026-W03" or "2026-01" (UTC)
+ */
+function periodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  return period === 'week' ? isoWeek(date) : date.toISOString().slice(0, 7);
+}
+
+/**
+ * Groups epochs by ISO week or calendar month, oldest bucket first
+ * Returns: [{ period, from, to, epochs, metrics: { resonance: { mean, min, max }, ... } }]
+ */
+function aggregateByPeriod(epochs, period) {
+  const buckets = new Map();
+  for (const epoch of epochs) {
+    const key = periodKey(epoch.timestamp, period);
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(epoch);
+  }
+
+  return [...buckets.keys()].sort().map(key => {
+    const bucket = buckets.get(key);
+    const metrics = {};
+    ANALYTICS_METRICS.forEach(metric => {
+      const { mean, min, max } = summarizeSeries(bucket.map(epoch => epoch.reading[metric]));
+      metrics[metric] = { mean, min, max };
+    });
+    return {
+      period: key,
+      from: bucket[0].timestamp,
+      to: bucket[bucket.length - 1].timestamp,
+      epochs: bucket.length,
+      metrics
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📊 SOUL ANALYSIS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Full analysis of a soul's epochs
+ * Options: { window: rolling average size (1-MAX_WINDOW) }
+ * Returns: { success, analytics: { epochs, window, from, to, metrics, weekly, monthly } }
+ * where metrics.<name> = { values, rolling, summary, streaks }
+ */
+function analyzeEpochs(epochs, { window = DEFAULT_WINDOW } = {}) {
+  if (!Number.isInteger(window) || window < 1 || window > MAX_WINDOW) {
+    return { success: false, error: `Window must be between 1 and ${MAX_WINDOW} epochs`, code: 'INVALID' };
+  }
+
+  const metrics = {};
+  ANALYTICS_METRICS.forEach(metric => {
+    const values = epochs.map(epoch => epoch.reading[metric]);
+    metrics[metric] = {
+      values,
+      rolling: rollingAverage(values, window),
+      summary: summarizeSeries(values),
+      streaks: findStreaks(values)
+    };
+  });
+
+  return {
+    success: true,
+    analytics: {
+      epochs: epochs.length,
+      window,
+      from: epochs.length > 0 ? epochs[0].timestamp : null,
+      to: epochs.length > 0 ? epochs[epochs.length - 1].timestamp : null,
+      metrics,
+      weekly: aggregateByPeriod(epochs, 'week'),
+      monthly: aggregateByPeriod(epochs, 'month')
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧭 PATTERN JOURNEYS
+// ═══════════════════════════════════════════════════════════════
+
+// Longest pattern sequence considered a cycle, and how many are reported
+const MAX_CYCLE_LENGTH = 5;
+const MAX_CYCLES = 10;
+
+/**
+ * How often each pattern appears, every pattern listed (0 when unseen);
+ * patterns is the deck's list, the classic patterns by default
+ */
+function countPatterns(epochs, patterns = PATTERNS) {
+  const counts = Object.fromEntries(patterns.map(pattern => [pattern, 0]));
+  epochs.forEach(epoch => {
+    counts[epoch.reading.pattern] = (counts[epoch.reading.pattern] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Pattern-to-pattern moves between consecutive epochs
+ * Returns: { matrix: { from: { to: count } }, transitions: [{ from, to, count, share }] }
+ * where share is the fraction of all moves out of `from`, busiest first
+ */
+function buildTransitions(sequence) {
+  const matrix = {};
+  for (let i = 1; i < sequence.length; i++) {
+    const row = matrix[sequence[i - 1]] || (matrix[sequence[i - 1]] = {});
+    row[sequence[i]] = (row[sequence[i]] || 0) + 1;
+  }
+
+  const transitions = Object.entries(matrix).flatMap(([from, row]) => {
+    const departures = Object.values(row).reduce((sum, count) => sum + count, 0);
+    return Object.entries(row).map(([to, count]) => ({ from, to, count, share: Math.round(count / departures * 100) / 100 }));
+  });
+  transitions.sort((a, b) => b.count - a.count || b.share - a.share);
+  return { matrix, transitions };
+}
+
+function containsRun(haystack, needle) {
+  return haystack.some((_, start) => needle.every((pattern, offset) => haystack[start + offset] === pattern));
+}
+
+/**
+ * Runs of 2-MAX_CYCLE_LENGTH different patterns that recur, e.g.
+ * Storm → Void → Bloom twice or more. A run inside a longer (or
+ * rotated) cycle that recurs at least as often is folded into it.
+ * Returns: [{ sequence, count, lastEpoch }], most frequent first
+ */
+function findCycles(epochs) {
+  const sequence = epochs.map(epoch => epoch.reading.pattern);
+  const runs = new Map();
+
+  for (let length = 2; length <= MAX_CYCLE_LENGTH; length++) {
+    for (let start = 0; start + length <= sequence.length; start++) {
+      const run = sequence.slice(start, start + length);
+      if (new Set(run).size !== length) {
+        continue;
+      }
+      const key = run.join('\n');
+      const found = runs.get(key) || { sequence: run, count: 0, first: start };
+      found.count++;
+      found.lastEpoch = epochs[start + length - 1].number;
+      runs.set(key, found);
+    }
+  }
+
+  const recurring = [...runs.values()]
+    .filter(run => run.count >= 2)
+    .sort((a, b) => b.count - a.count || b.sequence.length - a.sequence.length || a.first - b.first);
+
+  const kept = [];
+  for (const run of recurring) {
+    // Doubling a kept cycle covers its rotations and wrap-around runs
+    if (!kept.some(cycle => containsRun([...cycle.sequence, ...cycle.sequence], run.sequence))) {
+      kept.push(run);
+    }
+  }
+  return kept.slice(0, MAX_CYCLES).map(({ sequence: cycle, count, lastEpoch }) => ({ sequence: cycle, count, lastEpoch }));
+}
+
+/**
+ * When each pattern last appeared, in epoch order
+ * Returns: [{ pattern, count, lastEpoch, lastSeen, epochsSince }],
+ * never-seen patterns last with null fields
+ */
+function patternRecency(epochs, patterns) {
+  const counts = countPatterns(epochs, patterns);
+  const latest = {};
+  epochs.forEach((epoch, index) => {
+    latest[epoch.reading.pattern] = { epoch, index };
+  });
+
+  return Object.keys(counts)
+    .map(pattern => {
+      const last = latest[pattern];
+      return {
+        pattern,
+        count: counts[pattern],
+        lastEpoch: last ? last.epoch.number : null,
+        lastSeen: last ? last.epoch.timestamp : null,
+        epochsSince: last ? epochs.length - 1 - last.index : null
+      };
+    })
+    .sort((a, b) => (a.epochsSince === null) - (b.epochsSince === null) || a.epochsSince - b.epochsSince);
+}
+
+/**
+ * Full pattern analysis of a soul's epochs
+ * Returns: { epochs, path, counts, matrix, transitions, cycles, recency, neverSeen }
+ */
+function analyzePatternJourney(epochs, patterns = PATTERNS) {
+  const path = epochs.map(epoch => epoch.reading.pattern);
+  const recency = patternRecency(epochs, patterns);
+  return {
+    epochs: epochs.length,
+    path,
+    counts: countPatterns(epochs, patterns),
+    ...buildTransitions(path),
+    cycles: findCycles(epochs),
+    recency,
+    neverSeen: recency.filter(entry => entry.count === 0).map(entry => entry.pattern)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ⚖️ SOUL COMPARISON
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Every pair of items, in order: [a, b], [a, c], [b, c], ...
+ */
+function pairs(items) {
+  return items.flatMap((first, index) => items.slice(index + 1).map(second => [first, second]));
+}
+
+/**
+ * How much two pattern distributions share, 0-100: the sum over
+ * patterns of the smaller of the two souls' shares
+ */
+function patternOverlap(countsA, totalA, countsB, totalB) {
+  const shared = Object.keys(countsA)
+    .reduce((sum, pattern) => sum + Math.min(countsA[pattern] / totalA, (countsB[pattern] || 0) / totalB), 0);
+  return Math.round(shared * 100);
+}
+
+/**
+ * Side-by-side profile of several souls
+ * Returns: { souls: [{ name, epochs, metrics, patterns, topPattern }],
+ *            overlap: [{ souls: [a, b], patternOverlap }] }
+ * metrics.<name> is a summarizeSeries result (null without epochs);
+ * patternOverlap is null when either soul has no epochs;
+ * patternsOf(soul) names the patterns of the soul's deck (default classic)
+ */
+function compareSouls(souls, patternsOf = () => PATTERNS) {
+  const profiles = souls.map(soul => {
+    const metrics = {};
+    ANALYTICS_METRICS.forEach(metric => {
+      metrics[metric] = summarizeSeries(soul.epochs.map(epoch => epoch.reading[metric]));
+    });
+    const patterns = countPatterns(soul.epochs, patternsOf(soul));
+    const [pattern, count] = Object.entries(patterns).sort((a, b) => b[1] - a[1])[0];
+    return {
+      name: soul.name,
+      epochs: soul.epochs.length,
+      metrics,
+      patterns,
+      topPattern: count > 0 ? { pattern, count } : null
+    };
+  });
+
+  return {
+    souls: profiles,
+    overlap: pairs(profiles).map(([a, b]) => ({
+      souls: [a.name, b.name],
+      patternOverlap: a.epochs > 0 && b.epochs > 0 ? patternOverlap(a.patterns, a.epochs, b.patterns, b.epochs) : null
+    }))
+  };
+}
+
+/**
+ * How closely several souls' readings of one question agree
+ * members: [{ name, reading }]
+ * Returns: { score, pairs: [{ souls: [a, b], score, samePattern }] }
+ * where a pair's score is 100 minus the mean metric difference
+ */
+function readingCompatibility(members) {
+  const scored = pairs(members).map(([a, b]) => {
+    const difference = ANALYTICS_METRICS
+      .reduce((sum, metric) => sum + Math.abs(a.reading[metric] - b.reading[metric]), 0) / ANALYTICS_METRICS.length;
+    return {
+      souls: [a.name, b.name],
+      score: Math.round(100 - difference),
+      samePattern: a.reading.pattern === b.reading.pattern
+    };
+  });
+  return {
+    score: Math.round(scored.reduce((sum, pair) => sum + pair.score, 0) / scored.length),
+    pairs: scored
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🖼️ TERMINAL CHARTS
+// ═══════════════════════════════════════════════════════════════
+
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Shrinks a series to at most `width` points by averaging neighbours
+ */
+function resample(values, width) {
+  if (values.length <= width) {
+    return values;
+  }
+  return Array.from({ length: width }, (_, column) => {
+    const start = Math.floor(column * values.length / width);
+    const end = Math.floor((column + 1) * values.length / width);
+    const slice = values.slice(start, end);
+    return slice.reduce((sum, value) => sum + value, 0) / slice.length;
+  });
+}
+
+/**
+ * Scales a 0-100 value to a level from 0 to steps - 1
+ */
+function level(value, steps) {
+  return Math.max(0, Math.min(steps - 1, Math.round(value / 100 * (steps - 1))));
+}
+
+/**
+ * One-line sparkline on the fixed 0-100% scale, so metrics compare
+ */
+function sparkline(values, { width = 40 } = {}) {
+  return resample(values, width).map(value => SPARK_BLOCKS[level(value, SPARK_BLOCKS.length)]).join('');
+}
+
+/**
+ * Line chart on the 0-100% scale: each reading is a █ with ░ filled
+ * beneath it, the rolling average (when given) is drawn as ·
+ * Returns: array of lines, top row first
+ */
+function lineChart(values, { rolling = null, height = 10, width = 60 } = {}) {
+  const points = resample(values, width).map(value => level(value, height));
+  const trend = rolling ? resample(rolling, width).map(value => level(value, height)) : [];
+
+  const lines = [];
+  for (let row = height - 1; row >= 0; row--) {
+    const label = row === height - 1 ? '100' : row === 0 ? '0' : row === Math.round((height - 1) / 2) ? '50' : '';
+    const cells = points.map((point, column) => {
+      if (point === row) {
+        return '█';
+      }
+      if (trend[column] === row) {
+        return '·';
+      }
+      return point > row ? '░' : ' ';
+    });
+    lines.push(`${label.padStart(4)} ${label ? '┤' : '│'}${cells.join('')}`);
+  }
+  lines.push(`${' '.repeat(5)}└${'─'.repeat(points.length)}`);
+  return lines;
+}
+
+module.exports = {
+  analyzeEpochs,
+  summarizeSeries,
+  rollingAverage,
+  findStreaks,
+  aggregateByPeriod,
+  sparkline,
+  lineChart,
+  analyzePatternJourney,
+  countPatterns,
+  findCycles,
+  compareSouls,
+  readingCompatibility,
+  ANALYTICS_METRICS,
+  ANALYTICS_PERIODS,
+  DEFAULT_WINDOW,
+  MAX_WINDOW,
+  HIGH_MARK,
+  LOW_MARK,
+  MAX_CYCLE_LENGTH
+};
@@ -0,0 +1,1400 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧩 OINIO CLIENT — Programmatic Soul System API
+ * ═══════════════════════════════════════════════════════════════
+ *  Accounts, souls, epochs and lineage as plain objects.
+ *  Never prints. The CLI and API server are thin shells over this.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  PATTERNS,
+  generateDeterministicReading,
+  generateSynastryReading,
+  generateSpreadReading,
+  SPREADS
+} = require('./oinio-shared');
+const { buildLineageCSV, EPOCH_EXPORT_FORMATS } = require('./oinio-export');
+const { parseEpochQuery, compileEpochFilter, paginate } = require('./oinio-history');
+const {
+  analyzeEpochs,
+  analyzePatternJourney,
+  countPatterns,
+  compareSouls,
+  readingCompatibility
+} = require('./oinio-analytics');
+const {
+  validateDeck,
+  deckHash,
+  scanDeckDirectory,
+  deckLocales,
+  localizeDeck,
+  deckDictionary,
+  CLASSIC_DECK,
+  CLASSIC_DECK_ID
+} = require('./oinio-decks');
+const { verifySoul, VERIFY_STATUSES } = require('./oinio-verify');
+const config = require('./config');
+const {
+  SoulStore,
+  sealTransferBundle,
+  openTransferBundle,
+  TRANSFER_FORMAT,
+  TRANSFER_VERSION
+} = require('./oinio-store');
+
+// ═══════════════════════════════════════════════════════════════
+// ⚡ QUANTUM FORGE BRIDGE (OPTIONAL ENHANCEMENT)
+// ═══════════════════════════════════════════════════════════════
+let quantumBridge = null;
+let isQuantumAvailable = false;
+
+try {
+  // Attempt to load quantum bridge if available
+  const bridgePath = path.join(__dirname, 'oinio-forge-bridge.js');
+  if (fs.existsSync(bridgePath)) {
+    quantumBridge = require('./oinio-forge-bridge.js');
+  }
+} catch (err) {
+  // Silently continue without quantum enhancement
+  quantumBridge = null;
+}
+
+/**
+ * Re-checks whether the Quantum Forge is reachable
+ */
+async function detectQuantumAvailability() {
+  if (quantumBridge) {
+    isQuantumAvailable = await quantumBridge.isForgeAvailable().catch(() => false);
+  }
+  return isQuantumAvailable;
+}
+
+/**
+ * Full bridge handshake for `oinio diagnose` (null without the bridge)
+ */
+async function diagnoseQuantumBridge() {
+  return quantumBridge ? quantumBridge.diagnoseBridge() : null;
+}
+
+/**
+ * Stops a persistent enhancement worker, if one is running
+ */
+async function shutdownQuantumBridge() {
+  if (quantumBridge) {
+    await quantumBridge.shutdownBridge().catch(() => {});
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🌌 SOUL ARCHITECTURE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Creates a new soul with a unique seed
+ */
+function createSoul(name) {
+  const seed = crypto.randomBytes(32).toString('hex');
+  const created = new Date().toISOString();
+
+  return {
+    name,
+    seed,
+    created,
+    lastEpoch: null,
+    epochs: []
+  };
+}
+
+/**
+ * Deterministic oracle: generates reading from question + seed + epoch
+ * Optimized to use cached pattern/message arrays
+ */
+function consultOracle(question, seed, epochNumber) {
+  return generateDeterministicReading(question, seed, epochNumber);
+}
+
+/**
+ * The deck a soul currently reads from (null for the classic deck)
+ */
+function pinnedDeck(soul) {
+  return soul.deck ? soul.decks[soul.deck.hash] : null;
+}
+
+/**
+ * Deterministic reading from a soul's pinned deck; readings from a
+ * custom deck record its hash (and locale) so they can be reproduced
+ */
+function soulReading(soul, question, epochNumber, spread = 'single') {
+  if (!soul.deck) {
+    return generateSpreadReading(question, soul.seed, epochNumber, spread);
+  }
+  const reading = generateSpreadReading(question, soul.seed, epochNumber, spread,
+    deckDictionary(pinnedDeck(soul), soul.deck.locale));
+  return { ...reading, deck: soul.deck.hash, ...(soul.deck.locale ? { locale: soul.deck.locale } : {}) };
+}
+
+/**
+ * Pattern names of a soul's deck, in deck order and current locale
+ */
+function soulPatternNames(soul) {
+  return soul.deck ? deckDictionary(pinnedDeck(soul), soul.deck.locale).patterns : PATTERNS;
+}
+
+/**
+ * Public view of a deck: metadata, counts and (localized) patterns
+ */
+function describeDeck(deck, hash, locale = null) {
+  const text = localizeDeck(deck, locale);
+  return {
+    id: deck.id,
+    name: text.name,
+    ...(deck.description ? { description: deck.description } : {}),
+    hash,
+    locale: locale || deck.language || null,
+    locales: deckLocales(deck),
+    builtin: deck.id === CLASSIC_DECK_ID,
+    // Translations may leave descriptions out; the deck's own fill in
+    patterns: text.patterns.map(({ name }, index) => {
+      const description = text.patterns[index].description || deck.patterns[index].description;
+      return { name, ...(description ? { description } : {}) };
+    }),
+    messages: text.messages.length
+  };
+}
+
+/**
+ * Quantum-enhanced oracle consultation (uses bridge if available)
+ * A reading the Forge could not enhance carries quantumDiagnostic
+ */
+async function consultQuantumOracle(question, seed, epochNumber, useQuantum = false) {
+  // Base deterministic reading
+  const reading = consultOracle(question, seed, epochNumber);
+
+  // If quantum mode requested, the bridge enhances or says why not
+  if (useQuantum && quantumBridge) {
+    try {
+      return await quantumBridge.consultQuantumOracle(question, seed, epochNumber);
+    } catch (err) {
+      // Fall back to deterministic on error
+      return reading;
+    }
+  }
+
+  return reading;
+}
+
+/**
+ * Appends a reading to a soul as its next epoch
+ * Returns: the recorded epoch
+ */
+function recordEpoch(soul, question, reading) {
+  const epoch = {
+    number: soul.epochs.length + 1,
+    question,
+    timestamp: new Date().toISOString(),
+    reading
+  };
+
+  soul.epochs.push(epoch);
+  soul.lastEpoch = epoch.timestamp;
+
+  // Invalidate stats cache since soul data changed
+  invalidateStatsCache(soul.name);
+
+  return epoch;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🚀 PERFORMANCE OPTIMIZATIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Cache for soul statistics to avoid recalculating on every access
+const statsCache = new Map();
+
+/**
+ * Get cached statistics for a soul or compute if not cached
+ */
+function getSoulStats(soul) {
+  // Keyed by seed so same-named souls of different users never collide;
+  // forks share a seed, so the last epoch time tells diverged branches apart
+  const cacheKey = `${soul.seed}_${soul.epochs.length}_${soul.lastEpoch}`;
+
+  if (statsCache.has(cacheKey)) {
+    return statsCache.get(cacheKey);
+  }
+
+  if (soul.epochs.length === 0) {
+    return null;
+  }
+
+  const stats = {
+    avgResonance: soul.epochs.reduce((sum, e) => sum + e.reading.resonance, 0) / soul.epochs.length,
+    avgClarity: soul.epochs.reduce((sum, e) => sum + e.reading.clarity, 0) / soul.epochs.length,
+    avgFlux: soul.epochs.reduce((sum, e) => sum + e.reading.flux, 0) / soul.epochs.length,
+    avgEmergence: soul.epochs.reduce((sum, e) => sum + e.reading.emergence, 0) / soul.epochs.length,
+    patternCount: soul.epochs.reduce((counts, e) => {
+      counts[e.reading.pattern] = (counts[e.reading.pattern] || 0) + 1;
+      return counts;
+    }, {})
+  };
+
+  statsCache.set(cacheKey, stats);
+  return stats;
+}
+
+/**
+ * Invalidate stats cache for a soul when it changes
+ * Note: Clears entire cache for simplicity. In large registries with frequent updates,
+ * consider selective invalidation by soul name for better performance.
+ */
+function invalidateStatsCache(soulName) {
+  // Simple approach: clear entire cache
+  // Trade-off: O(1) invalidation vs potential to clear unaffected souls
+  // For typical usage (few souls, infrequent updates), this is optimal
+  statsCache.clear();
+}
+
+/**
+ * Public summary of a soul (never includes the seed)
+ */
+function summarizeSoul(soul) {
+  const stats = getSoulStats(soul);
+  return {
+    name: soul.name,
+    created: soul.created,
+    lastEpoch: soul.lastEpoch,
+    epochs: soul.epochs.length,
+    avgResonance: stats ? stats.avgResonance : null,
+    archived: Boolean(soul.archivedAt),
+    ...(soul.trashedAt ? { trashedAt: soul.trashedAt } : {}),
+    ...(soul.forkedFrom ? { forkedFrom: soul.forkedFrom } : {}),
+    ...(soul.deck ? { deck: soul.deck } : {})
+  };
+}
+
+/**
+ * Registry lookup that treats trashed souls as absent
+ */
+function findSoul(souls, name) {
+  const soul = Object.prototype.hasOwnProperty.call(souls, name) ? souls[name] : undefined;
+  return soul && !soul.trashedAt ? soul : undefined;
+}
+
+/**
+ * Error for a name already used in the registry (including the trash)
+ * Returns: failure result or null when the name is free
+ */
+function nameTakenError(souls, name) {
+  if (!Object.prototype.hasOwnProperty.call(souls, name)) {
+    return null;
+  }
+  const error = souls[name].trashedAt
+    ? `Soul "${name}" is in the trash (restore or purge it first)`
+    : `Soul "${name}" already exists`;
+  return { success: false, error, code: 'EXISTS' };
+}
+
+/**
+ * Copies a soul's seed and history into a new branch
+ */
+function forkSoul(soul, newName) {
+  const { archivedAt, trashedAt, ...source } = JSON.parse(JSON.stringify(soul));
+  return {
+    ...source,
+    name: newName,
+    created: new Date().toISOString(),
+    forkedFrom: { name: soul.name, epoch: soul.epochs.length, at: new Date().toISOString() }
+  };
+}
+
+/**
+ * The named souls (each once, in the order given), or every soul
+ * outside the trash when names is empty
+ * Returns: { success, souls } or a NOT_FOUND failure
+ */
+function selectSouls(souls, names) {
+  if (names.length === 0) {
+    return { success: true, souls: Object.values(souls).filter(soul => !soul.trashedAt) };
+  }
+  const missing = names.find(name => !findSoul(souls, name));
+  if (missing !== undefined) {
+    return { success: false, error: `Soul "${missing}" not found`, code: 'NOT_FOUND' };
+  }
+  return { success: true, souls: [...new Set(names)].map(name => findSoul(souls, name)) };
+}
+
+// Most souls one comparison or synastry reading takes
+const MAX_GROUP_SIZE = 12;
+
+/**
+ * Looks up the souls for a comparison or synastry reading
+ * Returns: { success, souls } or a failure (fewer than two, too many, or missing)
+ */
+function findSoulGroup(souls, names) {
+  const unique = [...new Set(names)];
+  if (unique.length < 2 || unique.length > MAX_GROUP_SIZE) {
+    return { success: false, error: `Choose between 2 and ${MAX_GROUP_SIZE} different souls`, code: 'INVALID' };
+  }
+  const missing = unique.find(name => !findSoul(souls, name));
+  if (missing !== undefined) {
+    return { success: false, error: `Soul "${missing}" not found`, code: 'NOT_FOUND' };
+  }
+  return { success: true, souls: unique.map(name => findSoul(souls, name)) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🚚 SOUL IMPORT
+// ═══════════════════════════════════════════════════════════════
+
+const IMPORT_STRATEGIES = ['merge', 'rename', 'skip'];
+
+/**
+ * Checks a soul read from an export bundle before it enters a registry
+ * Returns: error message or null when valid
+ */
+function validateBundleSoul(soul) {
+  if (!soul || typeof soul !== 'object') {
+    return 'soul entry is not an object';
+  }
+  const nameError = validateSoulName(soul.name);
+  if (nameError) {
+    return nameError;
+  }
+  if (typeof soul.seed !== 'string' || !/^[0-9a-f]+$/i.test(soul.seed)) {
+    return `soul "${soul.name}" has no valid seed`;
+  }
+  if (typeof soul.created !== 'string' || !Array.isArray(soul.epochs)) {
+    return `soul "${soul.name}" is missing its creation date or epochs`;
+  }
+  const badEpoch = soul.epochs.find(epoch => !epoch || typeof epoch !== 'object' ||
+    typeof epoch.question !== 'string' || typeof epoch.timestamp !== 'string' ||
+    !epoch.reading || typeof epoch.reading.pattern !== 'string' ||
+    (epoch.reading.positions !== undefined && !Array.isArray(epoch.reading.positions)) ||
+    !['resonance', 'clarity', 'flux', 'emergence'].every(metric => typeof epoch.reading[metric] === 'number'));
+  if (badEpoch !== undefined) {
+    return `soul "${soul.name}" has a malformed epoch`;
+  }
+
+  // Pinned decks must be intact, or their readings could not be reproduced
+  const decks = soul.decks || {};
+  const badDeck = Object.keys(decks).find(hash => {
+    const validated = validateDeck(decks[hash]);
+    return !validated.success || deckHash(validated.deck) !== hash;
+  });
+  if (badDeck !== undefined) {
+    return `soul "${soul.name}" has a deck that does not match its hash`;
+  }
+  const missingDeck = (soul.deck && !decks[soul.deck.hash]) ||
+    soul.epochs.some(epoch => epoch.reading.deck && !decks[epoch.reading.deck]);
+  if (missingDeck) {
+    return `soul "${soul.name}" refers to a deck the bundle does not contain`;
+  }
+  return null;
+}
+
+/**
+ * Opens an export bundle and validates every soul in it
+ * Returns: { success, souls, encrypted } or a failure result
+ */
+function readImportBundle(content, passphrase) {
+  const opened = openTransferBundle(content, passphrase);
+  if (!opened.success) {
+    return opened;
+  }
+
+  const names = new Set();
+  for (const soul of opened.payload.souls) {
+    const error = validateBundleSoul(soul);
+    if (error) {
+      return { success: false, error: `Invalid soul bundle: ${error}`, code: 'INVALID' };
+    }
+    if (names.has(soul.name)) {
+      return { success: false, error: `Invalid soul bundle: soul "${soul.name}" appears twice`, code: 'INVALID' };
+    }
+    names.add(soul.name);
+  }
+  return { success: true, souls: opened.payload.souls, encrypted: opened.encrypted };
+}
+
+/**
+ * Epochs are the same consultation when asked at the same moment
+ */
+function epochKey(epoch) {
+  return `${epoch.timestamp}\n${epoch.question}`;
+}
+
+/**
+ * How an imported soul meets the registry: name collision, shared seed
+ * and the epochs it would bring that are already there
+ */
+function describeImport(souls, incoming) {
+  const existing = Object.prototype.hasOwnProperty.call(souls, incoming.name) ? souls[incoming.name] : null;
+  const known = new Set(existing ? existing.epochs.map(epochKey) : []);
+  return {
+    name: incoming.name,
+    epochs: incoming.epochs.length,
+    conflict: existing ? (existing.trashedAt ? 'trashed' : 'exists') : null,
+    sameSeed: Boolean(existing) && existing.seed === incoming.seed,
+    duplicateEpochs: incoming.epochs.filter(epoch => known.has(epochKey(epoch))).length
+  };
+}
+
+/**
+ * Registry copy of an imported soul; trash state never travels
+ */
+function importedSoul(incoming, name) {
+  const { trashedAt, ...soul } = JSON.parse(JSON.stringify(incoming));
+  return { ...soul, name };
+}
+
+/**
+ * Adds the epochs of an imported copy of the same soul that the registry
+ * lacks, keeping the history in time order and numbered from 1. An epoch
+ * whose number changes keeps the one it was read at in generatedAs.
+ */
+function mergeEpochs(target, incoming) {
+  const known = new Set(target.epochs.map(epochKey));
+  const added = incoming.epochs.filter(epoch => !known.has(epochKey(epoch)));
+  if (incoming.decks) {
+    target.decks = { ...JSON.parse(JSON.stringify(incoming.decks)), ...target.decks };
+  }
+
+  if (added.length > 0) {
+    target.epochs = [...target.epochs, ...JSON.parse(JSON.stringify(added))]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    target.epochs.forEach((epoch, idx) => {
+      if (epoch.number !== idx + 1 && epoch.generatedAs === undefined) {
+        epoch.generatedAs = epoch.number;
+      }
+      epoch.number = idx + 1;
+    });
+    target.lastEpoch = target.epochs[target.epochs.length - 1].timestamp;
+  }
+  return { added: added.length, duplicates: incoming.epochs.length - added.length };
+}
+
+/**
+ * First free "<name>-N" for an imported soul kept alongside an existing one
+ */
+function freeSoulName(souls, name) {
+  for (let n = 2; ; n++) {
+    const candidate = `${name.substring(0, 50 - String(n).length - 1)}-${n}`;
+    if (!Object.prototype.hasOwnProperty.call(souls, candidate)) {
+      return candidate;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧩 CLIENT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Failure causes front ends map to exit codes / HTTP statuses
+ */
+const RESULT_CODES = {
+  INVALID: 'INVALID',
+  AUTH: 'AUTH',
+  NOT_FOUND: 'NOT_FOUND',
+  EXISTS: 'EXISTS',
+  LOCKED: 'LOCKED'
+};
+
+// Souls are keyed by name in a plain object, where these are not data
+const RESERVED_SOUL_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Soul name rules shared by every front end
+ * Returns: error message or null when valid
+ */
+function validateSoulName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Soul name cannot be empty';
+  }
+  if (name.length > 50) {
+    return 'Soul name too long (max 50 characters)';
+  }
+  if (RESERVED_SOUL_NAMES.includes(name)) {
+    return `"${name}" is reserved and cannot name a soul`;
+  }
+  return null;
+}
+
+/**
+ * Username rules shared by every front end
+ * Returns: error message or null when valid
+ */
+function validateUsername(username) {
+  if (typeof username !== 'string' || username.length < 3 || username.length > 20) {
+    return 'Username must be 3-20 characters';
+  }
+  if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+    return 'Username can only contain letters, numbers, underscore, and hyphen';
+  }
+  return null;
+}
+
+/**
+ * One user's session against a soul store
+ * Every method returns { success: true, ... } or { success: false, error, code? }
+ * where code is one of RESULT_CODES when the failure has a known cause
+ * The registry is re-read from disk for each call, so several clients
+ * (CLI, API server) can share the same files.
+ */
+class OinioClient {
+  constructor({ basePath, store } = {}) {
+    this.store = store || new SoulStore({ basePath });
+    this.username = null;
+    this.keyring = null;
+  }
+
+  get isLoggedIn() {
+    return this.keyring !== null;
+  }
+
+  /**
+   * Creates an account; with { recovery: true } also returns the
+   * recovery phrase that can reset its password
+   */
+  register(username, password, { recovery = false } = {}) {
+    const usernameError = validateUsername(username);
+    if (usernameError) {
+      return { success: false, error: usernameError, code: 'INVALID' };
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      return { success: false, error: 'Password must be at least 8 characters', code: 'INVALID' };
+    }
+    const registered = this.store.registerUser(username, password);
+    if (!registered.success || !recovery) {
+      return registered;
+    }
+
+    const auth = this.store.authenticateUser(username, password);
+    const enabled = auth.success ? this.store.enableRecovery(username, auth.keyring) : auth;
+    if (!enabled.success) {
+      return { success: false, error: `Account created, but recovery setup failed: ${enabled.error}` };
+    }
+    return { success: true, recoveryPhrase: enabled.recoveryPhrase };
+  }
+
+  /**
+   * Logs in; failedAttempts in the result lists failed logins since the
+   * previous successful one ({ at, source }) so front ends can warn
+   * source labels this front end in that audit
+   */
+  login(username, password, { source } = {}) {
+    const result = this.store.authenticateUser(username, password, { source });
+    if (!result.success) {
+      return result;
+    }
+
+    // Confirm the registry decrypts before accepting the session
+    const loaded = this.store.loadSouls(username, result.keyring);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    this.username = username;
+    this.keyring = result.keyring;
+    return { success: true, username, failedAttempts: result.failedAttempts };
+  }
+
+  /**
+   * Changes the logged-in user's password, re-keying their souls
+   */
+  changePassword(oldPassword, newPassword) {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      return { success: false, error: 'New password must be at least 8 characters', code: 'INVALID' };
+    }
+
+    const result = this.store.changePassword(this.username, oldPassword, newPassword);
+    if (!result.success) {
+      return result;
+    }
+
+    this.keyring = result.keyring;
+    return { success: true };
+  }
+
+  /**
+   * Sets a new password for an account using its recovery phrase
+   * Works while logged out; log in with the new password afterwards
+   */
+  resetPassword(username, recoveryPhrase, newPassword) {
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      return { success: false, error: 'New password must be at least 8 characters', code: 'INVALID' };
+    }
+
+    const result = this.store.resetPasswordWithRecovery(username, recoveryPhrase, newPassword);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, username };
+  }
+
+  /**
+   * Generates a recovery phrase for the logged-in user, replacing any
+   * previous one. The phrase is only ever returned here.
+   */
+  enableRecovery() {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+    return this.store.enableRecovery(this.username, this.keyring);
+  }
+
+  disableRecovery() {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+    return this.store.disableRecovery(this.username, this.keyring);
+  }
+
+  recoveryStatus() {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+    return { success: true, enabled: this.store.hasRecovery(this.username) };
+  }
+
+  /**
+   * Lists the logged-in user's soul file backups, newest first, with
+   * whether each still decrypts under the current key
+   */
+  listBackups() {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+    return this.store.listBackups(this.username, this.keyring);
+  }
+
+  /**
+   * Replaces the registry with a backup (the current one is backed up first)
+   */
+  restoreBackup(id) {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+
+    const result = this.store.restoreBackup(this.username, this.keyring, id);
+    if (!result.success) {
+      return result;
+    }
+    invalidateStatsCache();
+    return { success: true, souls: Object.values(result.souls).map(summarizeSoul) };
+  }
+
+  logout() {
+    this.username = null;
+    this.keyring = null;
+    return { success: true };
+  }
+
+  /**
+   * Lists souls; archived ones only with { archived: true }
+   * Trashed souls never appear here (see listTrash)
+   */
+  listSouls({ archived = false } = {}) {
+    return this._read(souls => ({
+      success: true,
+      souls: Object.values(souls)
+        .filter(soul => !soul.trashedAt && Boolean(soul.archivedAt) === archived)
+        .map(summarizeSoul)
+    }));
+  }
+
+  listTrash() {
+    return this._read(souls => ({
+      success: true,
+      souls: Object.values(souls).filter(soul => soul.trashedAt).map(summarizeSoul)
+    }));
+  }
+
+  getSoul(name) {
+    return this._readSoul(name, soul => ({ success: true, soul: summarizeSoul(soul) }));
+  }
+
+  createSoul(name) {
+    const nameError = validateSoulName(name);
+    if (nameError) {
+      return { success: false, error: nameError, code: 'INVALID' };
+    }
+
+    return this._update(souls => {
+      const taken = nameTakenError(souls, name);
+      if (taken) {
+        return taken;
+      }
+      souls[name] = createSoul(name);
+      return { success: true, soul: summarizeSoul(souls[name]) };
+    });
+  }
+
+  renameSoul(name, newName) {
+    const nameError = validateSoulName(newName);
+    if (nameError) {
+      return { success: false, error: nameError, code: 'INVALID' };
+    }
+
+    return this._update(souls => {
+      const soul = findSoul(souls, name);
+      if (!soul) {
+        return { success: false, error: `Soul "${name}" not found`, code: 'NOT_FOUND' };
+      }
+      const taken = newName !== name ? nameTakenError(souls, newName) : null;
+      if (taken) {
+        return taken;
+      }
+      // The registry key and soul.name always move together
+      delete souls[name];
+      soul.name = newName;
+      souls[newName] = soul;
+      return { success: true, soul: summarizeSoul(soul) };
+    });
+  }
+
+  /**
+   * Moves a soul to the trash; restoreSoul brings it back, purgeSoul
+   * deletes it for good. Its name stays reserved while it is trashed.
+   */
+  deleteSoul(name) {
+    return this._updateSoul(name, soul => {
+      soul.trashedAt = new Date().toISOString();
+      return { success: true, soul: summarizeSoul(soul) };
+    });
+  }
+
+  restoreSoul(name) {
+    return this._update(souls => {
+      const soul = souls[name];
+      if (!soul || !soul.trashedAt) {
+        return { success: false, error: `Soul "${name}" is not in the trash`, code: 'NOT_FOUND' };
+      }
+      delete soul.trashedAt;
+      return { success: true, soul: summarizeSoul(soul) };
+    });
+  }
+
+  /**
+   * Permanently deletes a trashed soul and its epochs
+   */
+  purgeSoul(name) {
+    return this._update(souls => {
+      if (!souls[name] || !souls[name].trashedAt) {
+        return { success: false, error: `Soul "${name}" is not in the trash`, code: 'NOT_FOUND' };
+      }
+      delete souls[name];
+      return { success: true };
+    });
+  }
+
+  emptyTrash() {
+    return this._update(souls => {
+      const purged = Object.keys(souls).filter(name => souls[name].trashedAt);
+      purged.forEach(name => delete souls[name]);
+      return { success: true, purged };
+    });
+  }
+
+  /**
+   * Hides a soul from listSouls without touching its epochs
+   * Archived souls can still be opened and consulted by name
+   */
+  archiveSoul(name) {
+    return this._updateSoul(name, soul => {
+      soul.archivedAt = soul.archivedAt || new Date().toISOString();
+      return { success: true, soul: summarizeSoul(soul) };
+    });
+  }
+
+  unarchiveSoul(name) {
+    return this._updateSoul(name, soul => {
+      delete soul.archivedAt;
+      return { success: true, soul: summarizeSoul(soul) };
+    });
+  }
+
+  /**
+   * Forks a soul: the new branch shares its seed and history, so both
+   * answer the same question at the same epoch with the same reading
+   */
+  duplicateSoul(name, newName) {
+    const nameError = validateSoulName(newName);
+    if (nameError) {
+      return { success: false, error: nameError, code: 'INVALID' };
+    }
+
+    return this._update(souls => {
+      const soul = findSoul(souls, name);
+      if (!soul) {
+        return { success: false, error: `Soul "${name}" not found`, code: 'NOT_FOUND' };
+      }
+      const taken = nameTakenError(souls, newName);
+      if (taken) {
+        return taken;
+      }
+      souls[newName] = forkSoul(soul, newName);
+      return { success: true, soul: summarizeSoul(souls[newName]) };
+    });
+  }
+
+  /**
+   * Asks a soul a question and records the reading as its next epoch
+   * Options: { quantum: boolean } requests Forge enhancement when available,
+   *          { spread } lays out several positions (see SPREADS; default single)
+   */
+  async consult(name, question, { quantum = false, spread = 'single' } = {}) {
+    if (typeof question !== 'string' || !question.trim()) {
+      return { success: false, error: 'Question cannot be empty', code: 'INVALID' };
+    }
+    if (!Object.prototype.hasOwnProperty.call(SPREADS, spread)) {
+      return { success: false, error: `Unknown spread "${spread}" (spreads: ${Object.keys(SPREADS).join(', ')})`, code: 'INVALID' };
+    }
+    if (quantum && spread !== 'single') {
+      return { success: false, error: 'Quantum enhancement is only available for single readings', code: 'INVALID' };
+    }
+
+    const loaded = this._load();
+    if (!loaded.success) {
+      return loaded;
+    }
+    const soul = findSoul(loaded.souls, name);
+    if (!soul) {
+      return { success: false, error: `Soul "${name}" not found`, code: 'NOT_FOUND' };
+    }
+
+    if (quantum && soul.deck) {
+      return { success: false, error: 'Quantum enhancement is only available with the classic deck', code: 'INVALID' };
+    }
+
+    const reading = quantum
+      ? await consultQuantumOracle(question, soul.seed, soul.epochs.length + 1, quantum)
+      : soulReading(soul, question, soul.epochs.length + 1, spread);
+    const epoch = recordEpoch(soul, question, reading);
+
+    const saved = this.store.saveSouls(this.username, this.keyring, loaded.souls);
+    if (!saved.success) {
+      return saved;
+    }
+    return { success: true, epoch };
+  }
+
+  history(name) {
+    return this._readSoul(name, soul => ({ success: true, epochs: soul.epochs }));
+  }
+
+  /**
+   * Filtered, paginated epochs from one soul, several, or all of them
+   * (names empty: every soul outside the trash, archived ones included)
+   * Options: { names, query, filter, page, pageSize, newestFirst }
+   *   query is the text syntax of parseEpochQuery; filter is the object
+   *   form (see compileEpochFilter); both may be given
+   *   page: null returns every match on one page
+   * Returns: { success, matches: [{ soul, epoch }], total, page, pages, pageSize }
+   */
+  searchEpochs({ names = [], query = '', filter = {}, page = 1, pageSize = 20, newestFirst = false } = {}) {
+    const parsed = parseEpochQuery(query);
+    const compiled = compileEpochFilter({
+      ...parsed,
+      ...filter,
+      text: [...parsed.text, ...[].concat(filter.text || [])],
+      metrics: [...parsed.metrics, ...(filter.metrics || [])]
+    });
+    if (!compiled.success) {
+      return compiled;
+    }
+
+    return this._read(souls => {
+      const selection = selectSouls(souls, names);
+      if (!selection.success) {
+        return selection;
+      }
+      const selected = selection.souls;
+
+      const matches = selected
+        .flatMap(soul => soul.epochs.filter(compiled.test).map(epoch => ({ soul: soul.name, epoch })))
+        .sort((a, b) => a.epoch.timestamp.localeCompare(b.epoch.timestamp) || a.epoch.number - b.epoch.number);
+      if (newestFirst) {
+        matches.reverse();
+      }
+
+      if (page === null) {
+        return { success: true, matches, total: matches.length, page: 1, pages: 1, pageSize: matches.length };
+      }
+      const paged = paginate(matches, { page, pageSize });
+      if (!paged.success) {
+        return paged;
+      }
+      const { items, ...pageInfo } = paged;
+      return { ...pageInfo, matches: items };
+    });
+  }
+
+  stats(name) {
+    return this._readSoul(name, soul => ({
+      success: true,
+      soul: summarizeSoul(soul),
+      stats: getSoulStats(soul)
+    }));
+  }
+
+  /**
+   * Time-series view of a soul's metrics: per-metric summary (mean,
+   * min, max, standard deviation), rolling average, streaks, and
+   * weekly/monthly aggregates (see analyzeEpochs)
+   * Options: { window: rolling average size in epochs }
+   * Returns: { success, soul, analytics }
+   */
+  analytics(name, { window } = {}) {
+    return this._readSoul(name, soul => {
+      const analyzed = analyzeEpochs(soul.epochs, { window });
+      if (!analyzed.success) {
+        return analyzed;
+      }
+      return { success: true, soul: summarizeSoul(soul), analytics: analyzed.analytics };
+    });
+  }
+
+  /**
+   * The sequence of patterns a soul has moved through: transition
+   * matrix, recurring cycles, time since each pattern last appeared
+   * and patterns never drawn (see analyzePatternJourney)
+   * Returns: { success, soul, journey }
+   */
+  patternJourney(name) {
+    return this._readSoul(name, soul => ({
+      success: true,
+      soul: summarizeSoul(soul),
+      journey: analyzePatternJourney(soul.epochs, soulPatternNames(soul))
+    }));
+  }
+
+  /**
+   * Metrics and pattern distributions of several souls side by side,
+   * with how much each pair's patterns overlap (see compareSouls)
+   * Returns: { success, souls: [{ ...summary, metrics, patterns, topPattern }], overlap }
+   */
+  compareSouls(names) {
+    return this._read(souls => {
+      const group = findSoulGroup(souls, names);
+      if (!group.success) {
+        return group;
+      }
+      const comparison = compareSouls(group.souls, soulPatternNames);
+      return {
+        success: true,
+        souls: comparison.souls.map((profile, index) => ({ ...summarizeSoul(group.souls[index]), ...profile })),
+        overlap: comparison.overlap
+      };
+    });
+  }
+
+  /**
+   * Asks several souls one question together. Each soul gives the
+   * reading its next epoch would, and a joint synastry reading comes from
+   * all their seeds and decks; both are deterministic. With record: true each
+   * soul's reading is saved as its next epoch (all souls or none).
+   * Returns: { success, question, souls: [{ name, epochNumber, reading, recorded }],
+   *            joint, compatibility }
+   */
+  synastry(names, question, { record = false } = {}) {
+    if (typeof question !== 'string' || !question.trim()) {
+      return { success: false, error: 'Question cannot be empty', code: 'INVALID' };
+    }
+
+    const ask = souls => {
+      const group = findSoulGroup(souls, names);
+      if (!group.success) {
+        return group;
+      }
+      const members = group.souls.map(soul => ({
+        name: soul.name,
+        epochNumber: soul.epochs.length + 1,
+        reading: soulReading(soul, question, soul.epochs.length + 1),
+        recorded: record
+      }));
+      const joint = generateSynastryReading(question, group.souls.map((soul, index) => ({
+        seed: soul.seed,
+        epochNumber: members[index].epochNumber,
+        ...(soul.deck ? {
+          dictionary: deckDictionary(pinnedDeck(soul), soul.deck.locale),
+          deck: soul.deck.hash,
+          locale: soul.deck.locale
+        } : {})
+      })));
+      if (record) {
+        group.souls.forEach((soul, index) => recordEpoch(soul, question, members[index].reading));
+      }
+      return { success: true, question, souls: members, joint, compatibility: readingCompatibility(members) };
+    };
+
+    return record ? this._update(ask) : this._read(ask);
+  }
+
+  /**
+   * How often each pattern was drawn across some souls, or every soul
+   * outside the trash when names is empty
+   * Returns: { success, counts: { pattern: n }, epochs, souls }
+   */
+  patternCounts({ names = [] } = {}) {
+    return this._read(souls => {
+      const selection = selectSouls(souls, names);
+      if (!selection.success) {
+        return selection;
+      }
+      const selected = selection.souls;
+      const epochs = selected.flatMap(soul => soul.epochs);
+      const patterns = [...new Set(selected.flatMap(soulPatternNames))];
+      return { success: true, counts: countPatterns(epochs, patterns), epochs: epochs.length, souls: selected.length };
+    });
+  }
+
+  /**
+   * Recomputes every stored epoch from its soul's seed and reports those
+   * that differ, for some souls or every soul outside the trash
+   * Returns: { success, souls: [verifySoul report], totals: { epochs, verified, ... } }
+   */
+  verifyReadings({ names = [] } = {}) {
+    return this._read(souls => {
+      const selection = selectSouls(souls, names);
+      if (!selection.success) {
+        return selection;
+      }
+      const selected = selection.souls;
+      const reports = selected.map(verifySoul);
+      const sum = field => reports.reduce((total, report) => total + report[field], 0);
+      return {
+        success: true,
+        souls: reports,
+        totals: {
+          epochs: sum('epochs'),
+          ...Object.fromEntries(VERIFY_STATUSES.map(status => [status, sum(status)]))
+        }
+      };
+    });
+  }
+
+  /**
+   * Deck files in the deck directory (DECKS_DIR, default <data>/decks),
+   * after the built-in classic deck. Needs no login.
+   * Returns: { success, decks: [{ id, name, hash, file, ... }], invalid: [{ file, error }] }
+   */
+  listDecks() {
+    const { decks, invalid } = scanDeckDirectory(this.decksDirectory());
+    return {
+      success: true,
+      decks: [
+        describeDeck(CLASSIC_DECK, null),
+        ...decks.map(({ deck, hash, file }) => ({ ...describeDeck(deck, hash), file }))
+      ],
+      invalid
+    };
+  }
+
+  decksDirectory() {
+    return config.DECKS_DIR ? path.resolve(config.DECKS_DIR) : path.join(this.store.basePath, 'decks');
+  }
+
+  /**
+   * A soul's deck, and whether the deck directory now holds a different
+   * version of it (drift: { hash, file } or null)
+   * Returns: { success, soul, deck, drift }
+   */
+  getSoulDeck(name) {
+    return this._readSoul(name, soul => {
+      if (!soul.deck) {
+        return { success: true, soul: summarizeSoul(soul), deck: describeDeck(CLASSIC_DECK, null), drift: null };
+      }
+      const library = scanDeckDirectory(this.decksDirectory()).decks.find(entry => entry.deck.id === soul.deck.id);
+      return {
+        success: true,
+        soul: summarizeSoul(soul),
+        deck: describeDeck(pinnedDeck(soul), soul.deck.hash, soul.deck.locale),
+        drift: library && library.hash !== soul.deck.hash ? { hash: library.hash, file: library.file } : null
+      };
+    });
+  }
+
+  /**
+   * Pins a deck to a soul for its future readings. deck is "classic",
+   * the id of a deck in the deck directory, or a deck definition (e.g.
+   * from readDeckFile). The deck's content is stored with the soul under
+   * its hash, so editing the file later never changes recorded epochs.
+   * Options: { locale: one of the deck's translations }
+   * Returns: { success, soul, deck }
+   */
+  setSoulDeck(name, deck, { locale = null } = {}) {
+    let definition = null;
+    if (typeof deck === 'string' && deck !== CLASSIC_DECK_ID) {
+      const found = scanDeckDirectory(this.decksDirectory()).decks.find(entry => entry.deck.id === deck);
+      if (!found) {
+        return { success: false, error: `Deck "${deck}" not found in ${this.decksDirectory()}`, code: 'NOT_FOUND' };
+      }
+      definition = found.deck;
+    } else if (deck && typeof deck === 'object') {
+      const validated = validateDeck(deck);
+      if (!validated.success) {
+        return validated;
+      }
+      definition = validated.deck;
+    } else if (deck !== CLASSIC_DECK_ID) {
+      return { success: false, error: 'Deck must be "classic", a deck id or a deck definition', code: 'INVALID' };
+    }
+
+    const chosen = definition || CLASSIC_DECK;
+    const readable = deckLocales(chosen);
+    if (locale && !readable.includes(locale)) {
+      return { success: false, error: `Deck "${chosen.id}" has no "${locale}" text (locales: ${deckLocales(chosen).join(', ')})`, code: 'INVALID' };
+    }
+
+    return this._updateSoul(name, soul => {
+      if (!definition) {
+        delete soul.deck;
+        return { success: true, soul: summarizeSoul(soul), deck: describeDeck(CLASSIC_DECK, null) };
+      }
+      const hash = deckHash(definition);
+      const translated = locale && locale !== readable[0] ? locale : null;
+      soul.decks = { ...soul.decks, [hash]: definition };
+      soul.deck = { id: definition.id, name: definition.name, hash, ...(translated ? { locale: translated } : {}) };
+      return { success: true, soul: summarizeSoul(soul), deck: describeDeck(definition, hash, translated) };
+    });
+  }
+
+  /**
+   * Complete copy of souls for another machine or account: seed, every
+   * epoch with its full reading, and metadata. Trashed souls are left out.
+   * Options: { names: only these souls, passphrase: encrypt for transfer }
+   * Returns: { success, content, souls } where content is the file text
+   */
+  exportSouls({ names = [], passphrase = null } = {}) {
+    return this._read(souls => {
+      const selection = selectSouls(souls, names);
+      if (!selection.success) {
+        return selection;
+      }
+      const selected = selection.souls;
+
+      const payload = {
+        format: TRANSFER_FORMAT,
+        version: TRANSFER_VERSION,
+        exportedAt: new Date().toISOString(),
+        souls: selected
+      };
+      return {
+        success: true,
+        content: sealTransferBundle(payload, passphrase),
+        souls: selected.map(soul => soul.name)
+      };
+    });
+  }
+
+  /**
+   * Reports what importing a bundle would do, without changing anything
+   * Returns: { success, encrypted, souls: [{ name, epochs, conflict, sameSeed, duplicateEpochs }] }
+   * conflict is null, 'exists' or 'trashed'. A failure with code AUTH and
+   * encrypted: true means the bundle needs its transfer passphrase.
+   */
+  previewImport(content, { passphrase = null } = {}) {
+    const opened = readImportBundle(content, passphrase);
+    if (!opened.success) {
+      return opened;
+    }
+    return this._read(souls => ({
+      success: true,
+      encrypted: opened.encrypted,
+      souls: opened.souls.map(incoming => describeImport(souls, incoming))
+    }));
+  }
+
+  /**
+   * Imports a bundle. Name collisions are settled per soul by
+   * choices[name], falling back to strategy:
+   *   'merge'  — same soul (same seed): add the epochs the registry lacks
+   *   'rename' — keep both; choices[name] may be { action: 'rename', name }
+   *   'skip'   — leave the existing soul alone
+   * Nothing is saved unless every soul can be placed.
+   * Returns: { success, imported: [{ name, as, action, epochs, duplicates }], skipped }
+   */
+  importSouls(content, { passphrase = null, strategy = 'skip', choices = {} } = {}) {
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      return { success: false, error: `Unknown conflict strategy "${strategy}" (use ${IMPORT_STRATEGIES.join(', ')})`, code: 'INVALID' };
+    }
+
+    const opened = readImportBundle(content, passphrase);
+    if (!opened.success) {
+      return opened;
+    }
+
+    const result = this._update(souls => {
+      const imported = [];
+      const skipped = [];
+
+      for (const incoming of opened.souls) {
+        const { name } = incoming;
+        const choice = Object.prototype.hasOwnProperty.call(choices, name) ? choices[name] : strategy;
+        const action = typeof choice === 'object' ? choice.action : choice;
+        if (!IMPORT_STRATEGIES.includes(action)) {
+          return { success: false, error: `Unknown conflict choice "${action}" for soul "${name}"`, code: 'INVALID' };
+        }
+
+        const { conflict } = describeImport(souls, incoming);
+        if (!conflict) {
+          souls[name] = importedSoul(incoming, name);
+          imported.push({ name, as: name, action: 'added', epochs: incoming.epochs.length, duplicates: 0 });
+        } else if (action === 'skip') {
+          skipped.push(name);
+        } else if (action === 'rename') {
+          const newName = (typeof choice === 'object' && choice.name) || freeSoulName(souls, name);
+          const nameError = validateSoulName(newName);
+          if (nameError) {
+            return { success: false, error: nameError, code: 'INVALID' };
+          }
+          const taken = nameTakenError(souls, newName);
+          if (taken) {
+            return taken;
+          }
+          souls[newName] = importedSoul(incoming, newName);
+          imported.push({ name, as: newName, action: 'renamed', epochs: incoming.epochs.length, duplicates: 0 });
+        } else {
+          if (conflict === 'trashed') {
+            return nameTakenError(souls, name);
+          }
+          if (souls[name].seed !== incoming.seed) {
+            return {
+              success: false,
+              error: `Cannot merge "${name}": the imported soul has a different seed (rename or skip it)`,
+              code: 'EXISTS'
+            };
+          }
+          const merged = mergeEpochs(souls[name], incoming);
+          imported.push({ name, as: name, action: 'merged', epochs: merged.added, duplicates: merged.duplicates });
+        }
+      }
+
+      return { success: true, imported, skipped };
+    });
+
+    invalidateStatsCache();
+    return result;
+  }
+
+  /**
+   * Lineage CSV of every soul outside the trash (archived ones included)
+   */
+  exportLineage() {
+    return this._read(souls => {
+      const kept = Object.values(souls).filter(soul => !soul.trashedAt);
+      return { success: true, csv: buildLineageCSV(Object.fromEntries(kept.map(soul => [soul.name, soul]))) };
+    });
+  }
+
+  /**
+   * Epoch-level export of one, several or all souls (trashed ones excluded)
+   * Formats: csv, jsonl, markdown (see EPOCH_EXPORT_FORMATS)
+   * Returns: { success, content, contentType, souls, epochs }
+   */
+  exportEpochs({ names = [], format = 'csv' } = {}) {
+    const exporter = Object.prototype.hasOwnProperty.call(EPOCH_EXPORT_FORMATS, format) ? EPOCH_EXPORT_FORMATS[format] : null;
+    if (!exporter) {
+      return { success: false, error: `Unknown export format "${format}" (use ${Object.keys(EPOCH_EXPORT_FORMATS).join(', ')})`, code: 'INVALID' };
+    }
+
+    return this._read(souls => {
+      const selection = selectSouls(souls, names);
+      if (!selection.success) {
+        return selection;
+      }
+      const selected = selection.souls;
+
+      return {
+        success: true,
+        content: exporter.build(selected),
+        contentType: exporter.contentType,
+        souls: selected.map(soul => soul.name),
+        epochs: selected.reduce((total, soul) => total + soul.epochs.length, 0)
+      };
+    });
+  }
+
+  async isQuantumAvailable() {
+    return detectQuantumAvailability();
+  }
+
+  // ─── internal helpers ───
+
+  _load() {
+    if (!this.isLoggedIn) {
+      return { success: false, error: 'Not logged in', code: 'AUTH' };
+    }
+    return this.store.loadSouls(this.username, this.keyring);
+  }
+
+  _read(fn) {
+    const loaded = this._load();
+    if (!loaded.success) {
+      return loaded;
+    }
+    return fn(loaded.souls);
+  }
+
+  _readSoul(name, fn) {
+    return this._read(souls => {
+      const soul = findSoul(souls, name);
+      if (!soul) {
+        return { success: false, error: `Soul "${name}" not found`, code: 'NOT_FOUND' };
+      }
+      return fn(soul);
+    });
+  }
+
+  _update(fn) {
+    const loaded = this._load();
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const result = fn(loaded.souls);
+    if (!result.success) {
+      return result;
+    }
+
+    const saved = this.store.saveSouls(this.username, this.keyring, loaded.souls);
+    return saved.success ? result : saved;
+  }
+
+  _updateSoul(name, fn) {
+    return this._update(souls => {
+      const soul = findSoul(souls, name);
+      if (!soul) {
+        return { success: false, error: `Soul "${name}" not found`, code: 'NOT_FOUND' };
+      }
+      return fn(soul);
+    });
+  }
+}
+
+module.exports = {
+  OinioClient,
+  RESULT_CODES,
+  SoulStore,
+  createSoul,
+  consultOracle,
+  recordEpoch,
+  getSoulStats,
+  summarizeSoul,
+  buildLineageCSV,
+  validateSoulName,
+  validateUsername,
+  detectQuantumAvailability,
+  diagnoseQuantumBridge,
+  shutdownQuantumBridge,
+  IMPORT_STRATEGIES,
+  SPREADS
+};
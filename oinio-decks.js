@@ -0,0 +1,345 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🃏 OINIO DECKS — Loadable Pattern & Message Dictionaries
+ * ═══════════════════════════════════════════════════════════════
+ *  A deck is a JSON file of patterns (with descriptions and optional
+ *  message pools), general messages and translations. Souls pin a
+ *  deck by the hash of its content, so an edited deck file never
+ *  changes old readings.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PATTERNS, PATTERN_MEANINGS, MESSAGES, CLASSIC_DICTIONARY, SPREADS } = require('./oinio-shared');
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 DECK FORMAT
+// ═══════════════════════════════════════════════════════════════
+
+const DECK_FORMAT = 'oinio-deck';
+const DECK_VERSION = 1;
+
+// The built-in deck; selecting it unpins a soul's deck
+const CLASSIC_DECK_ID = 'classic';
+
+const MAX_DECK_BYTES = 256 * 1024;
+const MAX_PATTERNS = 64;
+const MAX_MESSAGES = 256;
+const MAX_NAME_LENGTH = 40;
+const MAX_TEXT_LENGTH = 300;
+
+// Spreads need that many different patterns
+const MIN_PATTERNS = Math.max(...Object.values(SPREADS).map(spread => spread.positions.length));
+
+const DECK_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/;
+
+/**
+ * The classic 16 patterns as a deck definition (never pinned)
+ */
+const CLASSIC_DECK = {
+  format: DECK_FORMAT,
+  version: DECK_VERSION,
+  id: CLASSIC_DECK_ID,
+  name: 'Classic',
+  description: 'The built-in OINIO patterns and messages',
+  language: 'en',
+  patterns: PATTERNS.map((name, index) => ({ name, description: PATTERN_MEANINGS[index] })),
+  messages: MESSAGES
+};
+
+// ═══════════════════════════════════════════════════════════════
+// ✅ VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+class DeckError extends Error {}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function text(value, where, maxLength) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new DeckError(`${where} must be a non-empty string`);
+  }
+  if (value.length > maxLength) {
+    throw new DeckError(`${where} is too long (max ${maxLength} characters)`);
+  }
+  if (CONTROL_CHARACTERS.test(value)) {
+    throw new DeckError(`${where} contains control characters`);
+  }
+  return value;
+}
+
+function textList(value, where, { min = 1, max = MAX_MESSAGES, length } = {}) {
+  if (!Array.isArray(value)) {
+    throw new DeckError(`${where} must be an array of strings`);
+  }
+  if (length !== undefined && value.length !== length) {
+    throw new DeckError(`${where} must have ${length} entries, like the deck's own`);
+  }
+  if (value.length < min || value.length > max) {
+    throw new DeckError(`${where} must have between ${min} and ${max} entries`);
+  }
+  return value.map((entry, index) => text(entry, `${where}[${index}]`, MAX_TEXT_LENGTH));
+}
+
+function patternArray(value, where, length) {
+  if (!Array.isArray(value)) {
+    throw new DeckError(`${where} must be an array`);
+  }
+  if (length !== undefined && value.length !== length) {
+    throw new DeckError(`${where} must have ${length} entries, like the deck's own`);
+  }
+  if (value.length < MIN_PATTERNS || value.length > MAX_PATTERNS) {
+    throw new DeckError(`${where} must have between ${MIN_PATTERNS} and ${MAX_PATTERNS} patterns`);
+  }
+  return value;
+}
+
+/**
+ * Patterns of the deck itself, or of a translation (shape must match base)
+ */
+function patternList(value, where, base = null) {
+  const list = patternArray(value, where, base ? base.length : undefined);
+  const names = new Set();
+  return list.map((entry, index) => {
+    const at = `${where}[${index}]`;
+    if (!isObject(entry)) {
+      throw new DeckError(`${at} must be an object`);
+    }
+    const name = text(entry.name, `${at}.name`, MAX_NAME_LENGTH);
+    if (names.has(name)) {
+      throw new DeckError(`${at}.name "${name}" appears twice`);
+    }
+    names.add(name);
+
+    const pattern = { name };
+    if (entry.description !== undefined) {
+      pattern.description = text(entry.description, `${at}.description`, MAX_TEXT_LENGTH);
+    }
+    const basePool = base && base[index].messages;
+    if (base && Boolean(entry.messages) !== Boolean(basePool)) {
+      throw new DeckError(`${at}.messages must be given exactly when the deck's own pattern has them`);
+    }
+    if (entry.messages !== undefined) {
+      pattern.messages = textList(entry.messages, `${at}.messages`, { length: basePool ? basePool.length : undefined });
+    }
+    return pattern;
+  });
+}
+
+/**
+ * Checks a parsed deck file and keeps only the fields the format knows
+ * Returns: { success, deck } or { success: false, error, code: 'INVALID' }
+ */
+function validateDeck(definition) {
+  try {
+    if (!isObject(definition) || definition.format !== DECK_FORMAT) {
+      throw new DeckError(`Not a deck file (format must be "${DECK_FORMAT}")`);
+    }
+    if (definition.version !== DECK_VERSION) {
+      throw new DeckError(`Unsupported deck version ${definition.version} (expected ${DECK_VERSION})`);
+    }
+    if (typeof definition.id !== 'string' || !DECK_ID_PATTERN.test(definition.id)) {
+      throw new DeckError('id must be 1-40 lowercase letters, digits or hyphens');
+    }
+    if (definition.id === CLASSIC_DECK_ID) {
+      throw new DeckError(`id "${CLASSIC_DECK_ID}" is reserved for the built-in deck`);
+    }
+
+    const deck = {
+      format: DECK_FORMAT,
+      version: DECK_VERSION,
+      id: definition.id,
+      name: text(definition.name, 'name', MAX_NAME_LENGTH)
+    };
+    if (definition.description !== undefined) {
+      deck.description = text(definition.description, 'description', MAX_TEXT_LENGTH);
+    }
+    if (definition.language !== undefined) {
+      if (typeof definition.language !== 'string' || !LOCALE_PATTERN.test(definition.language)) {
+        throw new DeckError('language must be a code like "en" or "pt-BR"');
+      }
+      deck.language = definition.language;
+    }
+    deck.patterns = patternList(definition.patterns, 'patterns');
+    deck.messages = textList(definition.messages, 'messages');
+
+    if (definition.locales !== undefined) {
+      if (!isObject(definition.locales)) {
+        throw new DeckError('locales must be an object keyed by language code');
+      }
+      deck.locales = {};
+      for (const [locale, translation] of Object.entries(definition.locales)) {
+        const where = `locales.${locale}`;
+        if (!LOCALE_PATTERN.test(locale)) {
+          throw new DeckError(`${where}: language must be a code like "fr" or "pt-BR"`);
+        }
+        if (!isObject(translation)) {
+          throw new DeckError(`${where} must be an object`);
+        }
+        deck.locales[locale] = {
+          ...(translation.name !== undefined && { name: text(translation.name, `${where}.name`, MAX_NAME_LENGTH) }),
+          patterns: patternList(translation.patterns, `${where}.patterns`, deck.patterns),
+          messages: textList(translation.messages, `${where}.messages`, { length: deck.messages.length })
+        };
+      }
+    }
+    return { success: true, deck };
+  } catch (err) {
+    if (err instanceof DeckError) {
+      return { success: false, error: `Invalid deck: ${err.message}`, code: 'INVALID' };
+    }
+    throw err;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔏 CONTENT HASH
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * JSON with object keys sorted, so formatting and key order in the
+ * file never change a deck's hash
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of a validated deck's canonical JSON (hex)
+ */
+function deckHash(deck) {
+  return crypto.createHash('sha256').update(canonicalJSON(deck), 'utf8').digest('hex');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📂 DECK FILES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Reads and validates one deck file
+ * Returns: { success, deck, hash, file } or a failure result
+ */
+function readDeckFile(file) {
+  let content;
+  try {
+    const stat = fs.statSync(file);
+    if (stat.size > MAX_DECK_BYTES) {
+      return { success: false, error: `Deck file is too large (max ${MAX_DECK_BYTES / 1024} KB)`, code: 'INVALID' };
+    }
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { success: false, error: `Deck file not found: ${file}`, code: 'NOT_FOUND' };
+    }
+    return { success: false, error: `Cannot read deck file: ${err.message}`, code: 'INVALID' };
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(content);
+  } catch (err) {
+    return { success: false, error: `Deck file is not valid JSON: ${err.message}`, code: 'INVALID' };
+  }
+  const validated = validateDeck(definition);
+  if (!validated.success) {
+    return validated;
+  }
+  return { success: true, deck: validated.deck, hash: deckHash(validated.deck), file };
+}
+
+/**
+ * Every *.json deck in a directory, sorted by file name; files that
+ * fail validation or repeat an id are reported separately
+ * Returns: { decks: [{ deck, hash, file }], invalid: [{ file, error }] }
+ */
+function scanDeckDirectory(directory) {
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+  } catch (err) {
+    return { decks: [], invalid: [] };
+  }
+
+  const decks = [];
+  const invalid = [];
+  for (const file of files) {
+    const loaded = readDeckFile(path.join(directory, file));
+    if (!loaded.success) {
+      invalid.push({ file, error: loaded.error });
+    } else if (decks.some(entry => entry.deck.id === loaded.deck.id)) {
+      invalid.push({ file, error: `Deck id "${loaded.deck.id}" is already used by another file` });
+    } else {
+      decks.push({ ...loaded, file });
+    }
+  }
+  return { decks, invalid };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🌍 LOCALIZED DICTIONARIES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Locales a deck can be read in: its own language first, then translations
+ */
+function deckLocales(deck) {
+  return [deck.language || 'default', ...Object.keys(deck.locales || {})];
+}
+
+/**
+ * The deck's text in one locale (its own text when locale is empty or
+ * the deck's language)
+ */
+function localizeDeck(deck, locale = null) {
+  const translation = locale && deck.locales && hasOwn(deck.locales, locale) ? deck.locales[locale] : null;
+  return translation
+    ? { name: translation.name || deck.name, patterns: translation.patterns, messages: translation.messages }
+    : { name: deck.name, patterns: deck.patterns, messages: deck.messages };
+}
+
+/**
+ * What generateDeterministicReading and generateSpreadReading draw
+ * from; pattern order is the deck's, so a translation picks the same
+ * positions as the original
+ */
+function deckDictionary(deck, locale = null) {
+  if (!deck) {
+    return CLASSIC_DICTIONARY;
+  }
+  const text = localizeDeck(deck, locale);
+  return {
+    patterns: text.patterns.map(pattern => pattern.name),
+    messages: text.messages,
+    pools: text.patterns.map(pattern => pattern.messages || null)
+  };
+}
+
+module.exports = {
+  validateDeck,
+  deckHash,
+  readDeckFile,
+  scanDeckDirectory,
+  deckLocales,
+  localizeDeck,
+  deckDictionary,
+  CLASSIC_DECK,
+  CLASSIC_DECK_ID,
+  DECK_FORMAT,
+  DECK_VERSION
+};
@@ -0,0 +1,233 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾📜 OINIO EXPORT — Lineage & Epoch Export Formats
+ * ═══════════════════════════════════════════════════════════════
+ *  Pure formatters from soul objects to CSV, JSON Lines and a
+ *  Markdown journal. No file or registry access.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════
+// 🧾 CSV
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Quotes a CSV field when needed (RFC 4180): commas, quotes and line
+ * breaks are wrapped in quotes with inner quotes doubled
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(',');
+}
+
+/**
+ * Builds lineage CSV text: one summary row per soul
+ * Uses local Map to cache hashes during this export without modifying soul objects
+ */
+function buildLineageCSV(soulRegistry) {
+  const header = csvRow(['Name', 'Created', 'Last Epoch', 'Total Epochs', 'Seed Hash']) + '\n';
+  const souls = Object.values(soulRegistry);
+
+  // Handle empty registry gracefully
+  if (souls.length === 0) {
+    return header;
+  }
+
+  // Optimize: Use separate cache Map to avoid modifying soul objects
+  const seedHashCache = new Map();
+
+  const rows = souls.map(soul => {
+    // Cache the seed hash to avoid redundant calculation
+    let seedHash = seedHashCache.get(soul.seed);
+    if (!seedHash) {
+      seedHash = crypto.createHash('sha256')
+        .update(soul.seed)
+        .digest('hex')
+        .substring(0, 8);
+      seedHashCache.set(soul.seed, seedHash);
+    }
+
+    return csvRow([soul.name, soul.created, soul.lastEpoch || 'Never', soul.epochs.length, seedHash]);
+  });
+
+  return header + rows.join('\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔮 EPOCH RECORDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Reading fields the Forge adds to quantum-enhanced epochs
+ */
+const QUANTUM_FIELDS = ['harmonyIndex', 'quantumConfidence', 'quantumTrend', 'quantumInsight', 'forgeRecommendations'];
+
+/**
+ * Flattens one epoch into an export record
+ * Quantum fields appear only when the reading has them
+ */
+function epochRecord(soul, epoch) {
+  const { reading } = epoch;
+  const record = {
+    soul: soul.name,
+    epoch: epoch.number,
+    timestamp: epoch.timestamp,
+    question: epoch.question,
+    mode: reading.mode || 'deterministic',
+    pattern: reading.pattern,
+    message: reading.message,
+    resonance: reading.resonance,
+    clarity: reading.clarity,
+    flux: reading.flux,
+    emergence: reading.emergence
+  };
+  if (reading.spread) {
+    record.spread = reading.spread;
+    record.positions = reading.positions;
+  }
+  QUANTUM_FIELDS.forEach(field => {
+    if (reading[field] !== undefined) {
+      record[field] = reading[field];
+    }
+  });
+  return record;
+}
+
+function epochRecords(souls) {
+  return souls.flatMap(soul => soul.epochs.map(epoch => epochRecord(soul, epoch)));
+}
+
+const EPOCH_CSV_COLUMNS = [
+  'soul', 'epoch', 'timestamp', 'question', 'mode', 'pattern', 'message',
+  'resonance', 'clarity', 'flux', 'emergence', 'spread', 'positions', ...QUANTUM_FIELDS
+];
+
+/**
+ * One row per epoch; spread and quantum columns stay empty when the
+ * reading has none. Positions ("Past: The Void") and recommendations
+ * are joined with " | "
+ */
+function buildEpochCSV(souls) {
+  const rows = epochRecords(souls).map(record => csvRow(EPOCH_CSV_COLUMNS.map(column => {
+    const value = column === 'positions' && record.positions
+      ? record.positions.map(position => `${position.label}: ${position.pattern}`)
+      : record[column];
+    return Array.isArray(value) ? value.join(' | ') : value;
+  })));
+  return [csvRow(EPOCH_CSV_COLUMNS), ...rows].join('\n') + '\n';
+}
+
+/**
+ * One JSON object per line, for jq, pandas and similar pipelines
+ */
+function buildEpochJSONL(souls) {
+  return epochRecords(souls).map(record => JSON.stringify(record) + '\n').join('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📖 MARKDOWN JOURNAL
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Escapes user text so it renders literally in Markdown
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>|~])/g, '\\$1').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Bar like the terminal reading: one block per 5%
+ */
+function meterLine(label, percent) {
+  const filled = Math.max(0, Math.min(20, Math.floor(percent / 5)));
+  return `${label.padEnd(10)} ${'█'.repeat(filled)}${'░'.repeat(20 - filled)} ${percent}%`;
+}
+
+/**
+ * Renders one epoch the way displayReading shows it in the terminal
+ */
+function journalEpoch(epoch) {
+  const { reading } = epoch;
+  const lines = [
+    `### 🔮 Epoch ${epoch.number} — ${epoch.timestamp} [${(reading.mode || 'deterministic').toUpperCase()}]`,
+    '',
+    `**Q:** ${escapeMarkdown(epoch.question)}`,
+    '',
+    '```',
+    meterLine('Resonance', reading.resonance),
+    meterLine('Clarity', reading.clarity),
+    meterLine('Flux', reading.flux),
+    meterLine('Emergence', reading.emergence)
+  ];
+
+  if (reading.harmonyIndex !== undefined) {
+    lines.push(meterLine('Harmony', Math.round(reading.harmonyIndex * 100)));
+    lines.push(`Trend:     ${reading.quantumTrend} (${Math.round((reading.quantumConfidence || 0) * 100)}% confidence)`);
+  }
+  lines.push('```', '', `🌌 **Pattern:** ${reading.pattern}`, '', `📜 **Oracle:** "${reading.message}"`);
+
+  if (reading.positions) {
+    lines.push('', `🃏 **Spread:** ${reading.spread}`, '', '| Position | Pattern | Message | R | C | F | E |', '|---|---|---|---|---|---|---|');
+    reading.positions.forEach(position => lines.push(
+      `| ${escapeMarkdown(position.label)} | ${position.pattern} | ${escapeMarkdown(position.message)} | ` +
+      `${position.resonance} | ${position.clarity} | ${position.flux} | ${position.emergence} |`
+    ));
+  }
+
+  if (reading.quantumInsight) {
+    lines.push('', `⚡ **Quantum Insight:** ${escapeMarkdown(reading.quantumInsight)}`);
+  }
+  if (reading.forgeRecommendations && reading.forgeRecommendations.length > 0) {
+    lines.push('', '🔧 **Forge Guidance:**', '');
+    reading.forgeRecommendations.forEach(rec => lines.push(`- ${escapeMarkdown(rec)}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Human-readable journal: a section per soul, an entry per epoch
+ */
+function buildJournalMarkdown(souls, { generated = new Date().toISOString() } = {}) {
+  const sections = souls.map(soul => {
+    const header = [
+      `## 🌱 ${escapeMarkdown(soul.name)}`,
+      '',
+      `Created ${soul.created} · ${soul.epochs.length} epoch${soul.epochs.length === 1 ? '' : 's'}`
+    ].join('\n');
+    const entries = soul.epochs.length > 0
+      ? soul.epochs.map(journalEpoch)
+      : ['_No consultations yet._'];
+    return [header, ...entries].join('\n\n');
+  });
+  return [`# 🌾🌌 OINIO Journal`, `_Exported ${generated}_`, ...sections].join('\n\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📤 FORMAT REGISTRY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Epoch-level formats: builder, file extension and MIME type
+ */
+const EPOCH_EXPORT_FORMATS = {
+  csv: { build: buildEpochCSV, extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { build: buildEpochJSONL, extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  markdown: { build: buildJournalMarkdown, extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+module.exports = {
+  csvField,
+  buildLineageCSV,
+  buildEpochCSV,
+  buildEpochJSONL,
+  buildJournalMarkdown,
+  epochRecord,
+  EPOCH_EXPORT_FORMATS,
+  QUANTUM_FIELDS
+};
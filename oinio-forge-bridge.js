@@ -10,113 +10,121 @@
  */
 
 const crypto = require('crypto');
-const { spawn } = require('child_process');
-const path = require('path');
+const config = require('./config');
 const { PATTERNS, MESSAGES, generateDeterministicReading, displayReading: displayReadingShared } = require('./oinio-shared');
+const { createProvider, providerNames, FORGE_FAILURES } = require('./oinio-providers');
+const { validateForgeResponse, forgeDiagnostic } = require('./oinio-forge-schema');
+
+// ═══════════════════════════════════════════════════════════════
+// ⚙️  BRIDGE SETTINGS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * The bridge configuration from config.js (and so the environment)
+ */
+function configSettings() {
+  return {
+    enabled: config.ENABLE_QUANTUM,
+    provider: config.QUANTUM_PROVIDER,
+    forgePath: config.PI_FORGE_PATH,
+    timeoutMs: config.QUANTUM_TIMEOUT_MS,
+    command: config.QUANTUM_PROVIDER_COMMAND,
+    url: config.QUANTUM_PROVIDER_URL,
+    module: config.QUANTUM_PROVIDER_MODULE
+  };
+}
+
+// One configuration for the whole bridge, and the provider it names
+let settings = configSettings();
+let activeProvider = null;
+
+function bridgeSettings() {
+  return { ...settings };
+}
+
+/**
+ * Replaces settings (the rest keep their config.js values) and stops
+ * the current provider, so the next reading uses the new ones
+ * Returns: the settings now in effect
+ */
+async function configureBridge(overrides = {}) {
+  await shutdownBridge();
+  settings = { ...configSettings(), ...overrides };
+  return bridgeSettings();
+}
+
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(settings.provider, settings);
+  }
+  return activeProvider;
+}
 
 // ═══════════════════════════════════════════════════════════════
 // 🌌 QUANTUM FORGE INTEGRATION
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Calls Pi Forge Quantum AI Enhancer for harmony predictions
- * Optimized with reduced timeout (3s instead of 5s)
+ * Asks the active enhancement provider for harmony predictions
+ * Returns: { success, response } (validated against
+ *          FORGE_RESPONSE_SCHEMA) or { success: false, code, error }
+ *          with code one of FORGE_FAILURES
  */
 async function invokeQuantumForge(question, contextData) {
-  return new Promise((resolve, reject) => {
-    // Path to your pi-forge-quantum-genesis repository
-    // Better fallback path that works cross-platform
-    const forgePath = process.env.PI_FORGE_PATH || 
-      path.join(process.env.HOME || process.env.USERPROFILE || '.', 'pi-forge-quantum-genesis');
-    const pythonScript = path.join(forgePath, 'quantum_ai_enhancer.py');
-    
-    // Check if forge is available
-    const fs = require('fs');
-    if (!fs.existsSync(pythonScript)) {
-      // Silent fallback - warning logged at bridge initialization
-      resolve(null);
-      return;
-    }
-    
-    // Prepare quantum query payload
-    const payload = JSON.stringify({
-      query: question,
-      timestamp: Date.now() / 1000,
-      context: contextData
-    });
-    
-    // Invoke Python quantum enhancer
-    const python = spawn('python3', [pythonScript, '--query', payload], {
-      cwd: forgePath
-    });
-    
-    let output = '';
-    let errorOutput = '';
-    
-    python.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-    
-    python.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-    });
-    
-    python.on('close', (code) => {
-      if (code !== 0) {
-        // Silent fallback - reduces console noise for normal operation
-        resolve(null);
-        return;
-      }
-      
-      try {
-        const result = JSON.parse(output);
-        resolve(result);
-      } catch (err) {
-        resolve(null);
-      }
-    });
-    
-    // Reduced timeout from 5s to 3s for better performance
-    setTimeout(() => {
-      python.kill();
-      resolve(null);
-    }, 3000);
-  });
+  if (!settings.enabled) {
+    return { success: false, code: FORGE_FAILURES.DISABLED, error: 'Quantum enhancement is disabled (ENABLE_QUANTUM=false)' };
+  }
+
+  // Prepare quantum query payload
+  const payload = {
+    query: question,
+    timestamp: Date.now() / 1000,
+    context: contextData
+  };
+  
+  let result;
+  try {
+    result = await getProvider().enhance(payload);
+  } catch (err) {
+    return { success: false, code: FORGE_FAILURES.PROVIDER_ERROR, error: err.message };
+  }
+  // Only checked, cleaned fields reach the reading
+  return result.success ? validateForgeResponse(result.response) : result;
 }
 
 /**
  * Enhanced oracle consultation with quantum forge integration
- * Optimized to use cached pattern/message arrays
+ * Always resolves a reading: when enhancement fails, the deterministic
+ * one with quantumDiagnostic: { code, error } saying why
  */
 async function consultQuantumOracle(question, seed, epochNumber) {
   // Phase 1: Deterministic cryptographic reading (OINIO)
   const reading = generateDeterministicReading(question, seed, epochNumber);
   
   // Phase 2: Attempt quantum forge enhancement
-  try {
-    const forgeResult = await invokeQuantumForge(question, {
-      seed: seed.substring(0, 8), // Partial seed for privacy
-      epoch: epochNumber,
-      resonance: reading.resonance,
-      pattern: reading.pattern
-    });
-    
-    if (forgeResult && forgeResult.harmony_index !== undefined) {
-      // Merge quantum predictions
-      reading.mode = 'quantum-enhanced';
-      reading.harmonyIndex = forgeResult.harmony_index;
-      reading.quantumConfidence = forgeResult.confidence || 0;
-      reading.quantumTrend = forgeResult.trend || 'stable';
-      reading.forgeRecommendations = forgeResult.recommendations || [];
-      
-      // Augment message with quantum insight
-      if (forgeResult.ai_insight) {
-        reading.quantumInsight = forgeResult.ai_insight;
-      }
-    }
-  } catch (err) {
-    // Silently fall back to deterministic mode
-    console.log('⚡ Quantum layer unavailable, using pure cryptographic oracle');
+  const forgeResult = await invokeQuantumForge(question, {
+    seed: seed.substring(0, 8), // Partial seed for privacy
+    epoch: epochNumber,
+    resonance: reading.resonance,
+    pattern: reading.pattern
+  });
+  
+  if (!forgeResult.success) {
+    reading.quantumDiagnostic = forgeDiagnostic(forgeResult);
+    return reading;
+  }
+  
+  // Merge quantum predictions
+  const forge = forgeResult.response;
+  reading.mode = 'quantum-enhanced';
+  reading.harmonyIndex = forge.harmony_index;
+  reading.quantumConfidence = forge.confidence || 0;
+  reading.quantumTrend = forge.trend || 'stable';
+  reading.forgeRecommendations = forge.recommendations || [];
+  
+  // Augment message with quantum insight
+  if (forge.ai_insight) {
+    reading.quantumInsight = forge.ai_insight;
   }
   
   return reading;
@@ -134,25 +142,97 @@ function displayQuantumReading(reading, epochNumber) {
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Determine if quantum forge is available
+ * Determine if quantum forge is available (enabled, and the active
+ * provider is ready)
  */
 async function isForgeAvailable() {
-  const forgePath = process.env.PI_FORGE_PATH || '/workspaces/pi-forge-quantum-genesis';
-  const fs = require('fs');
-  return fs.existsSync(path.join(forgePath, 'quantum_ai_enhancer.py'));
+  if (!settings.enabled) {
+    return false;
+  }
+  const health = await getProvider().health().catch(err => ({ status: 'error', detail: err.message }));
+  return health.status === 'ready';
 }
 
+/**
+ * Capability and health of every registered provider, the active one
+ * (settings.provider) first
+ * Returns: [{ name, transport, description, capabilities, status, detail, code, active }]
+ */
+async function providerStatuses() {
+  const active = getProvider();
+  const others = providerNames().filter(name => name !== active.name).map(name => createProvider(name, settings));
+  return Promise.all([active, ...others].map(async provider => {
+    const health = await provider.health()
+      .catch(err => ({ status: 'error', detail: err.message, code: FORGE_FAILURES.PROVIDER_ERROR }));
+    return {
+      name: provider.name,
+      transport: provider.transport,
+      description: provider.description,
+      capabilities: provider.capabilities,
+      status: health.status,
+      detail: health.detail,
+      code: health.code || null,
+      active: provider === active
+    };
+  }));
+}
+
+/**
+ * Runs the whole handshake: settings, provider health, then one
+ * enhancement of a sample question (random seed, no soul data)
+ * Returns: { settings, providers, handshake: { success, ms, response?, code?, error? } }
+ */
+async function diagnoseBridge() {
+  const providers = await providerStatuses();
+  const started = Date.now();
+  const result = await invokeQuantumForge('What does the bridge hear?', {
+    seed: crypto.randomBytes(4).toString('hex'),
+    epoch: 1,
+    resonance: 50,
+    pattern: PATTERNS[0]
+  });
+  return {
+    settings: bridgeSettings(),
+    providers,
+    handshake: { ...result, ...(result.success ? {} : forgeDiagnostic(result)), ms: Date.now() - started }
+  };
+}
+
+/**
+ * Stops the active provider's long-lived process, if it has one
+ */
+async function shutdownBridge() {
+  if (activeProvider && typeof activeProvider.close === 'function') {
+    await activeProvider.close();
+  }
+  activeProvider = null;
+}
+
+const STATUS_ICONS = { ready: '✅', unavailable: '⚠️ ', error: '❌' };
+
 /**
  * Bridge status check
  */
 async function checkBridgeStatus() {
-  const forgeAvailable = await isForgeAvailable();
+  const providers = await providerStatuses();
+  const forgeAvailable = settings.enabled && providers[0].status === 'ready';
   
   console.log('\n🌉 OINIO-FORGE BRIDGE STATUS');
   console.log('═'.repeat(50));
   console.log(`OINIO Oracle: ✅ Active (Deterministic Crypto)`);
-  console.log(`Quantum Forge: ${forgeAvailable ? '✅ Connected' : '⚠️  Unavailable'}`);
+  if (settings.enabled) {
+    console.log(`Quantum Forge: ${forgeAvailable ? '✅ Connected' : '⚠️  Unavailable'} via "${providers[0].name}"`);
+  } else {
+    console.log('Quantum Forge: ⏸️  Disabled (ENABLE_QUANTUM=false)');
+  }
   console.log(`Bridge Mode: ${forgeAvailable ? 'Quantum-Enhanced' : 'Standard Oracle'}`);
+  console.log('─'.repeat(50));
+  providers.forEach(provider => {
+    console.log(`${STATUS_ICONS[provider.status] || '❔'} ${provider.name}${provider.active ? ' (active)' : ''} — ${provider.transport}, ${provider.status}`);
+    console.log(`   ${provider.description}`);
+    console.log(`   ${provider.detail}${provider.code ? ` [${provider.code}]` : ''}`);
+    console.log(`   Capabilities: ${provider.capabilities.length > 0 ? provider.capabilities.join(', ') : 'none'}`);
+  });
   console.log('═'.repeat(50) + '\n');
   
   return forgeAvailable;
@@ -163,7 +243,13 @@ module.exports = {
   displayQuantumReading,
   invokeQuantumForge,
   isForgeAvailable,
-  checkBridgeStatus
+  providerStatuses,
+  diagnoseBridge,
+  bridgeSettings,
+  configureBridge,
+  checkBridgeStatus,
+  shutdownBridge,
+  FORGE_FAILURES
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -0,0 +1,138 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧼 OINIO FORGE SCHEMA — Checking What the Forge Sends Back
+ * ═══════════════════════════════════════════════════════════════
+ *  Forge responses come from another process and end up in the
+ *  encrypted registry and on the terminal. Each field is declared
+ *  here with its type, range and length; text loses its control
+ *  characters (and terminal escape sequences), and anything else
+ *  makes the whole response a SCHEMA_MISMATCH.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { FORGE_FAILURES } = require('./oinio-providers');
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 RESPONSE SCHEMA
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Every field a reading takes from the Forge; others are dropped
+ */
+const FORGE_RESPONSE_SCHEMA = {
+  harmony_index: { type: 'number', required: true, min: 0, max: 1 },
+  confidence: { type: 'number', min: 0, max: 1 },
+  trend: { type: 'string', maxLength: 40 },
+  recommendations: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 200 } },
+  ai_insight: { type: 'string', maxLength: 1000 }
+};
+
+// Failure text is stored with the reading, so it is bounded too
+const MAX_DIAGNOSTIC_LENGTH = 300;
+
+const ESCAPE_SEQUENCES = /\u001b\[[0-9;?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(\u0007|\u001b\\)?/g;
+const LINE_BREAKS = /[\t\n\r]+/g;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/g;
+
+// ═══════════════════════════════════════════════════════════════
+// 🧼 SANITIZING
+// ═══════════════════════════════════════════════════════════════
+
+class SchemaError extends Error {}
+
+/**
+ * Text without escape sequences or control characters; tabs and line
+ * breaks become spaces
+ */
+function cleanText(value) {
+  return value
+    .replace(ESCAPE_SEQUENCES, '')
+    .replace(LINE_BREAKS, ' ')
+    .replace(CONTROL_CHARACTERS, '')
+    .trim();
+}
+
+function checkValue(value, rule, where) {
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new SchemaError(`${where} must be a number`);
+    }
+    if (value < rule.min || value > rule.max) {
+      throw new SchemaError(`${where} must be between ${rule.min} and ${rule.max}`);
+    }
+    return value;
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      throw new SchemaError(`${where} must be a string`);
+    }
+    if (value.length > rule.maxLength) {
+      throw new SchemaError(`${where} is too long (${value.length} characters, max ${rule.maxLength})`);
+    }
+    return cleanText(value);
+  }
+
+  if (!Array.isArray(value)) {
+    throw new SchemaError(`${where} must be an array`);
+  }
+  if (value.length > rule.maxItems) {
+    throw new SchemaError(`${where} has too many entries (${value.length}, max ${rule.maxItems})`);
+  }
+  return value
+    .map((entry, index) => checkValue(entry, rule.items, `${where}[${index}]`))
+    .filter(entry => entry !== '');
+}
+
+/**
+ * Checks a parsed Forge response against FORGE_RESPONSE_SCHEMA and
+ * keeps only its fields, cleaned; text that is empty once cleaned is
+ * left out
+ * Returns: { success, response } or { success: false, code: 'SCHEMA_MISMATCH', error }
+ */
+function validateForgeResponse(response) {
+  try {
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+      throw new SchemaError('Response is not a JSON object');
+    }
+    const clean = {};
+    for (const [field, rule] of Object.entries(FORGE_RESPONSE_SCHEMA)) {
+      const value = response[field];
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          throw new SchemaError(`${field} is required`);
+        }
+        continue;
+      }
+      const checked = checkValue(value, rule, field);
+      if (checked !== '') {
+        clean[field] = checked;
+      }
+    }
+    return { success: true, response: clean };
+  } catch (err) {
+    if (err instanceof SchemaError) {
+      return { success: false, code: FORGE_FAILURES.SCHEMA_MISMATCH, error: `Invalid Forge response: ${err.message}` };
+    }
+    throw err;
+  }
+}
+
+/**
+ * A failure as stored with a reading: { code, error }, error cleaned
+ * and shortened (it can quote the Forge's own output)
+ */
+function forgeDiagnostic({ code, error }) {
+  const text = cleanText(String(error || ''));
+  return {
+    code,
+    error: text.length > MAX_DIAGNOSTIC_LENGTH ? `${text.substring(0, MAX_DIAGNOSTIC_LENGTH - 1)}…` : text
+  };
+}
+
+module.exports = {
+  validateForgeResponse,
+  forgeDiagnostic,
+  cleanText,
+  FORGE_RESPONSE_SCHEMA
+};
@@ -0,0 +1,351 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🔁 OINIO FORGE WORKER — Persistent Enhancement Process
+ * ═══════════════════════════════════════════════════════════════
+ *  Keeps one Forge process alive and talks line-delimited JSON-RPC
+ *  2.0 over its stdin/stdout, so readings stop paying interpreter
+ *  startup. One message per line:
+ *
+ *    → {"jsonrpc":"2.0","id":7,"method":"enhance","params":{query...}}
+ *    ← {"jsonrpc":"2.0","id":7,"result":{"harmony_index":0.8,...}}
+ *    → {"jsonrpc":"2.0","id":8,"method":"ping"}      (heartbeat)
+ *    → {"jsonrpc":"2.0","method":"shutdown"}         (then stdin closes)
+ *
+ *  Requests run concurrently and are matched by id. Each new process
+ *  must answer a ping first; one that exits or stays silent instead
+ *  does not speak the protocol and is not restarted until
+ *  RESTART_WINDOW_MS has passed. A worker that crashes later or misses
+ *  a heartbeat is restarted. Failed requests carry a reason: missing
+ *  (command not found), unsupported (no answer to the startup ping),
+ *  timeout, exited, rpc (the worker answered with an error), busy or
+ *  unavailable.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { spawn } = require('child_process');
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 LIMITS
+// ═══════════════════════════════════════════════════════════════
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STARTUP_TIMEOUT_MS = 10000;
+const SHUTDOWN_GRACE_MS = 1000;
+const MAX_LINE_BYTES = 1024 * 1024;
+const MAX_PENDING = 64;
+
+// More crashes than this inside the window stop restarts until it passes
+const MAX_RESTARTS = 3;
+const RESTART_WINDOW_MS = 60000;
+const RESTART_DELAY_MS = 250;
+
+// ═══════════════════════════════════════════════════════════════
+// 🔁 WORKER
+// ═══════════════════════════════════════════════════════════════
+
+class ForgeWorker {
+  /**
+   * command/args/cwd start the worker; timeoutMs bounds each request
+   */
+  constructor({ command, args = [], cwd, timeoutMs, heartbeatMs = HEARTBEAT_INTERVAL_MS }) {
+    this.command = command;
+    this.args = args;
+    this.cwd = cwd;
+    this.timeoutMs = timeoutMs;
+    this.heartbeatMs = heartbeatMs;
+    this.child = null;
+    this.state = 'idle'; // idle, starting, running, restarting, failed, stopped
+    this.nextId = 1;
+    this.pending = new Map();
+    this.crashes = [];
+    this.retryAt = 0;
+    this.startedAt = 0;
+    this.restarts = 0;
+    this.lastError = null;
+    this.lastReason = null;
+    this.heartbeat = null;
+    this.killOnExit = () => {
+      if (this.child) {
+        this.child.kill();
+      }
+    };
+  }
+
+  /**
+   * Starts the process unless it is running (or too many crashes
+   * stopped restarts). Returns: true when the worker is running
+   */
+  start() {
+    if (this.child) {
+      return true;
+    }
+    if (this.state === 'stopped') {
+      return false;
+    }
+    const now = Date.now();
+    if (now < this.retryAt) {
+      return false;
+    }
+    this.crashes = this.crashes.filter(time => now - time < RESTART_WINDOW_MS);
+    if (this.crashes.length > MAX_RESTARTS) {
+      this.state = 'failed';
+      return false;
+    }
+
+    let child;
+    try {
+      child = spawn(this.command, this.args, { cwd: this.cwd, stdio: ['pipe', 'pipe', 'ignore'] });
+    } catch (err) {
+      this.recordCrash(err.message);
+      return false;
+    }
+    if (this.startedAt) {
+      this.restarts++;
+    }
+    this.child = child;
+    this.state = 'starting';
+    this.startedAt = now;
+    this.lastError = null;
+    this.lastReason = null;
+
+    let buffer = '';
+    child.stdout.on('data', data => {
+      buffer += data.toString();
+      if (buffer.length > MAX_LINE_BYTES) {
+        this.lastError = 'worker wrote an oversized line';
+        child.kill();
+        return;
+      }
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        this.handleLine(buffer.substring(0, newline));
+        buffer = buffer.substring(newline + 1);
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.on('error', err => {
+      this.lastError = err.message;
+      this.lastReason = err.code === 'ENOENT' ? 'missing' : 'exited';
+    });
+    child.on('close', (code, signal) => this.handleExit(child, code, signal));
+
+    process.once('exit', this.killOnExit);
+    if (!this.heartbeat && this.heartbeatMs > 0) {
+      this.heartbeat = setInterval(() => this.checkHeartbeat(), this.heartbeatMs);
+      this.heartbeat.unref();
+    }
+    this.updateRef();
+    this.handshake(child);
+    return true;
+  }
+
+  /**
+   * The startup ping: a process that cannot answer it is not a worker
+   */
+  async handshake(child) {
+    const timeoutMs = Math.max(this.timeoutMs, STARTUP_TIMEOUT_MS);
+    const { error, reason } = await this.request('ping', undefined, { timeoutMs });
+    if (this.child !== child || this.state !== 'starting') {
+      return;
+    }
+    if (!error) {
+      this.state = 'running';
+    } else if (reason === 'timeout') {
+      this.lastError = `worker did not answer its startup ping within ${timeoutMs}ms`;
+      child.kill('SIGKILL');
+    }
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      return; // Log lines and partial output are not responses
+    }
+    if (!message || typeof message !== 'object' || !this.pending.has(message.id)) {
+      return;
+    }
+    const { resolve, timer } = this.pending.get(message.id);
+    clearTimeout(timer);
+    this.pending.delete(message.id);
+    this.updateRef();
+    if (message.error !== undefined) {
+      const error = message.error && typeof message.error.message === 'string' ? message.error.message : 'worker error';
+      resolve({ error, reason: 'rpc' });
+    } else {
+      resolve({ result: message.result });
+    }
+  }
+
+  handleExit(child, code, signal) {
+    if (this.child !== child) {
+      return;
+    }
+    this.child = null;
+    process.removeListener('exit', this.killOnExit);
+    const reason = this.lastError || `worker exited (${signal || `code ${code}`})`;
+    if (this.state === 'starting') {
+      // Restarting a command that is not there or not a worker only loops
+      if (this.lastReason !== 'missing') {
+        this.lastError = `${reason} before answering its startup ping: does "${[this.command, ...this.args].join(' ')}" speak the worker protocol?`;
+        this.lastReason = 'unsupported';
+      }
+      this.state = 'failed';
+      this.retryAt = Date.now() + RESTART_WINDOW_MS;
+      this.failPending(this.lastError, this.lastReason);
+      return;
+    }
+
+    this.lastReason = this.lastReason || 'exited';
+    this.failPending(reason, this.lastReason);
+    if (this.state === 'stopped') {
+      return;
+    }
+
+    this.recordCrash(reason);
+    if (this.state === 'failed') {
+      return;
+    }
+    // Back off a little more for each recent crash, then start again
+    this.state = 'restarting';
+    const timer = setTimeout(() => {
+      if (this.state === 'restarting') {
+        this.start();
+      }
+    }, RESTART_DELAY_MS * this.crashes.length);
+    timer.unref();
+  }
+
+  recordCrash(reason) {
+    this.lastError = reason;
+    this.crashes.push(Date.now());
+    this.crashes = this.crashes.filter(time => Date.now() - time < RESTART_WINDOW_MS);
+    this.state = this.crashes.length > MAX_RESTARTS ? 'failed' : 'idle';
+  }
+
+  failPending(error, reason) {
+    for (const { resolve, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      resolve({ error, reason });
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * An idle worker must not keep the process alive; one being closed
+   * must, until it has exited
+   */
+  updateRef() {
+    if (!this.child) {
+      return;
+    }
+    const method = this.pending.size > 0 || this.state === 'stopped' ? 'ref' : 'unref';
+    this.child[method]();
+    [this.child.stdin, this.child.stdout].forEach(stream => {
+      if (stream && typeof stream[method] === 'function') {
+        stream[method]();
+      }
+    });
+  }
+
+  /**
+   * Sends one request; never rejects. timeoutMs overrides the worker's
+   * Returns: { result } or { error, reason }
+   */
+  request(method, params, { timeoutMs = this.timeoutMs } = {}) {
+    if (this.state === 'stopped') {
+      return Promise.resolve({ error: 'worker was shut down', reason: 'unavailable' });
+    }
+    if (!this.start()) {
+      return Promise.resolve({ error: this.lastError || 'worker is not running', reason: this.lastReason || 'unavailable' });
+    }
+    // Pings are the worker's own checks: not counted, never refused
+    const inFlight = [...this.pending.values()].filter(entry => !entry.ping).length;
+    if (method !== 'ping' && inFlight >= MAX_PENDING) {
+      return Promise.resolve({ error: 'too many requests in flight', reason: 'busy' });
+    }
+
+    const id = this.nextId++;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.updateRef();
+        resolve({ error: `no answer within ${timeoutMs}ms`, reason: 'timeout' });
+      }, timeoutMs);
+      this.pending.set(id, { resolve, timer, ping: method === 'ping' });
+      this.updateRef();
+      this.child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, ...(params === undefined ? {} : { params }) })}\n`);
+    });
+  }
+
+  /**
+   * Round trip to the worker
+   * Returns: { ok, ms, error?, reason? }
+   */
+  async ping() {
+    const started = Date.now();
+    const { error, reason } = await this.request('ping');
+    return { ok: !error, ms: Date.now() - started, ...(error ? { error, reason } : {}) };
+  }
+
+  /**
+   * A running worker that misses a heartbeat is killed (and restarted)
+   */
+  async checkHeartbeat() {
+    if (!this.child || this.state !== 'running') {
+      return;
+    }
+    const child = this.child;
+    const { ok, reason } = await this.ping();
+    if (!ok && this.child === child && reason === 'timeout') {
+      this.lastError = 'worker missed a heartbeat';
+      child.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Asks the worker to exit, and kills it if it has not after the
+   * grace period. The worker is not restarted afterwards.
+   */
+  close() {
+    this.state = 'stopped';
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    const child = this.child;
+    if (!child) {
+      return Promise.resolve();
+    }
+    this.updateRef();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => child.kill('SIGKILL'), SHUTDOWN_GRACE_MS);
+      child.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.stdin.end(`${JSON.stringify({ jsonrpc: '2.0', method: 'shutdown' })}\n`);
+    });
+  }
+
+  /**
+   * Returns: { state, pid, pending, restarts, uptimeMs, lastError, lastReason }
+   */
+  status() {
+    return {
+      state: this.state,
+      pid: this.child ? this.child.pid : null,
+      pending: this.pending.size,
+      restarts: this.restarts,
+      uptimeMs: this.child ? Date.now() - this.startedAt : 0,
+      lastError: this.lastError,
+      lastReason: this.lastReason
+    };
+  }
+}
+
+module.exports = {
+  ForgeWorker,
+  HEARTBEAT_INTERVAL_MS,
+  MAX_PENDING,
+  MAX_RESTARTS
+};
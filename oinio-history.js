@@ -0,0 +1,228 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🔎 OINIO HISTORY — Epoch Search, Filters & Pagination
+ * ═══════════════════════════════════════════════════════════════
+ *  Pure functions over epochs. Front ends parse a query string,
+ *  the client applies the compiled filter to the registry.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 FILTER DEFINITIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Metrics a filter can compare; harmony exists only on quantum epochs
+ * and is compared as a percentage like the others
+ */
+const FILTER_METRICS = {
+  resonance: reading => reading.resonance,
+  clarity: reading => reading.clarity,
+  flux: reading => reading.flux,
+  emergence: reading => reading.emergence,
+  harmony: reading => (reading.harmonyIndex === undefined ? undefined : Math.round(reading.harmonyIndex * 100))
+};
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b
+};
+
+const FILTER_MODES = ['deterministic', 'quantum'];
+
+const MAX_PAGE_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Parses a from/to bound; a bare date covers that whole UTC day
+ * Returns: epoch milliseconds or NaN
+ */
+function parseBound(value, endOfDay) {
+  const time = Date.parse(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay) {
+    return time + DAY_MS - 1;
+  }
+  return time;
+}
+
+/**
+ * A reading's pattern or message, plus every spread position's, lowercased
+ */
+function readingValues(reading, field) {
+  return [reading, ...(reading.positions || [])].map(part => String(part[field]).toLowerCase());
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔤 QUERY LANGUAGE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Turns a query string into a filter object
+ *   from:2026-01-01 to:2026-03-31   date range (inclusive)
+ *   pattern:spiral  message:light   substring, case-insensitive
+ *   mode:quantum | mode:deterministic
+ *   resonance>80  clarity<=20  harmony>=70   (> >= < <= =)
+ *   words or "a phrase"             must all appear in the question
+ * Values may be quoted: pattern:"the void"
+ */
+function parseEpochQuery(query) {
+  const filter = { text: [], metrics: [] };
+  const tokens = /(\w+)(>=|<=|:|>|<|=)("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokens.exec(query || '')) !== null) {
+    const [token, key, op, rawValue, phrase, word] = match;
+    if (phrase !== undefined || word !== undefined) {
+      filter.text.push(phrase !== undefined ? phrase : word);
+      continue;
+    }
+
+    const value = rawValue.replace(/^"(.*)"$/, '$1');
+    const name = key.toLowerCase();
+    if (op === ':' && ['from', 'to', 'pattern', 'message', 'mode'].includes(name)) {
+      filter[name] = value;
+    } else if (op !== ':' && hasOwn(FILTER_METRICS, name)) {
+      filter.metrics.push({ metric: name, op, value: Number(value) });
+    } else {
+      // Not a filter (e.g. "note:to-self"), so search for it verbatim
+      filter.text.push(token);
+    }
+  }
+
+  filter.text = filter.text.filter(Boolean);
+  return filter;
+}
+
+/**
+ * Question search terms: an array of terms/phrases, or a string of words
+ */
+function filterTerms(filter) {
+  const terms = Array.isArray(filter.text) ? filter.text : String(filter.text || '').split(/\s+/);
+  return terms.map(term => String(term).toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Validates a filter object and compiles it to a predicate
+ * filter: { from, to, pattern, message, mode, text (string or array
+ * of terms), metrics: [{ metric, op, value }] } — every field optional
+ * Returns: { success: true, test(epoch) } or { success: false, error }
+ */
+function compileEpochFilter(filter = {}) {
+  const checks = [];
+  const fail = error => ({ success: false, error, code: 'INVALID' });
+
+  if (filter.from !== undefined || filter.to !== undefined) {
+    const from = filter.from === undefined ? -Infinity : parseBound(String(filter.from), false);
+    const to = filter.to === undefined ? Infinity : parseBound(String(filter.to), true);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return fail('Dates must look like 2026-01-31 or a full ISO timestamp');
+    }
+    checks.push(epoch => {
+      const time = Date.parse(epoch.timestamp);
+      return time >= from && time <= to;
+    });
+  }
+
+  if (filter.pattern) {
+    const pattern = String(filter.pattern).toLowerCase();
+    checks.push(epoch => readingValues(epoch.reading, 'pattern').some(value => value.includes(pattern)));
+  }
+
+  if (filter.message) {
+    const message = String(filter.message).toLowerCase();
+    checks.push(epoch => readingValues(epoch.reading, 'message').some(value => value.includes(message)));
+  }
+
+  if (filter.mode) {
+    if (!FILTER_MODES.includes(filter.mode)) {
+      return fail(`Mode must be ${FILTER_MODES.join(' or ')}`);
+    }
+    const quantum = filter.mode === 'quantum';
+    checks.push(epoch => (epoch.reading.mode === 'quantum-enhanced') === quantum);
+  }
+
+  for (const condition of filter.metrics || []) {
+    const read = hasOwn(FILTER_METRICS, condition.metric) ? FILTER_METRICS[condition.metric] : null;
+    const compare = hasOwn(COMPARATORS, condition.op) ? COMPARATORS[condition.op] : null;
+    if (!read || !compare) {
+      return fail(`Unknown metric condition "${condition.metric}${condition.op}" (metrics: ${Object.keys(FILTER_METRICS).join(', ')})`);
+    }
+    if (typeof condition.value !== 'number' || Number.isNaN(condition.value)) {
+      return fail(`"${condition.metric}${condition.op}" needs a number`);
+    }
+    checks.push(epoch => {
+      const value = read(epoch.reading);
+      return value !== undefined && compare(value, condition.value);
+    });
+  }
+
+  const terms = filterTerms(filter);
+  if (terms.length > 0) {
+    checks.push(epoch => {
+      const question = String(epoch.question).toLowerCase();
+      return terms.every(term => question.includes(term));
+    });
+  }
+
+  return { success: true, test: epoch => checks.every(check => check(epoch)) };
+}
+
+/**
+ * Short description of a filter for headers ("none" when empty)
+ */
+function describeEpochFilter(filter = {}) {
+  const terms = filterTerms(filter);
+  const parts = [
+    filter.from && `from ${filter.from}`,
+    filter.to && `to ${filter.to}`,
+    filter.pattern && `pattern ~ "${filter.pattern}"`,
+    filter.message && `message ~ "${filter.message}"`,
+    filter.mode && `mode ${filter.mode}`,
+    ...(filter.metrics || []).map(({ metric, op, value }) => `${metric}${op}${value}`),
+    terms.length > 0 && `question has ${terms.map(term => `"${term}"`).join(' + ')}`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📄 PAGINATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Slices one page out of a list (pages count from 1)
+ * Returns: { success, items, page, pages, pageSize, total }
+ */
+function paginate(items, { page = 1, pageSize = 20 } = {}) {
+  if (!Number.isInteger(page) || page < 1) {
+    return { success: false, error: 'Page must be a whole number from 1', code: 'INVALID' };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { success: false, error: `Page size must be between 1 and ${MAX_PAGE_SIZE}`, code: 'INVALID' };
+  }
+  return {
+    success: true,
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pages: Math.max(1, Math.ceil(items.length / pageSize)),
+    pageSize,
+    total: items.length
+  };
+}
+
+module.exports = {
+  parseEpochQuery,
+  compileEpochFilter,
+  describeEpochFilter,
+  paginate,
+  FILTER_METRICS,
+  FILTER_MODES,
+  MAX_PAGE_SIZE
+};
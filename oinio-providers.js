@@ -0,0 +1,518 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🔌 OINIO PROVIDERS — Quantum Enhancement Providers
+ * ═══════════════════════════════════════════════════════════════
+ *  A provider answers the quantum query ({ query, timestamp, context })
+ *  with Forge predictions: harmony_index, confidence, trend,
+ *  recommendations and ai_insight. The bridge builds the provider its
+ *  settings name; every failure carries a FORGE_FAILURES code so the
+ *  oracle can fall back to its deterministic reading and say why.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ForgeWorker } = require('./oinio-forge-worker');
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 PROTOCOL
+// ═══════════════════════════════════════════════════════════════
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+const MAX_STDERR_CHARS = 500;
+
+// Everything a Forge response can contain
+const FORGE_FIELDS = ['harmony_index', 'confidence', 'trend', 'recommendations', 'ai_insight'];
+
+// The HTTP provider never leaves the machine
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Why an enhancement failed
+ */
+const FORGE_FAILURES = {
+  DISABLED: 'DISABLED', // ENABLE_QUANTUM=false
+  NOT_INSTALLED: 'NOT_INSTALLED', // Forge script, command, URL or module missing
+  PYTHON_MISSING: 'PYTHON_MISSING', // python3 (or the command) is not on PATH
+  TIMEOUT: 'TIMEOUT',
+  EXIT_CODE: 'EXIT_CODE', // The process exited non-zero or crashed
+  INVALID_JSON: 'INVALID_JSON',
+  SCHEMA_MISMATCH: 'SCHEMA_MISMATCH', // JSON, but not a Forge response
+  UNREACHABLE: 'UNREACHABLE', // The HTTP endpoint refused the connection
+  PROVIDER_ERROR: 'PROVIDER_ERROR' // The provider answered with an error
+};
+
+function failure(code, error) {
+  return { success: false, code, error };
+}
+
+/**
+ * A provider's raw answer as a JSON object
+ * Returns: { success, response } or an INVALID_JSON/SCHEMA_MISMATCH failure
+ */
+function parseResponse(text) {
+  let response;
+  try {
+    response = JSON.parse(text);
+  } catch (err) {
+    const sample = text.trim().substring(0, 60);
+    return failure(FORGE_FAILURES.INVALID_JSON, sample ? `Output is not JSON: ${JSON.stringify(sample)}` : 'No output');
+  }
+  return acceptResponse(response);
+}
+
+function acceptResponse(response) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return failure(FORGE_FAILURES.SCHEMA_MISMATCH, 'Response is not a JSON object');
+  }
+  return { success: true, response };
+}
+
+/**
+ * Runs a command, optionally writing input to its stdin, and parses its
+ * stdout as one JSON object. missingCode is the failure when the
+ * command itself cannot be found.
+ * Returns: { success, response } or a failure
+ */
+function runJsonProcess(command, args, { cwd, input = null, timeoutMs, missingCode }) {
+  return new Promise(resolve => {
+    let child;
+    try {
+      child = spawn(command, args, { cwd, stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    } catch (err) {
+      resolve(failure(FORGE_FAILURES.PROVIDER_ERROR, err.message));
+      return;
+    }
+
+    let output = '';
+    let errorOutput = '';
+    let settled = false;
+    const finish = result => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      }
+    };
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(failure(FORGE_FAILURES.TIMEOUT, `No answer within ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on('data', data => {
+      output += data.toString();
+      if (output.length > MAX_OUTPUT_BYTES) {
+        child.kill();
+        finish(failure(FORGE_FAILURES.INVALID_JSON, `Output larger than ${MAX_OUTPUT_BYTES / 1024} KB`));
+      }
+    });
+    child.stderr.on('data', data => {
+      errorOutput = (errorOutput + data.toString()).slice(-MAX_STDERR_CHARS);
+    });
+    child.on('error', err => {
+      finish(err.code === 'ENOENT'
+        ? failure(missingCode, `${command} not found`)
+        : failure(FORGE_FAILURES.PROVIDER_ERROR, err.message));
+    });
+    child.on('close', (code, signal) => {
+      if (code !== 0) {
+        const stderr = errorOutput.trim();
+        finish(failure(FORGE_FAILURES.EXIT_CODE,
+          `${path.basename(command)} exited with ${signal || `code ${code}`}${stderr ? `: ${stderr}` : ''}`));
+        return;
+      }
+      finish(parseResponse(output));
+    });
+
+    if (input !== null) {
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Full path of an executable, looked up on PATH when given a bare name
+ */
+function findExecutable(command) {
+  const candidates = command.includes('/') || command.includes(path.sep)
+    ? [path.resolve(command)]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+  return candidates.find(candidate => {
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return fs.statSync(candidate).isFile();
+    } catch (err) {
+      return false;
+    }
+  }) || null;
+}
+
+function splitCommand(command) {
+  return (command || '').split(/\s+/).filter(Boolean);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔌 BUILT-IN PROVIDERS
+// ═══════════════════════════════════════════════════════════════
+// Every factory takes the bridge settings: { forgePath, timeoutMs,
+// command, url, module }. health() returns { status, detail, code? }
+// and enhance(payload) returns { success, response } or a failure.
+
+/**
+ * Pi Forge Quantum Genesis: python3 quantum_ai_enhancer.py --query <json>
+ */
+function createPythonProvider({ forgePath, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const script = path.join(forgePath, 'quantum_ai_enhancer.py');
+
+  return {
+    name: 'python',
+    transport: 'subprocess',
+    description: `Pi Forge script in ${forgePath}`,
+    capabilities: FORGE_FIELDS,
+    async health() {
+      if (!fs.existsSync(script)) {
+        return { status: 'unavailable', detail: `${script} not found`, code: FORGE_FAILURES.NOT_INSTALLED };
+      }
+      if (!findExecutable('python3')) {
+        return { status: 'unavailable', detail: 'python3 is not on PATH', code: FORGE_FAILURES.PYTHON_MISSING };
+      }
+      return { status: 'ready', detail: 'quantum_ai_enhancer.py found' };
+    },
+    async enhance(payload) {
+      if (!fs.existsSync(script)) {
+        return failure(FORGE_FAILURES.NOT_INSTALLED, `${script} not found`);
+      }
+      return runJsonProcess('python3', [script, '--query', JSON.stringify(payload)],
+        { cwd: forgePath, timeoutMs, missingCode: FORGE_FAILURES.PYTHON_MISSING });
+    }
+  };
+}
+
+/**
+ * Any executable that reads the query as one JSON line on stdin and
+ * writes its answer as JSON on stdout
+ */
+function createExecProvider({ command, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const [program, ...args] = splitCommand(command);
+
+  return {
+    name: 'exec',
+    transport: 'stdio',
+    description: program ? `JSON over stdin/stdout: ${command}` : 'JSON over stdin/stdout (no command set)',
+    capabilities: FORGE_FIELDS,
+    async health() {
+      if (!program) {
+        return { status: 'unavailable', detail: 'Set QUANTUM_PROVIDER_COMMAND', code: FORGE_FAILURES.NOT_INSTALLED };
+      }
+      const executable = findExecutable(program);
+      return executable
+        ? { status: 'ready', detail: executable }
+        : { status: 'unavailable', detail: `${program} is not an executable file`, code: FORGE_FAILURES.NOT_INSTALLED };
+    },
+    async enhance(payload) {
+      if (!program) {
+        return failure(FORGE_FAILURES.NOT_INSTALLED, 'Set QUANTUM_PROVIDER_COMMAND');
+      }
+      return runJsonProcess(program, args,
+        { input: `${JSON.stringify(payload)}\n`, timeoutMs, missingCode: FORGE_FAILURES.NOT_INSTALLED });
+    }
+  };
+}
+
+// Worker failure reasons (see oinio-forge-worker.js) as FORGE_FAILURES
+const WORKER_FAILURES = {
+  unsupported: FORGE_FAILURES.NOT_INSTALLED,
+  timeout: FORGE_FAILURES.TIMEOUT,
+  exited: FORGE_FAILURES.EXIT_CODE,
+  rpc: FORGE_FAILURES.PROVIDER_ERROR,
+  busy: FORGE_FAILURES.PROVIDER_ERROR,
+  unavailable: FORGE_FAILURES.PROVIDER_ERROR
+};
+
+/**
+ * One long-lived Forge process speaking JSON-RPC over stdio (see
+ * oinio-forge-worker.js): QUANTUM_PROVIDER_COMMAND, or the Forge script
+ * with --worker. It starts with the first reading and is restarted if
+ * it crashes; a Forge without a worker mode fails its startup ping and
+ * is reported NOT_INSTALLED.
+ */
+function createWorkerProvider({ command, forgePath, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const script = path.join(forgePath, 'quantum_ai_enhancer.py');
+  const [program, ...args] = command ? splitCommand(command) : ['python3', script, '--worker'];
+  const missingCode = command ? FORGE_FAILURES.NOT_INSTALLED : FORGE_FAILURES.PYTHON_MISSING;
+  const worker = new ForgeWorker({ command: program, args, cwd: command ? undefined : forgePath, timeoutMs });
+  const toFailure = ({ error, reason }) => failure(reason === 'missing' ? missingCode : WORKER_FAILURES[reason], error);
+
+  return {
+    name: 'worker',
+    transport: 'json-rpc',
+    description: `Persistent worker: ${[program, ...args].join(' ')}`,
+    capabilities: FORGE_FIELDS,
+    worker,
+    async health() {
+      const status = worker.status();
+      if (status.state === 'failed' && ['missing', 'unsupported'].includes(status.lastReason)) {
+        return { status: 'unavailable', detail: status.lastError, code: toFailure({ reason: status.lastReason }).code };
+      }
+      if (status.state === 'failed') {
+        return { status: 'error', detail: `Stopped restarting after repeated crashes: ${status.lastError}`, code: FORGE_FAILURES.EXIT_CODE };
+      }
+      if (!status.pid) {
+        if (!command && !fs.existsSync(script)) {
+          return { status: 'unavailable', detail: `${script} not found`, code: FORGE_FAILURES.NOT_INSTALLED };
+        }
+        if (!findExecutable(program)) {
+          return { status: 'unavailable', detail: `${program} is not an executable file`, code: missingCode };
+        }
+        return { status: 'ready', detail: 'Not started yet (starts with the first reading)' };
+      }
+      const ping = await worker.ping();
+      return ping.ok
+        ? { status: 'ready', detail: `pid ${status.pid}, ping ${ping.ms}ms, ${status.restarts} restart${status.restarts === 1 ? '' : 's'}` }
+        : { status: 'error', detail: `pid ${status.pid} did not answer a ping: ${ping.error}`, code: toFailure(ping).code };
+    },
+    async enhance(payload) {
+      if (!command && !fs.existsSync(script)) {
+        return failure(FORGE_FAILURES.NOT_INSTALLED, `${script} not found`);
+      }
+      const answer = await worker.request('enhance', payload);
+      return answer.error ? toFailure(answer) : acceptResponse(answer.result);
+    },
+    close() {
+      return worker.close();
+    }
+  };
+}
+
+/**
+ * Sends an HTTP request; the whole exchange, body included, must finish
+ * within timeoutMs
+ * Returns: { status, body } or a TIMEOUT/UNREACHABLE/INVALID_JSON failure
+ */
+function httpRequest(url, { method = 'GET', body = null, timeoutMs }) {
+  return new Promise(resolve => {
+    let settled = false;
+    const finish = result => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      }
+    };
+    const timer = setTimeout(() => {
+      request.destroy();
+      finish(failure(FORGE_FAILURES.TIMEOUT, `No answer within ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    const request = http.request(url, {
+      method,
+      headers: body === null ? {} : { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, response => {
+      let text = '';
+      response.on('data', chunk => {
+        text += chunk.toString();
+        if (text.length > MAX_OUTPUT_BYTES) {
+          request.destroy();
+          finish(failure(FORGE_FAILURES.INVALID_JSON, `Response larger than ${MAX_OUTPUT_BYTES / 1024} KB`));
+        }
+      });
+      response.on('end', () => finish({ status: response.statusCode, body: text }));
+      response.on('error', err => finish(failure(FORGE_FAILURES.UNREACHABLE, `Connection lost mid-response: ${err.message}`)));
+      // Without 'end' the body is incomplete (the server dropped the connection)
+      response.on('close', () => finish(failure(FORGE_FAILURES.UNREACHABLE, 'Connection closed before the response was complete')));
+    });
+    request.on('error', err => finish(failure(FORGE_FAILURES.UNREACHABLE, err.message)));
+    request.end(body === null ? undefined : body);
+  });
+}
+
+/**
+ * A local HTTP endpoint that takes the query as a JSON POST body
+ */
+function createHttpProvider({ url, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let endpoint = null;
+  let problem = url ? null : 'Set QUANTUM_PROVIDER_URL';
+  if (url) {
+    try {
+      endpoint = new URL(url);
+      if (endpoint.protocol !== 'http:' || !LOOPBACK_HOSTS.includes(endpoint.hostname)) {
+        problem = `${url} is not a local http:// endpoint`;
+        endpoint = null;
+      }
+    } catch (err) {
+      problem = `${url} is not a valid URL`;
+    }
+  }
+
+  return {
+    name: 'http',
+    transport: 'http',
+    description: endpoint ? `POST ${endpoint.href}` : 'Local HTTP endpoint (not configured)',
+    capabilities: FORGE_FIELDS,
+    async health() {
+      if (!endpoint) {
+        return { status: 'unavailable', detail: problem, code: FORGE_FAILURES.NOT_INSTALLED };
+      }
+      const response = await httpRequest(endpoint, { timeoutMs });
+      if (response.success === false) {
+        return { status: 'unavailable', detail: response.error, code: response.code };
+      }
+      return response.status < 500
+        ? { status: 'ready', detail: `HTTP ${response.status}` }
+        : { status: 'error', detail: `HTTP ${response.status}`, code: FORGE_FAILURES.PROVIDER_ERROR };
+    },
+    async enhance(payload) {
+      if (!endpoint) {
+        return failure(FORGE_FAILURES.NOT_INSTALLED, problem);
+      }
+      const response = await httpRequest(endpoint, { method: 'POST', body: JSON.stringify(payload), timeoutMs });
+      if (response.success === false) {
+        return response;
+      }
+      if (response.status < 200 || response.status >= 300) {
+        return failure(FORGE_FAILURES.PROVIDER_ERROR, `Endpoint answered HTTP ${response.status}`);
+      }
+      return parseResponse(response.body);
+    }
+  };
+}
+
+/**
+ * A JavaScript module exporting enhance(payload) (sync or async), and
+ * optionally capabilities (an array of Forge fields) and health()
+ */
+function createModuleProvider({ module: file, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let loaded = null;
+  const load = () => {
+    if (!loaded) {
+      try {
+        const provided = require(path.resolve(file));
+        loaded = typeof provided.enhance === 'function'
+          ? { module: provided }
+          : { error: `${file} does not export enhance()` };
+      } catch (err) {
+        loaded = { error: `Cannot load ${file}: ${err.message}` };
+      }
+    }
+    return loaded;
+  };
+  const TIMED_OUT = Symbol('timeout');
+  const withTimeout = work => Promise.race([
+    Promise.resolve().then(work),
+    new Promise(resolve => setTimeout(resolve, timeoutMs, TIMED_OUT).unref())
+  ]);
+
+  return {
+    name: 'module',
+    transport: 'module',
+    description: file ? `JavaScript module ${file}` : 'JavaScript module (not configured)',
+    get capabilities() {
+      const provided = file ? load().module : null;
+      return provided && Array.isArray(provided.capabilities)
+        ? FORGE_FIELDS.filter(field => provided.capabilities.includes(field))
+        : FORGE_FIELDS;
+    },
+    async health() {
+      if (!file) {
+        return { status: 'unavailable', detail: 'Set QUANTUM_PROVIDER_MODULE', code: FORGE_FAILURES.NOT_INSTALLED };
+      }
+      const { module: provided, error } = load();
+      if (error) {
+        return { status: 'unavailable', detail: error, code: FORGE_FAILURES.NOT_INSTALLED };
+      }
+      if (typeof provided.health !== 'function') {
+        return { status: 'ready', detail: 'enhance() exported' };
+      }
+      try {
+        const reported = await withTimeout(() => provided.health());
+        if (reported === TIMED_OUT) {
+          return { status: 'error', detail: `health() gave no answer within ${timeoutMs}ms`, code: FORGE_FAILURES.TIMEOUT };
+        }
+        return reported && reported.status
+          ? { status: String(reported.status), detail: String(reported.detail || '') }
+          : { status: 'error', detail: 'health() gave no status', code: FORGE_FAILURES.SCHEMA_MISMATCH };
+      } catch (err) {
+        return { status: 'error', detail: err.message, code: FORGE_FAILURES.PROVIDER_ERROR };
+      }
+    },
+    async enhance(payload) {
+      if (!file) {
+        return failure(FORGE_FAILURES.NOT_INSTALLED, 'Set QUANTUM_PROVIDER_MODULE');
+      }
+      const { module: provided, error } = load();
+      if (error) {
+        return failure(FORGE_FAILURES.NOT_INSTALLED, error);
+      }
+      try {
+        const response = await withTimeout(() => provided.enhance(payload));
+        if (response === TIMED_OUT) {
+          return failure(FORGE_FAILURES.TIMEOUT, `No answer within ${timeoutMs}ms`);
+        }
+        return acceptResponse(response);
+      } catch (err) {
+        return failure(FORGE_FAILURES.PROVIDER_ERROR, err.message);
+      }
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📚 REGISTRY
+// ═══════════════════════════════════════════════════════════════
+
+const providerFactories = new Map([
+  ['python', createPythonProvider],
+  ['exec', createExecProvider],
+  ['http', createHttpProvider],
+  ['module', createModuleProvider],
+  ['worker', createWorkerProvider]
+]);
+
+/**
+ * Adds (or replaces) a provider factory: settings => provider, where a
+ * provider has name, transport, description, capabilities, health(),
+ * enhance(payload) and optionally close()
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+function providerNames() {
+  return [...providerFactories.keys()];
+}
+
+/**
+ * Builds a registered provider; an unknown name gives a provider that
+ * is never ready, so the misconfiguration shows in the bridge status
+ */
+function createProvider(name, settings = {}) {
+  const factory = providerFactories.get(name);
+  if (factory) {
+    return factory(settings);
+  }
+  const problem = `Unknown provider "${name}" (choose ${providerNames().join(', ')})`;
+  return {
+    name,
+    transport: 'none',
+    description: 'Unknown provider',
+    capabilities: [],
+    async health() {
+      return { status: 'unavailable', detail: problem, code: FORGE_FAILURES.NOT_INSTALLED };
+    },
+    async enhance() {
+      return failure(FORGE_FAILURES.NOT_INSTALLED, problem);
+    }
+  };
+}
+
+module.exports = {
+  createProvider,
+  registerProvider,
+  providerNames,
+  FORGE_FIELDS,
+  FORGE_FAILURES
+};
@@ -0,0 +1,564 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🌐 OINIO API SERVER — Local HTTP/JSON Oracle
+ * ═══════════════════════════════════════════════════════════════
+ *  Exposes accounts, souls, epochs and lineage as JSON endpoints.
+ *  Built on Node's http module only. Same encrypted storage as CLI.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const config = require('./config');
+const { OinioClient, RESULT_CODES } = require('./oinio-client');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔑 SESSIONS
+// ═══════════════════════════════════════════════════════════════
+
+// token -> { client, expiresAt }
+const sessions = new Map();
+
+// How often a running server drops sessions whose tokens never came back
+const SESSION_SWEEP_MS = 60 * 1000;
+
+/**
+ * Forgets expired sessions and the keys their clients hold
+ */
+function pruneExpiredSessions() {
+  const now = Date.now();
+  for (const [token, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(token);
+      session.client.logout();
+    }
+  }
+}
+
+/**
+ * Issues a bearer token for a logged-in client
+ */
+function createSession(client) {
+  pruneExpiredSessions();
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + config.SESSION_TTL_MS;
+  sessions.set(token, { client, expiresAt });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Resolves the session for a request's Authorization header
+ * Returns: session or null if missing/expired
+ */
+function getSession(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+([a-f0-9]+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const token = match[1];
+  const session = sessions.get(token);
+  if (!session) {
+    return null;
+  }
+
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    session.client.logout();
+    return null;
+  }
+
+  return { token, ...session };
+}
+
+// Per-user promise chains so concurrent requests never interleave load/save
+const userLocks = new Map();
+
+/**
+ * Serializes registry mutations for a single user
+ */
+function withUserLock(username, fn) {
+  const previous = userLocks.get(username) || Promise.resolve();
+  const next = previous.then(fn, fn);
+  const settled = next.catch(() => {});
+  userLocks.set(username, settled);
+  settled.then(() => {
+    if (userLocks.get(username) === settled) {
+      userLocks.delete(username);
+    }
+  });
+  return next;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📡 HTTP HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Error carrying an HTTP status code for the JSON error response
+ */
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = body === undefined ? '' : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(payload);
+}
+
+function sendText(res, status, contentType, body) {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+/**
+ * Reads and parses a JSON request body (size-limited)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > config.MAX_REQUEST_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (size === 0) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (err) {
+        reject(new HttpError(400, 'Invalid JSON body'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function requireSession(req) {
+  const session = getSession(req);
+  if (!session) {
+    throw new HttpError(401, 'Missing or expired session token');
+  }
+  return session;
+}
+
+function requireString(body, field, maxLength) {
+  const value = body[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new HttpError(400, `"${field}" must be a non-empty string`);
+  }
+  if (value.length > maxLength) {
+    throw new HttpError(400, `"${field}" too long (max ${maxLength} characters)`);
+  }
+  return value.trim();
+}
+
+// Client result codes -> HTTP statuses
+const STATUS_FOR_CODE = {
+  [RESULT_CODES.INVALID]: 400,
+  [RESULT_CODES.AUTH]: 401,
+  [RESULT_CODES.NOT_FOUND]: 404,
+  [RESULT_CODES.EXISTS]: 409,
+  [RESULT_CODES.LOCKED]: 429
+};
+
+/**
+ * Unwraps a client result, throwing an HttpError on failure
+ */
+function unwrap(result) {
+  if (!result.success) {
+    const headers = result.retryAfterMs ? { 'Retry-After': String(Math.ceil(result.retryAfterMs / 1000)) } : {};
+    throw new HttpError(STATUS_FOR_CODE[result.code] || 500, result.error, headers);
+  }
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧭 ROUTE HANDLERS
+// ═══════════════════════════════════════════════════════════════
+
+async function handleRegister(req, res) {
+  const body = await readJsonBody(req);
+  const username = typeof body.username === 'string' ? body.username : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  unwrap(new OinioClient().register(username, password));
+  sendJson(res, 201, { username });
+}
+
+async function handleLogin(req, res) {
+  const body = await readJsonBody(req);
+  const username = typeof body.username === 'string' ? body.username : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  const client = new OinioClient();
+  const { failedAttempts } = unwrap(client.login(username, password, { source: `api ${req.socket.remoteAddress}` }));
+  sendJson(res, 200, { username, ...createSession(client), failedAttempts });
+}
+
+async function handleLogout(req, res, session) {
+  sessions.delete(session.token);
+  session.client.logout();
+  sendJson(res, 204);
+}
+
+async function handleListSouls(req, res, session) {
+  const archived = new URL(req.url, 'http://localhost').searchParams.get('archived') === 'true';
+  sendJson(res, 200, unwrap(session.client.listSouls({ archived })).souls);
+}
+
+async function handleCreateSoul(req, res, session) {
+  const body = await readJsonBody(req);
+  const name = requireString(body, 'name', 50);
+
+  const { soul } = await withUserLock(session.client.username, () => unwrap(session.client.createSoul(name)));
+  sendJson(res, 201, soul);
+}
+
+async function handleGetSoul(req, res, session, name) {
+  sendJson(res, 200, unwrap(session.client.getSoul(name)).soul);
+}
+
+/**
+ * PATCH body: { name?, archived? } renames and/or (un)archives
+ */
+async function handleUpdateSoul(req, res, session, name) {
+  const body = await readJsonBody(req);
+  if (body.name === undefined && body.archived === undefined) {
+    throw new HttpError(400, 'Nothing to update (expected "name" or "archived")');
+  }
+  if (body.archived !== undefined && typeof body.archived !== 'boolean') {
+    throw new HttpError(400, '"archived" must be a boolean');
+  }
+  const newName = body.name === undefined ? name : requireString(body, 'name', 50);
+
+  const { soul } = await withUserLock(session.client.username, () => {
+    let result = newName !== name ? unwrap(session.client.renameSoul(name, newName)) : unwrap(session.client.getSoul(name));
+    if (body.archived !== undefined) {
+      result = unwrap(body.archived ? session.client.archiveSoul(newName) : session.client.unarchiveSoul(newName));
+    }
+    return result;
+  });
+  sendJson(res, 200, soul);
+}
+
+async function handleDeleteSoul(req, res, session, name) {
+  await withUserLock(session.client.username, () => unwrap(session.client.deleteSoul(name)));
+  sendJson(res, 204);
+}
+
+async function handleDuplicateSoul(req, res, session, name) {
+  const body = await readJsonBody(req);
+  const newName = requireString(body, 'name', 50);
+
+  const { soul } = await withUserLock(session.client.username, () => unwrap(session.client.duplicateSoul(name, newName)));
+  sendJson(res, 201, soul);
+}
+
+async function handleListTrash(req, res, session) {
+  sendJson(res, 200, unwrap(session.client.listTrash()).souls);
+}
+
+async function handleRestoreSoul(req, res, session, name) {
+  const { soul } = await withUserLock(session.client.username, () => unwrap(session.client.restoreSoul(name)));
+  sendJson(res, 200, soul);
+}
+
+async function handlePurgeSoul(req, res, session, name) {
+  await withUserLock(session.client.username, () => unwrap(session.client.purgeSoul(name)));
+  sendJson(res, 204);
+}
+
+async function handleConsult(req, res, session, name) {
+  const body = await readJsonBody(req);
+  const q = requireString(body, 'question', 1000);
+  const quantum = body.quantum === true;
+  const spread = body.spread === undefined ? 'single' : body.spread;
+  if (typeof spread !== 'string') {
+    throw new HttpError(400, '"spread" must be a string');
+  }
+
+  const { epoch } = await withUserLock(session.client.username, async () => {
+    return unwrap(await session.client.consult(name, q, { quantum, spread }));
+  });
+  sendJson(res, 201, epoch);
+}
+
+async function handleHistory(req, res, session, name) {
+  sendJson(res, 200, unwrap(session.client.history(name)).epochs);
+}
+
+async function handleStats(req, res, session, name) {
+  const { soul, stats } = unwrap(session.client.stats(name));
+  sendJson(res, 200, { ...soul, stats });
+}
+
+/**
+ * Metric time series, streaks and weekly/monthly aggregates: ?window=
+ */
+async function handleAnalytics(req, res, session, name) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const { soul, analytics } = unwrap(session.client.analytics(name, {
+    window: params.has('window') ? Number(params.get('window')) : undefined
+  }));
+  sendJson(res, 200, { ...soul, analytics });
+}
+
+async function handleJourney(req, res, session, name) {
+  const { soul, journey } = unwrap(session.client.patternJourney(name));
+  sendJson(res, 200, { ...soul, journey });
+}
+
+/**
+ * Pattern counts across every soul, or repeat ?soul= to pick souls
+ */
+async function handlePatternCounts(req, res, session) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const { success, ...result } = unwrap(session.client.patternCounts({ names: params.getAll('soul') }));
+  sendJson(res, 200, result);
+}
+
+async function handleLineage(req, res, session) {
+  sendText(res, 200, 'text/csv; charset=utf-8', unwrap(session.client.exportLineage()).csv);
+}
+
+/**
+ * Epoch search: ?q=<filter query>&page=&pageSize=&newest=true,
+ * repeat ?soul= to limit it to some souls
+ */
+async function handleSearch(req, res, session) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const { success, ...result } = unwrap(session.client.searchEpochs({
+    names: params.getAll('soul'),
+    query: params.get('q') || '',
+    page: params.has('page') ? Number(params.get('page')) : 1,
+    pageSize: params.has('pageSize') ? Number(params.get('pageSize')) : 20,
+    newestFirst: params.get('newest') === 'true'
+  }));
+  sendJson(res, 200, result);
+}
+
+/**
+ * Epoch-level export: ?format=csv|jsonl|markdown, repeat ?soul= to pick souls
+ */
+async function handleExportEpochs(req, res, session) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const result = unwrap(session.client.exportEpochs({
+    format: params.get('format') || 'csv',
+    names: params.getAll('soul')
+  }));
+  sendText(res, 200, result.contentType, result.content);
+}
+
+/**
+ * Souls side by side: repeat ?soul= for each soul (at least two)
+ */
+async function handleCompare(req, res, session) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const { success, ...result } = unwrap(session.client.compareSouls(params.getAll('soul')));
+  sendJson(res, 200, result);
+}
+
+/**
+ * POST body: { souls: [names], question, record? }
+ */
+async function handleSynastry(req, res, session) {
+  const body = await readJsonBody(req);
+  const q = requireString(body, 'question', 1000);
+  if (!Array.isArray(body.souls) || !body.souls.every(name => typeof name === 'string')) {
+    throw new HttpError(400, '"souls" must be an array of soul names');
+  }
+  const record = body.record === true;
+
+  const { success, ...result } = await withUserLock(session.client.username, async () => {
+    return unwrap(session.client.synastry(body.souls, q, { record }));
+  });
+  sendJson(res, record ? 201 : 200, result);
+}
+
+/**
+ * Reproducibility audit: repeat ?soul= to pick souls (default: all)
+ */
+async function handleVerify(req, res, session) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const { success, ...result } = unwrap(session.client.verifyReadings({ names: params.getAll('soul') }));
+  sendJson(res, 200, result);
+}
+
+async function handleListDecks(req, res, session) {
+  const { success, ...result } = session.client.listDecks();
+  sendJson(res, 200, result);
+}
+
+async function handleGetSoulDeck(req, res, session, name) {
+  const { success, ...result } = unwrap(session.client.getSoulDeck(name));
+  sendJson(res, 200, result);
+}
+
+/**
+ * PUT body: { deck: "classic" or a deck id from the deck directory, locale? }
+ * Deck files are never read from request paths
+ */
+async function handleSetSoulDeck(req, res, session, name) {
+  const body = await readJsonBody(req);
+  const deck = requireString(body, 'deck', 40);
+  if (body.locale !== undefined && body.locale !== null && typeof body.locale !== 'string') {
+    throw new HttpError(400, '"locale" must be a string');
+  }
+
+  const { success, ...result } = await withUserLock(session.client.username, () => {
+    return unwrap(session.client.setSoulDeck(name, deck, { locale: body.locale || null }));
+  });
+  sendJson(res, 200, result);
+}
+
+async function handleHealth(req, res) {
+  sendJson(res, 200, { status: 'ok', version: config.VERSION });
+}
+
+/**
+ * Route table: [method, pattern, handler, requiresSession]
+ * Pattern captures are URL-decoded and passed after the session
+ */
+const ROUTES = [
+  ['GET', /^\/api\/health$/, handleHealth, false],
+  ['POST', /^\/api\/register$/, handleRegister, false],
+  ['POST', /^\/api\/login$/, handleLogin, false],
+  ['POST', /^\/api\/logout$/, handleLogout, true],
+  ['GET', /^\/api\/souls$/, handleListSouls, true],
+  ['POST', /^\/api\/souls$/, handleCreateSoul, true],
+  ['GET', /^\/api\/souls\/([^/]+)$/, handleGetSoul, true],
+  ['PATCH', /^\/api\/souls\/([^/]+)$/, handleUpdateSoul, true],
+  ['DELETE', /^\/api\/souls\/([^/]+)$/, handleDeleteSoul, true],
+  ['POST', /^\/api\/souls\/([^/]+)\/duplicate$/, handleDuplicateSoul, true],
+  ['GET', /^\/api\/souls\/([^/]+)\/epochs$/, handleHistory, true],
+  ['POST', /^\/api\/souls\/([^/]+)\/epochs$/, handleConsult, true],
+  ['GET', /^\/api\/souls\/([^/]+)\/stats$/, handleStats, true],
+  ['GET', /^\/api\/souls\/([^/]+)\/analytics$/, handleAnalytics, true],
+  ['GET', /^\/api\/souls\/([^/]+)\/journey$/, handleJourney, true],
+  ['GET', /^\/api\/souls\/([^/]+)\/deck$/, handleGetSoulDeck, true],
+  ['PUT', /^\/api\/souls\/([^/]+)\/deck$/, handleSetSoulDeck, true],
+  ['GET', /^\/api\/decks$/, handleListDecks, true],
+  ['GET', /^\/api\/verify$/, handleVerify, true],
+  ['GET', /^\/api\/patterns$/, handlePatternCounts, true],
+  ['GET', /^\/api\/compare$/, handleCompare, true],
+  ['POST', /^\/api\/synastry$/, handleSynastry, true],
+  ['GET', /^\/api\/trash$/, handleListTrash, true],
+  ['POST', /^\/api\/trash\/([^/]+)\/restore$/, handleRestoreSoul, true],
+  ['DELETE', /^\/api\/trash\/([^/]+)$/, handlePurgeSoul, true],
+  ['GET', /^\/api\/lineage$/, handleLineage, true],
+  ['GET', /^\/api\/export\/epochs$/, handleExportEpochs, true],
+  ['GET', /^\/api\/search$/, handleSearch, true]
+];
+
+async function handleRequest(req, res) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+
+  let pathMatched = false;
+  for (const [method, pattern, handler, requiresSession] of ROUTES) {
+    const match = pathname.match(pattern);
+    if (!match) {
+      continue;
+    }
+    pathMatched = true;
+    if (method !== req.method) {
+      continue;
+    }
+
+    let params;
+    try {
+      params = match.slice(1).map(decodeURIComponent);
+    } catch (err) {
+      throw new HttpError(400, 'Malformed URL');
+    }
+
+    if (requiresSession) {
+      const session = requireSession(req);
+      return handler(req, res, session, ...params);
+    }
+    return handler(req, res, ...params);
+  }
+
+  throw new HttpError(pathMatched ? 405 : 404, pathMatched ? 'Method not allowed' : 'Not found');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🚀 SERVER LIFECYCLE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Creates the API server (not yet listening)
+ */
+function createServer() {
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.message }, err.headers);
+      } else {
+        console.error('⚠️  API error:', err.message);
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    });
+  });
+
+  // Sessions are otherwise only dropped when their token is used again
+  const sweep = setInterval(pruneExpiredSessions, Math.min(SESSION_SWEEP_MS, config.SESSION_TTL_MS));
+  sweep.unref();
+  server.on('close', () => clearInterval(sweep));
+  return server;
+}
+
+/**
+ * Starts the API server
+ * Resolves with the listening http.Server
+ */
+function startServer({ port = config.PORT, host = config.HOST } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  startServer
+};
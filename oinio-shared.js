@@ -23,6 +23,28 @@ const PATTERNS = [
   'The Echo', 'The Door', 'The Root', 'The Sky'
 ];
 
+/**
+ * What each pattern stands for, in PATTERNS order
+ */
+const PATTERN_MEANINGS = [
+  'Cyclical growth, returning to center with wisdom',
+  'Reflection, seeing yourself in the situation',
+  'At the edge of transformation',
+  'Emptiness that contains all potential',
+  'Emergence, flowering of hidden growth',
+  'Stability, grounding, foundation',
+  'Chaos, disruption, clearing the old',
+  'Beginning, potential waiting to sprout',
+  'Flow, movement, natural progression',
+  'Challenge, achievement, perspective',
+  'Interconnection, complexity, relationships',
+  'Transformation through fire, passion',
+  'Repetition, lessons returning, resonance',
+  'Opportunity, choice, passage between worlds',
+  'Foundation, ancestry, deep truth',
+  'Freedom, expansion, infinite possibility'
+];
+
 /**
  * Oracle message dictionary
  */
@@ -45,6 +67,58 @@ const MESSAGES = [
   'The ending is also the beginning.'
 ];
 
+/**
+ * Spread layouts. Each position is drawn separately; the focus position
+ * supplies the epoch's headline pattern and message. "single" is the
+ * classic one-reading epoch.
+ */
+const SPREADS = {
+  single: {
+    title: 'Single Reading',
+    layout: 'single',
+    positions: []
+  },
+  'past-present-future': {
+    title: 'Past · Present · Future',
+    layout: 'row',
+    focus: 'present',
+    positions: [
+      { key: 'past', label: 'Past' },
+      { key: 'present', label: 'Present' },
+      { key: 'future', label: 'Future' }
+    ]
+  },
+  'situation-obstacle-advice': {
+    title: 'Situation · Obstacle · Advice',
+    layout: 'path',
+    focus: 'advice',
+    positions: [
+      { key: 'situation', label: 'Situation' },
+      { key: 'obstacle', label: 'Obstacle' },
+      { key: 'advice', label: 'Advice' }
+    ]
+  },
+  cross: {
+    title: 'The Cross',
+    layout: 'cross',
+    focus: 'heart',
+    positions: [
+      { key: 'heart', label: 'Heart' },
+      { key: 'past', label: 'Past' },
+      { key: 'future', label: 'Future' },
+      { key: 'guidance', label: 'Guidance' },
+      { key: 'foundation', label: 'Foundation' }
+    ]
+  }
+};
+
+/**
+ * What a reading draws from: pattern names, the general message pool
+ * and optional per-pattern pools (pools[i] replaces messages for
+ * patterns[i]). Decks supply their own; this is the built-in one.
+ */
+const CLASSIC_DICTIONARY = { patterns: PATTERNS, messages: MESSAGES, pools: [] };
+
 // ═══════════════════════════════════════════════════════════════
 // 🔮 SHARED ORACLE LOGIC
 // ═══════════════════════════════════════════════════════════════
@@ -53,7 +127,7 @@ const MESSAGES = [
  * Generates deterministic oracle reading from question + seed + epoch
  * This is the core cryptographic oracle logic
  */
-function generateDeterministicReading(question, seed, epochNumber) {
+function generateDeterministicReading(question, seed, epochNumber, dictionary = CLASSIC_DICTIONARY) {
   const combined = `${question}|${seed}|${epochNumber}`;
   const hash = crypto.createHash('sha256').update(combined, 'utf8').digest();
   
@@ -64,12 +138,13 @@ function generateDeterministicReading(question, seed, epochNumber) {
   const emergence = (hash[3] % 100) + 1;
   
   // Pattern recognition (first 4 bytes modulo dictionary size)
-  const patternIndex = hash.readUInt32BE(4) % PATTERNS.length;
-  const pattern = PATTERNS[patternIndex];
+  const patternIndex = hash.readUInt32BE(4) % dictionary.patterns.length;
+  const pattern = dictionary.patterns[patternIndex];
   
-  // Oracle message (deterministic selection)
-  const messageIndex = hash.readUInt32BE(8) % MESSAGES.length;
-  const message = MESSAGES[messageIndex];
+  // Oracle message (deterministic selection, from the pattern's own pool if it has one)
+  const messages = dictionary.pools[patternIndex] || dictionary.messages;
+  const messageIndex = hash.readUInt32BE(8) % messages.length;
+  const message = messages[messageIndex];
   
   return {
     mode: 'deterministic',
@@ -82,10 +157,200 @@ function generateDeterministicReading(question, seed, epochNumber) {
   };
 }
 
+/**
+ * Reading for a spread: every position gets its own hash of
+ * question + seed + epoch + spread + position, and patterns and
+ * messages are drawn without repeats. The reading's own metrics are the
+ * positions' averages and its pattern and message are the focus
+ * position's, so statistics, search and exports treat it like any
+ * other reading. A "single" spread is exactly generateDeterministicReading.
+ */
+function generateSpreadReading(question, seed, epochNumber, spread = 'single', dictionary = CLASSIC_DICTIONARY) {
+  const layout = SPREADS[spread];
+  if (layout.positions.length === 0) {
+    return generateDeterministicReading(question, seed, epochNumber, dictionary);
+  }
+
+  const patterns = dictionary.patterns.map((_, index) => index);
+  let messages = [...dictionary.messages];
+  const positions = layout.positions.map(({ key, label }) => {
+    const combined = `${question}|${seed}|${epochNumber}|${spread}|${key}`;
+    const hash = crypto.createHash('sha256').update(combined, 'utf8').digest();
+    const patternIndex = patterns.splice(hash.readUInt32BE(4) % patterns.length, 1)[0];
+    const pool = dictionary.pools[patternIndex];
+    if (!pool && messages.length === 0) {
+      // A small deck may run out of messages; start drawing from the full pool again
+      messages = [...dictionary.messages];
+    }
+    return {
+      position: key,
+      label,
+      resonance: (hash[0] % 100) + 1,
+      clarity: (hash[1] % 100) + 1,
+      flux: (hash[2] % 100) + 1,
+      emergence: (hash[3] % 100) + 1,
+      pattern: dictionary.patterns[patternIndex],
+      message: pool ? pool[hash.readUInt32BE(8) % pool.length] : messages.splice(hash.readUInt32BE(8) % messages.length, 1)[0]
+    };
+  });
+
+  const average = metric => Math.round(positions.reduce((sum, card) => sum + card[metric], 0) / positions.length);
+  const focus = positions.find(card => card.position === layout.focus);
+  return {
+    mode: 'deterministic',
+    spread,
+    resonance: average('resonance'),
+    clarity: average('clarity'),
+    flux: average('flux'),
+    emergence: average('emergence'),
+    pattern: focus.pattern,
+    message: focus.message,
+    positions
+  };
+}
+
+/**
+ * One dictionary drawing from several: patterns and messages in order,
+ * each name once (a repeated pattern keeps its first pool)
+ */
+function combineDictionaries(dictionaries) {
+  const patterns = [];
+  const pools = [];
+  const messages = [];
+  dictionaries.forEach(dictionary => {
+    dictionary.patterns.forEach((pattern, index) => {
+      if (!patterns.includes(pattern)) {
+        patterns.push(pattern);
+        pools.push(dictionary.pools[index] || null);
+      }
+    });
+    dictionary.messages.forEach(message => {
+      if (!messages.includes(message)) {
+        messages.push(message);
+      }
+    });
+  });
+  return { patterns, messages, pools };
+}
+
+/**
+ * Joint "synastry" reading for several souls asked one question
+ * members: [{ seed, epochNumber, dictionary?, deck?, locale? }] — order
+ * does not matter, so the same souls at the same point in their
+ * histories give the same reading. The joint reading draws from every
+ * member's dictionary (classic when none is given); when a member reads
+ * from a deck, decks records { deck, locale } per member, in the given
+ * order, so the reading can be recomputed.
+ */
+function generateSynastryReading(question, members) {
+  const bondKey = member => `${member.seed}:${member.epochNumber}`;
+  const sorted = [...members].sort((a, b) => (bondKey(a) < bondKey(b) ? -1 : bondKey(a) > bondKey(b) ? 1 : 0));
+  const bond = sorted.map(bondKey).join('|');
+  const dictionary = combineDictionaries(sorted.map(member => member.dictionary || CLASSIC_DICTIONARY));
+  const reading = generateDeterministicReading(question, `synastry|${bond}`, members.length, dictionary);
+  if (!members.some(member => member.deck)) {
+    return { ...reading, mode: 'synastry' };
+  }
+  const decks = members.map(member => (member.deck
+    ? { deck: member.deck, ...(member.locale ? { locale: member.locale } : {}) }
+    : null));
+  return { ...reading, mode: 'synastry', decks };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🃏 SPREAD RENDERING
+// ═══════════════════════════════════════════════════════════════
+
+const CARD_WIDTH = 20;
+const CARD_TEXT_WIDTH = CARD_WIDTH - 4;
+
+/**
+ * Text cut to the card's width, with an ellipsis when it was longer
+ * (deck pattern names run up to 40 characters)
+ */
+function fitCard(text) {
+  const characters = [...text];
+  return characters.length > CARD_TEXT_WIDTH ? `${characters.slice(0, CARD_TEXT_WIDTH - 1).join('')}…` : text;
+}
+
+/**
+ * One spread position as a small boxed card
+ */
+function spreadCard(card) {
+  const line = text => {
+    const fitted = fitCard(text);
+    return `│ ${fitted}${' '.repeat(CARD_TEXT_WIDTH - [...fitted].length)} │`;
+  };
+  return [
+    `┌${'─'.repeat(CARD_WIDTH - 2)}┐`,
+    line(card.label.toUpperCase()),
+    line(card.pattern),
+    line(`R ${String(card.resonance).padStart(3)}  C ${String(card.clarity).padStart(3)}`),
+    line(`F ${String(card.flux).padStart(3)}  E ${String(card.emergence).padStart(3)}`),
+    `└${'─'.repeat(CARD_WIDTH - 2)}┘`
+  ];
+}
+
+/**
+ * Places cards side by side; null leaves a card-sized gap
+ */
+function cardRow(cards) {
+  const blank = Array(6).fill(' '.repeat(CARD_WIDTH));
+  const columns = cards.map(card => (card ? spreadCard(card) : blank));
+  return columns[0].map((_, row) => '  ' + columns.map(column => column[row]).join('  ').trimEnd());
+}
+
+/**
+ * Card layout per spread: a row in time order, a top-to-bottom path,
+ * or a cross with the heart in the middle
+ */
+function spreadLayout(reading) {
+  const layout = SPREADS[reading.spread] ? SPREADS[reading.spread].layout : 'row';
+  const card = key => reading.positions.find(position => position.position === key);
+
+  if (layout === 'path') {
+    const arrow = `  ${' '.repeat(CARD_WIDTH / 2 - 1)}▼`;
+    return reading.positions.flatMap((position, index) => (index === 0 ? [] : [arrow]).concat(cardRow([position])));
+  }
+  if (layout === 'cross') {
+    return [
+      ...cardRow([null, card('guidance')]),
+      ...cardRow([card('past'), card('heart'), card('future')]),
+      ...cardRow([null, card('foundation')])
+    ];
+  }
+  return cardRow(reading.positions);
+}
+
+/**
+ * Displays a multi-position spread: header, card layout, then each
+ * position's message and the overall averages
+ */
+function displaySpread(reading, epochNumber) {
+  const title = SPREADS[reading.spread] ? SPREADS[reading.spread].title : reading.spread;
+
+  console.log('\n╔═══════════════════════════════════════════════════════════════╗');
+  console.log(`║  🔮 EPOCH ${epochNumber} SPREAD [${title.toUpperCase()}]`);
+  console.log('╚═══════════════════════════════════════════════════════════════╝');
+  spreadLayout(reading).forEach(line => console.log(line));
+
+  console.log('');
+  const width = Math.max(...reading.positions.map(position => position.label.length)) + 1;
+  reading.positions.forEach(position => {
+    console.log(`  📜 ${`${position.label}:`.padEnd(width)} "${position.message}"`);
+  });
+  console.log(`\n  🌌 Focus: ${reading.pattern} · Overall R${reading.resonance} C${reading.clarity} F${reading.flux} E${reading.emergence}\n`);
+}
+
 /**
  * Displays oracle reading with visual formatting
  */
 function displayReading(reading, epochNumber) {
+  if (reading.positions) {
+    displaySpread(reading, epochNumber);
+    return;
+  }
+
   const modeLabel = reading.mode.toUpperCase();
   
   console.log('\n╔═══════════════════════════════════════════════════════════════╗');
@@ -109,6 +374,12 @@ function displayReading(reading, epochNumber) {
   console.log('╠═══════════════════════════════════════════════════════════════╣');
   console.log(`║  📜 Oracle: "${reading.message}"`);
   
+  // Quantum mode was asked for, but the Forge did not enhance
+  if (reading.quantumDiagnostic) {
+    console.log('╠═══════════════════════════════════════════════════════════════╣');
+    console.log(`║  ⚡ Quantum layer unavailable [${reading.quantumDiagnostic.code}], deterministic reading`);
+  }
+  
   // Quantum insights
   if (reading.quantumInsight) {
     console.log('╠═══════════════════════════════════════════════════════════════╣');
@@ -130,7 +401,12 @@ function displayReading(reading, epochNumber) {
 
 module.exports = {
   PATTERNS,
+  PATTERN_MEANINGS,
   MESSAGES,
+  CLASSIC_DICTIONARY,
   generateDeterministicReading,
-  displayReading
+  generateSynastryReading,
+  generateSpreadReading,
+  displayReading,
+  SPREADS
 };
@@ -0,0 +1,1661 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🔐 OINIO SOUL STORE — Encrypted Persistence Layer
+ * ═══════════════════════════════════════════════════════════════
+ *  Cryptographic primitives, user accounts and per-user encrypted
+ *  soul registries. Never prints: every call returns a result.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// ═══════════════════════════════════════════════════════════════
+// 🛡️ PKG-SAFE PATH RESOLUTION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Default data directory: DATA_DIR / BASE_PATH, else the executable
+ * directory (pkg binary) or the current working directory (node script)
+ */
+function getDefaultBasePath() {
+  if (config.DATA_DIR || config.BASE_PATH) {
+    return path.resolve(config.DATA_DIR || config.BASE_PATH);
+  }
+  // When running as pkg binary, use executable directory
+  if (process.pkg) {
+    return path.dirname(process.execPath);
+  }
+  // When running as node script, use current working directory
+  return process.cwd();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔐 CRYPTOGRAPHIC PRIMITIVES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Derives a deterministic 32-byte key from passphrase
+ */
+function deriveKey(passphrase) {
+  return crypto.createHash('sha256').update(passphrase, 'utf8').digest();
+}
+
+/**
+ * Encrypts plaintext with AES-256-GCM
+ * Returns: {iv, authTag, encrypted}
+ */
+function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return { iv, authTag, encrypted };
+}
+
+/**
+ * Decrypts ciphertext with AES-256-GCM
+ * Returns: plaintext or null on failure
+ */
+function decrypt(iv, authTag, encrypted, key) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(authTag);
+    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    return decrypted.toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧂 KEY DERIVATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parameters implied by files written before versioned containers
+ */
+const LEGACY_PASSWORD_KDF = { algorithm: 'pbkdf2-sha512', iterations: 100000, keyLength: 64 };
+const LEGACY_SOUL_KDF = { algorithm: 'pbkdf2-sha256', iterations: 100000, keyLength: 32 };
+
+// Upper bounds for parameters read from files, so a tampered header
+// cannot make login spin for hours
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const MAX_SCRYPT_COST = 1 << 20;
+
+/**
+ * Current KDF parameters from config (salt is added by the caller)
+ */
+function currentKdfParams(keyLength, pbkdf2Digest) {
+  if (config.KDF_ALGORITHM === 'scrypt') {
+    return {
+      algorithm: 'scrypt',
+      cost: config.SCRYPT_COST,
+      blockSize: config.SCRYPT_BLOCK_SIZE,
+      parallelization: config.SCRYPT_PARALLELIZATION,
+      keyLength
+    };
+  }
+  return { algorithm: `pbkdf2-${pbkdf2Digest}`, iterations: config.PBKDF2_ITERATIONS, keyLength };
+}
+
+/**
+ * KDF parameters for new password hashes
+ */
+function passwordKdfParams() {
+  return currentKdfParams(64, 'sha512');
+}
+
+/**
+ * KDF parameters for new soul data keys
+ */
+function soulKdfParams(salt) {
+  return { ...currentKdfParams(config.PBKDF2_KEY_LENGTH, config.PBKDF2_DIGEST), salt };
+}
+
+/**
+ * Checks KDF parameters are supported and within sane bounds
+ * Returns: error message or null when valid
+ */
+function validateKdfParams(params) {
+  if (!params || typeof params !== 'object') {
+    return 'missing KDF parameters';
+  }
+  if (!Number.isInteger(params.keyLength) || params.keyLength < 16 || params.keyLength > 64) {
+    return 'invalid KDF key length';
+  }
+  if (params.algorithm === 'pbkdf2-sha256' || params.algorithm === 'pbkdf2-sha512') {
+    if (!Number.isInteger(params.iterations) || params.iterations < 1 || params.iterations > MAX_PBKDF2_ITERATIONS) {
+      return 'invalid PBKDF2 iteration count';
+    }
+    return null;
+  }
+  if (params.algorithm === 'scrypt') {
+    const { cost, blockSize, parallelization } = params;
+    if (!Number.isInteger(cost) || cost < 2 || cost > MAX_SCRYPT_COST || (cost & (cost - 1)) !== 0) {
+      return 'invalid scrypt cost';
+    }
+    if (!Number.isInteger(blockSize) || blockSize < 1 || blockSize > 64 ||
+        !Number.isInteger(parallelization) || parallelization < 1 || parallelization > 16) {
+      return 'invalid scrypt block size or parallelization';
+    }
+    return null;
+  }
+  return `unsupported KDF algorithm: ${params.algorithm}`;
+}
+
+/**
+ * Derives key bytes from a password with explicit KDF parameters
+ * Returns: Buffer of params.keyLength bytes
+ */
+function deriveKeyWithParams(password, salt, params) {
+  const error = validateKdfParams(params);
+  if (error) {
+    throw new Error(error);
+  }
+
+  if (params.algorithm === 'scrypt') {
+    return crypto.scryptSync(password, salt, params.keyLength, {
+      N: params.cost,
+      r: params.blockSize,
+      p: params.parallelization,
+      maxmem: 256 * params.cost * params.blockSize
+    });
+  }
+
+  const digest = params.algorithm.substring('pbkdf2-'.length);
+  return crypto.pbkdf2Sync(password, salt, params.iterations, params.keyLength, digest);
+}
+
+/**
+ * Compares two KDF descriptors (algorithm, cost parameters and salt)
+ */
+function sameKdfParams(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  const fields = ['algorithm', 'iterations', 'cost', 'blockSize', 'parallelization', 'keyLength', 'salt'];
+  return fields.every(field => a[field] === b[field]);
+}
+
+/**
+ * Hashes a password with the current KDF parameters
+ * Returns: {salt, hash, kdf} where salt and hash are hex strings
+ */
+function hashPassword(password, params = passwordKdfParams()) {
+  const salt = crypto.randomBytes(32).toString('hex');
+  const hash = deriveKeyWithParams(password, salt, params).toString('hex');
+  return { salt, hash, kdf: params };
+}
+
+/**
+ * Derives a soul data key: { key, kdf } where kdf (including salt)
+ * is recorded in the header of every container sealed with it
+ */
+function deriveEncryptionKey(password, kdf) {
+  return { key: deriveKeyWithParams(password, kdf.salt, kdf), kdf };
+}
+
+/**
+ * Verifies a password against stored salt and hash
+ * Uses constant-time comparison to prevent timing attacks
+ */
+function verifyPassword(password, salt, hash, params = LEGACY_PASSWORD_KDF) {
+  let computedHash;
+  try {
+    computedHash = deriveKeyWithParams(password, salt, params);
+  } catch (err) {
+    return false;
+  }
+  const storedHash = Buffer.from(hash, 'hex');
+
+  // Use timingSafeEqual for constant-time comparison
+  if (computedHash.length !== storedHash.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(computedHash, storedHash);
+}
+
+/**
+ * Stand-in credentials checked for unknown usernames, so a login for
+ * an account that does not exist costs the same key derivation as a
+ * wrong password and timing does not reveal which usernames exist
+ */
+function dummyCredentials() {
+  const kdf = passwordKdfParams();
+  return { salt: '00'.repeat(32), hash: '00'.repeat(kdf.keyLength), kdf };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🏛️ ACCOUNT PROTECTION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Account records live one per file under accounts/. Each file is named
+ * by an HMAC of the username and sealed with a key derived the same way
+ * from the installation master key, which comes from either:
+ *   - a machine-local key file (MASTER_KEY_FILE, default <data>/master.key)
+ *     created with owner-only permissions on first run, or
+ *   - an operator passphrase (MASTER_PASSPHRASE) stretched with the KDF
+ * accounts/master.json records which one the installation uses, plus a
+ * check value so a wrong key file or passphrase is reported clearly.
+ */
+
+/**
+ * Key of the users.enc database written by earlier versions
+ * It was derived from a public constant, so those files are migrated
+ * to account files and deleted on first access
+ */
+function getLegacyUsersDbKey() {
+  return { key: deriveKey('oinio-users-db-v1'), kdf: { algorithm: 'static' } };
+}
+
+/**
+ * Keyed hash of a username under the master key, separated by purpose
+ */
+function masterHmac(masterKey, purpose, username) {
+  return crypto.createHmac('sha256', masterKey).update(`${purpose}:${username}`, 'utf8').digest();
+}
+
+/**
+ * Key sealing one user's account file
+ */
+function accountKey(masterKey, username) {
+  return { key: masterHmac(masterKey, 'account-key', username), kdf: { algorithm: 'master-key' } };
+}
+
+/**
+ * Value stored in master.json to confirm the master key on later runs
+ */
+function masterKeyCheck(masterKey) {
+  return crypto.createHmac('sha256', masterKey).update('oinio-master-check', 'utf8').digest('hex');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🚦 LOGIN THROTTLING
+// ═══════════════════════════════════════════════════════════════
+
+// Failed attempts kept for the audit shown at the next successful login
+const MAX_FAILURE_LOG = 50;
+
+/**
+ * Wait imposed after the nth consecutive failed login
+ * Doubles from LOGIN_BACKOFF_BASE_MS; from the lockout threshold on,
+ * every failure locks the account for LOGIN_LOCKOUT_MS
+ */
+function loginDelayMs(failures) {
+  if (failures >= config.LOGIN_LOCKOUT_THRESHOLD) {
+    return config.LOGIN_LOCKOUT_MS;
+  }
+  return Math.min(config.LOGIN_BACKOFF_BASE_MS * 2 ** (failures - 1), config.LOGIN_LOCKOUT_MS);
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+}
+
+function appendFailure(account, entry) {
+  return [...(account.failureLog || []), entry].slice(-MAX_FAILURE_LOG);
+}
+
+/**
+ * Account record after a failed login (counter, audit entry, lock)
+ */
+function recordFailedLogin(account, source, now = Date.now()) {
+  const failedAttempts = (account.failedAttempts || 0) + 1;
+  const failureLog = appendFailure(account, { at: new Date(now).toISOString(), source });
+  return {
+    ...account,
+    failedAttempts,
+    failureLog,
+    lockedUntil: new Date(now + loginDelayMs(failedAttempts)).toISOString()
+  };
+}
+
+/**
+ * Refusal for an account still inside its backoff or lockout window
+ * Returns: failure result with code LOCKED, or null if logins are allowed
+ */
+function checkLoginLock(account, now = Date.now()) {
+  const remaining = account.lockedUntil ? Date.parse(account.lockedUntil) - now : 0;
+  if (!(remaining > 0)) {
+    return null;
+  }
+
+  const error = account.failedAttempts >= config.LOGIN_LOCKOUT_THRESHOLD
+    ? `Account locked after ${account.failedAttempts} failed attempts. Try again in ${formatWait(remaining)}.`
+    : `Too many failed attempts. Try again in ${formatWait(remaining)}.`;
+  return { success: false, error, code: 'LOCKED', retryAfterMs: remaining };
+}
+
+/**
+ * Account record after an attempt refused while locked: audited, but
+ * the counter and the lock are left alone so refusals cannot extend it
+ */
+function recordRefusedLogin(account, source, now = Date.now()) {
+  return { ...account, failureLog: appendFailure(account, { at: new Date(now).toISOString(), source, locked: true }) };
+}
+
+/**
+ * Account record with throttling state cleared
+ */
+function clearFailedLogins(account) {
+  const { failedAttempts, failureLog, lockedUntil, ...rest } = account;
+  return rest;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📦 ENCRYPTED BUNDLES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Container layouts:
+ *   version 2 (keyed):     { format, version, cipher, kdf, iv, authTag, data }
+ *   version 3 (envelope):  { format, version, cipher, keyId, keySlots, iv, authTag, data }
+ * A keyed container records how its key was derived (algorithm, cost,
+ * salt) so parameters can change without locking out existing files.
+ * An envelope container is sealed with a random data key; each key slot
+ * wraps that data key under one secret (password or recovery phrase).
+ * Version 1 (legacy) is the bare { iv, authTag, data } object.
+ */
+const CONTAINER_FORMAT = 'oinio-container';
+const KEYED_CONTAINER_VERSION = 2;
+const ENVELOPE_CONTAINER_VERSION = 3;
+const CONTAINER_VERSION = ENVELOPE_CONTAINER_VERSION;
+const CONTAINER_CIPHER = 'aes-256-gcm';
+
+/**
+ * Serializes a value into an encrypted container string
+ * cryptoKey: { key, kdf }
+ */
+function sealBundle(value, cryptoKey) {
+  const { iv, authTag, encrypted } = encrypt(JSON.stringify(value), cryptoKey.key);
+  return JSON.stringify({
+    format: CONTAINER_FORMAT,
+    version: KEYED_CONTAINER_VERSION,
+    cipher: CONTAINER_CIPHER,
+    kdf: cryptoKey.kdf,
+    iv: iv.toString('hex'),
+    authTag: authTag.toString('hex'),
+    data: encrypted.toString('hex')
+  });
+}
+
+/**
+ * Parses a container and validates its header without decrypting
+ * Returns: { success: true, bundle, header: { version, cipher, kdf, keyId, keySlots } }
+ * Legacy containers report version 1 and kdf null; only envelope
+ * containers carry keyId and keySlots
+ */
+function parseContainer(content, label) {
+  let bundle;
+  try {
+    bundle = JSON.parse(content);
+  } catch (err) {
+    return { success: false, error: `Invalid ${label} format: ${err.message}` };
+  }
+
+  // Validate bundle structure
+  if (!bundle || typeof bundle !== 'object') {
+    return { success: false, error: `Invalid ${label} format: not an object` };
+  }
+
+  if (!bundle.iv || !bundle.authTag || !bundle.data) {
+    return { success: false, error: `Invalid ${label} format: missing required fields` };
+  }
+
+  if (typeof bundle.iv !== 'string' || typeof bundle.authTag !== 'string' || typeof bundle.data !== 'string') {
+    return { success: false, error: `Invalid ${label} format: fields must be strings` };
+  }
+
+  if (bundle.version === undefined) {
+    return { success: true, bundle, header: { version: 1, cipher: CONTAINER_CIPHER, kdf: null } };
+  }
+
+  if (bundle.format !== CONTAINER_FORMAT || !Number.isInteger(bundle.version)) {
+    return { success: false, error: `Invalid ${label} format: unknown container header` };
+  }
+
+  if (bundle.version > CONTAINER_VERSION) {
+    return { success: false, error: `${label} uses container version ${bundle.version}; upgrade OINIO to open it` };
+  }
+
+  if (bundle.cipher !== CONTAINER_CIPHER) {
+    return { success: false, error: `Unsupported ${label} cipher: ${bundle.cipher}` };
+  }
+
+  if (bundle.version === ENVELOPE_CONTAINER_VERSION) {
+    if (typeof bundle.keyId !== 'string' || !Array.isArray(bundle.keySlots) ||
+        !bundle.keySlots.every(isValidKeySlot)) {
+      return { success: false, error: `Invalid ${label} format: malformed key slots` };
+    }
+    return {
+      success: true,
+      bundle,
+      header: { version: bundle.version, cipher: bundle.cipher, keyId: bundle.keyId, keySlots: bundle.keySlots }
+    };
+  }
+
+  return { success: true, bundle, header: { version: bundle.version, cipher: bundle.cipher, kdf: bundle.kdf } };
+}
+
+/**
+ * Parses and decrypts a container string
+ * keys: candidate { key, kdf } objects; a version 2 header selects the
+ * matching one, a legacy container is tried against each (GCM rejects
+ * the wrong key)
+ * Returns: { success: true, value, header, needsMigration } or { success: false, error }
+ */
+function openBundle(content, keys, label) {
+  const parsed = parseContainer(content, label);
+  if (!parsed.success) {
+    return parsed;
+  }
+  const { bundle, header } = parsed;
+
+  if (header.version === ENVELOPE_CONTAINER_VERSION) {
+    return { success: false, error: `Unexpected ${label} format: envelope container` };
+  }
+
+  const candidates = header.kdf
+    ? keys.filter(candidate => sameKdfParams(candidate.kdf, header.kdf))
+    : keys;
+
+  const iv = Buffer.from(bundle.iv, 'hex');
+  const authTag = Buffer.from(bundle.authTag, 'hex');
+  const encrypted = Buffer.from(bundle.data, 'hex');
+
+  let plaintext = null;
+  for (const candidate of candidates) {
+    plaintext = decrypt(iv, authTag, encrypted, candidate.key);
+    if (plaintext !== null) {
+      break;
+    }
+  }
+
+  if (plaintext === null) {
+    return { success: false, error: `Failed to decrypt ${label}. Wrong password or corrupted data.` };
+  }
+
+  // Next save re-seals with keys[0]; flag files that will change
+  const needsMigration = header.version < KEYED_CONTAINER_VERSION || !sameKdfParams(keys[0].kdf, header.kdf);
+
+  try {
+    return { success: true, value: JSON.parse(plaintext), header, needsMigration };
+  } catch (err) {
+    return { success: false, error: `Corrupted ${label}: ${err.message}` };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🗝️ DATA KEYS & RECOVERY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Key slot: { type, kdf, iv, authTag, wrappedKey }
+ * kdf (including salt) derives the wrapping key from the slot's secret:
+ * the account password or the recovery phrase
+ */
+const KEY_SLOT_TYPES = ['password', 'recovery'];
+
+function isValidKeySlot(slot) {
+  return Boolean(slot) && typeof slot === 'object' &&
+    KEY_SLOT_TYPES.includes(slot.type) &&
+    Boolean(slot.kdf) && typeof slot.kdf.salt === 'string' &&
+    typeof slot.iv === 'string' && typeof slot.authTag === 'string' && typeof slot.wrappedKey === 'string';
+}
+
+/**
+ * Short fingerprint of a data key, stored in the envelope header so a
+ * session can tell the file was re-keyed without trying to decrypt it
+ */
+function dataKeyId(dataKey) {
+  return crypto.createHash('sha256').update(dataKey).digest('hex').substring(0, 16);
+}
+
+/**
+ * Wraps a data key under a secret with the current KDF parameters
+ * Returns: key slot
+ */
+function wrapDataKey(dataKey, secret, type) {
+  const kdf = soulKdfParams(crypto.randomBytes(32).toString('hex'));
+  const { iv, authTag, encrypted } = encrypt(dataKey.toString('hex'), deriveKeyWithParams(secret, kdf.salt, kdf));
+  return {
+    type,
+    kdf,
+    iv: iv.toString('hex'),
+    authTag: authTag.toString('hex'),
+    wrappedKey: encrypted.toString('hex')
+  };
+}
+
+/**
+ * Unwraps a data key from a key slot
+ * Returns: Buffer or null if the secret is wrong or the slot is damaged
+ */
+function unwrapDataKey(slot, secret) {
+  if (validateKdfParams(slot.kdf)) {
+    return null;
+  }
+  const wrappingKey = deriveKeyWithParams(secret, slot.kdf.salt, slot.kdf);
+  const plaintext = decrypt(
+    Buffer.from(slot.iv, 'hex'),
+    Buffer.from(slot.authTag, 'hex'),
+    Buffer.from(slot.wrappedKey, 'hex'),
+    wrappingKey
+  );
+  return plaintext === null ? null : Buffer.from(plaintext, 'hex');
+}
+
+/**
+ * Keyring held by a logged-in session: { dataKey, keyId, slots, legacyKeys }
+ * slots are written only when the file has none yet (new account or
+ * migration from a keyed/legacy file); legacyKeys read those old files
+ */
+function createKeyring(dataKey, slots, legacyKeys = []) {
+  return { dataKey, keyId: dataKeyId(dataKey), slots, legacyKeys };
+}
+
+/**
+ * Serializes a value into an envelope container sealed with the keyring's data key
+ */
+function sealEnvelope(value, keyring, slots) {
+  const { iv, authTag, encrypted } = encrypt(JSON.stringify(value), keyring.dataKey);
+  return JSON.stringify({
+    format: CONTAINER_FORMAT,
+    version: ENVELOPE_CONTAINER_VERSION,
+    cipher: CONTAINER_CIPHER,
+    keyId: keyring.keyId,
+    keySlots: slots,
+    iv: iv.toString('hex'),
+    authTag: authTag.toString('hex'),
+    data: encrypted.toString('hex')
+  });
+}
+
+/**
+ * Decrypts a parsed envelope container with an unwrapped data key
+ */
+function openEnvelope(bundle, dataKey, label) {
+  const plaintext = decrypt(
+    Buffer.from(bundle.iv, 'hex'),
+    Buffer.from(bundle.authTag, 'hex'),
+    Buffer.from(bundle.data, 'hex'),
+    dataKey
+  );
+  if (plaintext === null) {
+    return { success: false, error: `Failed to decrypt ${label}. Wrong password or corrupted data.` };
+  }
+  try {
+    return { success: true, value: JSON.parse(plaintext) };
+  } catch (err) {
+    return { success: false, error: `Corrupted ${label}: ${err.message}` };
+  }
+}
+
+// Crockford base32 (no I, L, O, U) so a handwritten phrase reads back cleanly
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_PHRASE_LENGTH = 32; // 160 bits
+
+/**
+ * Generates a printable recovery phrase: eight dash-separated groups of four
+ */
+function generateRecoveryPhrase() {
+  // 256 is a multiple of 32, so masking keeps every symbol equally likely
+  const symbols = Array.from(crypto.randomBytes(RECOVERY_PHRASE_LENGTH), byte => RECOVERY_ALPHABET[byte & 31]);
+  return symbols.join('').match(/.{4}/g).join('-');
+}
+
+/**
+ * Canonical form of a typed recovery phrase (case, spacing and dashes
+ * ignored; O read as 0, I and L as 1)
+ * Returns: normalized phrase or null if it cannot be a recovery phrase
+ */
+function normalizeRecoveryPhrase(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const normalized = input.toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (normalized.length !== RECOVERY_PHRASE_LENGTH ||
+      ![...normalized].every(symbol => RECOVERY_ALPHABET.includes(symbol))) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Gracefully checks if file exists (pkg-safe)
+ */
+function fileExists(filepath) {
+  try {
+    return fs.existsSync(filepath);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Creates a file only if it does not exist yet, never exposing partial content
+ * Returns: true if this call created it, false if it already existed
+ */
+function createFileExclusive(filepath, content) {
+  const tempFile = `${filepath}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const fd = fs.openSync(tempFile, 'wx', 0o600);
+  try {
+    try {
+      fs.writeSync(fd, content, null, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // link() fails if the target exists, so concurrent first runs agree on one file
+    fs.linkSync(tempFile, filepath);
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return false;
+    }
+    throw err;
+  } finally {
+    fs.unlinkSync(tempFile);
+  }
+}
+
+/**
+ * Replaces a file so readers only ever see the old or the new content
+ * Writes a temp file in the same directory, fsyncs it, renames it over
+ * the target, then fsyncs the directory so the rename survives a crash.
+ * Throws on failure, leaving the target untouched.
+ */
+function writeFileAtomic(filepath, content) {
+  const tempFile = `${filepath}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    const fd = fs.openSync(tempFile, 'wx', 0o600);
+    try {
+      fs.writeSync(fd, content, null, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, filepath);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempFile);
+    } catch (cleanupErr) {
+      // Never created, or already renamed
+    }
+    throw err;
+  }
+
+  try {
+    const dirFd = fs.openSync(path.dirname(filepath), 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (err) {
+    // Directories cannot be opened for fsync on every platform (Windows)
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🚚 PORTABLE SOUL BUNDLES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Export files move souls between machines and accounts:
+ *   plain:     { format: 'oinio-souls', version, exportedAt, souls }
+ *   encrypted: that object in a keyed container (version 2) whose key
+ *              comes from a transfer passphrase, not an account password
+ */
+const TRANSFER_FORMAT = 'oinio-souls';
+const TRANSFER_VERSION = 1;
+
+/**
+ * Serializes an export payload, sealed when a passphrase is given
+ */
+function sealTransferBundle(payload, passphrase) {
+  if (!passphrase) {
+    return JSON.stringify(payload, null, 2) + '\n';
+  }
+  const kdf = soulKdfParams(crypto.randomBytes(32).toString('hex'));
+  return sealBundle(payload, { key: deriveKeyWithParams(passphrase, kdf.salt, kdf), kdf });
+}
+
+/**
+ * Reads an export file, decrypting it if needed
+ * Returns: { success: true, payload, encrypted } or { success: false, error, code }
+ * code AUTH means the passphrase is missing (encrypted: true) or wrong
+ */
+function openTransferBundle(content, passphrase) {
+  const invalid = error => ({ success: false, error, code: 'INVALID' });
+
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (err) {
+    return invalid(`Invalid soul bundle: ${err.message}`);
+  }
+
+  let encrypted = false;
+  if (!value || value.format !== TRANSFER_FORMAT) {
+    const parsed = parseContainer(content, 'soul bundle');
+    if (!parsed.success) {
+      return invalid(parsed.error);
+    }
+    if (parsed.header.version !== KEYED_CONTAINER_VERSION) {
+      return invalid('Not an OINIO soul bundle');
+    }
+    if (!passphrase) {
+      return { success: false, error: 'Soul bundle is encrypted; a transfer passphrase is required', code: 'AUTH', encrypted: true };
+    }
+    const kdfError = validateKdfParams(parsed.header.kdf);
+    if (kdfError) {
+      return invalid(`Invalid soul bundle: ${kdfError}`);
+    }
+
+    const { kdf } = parsed.header;
+    const opened = openBundle(content, [{ key: deriveKeyWithParams(passphrase, kdf.salt, kdf), kdf }], 'soul bundle');
+    if (!opened.success) {
+      return { success: false, error: 'Wrong transfer passphrase or corrupted soul bundle', code: 'AUTH' };
+    }
+    value = opened.value;
+    encrypted = true;
+  }
+
+  if (!value || value.format !== TRANSFER_FORMAT || !Array.isArray(value.souls)) {
+    return invalid('Not an OINIO soul bundle');
+  }
+  if (!Number.isInteger(value.version) || value.version > TRANSFER_VERSION) {
+    return invalid(`Soul bundle version ${value.version} is not supported; upgrade OINIO to import it`);
+  }
+  return { success: true, payload: value, encrypted };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 💾 SOUL STORE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * File-backed store for user accounts and encrypted soul registries
+ * All data for one installation lives in a single base directory
+ */
+class SoulStore {
+  constructor({ basePath = getDefaultBasePath() } = {}) {
+    this.basePath = basePath;
+    this.legacyUsersFile = path.join(basePath, 'users.enc');
+    this.masterKey = null;
+  }
+
+  /**
+   * Soul file path for a user
+   */
+  getSoulsFilePath(username) {
+    if (!username) {
+      // Backward compatibility: if no username, use default file
+      return path.join(this.basePath, 'souls.enc');
+    }
+    return path.join(this.basePath, `souls_${username}.enc`);
+  }
+
+  getAccountsDir() {
+    return path.join(this.basePath, 'accounts');
+  }
+
+  /**
+   * Machine-local master key file (MASTER_KEY_FILE can move it off the data volume)
+   */
+  getMasterKeyFile() {
+    return config.MASTER_KEY_FILE ? path.resolve(config.MASTER_KEY_FILE) : path.join(this.basePath, 'master.key');
+  }
+
+  /**
+   * Account file path for a user; the name reveals nothing without the master key
+   */
+  getAccountFilePath(username, masterKey) {
+    const id = masterHmac(masterKey, 'account-id', username).toString('hex').substring(0, 32);
+    return path.join(this.getAccountsDir(), `${id}.enc`);
+  }
+
+  /**
+   * Resolves the installation master key that protects account files
+   * The first run records the protection mode in accounts/master.json;
+   * later runs must present the same key file or passphrase
+   * Returns: { success: true, key } or { success: false, error }
+   */
+  resolveMasterKey() {
+    if (this.masterKey) {
+      return { success: true, key: this.masterKey };
+    }
+
+    const descriptorFile = path.join(this.getAccountsDir(), 'master.json');
+    let descriptor = null;
+    try {
+      if (fileExists(descriptorFile)) {
+        descriptor = JSON.parse(fs.readFileSync(descriptorFile, 'utf8'));
+      }
+    } catch (err) {
+      return { success: false, error: `Failed to read ${descriptorFile}: ${err.message}` };
+    }
+
+    const mode = descriptor ? descriptor.mode : (config.MASTER_PASSPHRASE ? 'passphrase' : 'keyfile');
+    let key;
+    let kdf;
+
+    if (mode === 'passphrase') {
+      if (!config.MASTER_PASSPHRASE) {
+        return { success: false, error: 'This installation is protected by an operator passphrase; set MASTER_PASSPHRASE' };
+      }
+      kdf = descriptor ? descriptor.kdf : soulKdfParams(crypto.randomBytes(32).toString('hex'));
+      if (validateKdfParams(kdf) || typeof kdf.salt !== 'string') {
+        return { success: false, error: `Invalid master key parameters in ${descriptorFile}` };
+      }
+      key = deriveKeyWithParams(config.MASTER_PASSPHRASE, kdf.salt, kdf);
+    } else if (mode === 'keyfile') {
+      const loaded = this.loadMasterKeyFile(!descriptor);
+      if (!loaded.success) {
+        return loaded;
+      }
+      key = loaded.key;
+    } else {
+      return { success: false, error: `Unknown master key mode in ${descriptorFile}: ${mode}` };
+    }
+
+    const check = masterKeyCheck(key);
+    if (!descriptor) {
+      try {
+        fs.mkdirSync(this.getAccountsDir(), { recursive: true, mode: 0o700 });
+        const created = createFileExclusive(descriptorFile, JSON.stringify(kdf ? { mode, kdf, check } : { mode, check }, null, 2));
+        if (!created) {
+          // Another process initialized the installation first; use its choice
+          return this.resolveMasterKey();
+        }
+      } catch (err) {
+        return { success: false, error: `Failed to initialize account protection: ${err.message}` };
+      }
+    } else if (descriptor.check !== check) {
+      return {
+        success: false,
+        error: mode === 'passphrase'
+          ? 'MASTER_PASSPHRASE does not match this installation'
+          : `Master key file ${this.getMasterKeyFile()} does not match this installation`
+      };
+    }
+
+    this.masterKey = key;
+    return { success: true, key };
+  }
+
+  /**
+   * Reads (or on first run creates) the machine-local master key file
+   * Refuses a key file other users can read
+   */
+  loadMasterKeyFile(create) {
+    const keyFile = this.getMasterKeyFile();
+    try {
+      if (!fileExists(keyFile)) {
+        if (!create) {
+          return { success: false, error: `Master key file not found: ${keyFile}` };
+        }
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        createFileExclusive(keyFile, `${crypto.randomBytes(32).toString('hex')}\n`);
+      }
+
+      if (process.platform !== 'win32' && (fs.statSync(keyFile).mode & 0o077) !== 0) {
+        return { success: false, error: `Master key file ${keyFile} is accessible by other users; restrict it with chmod 600` };
+      }
+
+      const hex = fs.readFileSync(keyFile, 'utf8').trim();
+      if (!/^[0-9a-f]{64}$/i.test(hex)) {
+        return { success: false, error: `Invalid master key file: ${keyFile}` };
+      }
+      return { success: true, key: Buffer.from(hex, 'hex') };
+    } catch (err) {
+      return { success: false, error: `Failed to read master key file: ${err.message}` };
+    }
+  }
+
+  /**
+   * Moves accounts out of a users.enc written by earlier versions, then deletes it
+   * Accounts that already have a file (from an interrupted run) are kept
+   */
+  migrateLegacyUsers(masterKey) {
+    if (!fileExists(this.legacyUsersFile)) {
+      return { success: true };
+    }
+
+    try {
+      const result = openBundle(fs.readFileSync(this.legacyUsersFile, 'utf8'), [getLegacyUsersDbKey()], 'users database');
+      if (!result.success) {
+        return result;
+      }
+
+      for (const [username, account] of Object.entries(result.value)) {
+        const accountFile = this.getAccountFilePath(username, masterKey);
+        if (!fileExists(accountFile)) {
+          writeFileAtomic(accountFile, sealBundle({ ...account, username }, accountKey(masterKey, username)));
+        }
+      }
+
+      fs.unlinkSync(this.legacyUsersFile);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: `Failed to migrate users database: ${err.message}` };
+    }
+  }
+
+  /**
+   * Loads one user's account record
+   * Format: { username, salt, hash, kdf, created, failedAttempts?, failureLog?, lockedUntil? }
+   * kdf is absent on accounts created before versioned containers;
+   * encryptionSalt is present on accounts created before envelope encryption
+   * Returns: { success: true, account } where account is null if unknown
+   */
+  loadAccount(username) {
+    const master = this.resolveMasterKey();
+    if (!master.success) {
+      return master;
+    }
+
+    const migrated = this.migrateLegacyUsers(master.key);
+    if (!migrated.success) {
+      return migrated;
+    }
+
+    const accountFile = this.getAccountFilePath(username, master.key);
+    if (!fileExists(accountFile)) {
+      return { success: true, account: null };
+    }
+
+    try {
+      const result = openBundle(fs.readFileSync(accountFile, 'utf8'), [accountKey(master.key, username)], 'account');
+      if (!result.success) {
+        return result;
+      }
+      if (result.value.username !== username) {
+        return { success: false, error: 'Corrupted account: username mismatch' };
+      }
+      return { success: true, account: result.value };
+    } catch (err) {
+      return { success: false, error: `Failed to load account: ${err.message}` };
+    }
+  }
+
+  /**
+   * Saves one user's account record
+   */
+  saveAccount(username, account) {
+    const master = this.resolveMasterKey();
+    if (!master.success) {
+      return master;
+    }
+
+    try {
+      fs.mkdirSync(this.getAccountsDir(), { recursive: true, mode: 0o700 });
+      writeFileAtomic(
+        this.getAccountFilePath(username, master.key),
+        sealBundle({ ...account, username }, accountKey(master.key, username))
+      );
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: `Failed to save account: ${err.message}` };
+    }
+  }
+
+  /**
+   * Registers a new user
+   */
+  registerUser(username, password) {
+    const loaded = this.loadAccount(username);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    if (loaded.account) {
+      return { success: false, error: 'Username already exists', code: 'EXISTS' };
+    }
+
+    const { salt, hash, kdf } = hashPassword(password);
+
+    const account = {
+      salt,           // For password verification
+      hash,           // Password hash
+      kdf,            // Password hash parameters
+      created: new Date().toISOString()
+    };
+
+    if (this.saveAccount(username, account).success) {
+      return { success: true };
+    } else {
+      return { success: false, error: 'Failed to save user' };
+    }
+  }
+
+  /**
+   * Authenticates a user and returns their soul keyring if successful
+   * Failed attempts back off exponentially and lock the account past
+   * LOGIN_LOCKOUT_THRESHOLD; while locked the password is not checked,
+   * but the attempt is still audited.
+   * Password hashes made with outdated parameters are upgraded in place.
+   * source: label recorded with failed attempts (e.g. 'cli', 'api 127.0.0.1')
+   * Returns: { success: true, keyring, failedAttempts } where
+   * failedAttempts lists the failures since the previous successful login
+   */
+  authenticateUser(username, password, { source = 'local' } = {}) {
+    const loaded = this.loadAccount(username);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const user = loaded.account;
+    if (!user) {
+      const dummy = dummyCredentials();
+      verifyPassword(password, dummy.salt, dummy.hash, dummy.kdf);
+      return { success: false, error: 'Invalid username or password', code: 'AUTH' };
+    }
+
+    const locked = checkLoginLock(user);
+    if (locked) {
+      this.saveAccount(username, recordRefusedLogin(user, source));
+      return locked;
+    }
+
+    const passwordKdf = user.kdf || LEGACY_PASSWORD_KDF;
+    if (!verifyPassword(password, user.salt, user.hash, passwordKdf)) {
+      this.saveAccount(username, recordFailedLogin(user, source));
+      return { success: false, error: 'Invalid username or password', code: 'AUTH' };
+    }
+
+    this.resolvePendingSouls(username, password);
+    const unlocked = this.unlockSouls(username, password, user.encryptionSalt);
+    if (!unlocked.success) {
+      return unlocked;
+    }
+
+    const failedAttempts = user.failureLog || [];
+    const outdated = !sameKdfParams(passwordKdf, passwordKdfParams());
+    if (failedAttempts.length > 0 || user.lockedUntil || outdated) {
+      // Best effort: a failed write keeps the old (still valid) hash and audit
+      const account = clearFailedLogins(user);
+      this.saveAccount(username, outdated ? { ...account, ...hashPassword(password) } : account);
+    }
+
+    return { ...unlocked, failedAttempts };
+  }
+
+  /**
+   * Unlocks a user's soul data key with their password
+   * Envelope files unwrap the password slot, re-wrapping it when its
+   * parameters are outdated. Missing, keyed and legacy files get a fresh
+   * data key (plus keys to read the old file) used from the next save.
+   * encryptionSalt: per-user salt of accounts created before envelopes
+   * Returns: { success: true, keyring } or { success: false, error }
+   */
+  unlockSouls(username, password, encryptionSalt) {
+    const current = this.readSoulsContainer(username);
+    if (!current.success) {
+      return current;
+    }
+
+    if (!current.bundle || current.header.version < ENVELOPE_CONTAINER_VERSION) {
+      const legacyKeys = current.bundle ? this.deriveLegacyKeys(password, current.header, encryptionSalt) : [];
+      const dataKey = crypto.randomBytes(32);
+      return { success: true, keyring: createKeyring(dataKey, [wrapDataKey(dataKey, password, 'password')], legacyKeys) };
+    }
+
+    const { bundle, header } = current;
+    const slots = [...header.keySlots];
+    const slotIndex = slots.findIndex(slot => slot.type === 'password');
+    const dataKey = slotIndex === -1 ? null : unwrapDataKey(slots[slotIndex], password);
+    if (!dataKey || dataKeyId(dataKey) !== header.keyId) {
+      return { success: false, error: 'Failed to decrypt soul data. Wrong password or corrupted data.' };
+    }
+
+    const slotKdf = slots[slotIndex].kdf;
+    if (!sameKdfParams(slotKdf, soulKdfParams(slotKdf.salt))) {
+      // Only the header changes; a failed write leaves the old slot in use
+      slots[slotIndex] = wrapDataKey(dataKey, password, 'password');
+      try {
+        writeFileAtomic(this.getSoulsFilePath(username), JSON.stringify({ ...bundle, keySlots: slots }));
+      } catch (err) {
+        slots[slotIndex] = header.keySlots[slotIndex];
+      }
+    }
+
+    return { success: true, keyring: createKeyring(dataKey, slots) };
+  }
+
+  /**
+   * Changes a user's password and re-wraps their soul data key
+   * The data key is rotated too (re-encrypting every soul) unless a
+   * recovery phrase still wraps it
+   * Returns: { success: true, keyring } with the new keyring
+   */
+  changePassword(username, oldPassword, newPassword) {
+    const auth = this.authenticateUser(username, oldPassword);
+    if (!auth.success) {
+      return auth;
+    }
+
+    const loadedSouls = this.loadSouls(username, auth.keyring);
+    if (!loadedSouls.success) {
+      return loadedSouls;
+    }
+
+    const current = this.resolveKeySlots(username, auth.keyring);
+    if (!current.success) {
+      return current;
+    }
+
+    const recoverySlots = current.slots.filter(slot => slot.type === 'recovery');
+    const dataKey = recoverySlots.length > 0 ? auth.keyring.dataKey : crypto.randomBytes(32);
+    const keyring = createKeyring(dataKey, [wrapDataKey(dataKey, newPassword, 'password'), ...recoverySlots]);
+
+    return this.commitCredentials(username, newPassword, sealEnvelope(loadedSouls.souls, keyring, keyring.slots), keyring,
+      auth.keyring);
+  }
+
+  /**
+   * Sets a new password using the recovery phrase instead of the old one
+   * The souls stay sealed with the same data key; only the password
+   * slot is replaced. The recovery phrase keeps working afterwards.
+   * Returns: { success: true, keyring }
+   */
+  resetPasswordWithRecovery(username, recoveryPhrase, newPassword) {
+    const rejected = { success: false, error: 'Invalid username or recovery phrase', code: 'AUTH' };
+
+    const loaded = this.loadAccount(username);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const secret = normalizeRecoveryPhrase(recoveryPhrase);
+    if (!loaded.account || !secret) {
+      return rejected;
+    }
+
+    const current = this.readSoulsContainer(username);
+    if (!current.success) {
+      return current;
+    }
+    if (!current.bundle || current.header.version !== ENVELOPE_CONTAINER_VERSION) {
+      return rejected;
+    }
+
+    const recoverySlots = current.header.keySlots.filter(slot => slot.type === 'recovery');
+    const dataKey = recoverySlots.map(slot => unwrapDataKey(slot, secret)).find(Boolean);
+    if (!dataKey || dataKeyId(dataKey) !== current.header.keyId) {
+      return rejected;
+    }
+
+    const keyring = createKeyring(dataKey, [wrapDataKey(dataKey, newPassword, 'password'), ...recoverySlots]);
+    const staged = JSON.stringify({ ...current.bundle, keySlots: keyring.slots });
+    return this.commitCredentials(username, newPassword, staged, keyring);
+  }
+
+  /**
+   * Swaps in a new password and a re-keyed soul file together
+   * Two-phase: the new soul file is staged next to the live one,
+   * the account record is updated, then the staged file is renamed
+   * into place. Any failure before the rename restores the previous state.
+   * previousKeyring (the one being replaced) lets backups be re-sealed
+   * under a rotated data key.
+   */
+  commitCredentials(username, newPassword, stagedContent, keyring, previousKeyring = null) {
+    const loaded = this.loadAccount(username);
+    if (!loaded.success) {
+      return loaded;
+    }
+    const previousUser = loaded.account;
+
+    const soulsFile = this.getSoulsFilePath(username);
+    const pendingFile = this.getPendingSoulsFilePath(username);
+
+    // Phase 1: stage the re-keyed registry
+    try {
+      writeFileAtomic(pendingFile, stagedContent);
+    } catch (err) {
+      this.removeFile(pendingFile);
+      return { success: false, error: `Failed to re-encrypt souls: ${err.message}` };
+    }
+
+    // Phase 2: commit the new credentials
+    // A new password also lifts any lockout; the audit log is kept for the next login
+    const { failedAttempts, lockedUntil, ...account } = previousUser;
+    const savedAccount = this.saveAccount(username, { ...account, ...hashPassword(newPassword) });
+    if (!savedAccount.success) {
+      this.removeFile(pendingFile);
+      return { success: false, error: `Password unchanged: ${savedAccount.error}` };
+    }
+
+    // Phase 3: swap the staged registry into place
+    this.backupSouls(username);
+    try {
+      fs.renameSync(pendingFile, soulsFile);
+    } catch (err) {
+      if (this.saveAccount(username, previousUser).success) {
+        this.removeFile(pendingFile);
+        return { success: false, error: `Password unchanged: ${err.message}` };
+      }
+      // Both credentials are now new; the staged file is picked up at next login
+      return { success: false, error: `Password changed but souls not yet swapped in: ${err.message}. Log in with the new password to finish.` };
+    }
+
+    this.syncBackupSlots(username, keyring, keyring.slots, previousKeyring);
+    return { success: true, keyring };
+  }
+
+  /**
+   * Staging path for a soul file being re-keyed
+   */
+  getPendingSoulsFilePath(username) {
+    return `${this.getSoulsFilePath(username)}.pending`;
+  }
+
+  /**
+   * Finishes or discards an interrupted password change for a user
+   * A staged file whose password slot opens with the caller's password
+   * belongs to the current credentials and replaces the live file;
+   * otherwise it is stale
+   */
+  resolvePendingSouls(username, password) {
+    const pendingFile = this.getPendingSoulsFilePath(username);
+    if (!fileExists(pendingFile)) {
+      return;
+    }
+
+    try {
+      const staged = parseContainer(fs.readFileSync(pendingFile, 'utf8'), 'soul data');
+      const slot = staged.success && staged.header.keySlots
+        ? staged.header.keySlots.find(candidate => candidate.type === 'password')
+        : null;
+      const dataKey = slot ? unwrapDataKey(slot, password) : null;
+      if (dataKey) {
+        this.backupSouls(username);
+        fs.renameSync(pendingFile, this.getSoulsFilePath(username));
+        this.syncBackupSlots(username, createKeyring(dataKey, staged.header.keySlots), staged.header.keySlots);
+      } else {
+        this.removeFile(pendingFile);
+      }
+    } catch (err) {
+      // Leave it for the next login
+    }
+  }
+
+  /**
+   * Adds a recovery phrase to a user's soul file, replacing any previous one
+   * The phrase is returned once and never stored
+   * Returns: { success: true, recoveryPhrase }
+   */
+  enableRecovery(username, keyring) {
+    const loaded = this.loadSouls(username, keyring);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const current = this.resolveKeySlots(username, keyring);
+    if (!current.success) {
+      return current;
+    }
+
+    const recoveryPhrase = generateRecoveryPhrase();
+    const slots = [
+      ...current.slots.filter(slot => slot.type !== 'recovery'),
+      wrapDataKey(keyring.dataKey, normalizeRecoveryPhrase(recoveryPhrase), 'recovery')
+    ];
+
+    try {
+      this.writeSoulsFile(username, sealEnvelope(loaded.souls, keyring, slots));
+      this.syncBackupSlots(username, keyring, slots);
+      return { success: true, recoveryPhrase };
+    } catch (err) {
+      return { success: false, error: `Failed to save recovery key: ${err.message}` };
+    }
+  }
+
+  /**
+   * Removes the recovery phrase from a user's soul file
+   */
+  disableRecovery(username, keyring) {
+    const loaded = this.loadSouls(username, keyring);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const current = this.resolveKeySlots(username, keyring);
+    if (!current.success) {
+      return current;
+    }
+
+    const slots = current.slots.filter(slot => slot.type !== 'recovery');
+    try {
+      this.writeSoulsFile(username, sealEnvelope(loaded.souls, keyring, slots));
+      this.syncBackupSlots(username, keyring, slots);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: `Failed to remove recovery key: ${err.message}` };
+    }
+  }
+
+  /**
+   * Whether a user's soul file can be unlocked with a recovery phrase
+   */
+  hasRecovery(username) {
+    const current = this.readSoulsContainer(username);
+    return Boolean(current.success && current.header && current.header.keySlots &&
+      current.header.keySlots.some(slot => slot.type === 'recovery'));
+  }
+
+  /**
+   * Deletes a file if present, ignoring errors
+   */
+  removeFile(filepath) {
+    try {
+      fs.unlinkSync(filepath);
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Derives the key for a soul file written before envelope encryption
+   * Returns: [{ key, kdf }] or [] if the header cannot be satisfied
+   */
+  deriveLegacyKeys(password, header, encryptionSalt) {
+    const fileKdf = header.kdf || (encryptionSalt ? { ...LEGACY_SOUL_KDF, salt: encryptionSalt } : null);
+    if (!fileKdf || validateKdfParams(fileKdf) || typeof fileKdf.salt !== 'string') {
+      return [];
+    }
+    return [deriveEncryptionKey(password, fileKdf)];
+  }
+
+  /**
+   * Reads and parses a user's soul file without decrypting it
+   * Returns: { success: true, content, bundle, header } where bundle is
+   * null if the file does not exist yet
+   */
+  readSoulsContainer(username) {
+    const soulsFile = this.getSoulsFilePath(username);
+    if (!fileExists(soulsFile)) {
+      return { success: true, content: null, bundle: null, header: null };
+    }
+
+    try {
+      const content = fs.readFileSync(soulsFile, 'utf8');
+      const parsed = parseContainer(content, 'soul data');
+      if (!parsed.success) {
+        return parsed;
+      }
+      return { success: true, content, bundle: parsed.bundle, header: parsed.header };
+    } catch (err) {
+      return { success: false, error: `Failed to load souls: ${err.message}` };
+    }
+  }
+
+  /**
+   * Key slots the next write of a user's soul file should carry
+   * Slots already on disk win over the keyring's, so a recovery phrase
+   * added in another session is never dropped. A file sealed with a
+   * different data key (re-keyed elsewhere) is refused.
+   */
+  resolveKeySlots(username, keyring) {
+    const current = this.readSoulsContainer(username);
+    if (!current.success) {
+      return current;
+    }
+    if (!current.bundle || current.header.version < ENVELOPE_CONTAINER_VERSION) {
+      return { success: true, slots: keyring.slots };
+    }
+    if (current.header.keyId !== keyring.keyId) {
+      return { success: false, error: 'Soul data was re-keyed in another session. Log in again.', code: 'AUTH' };
+    }
+    return { success: true, slots: current.header.keySlots };
+  }
+
+  /**
+   * Loads a user's encrypted soul registry
+   * keyring: from authenticateUser; files written before envelope
+   * encryption are read with its legacy keys and flagged for migration
+   */
+  loadSouls(username, keyring) {
+    const current = this.readSoulsContainer(username);
+    if (!current.success) {
+      return current;
+    }
+    if (!current.bundle) {
+      return { success: true, souls: {} };
+    }
+
+    if (current.header.version < ENVELOPE_CONTAINER_VERSION) {
+      const result = openBundle(current.content, keyring.legacyKeys, 'soul data');
+      if (!result.success) {
+        return result;
+      }
+      return { success: true, souls: result.value, needsMigration: true };
+    }
+
+    if (current.header.keyId !== keyring.keyId) {
+      return { success: false, error: 'Soul data was re-keyed in another session. Log in again.', code: 'AUTH' };
+    }
+
+    const result = openEnvelope(current.bundle, keyring.dataKey, 'soul data');
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, souls: result.value, needsMigration: false };
+  }
+
+  /**
+   * Saves a user's soul registry as an envelope sealed with the keyring's data key
+   */
+  saveSouls(username, keyring, souls) {
+    const current = this.resolveKeySlots(username, keyring);
+    if (!current.success) {
+      return current;
+    }
+
+    try {
+      this.writeSoulsFile(username, sealEnvelope(souls, keyring, current.slots));
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: `Failed to save souls: ${err.message}` };
+    }
+  }
+
+  /**
+   * Atomically replaces a user's soul file, backing up the previous version
+   */
+  writeSoulsFile(username, content) {
+    this.backupSouls(username);
+    writeFileAtomic(this.getSoulsFilePath(username), content);
+  }
+
+  /**
+   * Directory holding timestamped soul file backups
+   */
+  getBackupDir() {
+    return path.join(this.basePath, 'backups');
+  }
+
+  /**
+   * Copies a user's live soul file into the backup directory and prunes
+   * all but the newest config.BACKUP_COUNT copies
+   * Best effort: a failed backup never blocks the save itself
+   */
+  backupSouls(username) {
+    const soulsFile = this.getSoulsFilePath(username);
+    if (config.BACKUP_COUNT <= 0 || !fileExists(soulsFile)) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.getBackupDir(), { recursive: true, mode: 0o700 });
+      // 2026-10-19T14:25:49.144Z -> 20261019T142549144Z; a save within the
+      // same millisecond takes the next free id, so newest stays newest
+      const backupFileAt = time => {
+        const id = new Date(time).toISOString().replace(/[-:.]/g, '');
+        return path.join(this.getBackupDir(), `souls_${username}.${id}.enc`);
+      };
+      let time = Date.now();
+      while (fileExists(backupFileAt(time))) {
+        time++;
+      }
+      fs.copyFileSync(soulsFile, backupFileAt(time));
+
+      for (const stale of this.listBackupFiles(username).slice(config.BACKUP_COUNT)) {
+        this.removeFile(stale.file);
+      }
+    } catch (err) {
+      // Keep saving even if the backup directory is unwritable
+    }
+  }
+
+  /**
+   * Backup files for a user, newest first
+   * Returns: [{ id, file, created }]
+   */
+  listBackupFiles(username) {
+    let entries;
+    try {
+      entries = fs.readdirSync(this.getBackupDir());
+    } catch (err) {
+      return [];
+    }
+
+    const pattern = /^souls_([a-zA-Z0-9_-]+)\.(\d{8}T\d{9}Z)\.enc$/;
+    return entries
+      .map(entry => entry.match(pattern))
+      .filter(match => match && match[1] === username)
+      .map(match => {
+        const id = match[2];
+        const created = `${id.substring(0, 4)}-${id.substring(4, 6)}-${id.substring(6, 11)}:` +
+          `${id.substring(11, 13)}:${id.substring(13, 15)}.${id.substring(15)}`;
+        return { id, file: path.join(this.getBackupDir(), match[0]), created };
+      })
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Brings backups in line with new key slots after a password or
+   * recovery change, so a retired secret cannot unlock an old copy
+   * Backups sealed under previousKeyring (a data key the change just
+   * rotated) are re-sealed under the new one so they stay restorable.
+   * Backups no key here can open are left as they are, never deleted.
+   */
+  syncBackupSlots(username, keyring, slots, previousKeyring = null) {
+    for (const backup of this.listBackupFiles(username)) {
+      try {
+        const parsed = parseContainer(fs.readFileSync(backup.file, 'utf8'), 'backup');
+        if (parsed.success && parsed.header.keyId === keyring.keyId) {
+          writeFileAtomic(backup.file, JSON.stringify({ ...parsed.bundle, keySlots: slots }));
+        } else if (parsed.success && previousKeyring) {
+          const opened = this.openBackup(backup, previousKeyring);
+          if (opened.success) {
+            writeFileAtomic(backup.file, sealEnvelope(opened.souls, keyring, slots));
+          }
+        }
+      } catch (err) {
+        // Leave the backup as it is
+      }
+    }
+  }
+
+  /**
+   * Lists a user's backups, checking each against the session keyring
+   * Returns: { success: true, backups: [{ id, created, restorable, souls, error? }] }
+   */
+  listBackups(username, keyring) {
+    const backups = this.listBackupFiles(username).map(backup => {
+      const opened = this.openBackup(backup, keyring);
+      return opened.success
+        ? { id: backup.id, created: backup.created, restorable: true, souls: Object.keys(opened.souls).length }
+        : { id: backup.id, created: backup.created, restorable: false, error: opened.error };
+    });
+    return { success: true, backups };
+  }
+
+  /**
+   * Decrypts a backup with the session keyring
+   * Backups sealed under a different data key (e.g. left behind by an
+   * interrupted password change) cannot be restored
+   */
+  openBackup(backup, keyring) {
+    let content;
+    try {
+      content = fs.readFileSync(backup.file, 'utf8');
+    } catch (err) {
+      return { success: false, error: `Failed to read backup: ${err.message}` };
+    }
+
+    const parsed = parseContainer(content, 'backup');
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    if (parsed.header.version < ENVELOPE_CONTAINER_VERSION) {
+      const result = openBundle(content, keyring.legacyKeys, 'backup');
+      return result.success ? { success: true, souls: result.value } : result;
+    }
+
+    if (parsed.header.keyId !== keyring.keyId) {
+      return { success: false, error: 'Backup is sealed with a different data key' };
+    }
+    const result = openEnvelope(parsed.bundle, keyring.dataKey, 'backup');
+    return result.success ? { success: true, souls: result.value } : result;
+  }
+
+  /**
+   * Restores a backup after verifying it decrypts under the current key
+   * The registry is re-sealed with the current key slots, and the live
+   * file is itself backed up first, so a restore can be undone
+   */
+  restoreBackup(username, keyring, id) {
+    const backup = this.listBackupFiles(username).find(candidate => candidate.id === id);
+    if (!backup) {
+      return { success: false, error: `Backup "${id}" not found`, code: 'NOT_FOUND' };
+    }
+
+    const opened = this.openBackup(backup, keyring);
+    if (!opened.success) {
+      return { success: false, error: opened.error, code: 'INVALID' };
+    }
+
+    const saved = this.saveSouls(username, keyring, opened.souls);
+    if (!saved.success) {
+      return saved;
+    }
+    return { success: true, souls: opened.souls };
+  }
+}
+
+module.exports = {
+  SoulStore,
+  getDefaultBasePath,
+  deriveKey,
+  encrypt,
+  decrypt,
+  hashPassword,
+  deriveEncryptionKey,
+  deriveKeyWithParams,
+  verifyPassword,
+  sameKdfParams,
+  validateKdfParams,
+  generateRecoveryPhrase,
+  normalizeRecoveryPhrase,
+  sealTransferBundle,
+  openTransferBundle,
+  TRANSFER_FORMAT,
+  TRANSFER_VERSION,
+  fileExists,
+  writeFileAtomic,
+  CONTAINER_VERSION
+};
@@ -9,544 +9,145 @@
  * ═══════════════════════════════════════════════════════════════
  */
 
-const crypto = require('crypto');
 const fs = require('fs');
-const fsPromises = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
-const { PATTERNS, MESSAGES, generateDeterministicReading, displayReading: displayReadingShared } = require('./oinio-shared');
+const { displayReading: displayReadingShared, PATTERNS, PATTERN_MEANINGS } = require('./oinio-shared');
+const {
+  OinioClient,
+  RESULT_CODES,
+  createSoul,
+  consultOracle,
+  validateUsername,
+  detectQuantumAvailability,
+  diagnoseQuantumBridge,
+  shutdownQuantumBridge,
+  IMPORT_STRATEGIES,
+  SPREADS
+} = require('./oinio-client');
+const { deriveKey, encrypt, decrypt, writeFileAtomic } = require('./oinio-store');
+const { EPOCH_EXPORT_FORMATS } = require('./oinio-export');
+const { describeEpochFilter, parseEpochQuery } = require('./oinio-history');
+const {
+  sparkline,
+  lineChart,
+  ANALYTICS_METRICS,
+  ANALYTICS_PERIODS,
+  HIGH_MARK,
+  LOW_MARK
+} = require('./oinio-analytics');
+const { readDeckFile, CLASSIC_DECK_ID } = require('./oinio-decks');
 
 // ═══════════════════════════════════════════════════════════════
 // ⚡ QUANTUM FORGE BRIDGE (OPTIONAL ENHANCEMENT)
 // ═══════════════════════════════════════════════════════════════
-let quantumBridge = null;
 let isQuantumAvailable = false;
 
-try {
-  // Attempt to load quantum bridge if available
-  const bridgePath = path.join(__dirname, 'oinio-forge-bridge.js');
-  if (fs.existsSync(bridgePath)) {
-    quantumBridge = require('./oinio-forge-bridge.js');
-    // Check if forge is actually available
-    quantumBridge.isForgeAvailable().then(available => {
-      isQuantumAvailable = available;
-    }).catch(() => {
-      isQuantumAvailable = false;
-    });
-  }
-} catch (err) {
-  // Silently continue without quantum enhancement
-  console.log('⚡ Quantum Forge not detected, using standard oracle mode');
-}
-
-// ═══════════════════════════════════════════════════════════════
-// 🛡️ PKG-SAFE PATH RESOLUTION
-// ═══════════════════════════════════════════════════════════════
-const getBasePath = () => {
-  // When running as pkg binary, use executable directory
-  if (process.pkg) {
-    return path.dirname(process.execPath);
-  }
-  // When running as node script, use current working directory
-  return process.cwd();
-};
-
-const BASE_PATH = getBasePath();
-const LINEAGE_FILE = path.join(BASE_PATH, 'lineage.csv');
-const USERS_FILE = path.join(BASE_PATH, 'users.enc');
-
-// Soul file path will be determined per-user
-function getSoulsFilePath(username) {
-  if (!username) {
-    // Backward compatibility: if no username, use default file
-    return path.join(BASE_PATH, 'souls.enc');
-  }
-  return path.join(BASE_PATH, `souls_${username}.enc`);
-}
-
-// ═══════════════════════════════════════════════════════════════
-// 🔐 CRYPTOGRAPHIC PRIMITIVES
-// ═══════════════════════════════════════════════════════════════
-
-/**
- * Derives a deterministic 32-byte key from passphrase
- */
-function deriveKey(passphrase) {
-  return crypto.createHash('sha256').update(passphrase, 'utf8').digest();
-}
-
-/**
- * Encrypts plaintext with AES-256-GCM
- * Returns: {iv, authTag, encrypted}
- */
-function encrypt(plaintext, key) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
-  const authTag = cipher.getAuthTag();
-  return { iv, authTag, encrypted };
-}
-
-/**
- * Decrypts ciphertext with AES-256-GCM
- * Returns: plaintext or null on failure
- */
-function decrypt(iv, authTag, encrypted, key) {
-  try {
-    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-    decipher.setAuthTag(authTag);
-    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
-    return decrypted.toString('utf8');
-  } catch (err) {
-    return null;
-  }
-}
+// Check if forge is actually available; menus read the cached flag
+detectQuantumAvailability().then(available => {
+  isQuantumAvailable = available;
+}).catch(() => {
+  isQuantumAvailable = false;
+});
 
 // ═══════════════════════════════════════════════════════════════
-// 👤 USER AUTHENTICATION SYSTEM
+// 📜 LINEAGE EXPORT
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Hashes a password using PBKDF2 (built-in, no dependencies)
- * Returns: {salt, hash} where both are hex strings
+ * Exports lineage to CSV file (default: lineage.csv in the data directory)
+ * Returns: true on success, false on failure
  */
-function hashPassword(password) {
-  const salt = crypto.randomBytes(32).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
-  return { salt, hash };
-}
-
-/**
- * Derives an encryption key from password and salt using PBKDF2
- * This is used for encrypting/decrypting soul data
- * Returns: 32-byte Buffer suitable for AES-256
- */
-function deriveEncryptionKey(password, salt) {
-  // Use PBKDF2 with high iteration count for better security
-  return crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
-}
-
-/**
- * Verifies a password against stored salt and hash
- * Uses constant-time comparison to prevent timing attacks
- */
-function verifyPassword(password, salt, hash) {
-  const computedHash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512');
-  const storedHash = Buffer.from(hash, 'hex');
-  
-  // Use timingSafeEqual for constant-time comparison
-  if (computedHash.length !== storedHash.length) {
+function exportLineageToCSV(client, outputFile = path.join(client.store.basePath, 'lineage.csv')) {
+  const result = client.exportLineage();
+  if (!result.success) {
+    console.error(`⚠️  Failed to export lineage: ${result.error}`);
     return false;
   }
   
-  return crypto.timingSafeEqual(computedHash, storedHash);
-}
-
-/**
- * Master key for encrypting users database (derived from fixed system identifier)
- * This is separate from user soul encryption keys
- * Note: All installations share this key. Users.enc is primarily for preventing
- * casual access, not for protecting against determined attackers with source code access.
- */
-function getUsersDbKey() {
-  // Use a fixed identifier for the users database encryption
-  // The real security comes from per-user password-based encryption of soul data
-  return deriveKey('oinio-users-db-v1');
-}
-
-/**
- * Saves users database to encrypted file
- * Format: { username: { salt: string, hash: string, created: ISO date } }
- */
-function saveUsers(usersDb) {
   try {
-    const payload = JSON.stringify(usersDb);
-    const key = getUsersDbKey();
-    const { iv, authTag, encrypted } = encrypt(payload, key);
-    
-    const bundle = JSON.stringify({
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex'),
-      data: encrypted.toString('hex')
-    });
-    
-    fs.writeFileSync(USERS_FILE, bundle, 'utf8');
+    fs.writeFileSync(outputFile, result.csv, 'utf8');
+    const emptyNote = result.csv.trim().split('\n').length === 1 ? ' (empty)' : '';
+    console.log(`📜 Lineage exported to: ${outputFile}${emptyNote}`);
     return true;
   } catch (err) {
-    console.error('⚠️  Failed to save users database:', err.message);
+    console.error('⚠️  Failed to export lineage:', err.message);
     return false;
   }
 }
 
 /**
- * Loads users database from encrypted file
- */
-function loadUsers() {
-  if (!fileExists(USERS_FILE)) {
-    return {};
-  }
-  
-  try {
-    const bundle = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-    
-    // Validate bundle structure
-    if (!bundle || typeof bundle !== 'object') {
-      console.error('❌ Invalid users database format: not an object');
-      return null;
-    }
-    
-    if (!bundle.iv || !bundle.authTag || !bundle.data) {
-      console.error('❌ Invalid users database format: missing required fields');
-      return null;
-    }
-    
-    if (typeof bundle.iv !== 'string' || typeof bundle.authTag !== 'string' || typeof bundle.data !== 'string') {
-      console.error('❌ Invalid users database format: fields must be strings');
-      return null;
-    }
-    
-    const key = getUsersDbKey();
-    const iv = Buffer.from(bundle.iv, 'hex');
-    const authTag = Buffer.from(bundle.authTag, 'hex');
-    const encrypted = Buffer.from(bundle.data, 'hex');
-    
-    const plaintext = decrypt(iv, authTag, encrypted, key);
-    if (!plaintext) {
-      console.error('❌ Failed to decrypt users database.');
-      return null;
-    }
-    
-    return JSON.parse(plaintext);
-  } catch (err) {
-    console.error('⚠️  Failed to load users database:', err.message);
-    return null;
-  }
-}
-
-/**
- * Registers a new user
+ * Default file for an epoch-level export in the data directory
  */
-function registerUser(username, password) {
-  const usersDb = loadUsers();
-  if (usersDb === null) {
-    return { success: false, error: 'Failed to load users database' };
-  }
-  
-  if (usersDb[username]) {
-    return { success: false, error: 'Username already exists' };
-  }
-  
-  const { salt, hash } = hashPassword(password);
-  
-  // Generate a separate salt for encrypting soul data
-  // This salt is used with the password to derive the encryption key
-  const encryptionSalt = crypto.randomBytes(32).toString('hex');
-  
-  usersDb[username] = {
-    salt,           // For password verification
-    hash,           // Password hash
-    encryptionSalt, // For deriving soul data encryption key
-    created: new Date().toISOString()
-  };
-  
-  if (saveUsers(usersDb)) {
-    return { success: true };
-  } else {
-    return { success: false, error: 'Failed to save user' };
-  }
+function defaultEpochExportFile(client, format) {
+  const file = format === 'markdown' ? 'journal.md' : `epochs.${EPOCH_EXPORT_FORMATS[format].extension}`;
+  return path.join(client.store.basePath, file);
 }
 
 /**
- * Authenticates a user and returns encryption salt if successful
+ * Writes an epoch-level export (csv, jsonl or markdown)
+ * Returns: the client result plus { file }, or a failure result
  */
-function authenticateUser(username, password) {
-  const usersDb = loadUsers();
-  if (usersDb === null) {
-    return { success: false, error: 'Failed to load users database' };
-  }
-  
-  const user = usersDb[username];
-  if (!user) {
-    return { success: false, error: 'Invalid username or password' };
+function writeEpochExport(client, format, outputFile, names = []) {
+  const result = client.exportEpochs({ names, format });
+  if (!result.success) {
+    return result;
   }
   
-  if (verifyPassword(password, user.salt, user.hash)) {
-    // Return encryption salt for deriving soul data encryption key
-    return { success: true, encryptionSalt: user.encryptionSalt };
-  } else {
-    return { success: false, error: 'Invalid username or password' };
-  }
-}
-
-// ═══════════════════════════════════════════════════════════════
-// 💾 PERSISTENCE LAYER (PKG-COMPATIBLE)
-// ═══════════════════════════════════════════════════════════════
-
-/**
- * Gracefully checks if file exists (pkg-safe)
- */
-function fileExists(filepath) {
-  try {
-    return fs.existsSync(filepath);
-  } catch (err) {
-    return false;
-  }
-}
-
-/**
- * Saves encrypted soul data to disk (async)
- */
-async function saveSoulsAsync(soulRegistry, key) {
-  try {
-    const payload = JSON.stringify(soulRegistry);
-    const { iv, authTag, encrypted } = encrypt(payload, key);
-    
-    const bundle = JSON.stringify({
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex'),
-      data: encrypted.toString('hex')
-    });
-    
-    await fsPromises.writeFile(SOULS_FILE, bundle, 'utf8');
-    return true;
-  } catch (err) {
-    console.error('⚠️  Failed to save souls:', err.message);
-    return false;
-  }
-}
-
-/**
- * Saves encrypted soul data to disk (sync - for backwards compatibility)
- */
-function saveSouls(soulRegistry, key, username = null) {
   try {
-    const soulsFile = getSoulsFilePath(username);
-    const payload = JSON.stringify(soulRegistry);
-    const { iv, authTag, encrypted } = encrypt(payload, key);
-    
-    const bundle = JSON.stringify({
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex'),
-      data: encrypted.toString('hex')
-    });
-    
-    fs.writeFileSync(soulsFile, bundle, 'utf8');
-    return true;
+    writeFileAtomic(outputFile, result.content);
   } catch (err) {
-    console.error('⚠️  Failed to save souls:', err.message);
-    return false;
+    return { success: false, error: `Failed to write ${outputFile}: ${err.message}` };
   }
+  return { ...result, file: outputFile };
 }
 
-/**
- * Loads encrypted soul data from disk (async)
- */
-async function loadSoulsAsync(key) {
-  if (!fileExists(SOULS_FILE)) {
-    return {};
-  }
-  
-  try {
-    const data = await fsPromises.readFile(SOULS_FILE, 'utf8');
-    const bundle = JSON.parse(data);
-    const iv = Buffer.from(bundle.iv, 'hex');
-    const authTag = Buffer.from(bundle.authTag, 'hex');
-    const encrypted = Buffer.from(bundle.data, 'hex');
-    
-    const plaintext = decrypt(iv, authTag, encrypted, key);
-    if (!plaintext) {
-      console.error('❌ Decryption failed. Wrong passphrase or corrupted data.');
-      return null;
-    }
-    
-    return JSON.parse(plaintext);
-  } catch (err) {
-    console.error('⚠️  Failed to load souls:', err.message);
-    return null;
-  }
-}
+// ═══════════════════════════════════════════════════════════════
+// 🚚 SOUL BUNDLES
+// ═══════════════════════════════════════════════════════════════
 
 /**
- * Loads encrypted soul data from disk (sync - for backwards compatibility)
+ * Writes a portable soul bundle (owner-only file permissions)
+ * Returns: the client result plus { file }, or a failure result
  */
-function loadSouls(key, username = null) {
-  const soulsFile = getSoulsFilePath(username);
-  if (!fileExists(soulsFile)) {
-    return {};
+function writeSoulBundle(client, outputFile, { names = [], passphrase = null } = {}) {
+  const result = client.exportSouls({ names, passphrase });
+  if (!result.success) {
+    return result;
   }
   
   try {
-    const bundle = JSON.parse(fs.readFileSync(soulsFile, 'utf8'));
-    
-    // Validate bundle structure
-    if (!bundle || typeof bundle !== 'object') {
-      console.error('❌ Invalid soul data format: not an object');
-      return null;
-    }
-    
-    if (!bundle.iv || !bundle.authTag || !bundle.data) {
-      console.error('❌ Invalid soul data format: missing required fields');
-      return null;
-    }
-    
-    if (typeof bundle.iv !== 'string' || typeof bundle.authTag !== 'string' || typeof bundle.data !== 'string') {
-      console.error('❌ Invalid soul data format: fields must be strings');
-      return null;
-    }
-    
-    const iv = Buffer.from(bundle.iv, 'hex');
-    const authTag = Buffer.from(bundle.authTag, 'hex');
-    const encrypted = Buffer.from(bundle.data, 'hex');
-    
-    const plaintext = decrypt(iv, authTag, encrypted, key);
-    if (!plaintext) {
-      console.error('❌ Decryption failed. Wrong passphrase or corrupted data.');
-      return null;
-    }
-    
-    return JSON.parse(plaintext);
-  } catch (err) {
-    console.error('⚠️  Failed to load souls:', err.message);
-    return null;
-  }
-}
-
-/**
- * Exports lineage to CSV (optimized)
- * Uses local Map to cache hashes during this export without modifying soul objects
- */
-function exportLineageToCSV(soulRegistry) {
-  try {
-    const souls = Object.values(soulRegistry);
-    
-    // Handle empty registry gracefully
-    if (souls.length === 0) {
-      const header = 'Name,Created,Last Epoch,Total Epochs,Seed Hash\n';
-      fs.writeFileSync(LINEAGE_FILE, header, 'utf8');
-      console.log(`📜 Lineage exported to: ${LINEAGE_FILE} (empty)`);
-      return;
-    }
-    
-    // Optimize: Use separate cache Map to avoid modifying soul objects
-    const seedHashCache = new Map();
-    
-    const rows = souls.map(soul => {
-      // Cache the seed hash to avoid redundant calculation
-      let seedHash = seedHashCache.get(soul.seed);
-      if (!seedHash) {
-        seedHash = crypto.createHash('sha256')
-          .update(soul.seed)
-          .digest('hex')
-          .substring(0, 8);
-        seedHashCache.set(soul.seed, seedHash);
-      }
-      
-      return `"${soul.name}",${soul.created},${soul.lastEpoch || 'Never'},${soul.epochs.length},${seedHash}`;
-    });
-    
-    const csv = 'Name,Created,Last Epoch,Total Epochs,Seed Hash\n' + rows.join('\n') + '\n';
-    fs.writeFileSync(LINEAGE_FILE, csv, 'utf8');
-    console.log(`📜 Lineage exported to: ${LINEAGE_FILE}`);
+    writeFileAtomic(outputFile, result.content);
   } catch (err) {
-    console.error('⚠️  Failed to export lineage:', err.message);
+    return { success: false, error: `Failed to write ${outputFile}: ${err.message}` };
   }
+  return { ...result, file: outputFile };
 }
 
-// ═══════════════════════════════════════════════════════════════
-// 🚀 PERFORMANCE OPTIMIZATIONS
-// ═══════════════════════════════════════════════════════════════
-
-// Cache for soul statistics to avoid recalculating on every access
-const statsCache = new Map();
-
 /**
- * Get cached statistics for a soul or compute if not cached
+ * One-line description of an import name collision
  */
-function getSoulStats(soul) {
-  const cacheKey = `${soul.name}_${soul.epochs.length}`;
-  
-  if (statsCache.has(cacheKey)) {
-    return statsCache.get(cacheKey);
+function describeImportConflict(soul) {
+  if (soul.conflict === 'trashed') {
+    return `"${soul.name}" is in your trash`;
   }
-  
-  if (soul.epochs.length === 0) {
-    return null;
+  if (soul.sameSeed) {
+    return `"${soul.name}" is already here (same soul; ${soul.duplicateEpochs} of ${soul.epochs} epochs already present)`;
   }
-  
-  const stats = {
-    avgResonance: soul.epochs.reduce((sum, e) => sum + e.reading.resonance, 0) / soul.epochs.length,
-    avgClarity: soul.epochs.reduce((sum, e) => sum + e.reading.clarity, 0) / soul.epochs.length,
-    avgFlux: soul.epochs.reduce((sum, e) => sum + e.reading.flux, 0) / soul.epochs.length,
-    avgEmergence: soul.epochs.reduce((sum, e) => sum + e.reading.emergence, 0) / soul.epochs.length,
-    patternCount: soul.epochs.reduce((counts, e) => {
-      counts[e.reading.pattern] = (counts[e.reading.pattern] || 0) + 1;
-      return counts;
-    }, {})
-  };
-  
-  statsCache.set(cacheKey, stats);
-  return stats;
-}
-
-/**
- * Invalidate stats cache for a soul when it changes
- * Note: Clears entire cache for simplicity. In large registries with frequent updates,
- * consider selective invalidation by soul name for better performance.
- */
-function invalidateStatsCache(soulName) {
-  // Simple approach: clear entire cache
-  // Trade-off: O(1) invalidation vs potential to clear unaffected souls
-  // For typical usage (few souls, infrequent updates), this is optimal
-  statsCache.clear();
-}
-
-// ═══════════════════════════════════════════════════════════════
-// 🌌 SOUL ARCHITECTURE
-// ═══════════════════════════════════════════════════════════════
-
-/**
- * Creates a new soul with a unique seed
- */
-function createSoul(name) {
-  const seed = crypto.randomBytes(32).toString('hex');
-  const created = new Date().toISOString();
-  
-  return {
-    name,
-    seed,
-    created,
-    lastEpoch: null,
-    epochs: []
-  };
-}
-
-/**
- * Deterministic oracle: generates reading from question + seed + epoch
- * Optimized to use cached pattern/message arrays
- */
-function consultOracle(question, seed, epochNumber) {
-  return generateDeterministicReading(question, seed, epochNumber);
+  return `"${soul.name}" is already taken by a different soul`;
 }
 
-/**
- * Quantum-enhanced oracle consultation (uses bridge if available)
- */
-async function consultQuantumOracle(question, seed, epochNumber, useQuantum = false) {
-  // Base deterministic reading
-  const reading = consultOracle(question, seed, epochNumber);
-  
-  // If quantum mode requested and available, enhance
-  if (useQuantum && quantumBridge && isQuantumAvailable) {
-    try {
-      const enhanced = await quantumBridge.consultQuantumOracle(question, seed, epochNumber);
-      return enhanced;
-    } catch (err) {
-      // Fall back to deterministic on error
-      return reading;
+function displayImportResult(result, print = console.log) {
+  result.imported.forEach(entry => {
+    if (entry.action === 'merged') {
+      print(`🔀 "${entry.name}": ${entry.epochs} new epoch${entry.epochs === 1 ? '' : 's'} merged, ${entry.duplicates} duplicate${entry.duplicates === 1 ? '' : 's'} skipped`);
+    } else if (entry.action === 'renamed') {
+      print(`➕ "${entry.name}" imported as "${entry.as}" (${entry.epochs} epochs)`);
+    } else {
+      print(`➕ "${entry.name}" imported (${entry.epochs} epochs)`);
     }
-  }
-  
-  return reading;
+  });
+  result.skipped.forEach(name => print(`⏭️  "${name}" skipped`));
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -566,6 +167,79 @@ function question(rl, prompt) {
   });
 }
 
+/**
+ * Reads a secret without echoing it: each character shows as *
+ * Handles backspace, Ctrl-U (clear), Ctrl-C (abort) and pasted text.
+ * Falls back to a plain prompt when stdin is not a TTY (piped input).
+ */
+function questionHidden(rl, prompt) {
+  const input = process.stdin;
+  if (!input.isTTY) {
+    return question(rl, prompt);
+  }
+  
+  return new Promise(resolve => {
+    const output = rl.output || process.stdout;
+    
+    // Take keypresses away from readline so the secret is neither
+    // echoed nor kept in its line history
+    readline.emitKeypressEvents(input);
+    const readlineListeners = input.listeners('keypress');
+    readlineListeners.forEach(listener => input.removeListener('keypress', listener));
+    const wasRaw = input.isRaw;
+    input.setRawMode(true);
+    input.resume();
+    output.write(prompt);
+    
+    let secret = '';
+    
+    const restore = () => {
+      input.removeListener('keypress', onKeypress);
+      input.setRawMode(wasRaw);
+      readlineListeners.forEach(listener => input.on('keypress', listener));
+    };
+    
+    const onKeypress = (ch, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        restore();
+        output.write('^C\n');
+        process.kill(process.pid, 'SIGINT');
+        return;
+      }
+      
+      if (key.name === 'return' || key.name === 'enter' || (key.ctrl && key.name === 'd' && !secret)) {
+        restore();
+        output.write('\n');
+        // Trimmed like every other prompt, so existing passwords still match
+        resolve(secret.trim());
+        return;
+      }
+      
+      if (key.name === 'backspace') {
+        if (secret) {
+          secret = Array.from(secret).slice(0, -1).join('');
+          output.write('\b \b');
+        }
+        return;
+      }
+      
+      if (key.ctrl && key.name === 'u') {
+        output.write('\b \b'.repeat(Array.from(secret).length));
+        secret = '';
+        return;
+      }
+      
+      // Printable characters only (arrow keys and other escapes are ignored)
+      if (ch && !key.ctrl && !key.meta && ch >= ' ' && ch !== '\x7f') {
+        secret += ch;
+        output.write('*');
+      }
+    };
+    
+    input.on('keypress', onKeypress);
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // 📝 ENHANCED INPUT SYSTEM
 // ═══════════════════════════════════════════════════════════════
@@ -691,7 +365,7 @@ async function askPassphrase(rl, isFirstTime = false) {
     console.log();
   }
   
-  const passphrase = await question(rl, '🔐 Passphrase: ');
+  const passphrase = await questionHidden(rl, '🔐 Passphrase: ');
   
   if (!passphrase) {
     console.log('\n❌ Passphrase required.');
@@ -746,12 +420,12 @@ async function askUserPassword(rl, isRegistration = false) {
     console.log('\n🔐 Create your password:\n');
     console.log('💡 Password requirements:');
     console.log('   • Minimum 8 characters');
-    console.log('   • Cannot be recovered if forgotten!\n');
+    console.log('   • Only a recovery phrase can reset it if forgotten!\n');
   } else {
     console.log();
   }
   
-  const password = await question(rl, '🔐 Password: ');
+  const password = await questionHidden(rl, '🔐 Password: ');
   
   if (!password) {
     console.log('\n❌ Password required.\n');
@@ -765,7 +439,7 @@ async function askUserPassword(rl, isRegistration = false) {
   
   // If registration, ask for confirmation
   if (isRegistration) {
-    const confirm = await question(rl, '🔐 Confirm password: ');
+    const confirm = await questionHidden(rl, '🔐 Confirm password: ');
     if (confirm !== password) {
       console.log('\n❌ Passwords do not match. Try again.\n');
       return askUserPassword(rl, isRegistration);
@@ -777,8 +451,9 @@ async function askUserPassword(rl, isRegistration = false) {
 
 /**
  * Login/Registration screen
+ * Returns: true once the client is logged in, null if the user exits
  */
-async function loginScreen() {
+async function loginScreen(client) {
   const rl = createInterface();
   
   console.log('\n┌─────────────────────────────────────┐');
@@ -786,7 +461,8 @@ async function loginScreen() {
   console.log('├─────────────────────────────────────┤');
   console.log('│  [1] Login                          │');
   console.log('│  [2] Create New Account             │');
-  console.log('│  [3] Exit                           │');
+  console.log('│  [3] Reset Password (Recovery)      │');
+  console.log('│  [4] Exit                           │');
   console.log('└─────────────────────────────────────┘\n');
   
   const choice = await question(rl, '→ ');
@@ -797,26 +473,27 @@ async function loginScreen() {
       const username = await askUsername(rl);
       if (!username) {
         rl.close();
-        return await loginScreen();
+        return await loginScreen(client);
       }
       
       const password = await askUserPassword(rl, false);
       if (!password) {
         rl.close();
-        return await loginScreen();
+        return await loginScreen(client);
       }
       
-      const result = authenticateUser(username, password);
+      const result = client.login(username, password, { source: 'interactive' });
       if (result.success) {
         console.log('\n✅ Login successful!\n');
+        displayFailedAttempts(result.failedAttempts, console.log);
         rl.close();
-        return { username, password, encryptionSalt: result.encryptionSalt };
+        return true;
       } else {
         console.log(`\n❌ ${result.error}\n`);
         const retry = await question(rl, 'Try again? (y/n): ');
         rl.close();
         if (retry.toLowerCase() === 'y') {
-          return await loginScreen();
+          return await loginScreen(client);
         }
         return null;
       }
@@ -829,52 +506,120 @@ async function loginScreen() {
       const username = await askUsername(rl);
       if (!username) {
         rl.close();
-        return await loginScreen();
+        return await loginScreen(client);
       }
       
       const password = await askUserPassword(rl, true);
       if (!password) {
         rl.close();
-        return await loginScreen();
+        return await loginScreen(client);
       }
       
-      const result = registerUser(username, password);
+      console.log('\n🗝️  A recovery phrase can reset your password if you forget it.');
+      const recovery = await confirm(rl, '   Generate one now? (recommended)');
+      
+      const result = client.register(username, password, { recovery });
       if (result.success) {
         console.log('\n✅ Account created successfully!\n');
+        if (result.recoveryPhrase) {
+          displayRecoveryPhrase(result.recoveryPhrase);
+        }
         console.log('💡 Your username:', username);
         console.log('💡 You can now login with your credentials.\n');
         rl.close();
-        return await loginScreen();
+        return await loginScreen(client);
       } else {
         console.log(`\n❌ ${result.error}\n`);
         rl.close();
-        return await loginScreen();
+        return await loginScreen(client);
       }
     }
     
     case '3': {
-      // Exit
-      console.log('\n👋 Goodbye!\n');
-      rl.close();
-      return null;
-    }
-    
-    default:
-      console.log('\n⚠️  Invalid choice. Please select 1, 2, or 3.\n');
-      rl.close();
-      return await loginScreen();
-  }
-}
-
-function displayBanner() {
-  console.log('\n═══════════════════════════════════════════════════════════════');
-  console.log('     🌾🌌 OINIO SOUL SYSTEM — Pattern Recognition Oracle');
-  console.log('═══════════════════════════════════════════════════════════════');
-  if (isQuantumAvailable) {
-    console.log('     ⚡ Quantum Forge Bridge: ACTIVE');
-    console.log('     Pattern + Trajectory = Navigation');
-  }
-  console.log('═══════════════════════════════════════════════════════════════\n');
+      // Reset password with recovery phrase
+      console.log('\n🗝️  Reset password with your recovery phrase\n');
+      
+      const username = await askUsername(rl);
+      if (!username) {
+        rl.close();
+        return await loginScreen(client);
+      }
+      
+      const phrase = await questionHidden(rl, '🗝️  Recovery phrase: ');
+      if (!phrase) {
+        console.log('\n❌ Recovery phrase required.\n');
+        rl.close();
+        return await loginScreen(client);
+      }
+      
+      const password = await askUserPassword(rl, true);
+      if (!password) {
+        rl.close();
+        return await loginScreen(client);
+      }
+      
+      showLoading('🔐 Unlocking souls...');
+      const result = client.resetPassword(username, phrase, password);
+      if (result.success) {
+        showLoadingDone();
+        console.log('\n✅ Password reset. Your recovery phrase still works.');
+        console.log('💡 You can now login with your new password.\n');
+      } else {
+        console.log(`\n❌ ${result.error}\n`);
+      }
+      rl.close();
+      return await loginScreen(client);
+    }
+    
+    case '4': {
+      // Exit
+      console.log('\n👋 Goodbye!\n');
+      rl.close();
+      return null;
+    }
+    
+    default:
+      console.log('\n⚠️  Invalid choice. Please select 1, 2, 3, or 4.\n');
+      rl.close();
+      return await loginScreen(client);
+  }
+}
+
+/**
+ * Warns about failed logins since the user's previous successful one
+ */
+function displayFailedAttempts(attempts, print) {
+  if (!attempts || attempts.length === 0) {
+    return;
+  }
+  print(`⚠️  ${attempts.length} failed login attempt${attempts.length === 1 ? '' : 's'} since your last login:`);
+  attempts.slice(-5).forEach(attempt => print(`   • ${attempt.at}  (${attempt.source})${attempt.locked ? '  refused while locked' : ''}`));
+  if (attempts.length > 5) {
+    print(`   • … and ${attempts.length - 5} earlier`);
+  }
+  print('💡 If these were not you, change your password.\n');
+}
+
+/**
+ * Shows a newly generated recovery phrase with safekeeping advice
+ */
+function displayRecoveryPhrase(phrase) {
+  console.log('🗝️  YOUR RECOVERY PHRASE — write it down and keep it offline:\n');
+  console.log(`     ${phrase}\n`);
+  console.log('   • It can reset your password and unlock every soul');
+  console.log('   • It is shown only once and is not stored anywhere');
+  console.log('   • Anyone holding it can take over this account\n');
+}
+
+function displayBanner() {
+  console.log('\n═══════════════════════════════════════════════════════════════');
+  console.log('     🌾🌌 OINIO SOUL SYSTEM — Pattern Recognition Oracle');
+  console.log('═══════════════════════════════════════════════════════════════');
+  if (isQuantumAvailable) {
+    console.log('     ⚡ Quantum Forge Bridge: ACTIVE');
+    console.log('     Pattern + Trajectory = Navigation');
+  }
+  console.log('═══════════════════════════════════════════════════════════════\n');
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -893,8 +638,33 @@ function displayMainHelp() {
   console.log('📜 [3] List All Souls');
   console.log('   View all souls and their statistics');
   console.log('');
-  console.log('💾 [4] Export Lineage (CSV)');
-  console.log('   Export all soul data to lineage.csv file');
+  console.log('💾 [4] Export Readings (CSV/Journal)');
+  console.log('   Lineage summary CSV, every epoch as CSV or JSON Lines, or a Markdown journal');
+  console.log('');
+  console.log('🔎 [S] Search All Souls');
+  console.log('   Find epochs in every soul by question text, pattern, date or metric');
+  console.log('');
+  console.log('⚖️  [C] Compare Souls & Synastry');
+  console.log('   Metrics and patterns of several souls side by side, then ask them');
+  console.log('   one question together for a joint reading and compatibility score');
+  console.log('');
+  console.log('📤 [E] Export Souls');
+  console.log('   Save complete souls (seed and every reading) to a portable file');
+  console.log('');
+  console.log('📥 [I] Import Souls');
+  console.log('   Load souls exported on another machine or account');
+  console.log('');
+  console.log('📦 [A] Archived Souls');
+  console.log('   Open or unarchive souls hidden from the registry');
+  console.log('');
+  console.log('🗑️  [T] Trash');
+  console.log('   Restore deleted souls, or delete them for good');
+  console.log('');
+  console.log('🔑 [P] Change Password');
+  console.log('   Re-encrypts all your souls under the new password');
+  console.log('');
+  console.log('🗝️  [R] Recovery Phrase');
+  console.log('   Generate, replace or disable the phrase that can reset your password');
   console.log('');
   console.log('🔄 [L] Logout (Switch User)');
   console.log('   Logout and switch to a different user account');
@@ -919,19 +689,33 @@ function displaySoulHelp(quantumMode) {
   console.log('🔮 [1] New Epoch (Ask Question)');
   console.log('   Ask the oracle a question. Each consultation is an epoch.');
   console.log('   Tip: Be specific. "What is..." vs "Should I..."');
+  console.log('   Pick a spread for several positions: Past/Present/Future,');
+  console.log('   Situation/Obstacle/Advice, or a five-card Cross');
   console.log('');
   console.log('📖 [2] View Epoch History');
-  console.log('   See all previous consultations with this soul');
+  console.log('   Page through consultations; filter by date, pattern, message,');
+  console.log('   metrics (e.g. resonance>80), mode, or words in the question');
   console.log('');
   console.log('📊 [3] Soul Statistics');
   console.log('   View averages, trends, and soul metadata');
   console.log('');
+  console.log('📈 [T] Trend Charts');
+  console.log('   Chart each metric over time with its rolling average,');
+  console.log('   streaks, and weekly or monthly averages');
+  console.log('');
+  console.log('🧭 [J] Pattern Journey');
+  console.log('   Which patterns follow which, recurring cycles, how long');
+  console.log('   since each pattern appeared, and patterns never drawn');
+  console.log('');
   if (isQuantumAvailable) {
     console.log('⚡ [Q] Toggle Quantum Mode');
     console.log(`   Current: ${quantumMode ? 'QUANTUM-ENHANCED' : 'DETERMINISTIC'}`);
     console.log('   Quantum adds AI predictions: harmony, trends, insights');
     console.log('');
   }
+  console.log('🛠️  [M] Manage Soul');
+  console.log('   Rename, duplicate (fork), change deck, archive or delete this soul');
+  console.log('');
   console.log('🔙 [4] Return to Main Menu');
   console.log('   Go back without deleting soul');
   console.log('');
@@ -948,31 +732,162 @@ function displaySoulHelp(quantumMode) {
   console.log('═'.repeat(60) + '\n');
 }
 
-function displayPatternLibrary() {
-  console.log('\n🌌 PATTERN LIBRARY\n');
+/**
+ * usage (optional): { counts, epochs, label } from client.patternCounts,
+ * shown as how often each pattern has come up for the user
+ * deck (optional): a soul's deck from client.getSoulDeck instead of the
+ * classic patterns
+ */
+function displayPatternLibrary(usage = null, deck = null) {
+  console.log(`\n🌌 PATTERN LIBRARY${deck && !deck.builtin ? ` — ${deck.name}` : ''}\n`);
   console.log('═'.repeat(60));
-  const patterns = [
-    ['The Spiral', 'Cyclical growth, returning to center with wisdom'],
-    ['The Mirror', 'Reflection, seeing yourself in the situation'],
-    ['The Threshold', 'At the edge of transformation'],
-    ['The Void', 'Emptiness that contains all potential'],
-    ['The Bloom', 'Emergence, flowering of hidden growth'],
-    ['The Anchor', 'Stability, grounding, foundation'],
-    ['The Storm', 'Chaos, disruption, clearing the old'],
-    ['The Seed', 'Beginning, potential waiting to sprout'],
-    ['The River', 'Flow, movement, natural progression'],
-    ['The Mountain', 'Challenge, achievement, perspective'],
-    ['The Web', 'Interconnection, complexity, relationships'],
-    ['The Flame', 'Transformation through fire, passion'],
-    ['The Echo', 'Repetition, lessons returning, resonance'],
-    ['The Door', 'Opportunity, choice, passage between worlds'],
-    ['The Root', 'Foundation, ancestry, deep truth'],
-    ['The Sky', 'Freedom, expansion, infinite possibility']
-  ];
+  const patterns = deck
+    ? deck.patterns.map(pattern => [pattern.name, pattern.description || ''])
+    : PATTERNS.map((name, index) => [name, PATTERN_MEANINGS[index]]);
+  
+  if (!usage) {
+    patterns.forEach(([name, meaning]) => {
+      console.log(`${name.padEnd(18)}${meaning ? ` — ${meaning}` : ''}`);
+    });
+    console.log('═'.repeat(60) + '\n');
+    return;
+  }
   
   patterns.forEach(([name, meaning]) => {
-    console.log(`${name.padEnd(18)} — ${meaning}`);
+    const count = usage.counts[name] || 0;
+    console.log(`${name.padEnd(15)} ${(count > 0 ? `${count}×` : '–').padStart(4)}${meaning ? ` — ${meaning}` : ''}`);
+  });
+  const seen = patterns.filter(([name]) => usage.counts[name] > 0).length;
+  console.log('═'.repeat(60));
+  console.log(`  ${usage.label}: ${usage.epochs} epoch${usage.epochs === 1 ? '' : 's'}, ${seen} of ${patterns.length} patterns seen\n`);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🃏 DECKS
+// ═══════════════════════════════════════════════════════════════
+
+function shortHash(hash) {
+  return hash ? hash.substring(0, 12) : 'built-in';
+}
+
+/**
+ * Decks from client.listDecks, with the files that failed to load
+ */
+function displayDeckList(decks, invalid = []) {
+  console.log('\n🃏 DECKS\n');
+  console.log('═'.repeat(60));
+  decks.forEach(deck => {
+    const locales = deck.locales.length > 1 ? ` · ${deck.locales.join(', ')}` : '';
+    console.log(`  ${deck.id.padEnd(20)} ${deck.name} (${deck.patterns.length} patterns${locales})`);
+    console.log(`  ${''.padEnd(20)} ${deck.file ? `${deck.file} · ${shortHash(deck.hash)}` : 'built-in'}`);
+  });
+  console.log('═'.repeat(60));
+  if (invalid.length > 0) {
+    console.log('\n⚠️  Skipped deck files:');
+    invalid.forEach(({ file, error }) => console.log(`   ${file}: ${error}`));
+  }
+  console.log();
+}
+
+/**
+ * A soul's deck from client.getSoulDeck
+ */
+function displaySoulDeck(soulName, deck, drift) {
+  console.log(`\n🃏 ${soulName} reads from "${deck.name}" (${deck.id})`);
+  console.log(`   Hash: ${shortHash(deck.hash)} · Locale: ${deck.locale || 'default'} · ` +
+    `${deck.patterns.length} patterns, ${deck.messages} messages`);
+  if (deck.description) {
+    console.log(`   ${deck.description}`);
+  }
+  if (drift) {
+    console.log(`\n⚠️  ${drift.file} now holds a different version (${shortHash(drift.hash)}).`);
+    console.log(`   Run "deck use ${soulName} ${deck.id}${deck.locale ? ` --locale ${deck.locale}` : ''}" to switch new readings to it.`);
+  }
+  console.log();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔏 VERIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+// Differences listed per epoch; --json has them all
+const VERIFY_SHOWN_DIFFERENCES = 4;
+
+function describeDifference({ field, position, stored, expected }) {
+  const where = position ? `${position} ${field}` : field;
+  return `${where} ${JSON.stringify(stored)} ≠ ${JSON.stringify(expected)}`;
+}
+
+/**
+ * Report from client.verifyReadings: one line per soul, then each epoch
+ * that did not verify
+ */
+function displayVerification(souls, totals) {
+  console.log('\n🔏 READING VERIFICATION\n');
+  console.log('═'.repeat(60));
+  souls.forEach(report => {
+    const clean = report.mismatch === 0 && report.unverifiable === 0;
+    const quantum = report.quantum.epochs > 0 ? ` (${report.quantum.verified}/${report.quantum.epochs} quantum bases)` : '';
+    console.log(`${clean ? '✅' : '❌'} ${report.name}: ${report.verified}/${report.epochs} epochs verified${quantum}`);
+    report.issues.forEach(issue => {
+      const label = `   Epoch ${issue.epoch}${issue.mode === 'quantum' ? ' (quantum base)' : ''}`;
+      if (issue.status === 'unverifiable') {
+        console.log(`${label}: cannot be recomputed, ${issue.reason}`);
+      } else {
+        const shown = issue.differences.slice(0, VERIFY_SHOWN_DIFFERENCES).map(describeDifference);
+        const more = issue.differences.length - shown.length;
+        console.log(`${label}: ${shown.join('; ')}${more > 0 ? `; +${more} more` : ''}`);
+      }
+    });
+  });
+  console.log('═'.repeat(60));
+  console.log(`  ${totals.verified} of ${totals.epochs} epochs verified, ` +
+    `${totals.unverifiable} unverifiable, ${totals.mismatch} mismatched\n`);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🩺 QUANTUM DIAGNOSIS
+// ═══════════════════════════════════════════════════════════════
+
+// What to try for each failure code of the bridge
+const FORGE_HINTS = {
+  DISABLED: 'Unset ENABLE_QUANTUM (or set it to true)',
+  NOT_INSTALLED: 'Point PI_FORGE_PATH at a Pi Forge checkout (with --worker support for QUANTUM_PROVIDER=worker), or set the QUANTUM_PROVIDER_* variable of your provider',
+  PYTHON_MISSING: 'Install python3 and make sure it is on PATH',
+  TIMEOUT: 'The Forge is slow to answer; raise QUANTUM_TIMEOUT_MS',
+  EXIT_CODE: 'The Forge crashed; run it by hand to see its error output',
+  INVALID_JSON: 'The Forge must print exactly one JSON object on stdout (log to stderr)',
+  SCHEMA_MISMATCH: 'The Forge answered, but not with harmony_index and friends; check its version',
+  UNREACHABLE: 'Start the Forge service behind QUANTUM_PROVIDER_URL',
+  PROVIDER_ERROR: 'The provider reported an error; see the detail above'
+};
+
+/**
+ * Report from client.diagnoseQuantumBridge: settings, providers, and
+ * the sample enhancement
+ */
+function displayDiagnosis({ settings, providers, handshake }) {
+  console.log('\n🩺 QUANTUM BRIDGE DIAGNOSIS\n');
+  console.log('═'.repeat(60));
+  console.log(`  Enabled:   ${settings.enabled ? 'yes' : 'no (ENABLE_QUANTUM=false)'}`);
+  console.log(`  Provider:  ${settings.provider}`);
+  console.log(`  Forge:     ${settings.forgePath}`);
+  console.log(`  Timeout:   ${settings.timeoutMs}ms`);
+  console.log('─'.repeat(60));
+  providers.forEach(provider => {
+    const icon = provider.status === 'ready' ? '✅' : provider.status === 'error' ? '❌' : '⚠️ ';
+    console.log(`${icon} ${provider.name}${provider.active ? ' (active)' : ''}: ${provider.detail}${provider.code ? ` [${provider.code}]` : ''}`);
   });
+  console.log('─'.repeat(60));
+  if (handshake.success) {
+    console.log(`✅ Handshake: harmony ${handshake.response.harmony_index} in ${handshake.ms}ms`);
+  } else {
+    console.log(`❌ Handshake failed [${handshake.code}] after ${handshake.ms}ms`);
+    console.log(`   ${handshake.error}`);
+    if (FORGE_HINTS[handshake.code]) {
+      console.log(`💡 ${FORGE_HINTS[handshake.code]}`);
+    }
+  }
   console.log('═'.repeat(60) + '\n');
 }
 
@@ -1006,7 +921,15 @@ function displayMenu() {
   console.log('│  [1] Create New Soul                │');
   console.log('│  [2] Select Existing Soul           │');
   console.log('│  [3] List All Souls                 │');
-  console.log('│  [4] Export Lineage (CSV)           │');
+  console.log('│  [4] Export Readings (CSV/Journal)  │');
+  console.log('│  [S] Search All Souls               │');
+  console.log('│  [C] Compare Souls & Synastry       │');
+  console.log('│  [E] Export Souls                   │');
+  console.log('│  [I] Import Souls                   │');
+  console.log('│  [A] Archived Souls                 │');
+  console.log('│  [T] Trash                          │');
+  console.log('│  [P] Change Password                │');
+  console.log('│  [R] Recovery Phrase                │');
   console.log('│  [?] Help                           │');
   console.log('│  [L] Logout (Switch User)           │');
   console.log('│  [5] Exit                           │');
@@ -1021,13 +944,19 @@ function displaySoulMenu(soul, quantumMode = false) {
   console.log(`│  [1] New Epoch (Ask Question)       │`);
   console.log(`│  [2] View Epoch History             │`);
   console.log(`│  [3] Soul Statistics                │`);
+  console.log(`│  [T] Trend Charts                   │`);
   if (isQuantumAvailable) {
     console.log(`│${qSymbol}[Q] Toggle Quantum Mode            │`);
   }
   console.log(`│  [P] Pattern Library                │`);
+  console.log(`│  [J] Pattern Journey                │`);
+  console.log(`│  [M] Manage Soul                    │`);
   console.log(`│  [?] Help                           │`);
   console.log(`│  [4] Return to Main Menu            │`);
   console.log(`└─────────────────────────────────────┘`);
+  if (soul.deck) {
+    console.log(`  Deck: ${soul.deck.name}${soul.deck.locale ? ` (${soul.deck.locale})` : ''}`);
+  }
   if (isQuantumAvailable) {
     console.log(`  Quantum Mode: ${quantumMode ? '⚡ ACTIVE' : 'Standard'}`);
   }
@@ -1038,66 +967,517 @@ function displayReading(reading, epochNumber) {
   displayReadingShared(reading, epochNumber);
 }
 
+function displayHistory(soulName, epochs) {
+  if (epochs.length === 0) {
+    console.log('\n📖 No epochs recorded yet.\n');
+    return;
+  }
+  
+  console.log(`\n📖 Epoch History for ${soulName}:\n`);
+  epochs.forEach(epoch => {
+    console.log(`  Epoch ${epoch.number} — ${epoch.timestamp}`);
+    console.log(`  Q: ${epoch.question}`);
+    console.log(`  Pattern: ${epoch.reading.pattern} | Oracle: "${epoch.reading.message}"`);
+    if (epoch.reading.positions) {
+      console.log(`  Spread: ${epoch.reading.positions.map(position => `${position.label}: ${position.pattern}`).join(' · ')}`);
+    }
+    console.log();
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════
-// 💬 SMART QUESTION PROMPTING
+// 🔎 HISTORY BROWSER
 // ═══════════════════════════════════════════════════════════════
 
-function displayQuestionExamples() {
-  console.log('\n💡 Example Questions:\n');
-  console.log('📍 GUIDANCE:');
-  console.log('  • "What should I know about [situation]?"');
-  console.log('  • "How can I approach [challenge]?"');
-  console.log('  • "What is the nature of [concept]?"\n');
+const HISTORY_PAGE_SIZE = 10;
+
+function displayFilterHelp() {
+  console.log('\n🔎 Filter examples (combine freely):');
+  console.log('   resonance>80  clarity<=20  flux=50  harmony>=70');
+  console.log('   pattern:spiral  message:light  mode:quantum  mode:deterministic');
+  console.log('   from:2026-01-01 to:2026-03-31');
+  console.log('   career "next step"      words/phrases in the question\n');
+}
+
+/**
+ * One line per match; cross-soul results lead with the soul name
+ */
+function displayEpochMatch(match, index, showSoul) {
+  const { epoch } = match;
+  const { reading } = epoch;
+  const where = showSoul ? `${match.soul} · ` : '';
+  const quantum = reading.mode === 'quantum-enhanced' ? ' ⚡' : '';
+  const spread = reading.spread ? ` 🃏 ${reading.spread}` : '';
+  console.log(`  [${index}] ${where}Epoch ${epoch.number} — ${epoch.timestamp.substring(0, 16).replace('T', ' ')}${quantum}${spread}`);
+  console.log(`      Q: ${epoch.question}`);
+  console.log(`      ${reading.pattern} | R${reading.resonance} C${reading.clarity} F${reading.flux} E${reading.emergence}`);
+}
+
+/**
+ * Paged, filterable epoch browser for one soul or for every soul
+ */
+async function browseEpochs(rl, client, { names = [], title, query = '' }) {
+  const showSoul = names.length !== 1;
+  let page = 1;
+  let currentQuery = query;
+  let result = client.searchEpochs({ names, query: currentQuery, page, pageSize: HISTORY_PAGE_SIZE });
   
-  console.log('🔮 DECISION:');
-  console.log('  • "Should I pursue [opportunity]?"');
-  console.log('  • "What happens if I choose [option]?"');
-  console.log('  • "Is this the right time for [action]?"\n');
+  while (true) {
+    if (!result.success) {
+      console.log(`\n❌ ${result.error}\n`);
+      return;
+    }
+    
+    console.log(`\n📖 ${title} — ${result.total} epoch${result.total === 1 ? '' : 's'} (page ${result.page}/${result.pages})`);
+    console.log(`🔎 Filter: ${describeEpochFilter(parseEpochQuery(currentQuery))}\n`);
+    if (result.matches.length === 0) {
+      console.log(result.total === 0 && !currentQuery ? '  No epochs recorded yet.\n' : '  No matching epochs.\n');
+    }
+    result.matches.forEach((match, idx) => {
+      displayEpochMatch(match, idx + 1, showSoul);
+    });
+    
+    console.log('\n   [N] Next  [P] Previous  [F] Filter  [C] Clear filter  [#] Open  [Enter] Back');
+    const choice = (await question(rl, '→ ')).toLowerCase();
+    
+    if (!choice) {
+      return;
+    }
+    
+    let nextPage = page;
+    let nextQuery = currentQuery;
+    if (choice === 'n') {
+      nextPage = Math.min(page + 1, result.pages);
+    } else if (choice === 'p') {
+      nextPage = Math.max(page - 1, 1);
+    } else if (choice === 'c') {
+      nextQuery = '';
+      nextPage = 1;
+    } else if (choice === 'f') {
+      displayFilterHelp();
+      nextQuery = await question(rl, '→ Filter (Enter for none): ');
+      nextPage = 1;
+    } else if (/^\d+$/.test(choice) && result.matches[parseInt(choice, 10) - 1]) {
+      const { soul, epoch } = result.matches[parseInt(choice, 10) - 1];
+      console.log(`\n${showSoul ? `🌱 ${soul} — ` : ''}Q: ${epoch.question}`);
+      displayReading(epoch.reading, epoch.number);
+      await question(rl, '→ Press Enter to return to the list ');
+      continue;
+    } else {
+      console.log(`⚠️  Invalid choice: "${choice}"`);
+      continue;
+    }
+    
+    // A rejected filter keeps the previous one
+    const next = client.searchEpochs({ names, query: nextQuery, page: nextPage, pageSize: HISTORY_PAGE_SIZE });
+    if (!next.success && next.code === RESULT_CODES.INVALID) {
+      console.log(`\n⚠️  ${next.error}`);
+      continue;
+    }
+    result = next;
+    page = nextPage;
+    currentQuery = nextQuery;
+  }
+}
+
+function displaySoulStats(soul, stats, analytics = null) {
+  console.log(`\n📊 Soul Statistics for ${soul.name}:\n`);
+  console.log('═'.repeat(60));
+  console.log(`  Created: ${soul.created}`);
+  console.log(`  Total Epochs: ${soul.epochs}`);
+  console.log(`  Last Epoch: ${soul.lastEpoch || 'Never'}`);
+  
+  if (stats) {
+    console.log(`  Avg Resonance: ${stats.avgResonance.toFixed(1)}%`);
+    console.log(`  Avg Clarity: ${stats.avgClarity.toFixed(1)}%`);
+    console.log(`  Avg Flux: ${stats.avgFlux.toFixed(1)}%`);
+    console.log(`  Avg Emergence: ${stats.avgEmergence.toFixed(1)}%`);
+    
+    // Pattern distribution
+    const topPattern = Object.entries(stats.patternCount).sort((a, b) => b[1] - a[1])[0];
+    console.log(`  Most Common Pattern: ${topPattern[0]} (${topPattern[1]}x)`);
+    
+    if (analytics) {
+      console.log('');
+      displayMetricSparklines(analytics);
+    }
+  } else {
+    console.log('  No epochs yet. Ask your first question!');
+  }
+  console.log('═'.repeat(60) + '\n');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 📈 TRENDS & CHARTS
+// ═══════════════════════════════════════════════════════════════
+
+function metricLabel(metric) {
+  return metric.charAt(0).toUpperCase() + metric.slice(1);
+}
+
+function describeSummary(summary) {
+  return `avg ${summary.mean.toFixed(1)}% · σ ${summary.stdDev.toFixed(1)} · min ${summary.min}% · max ${summary.max}%`;
+}
+
+/**
+ * One sparkline per metric, oldest epoch on the left
+ */
+function displayMetricSparklines(analytics) {
+  ANALYTICS_METRICS.forEach(metric => {
+    const { values, summary } = analytics.metrics[metric];
+    console.log(`  ${metricLabel(metric).padEnd(10)} ${sparkline(values, { width: 30 }).padEnd(30)}  ${describeSummary(summary)}`);
+  });
+}
+
+function describeStreaks(streaks) {
+  const run = ({ current, longest }) => `${current} now, best ${longest}`;
+  return [
+    `rising ${run(streaks.rising)}`,
+    `falling ${run(streaks.falling)}`,
+    `≥${HIGH_MARK}% ${run(streaks.high)}`,
+    `≤${LOW_MARK}% ${run(streaks.low)}`
+  ].join(' · ');
+}
+
+/**
+ * Per-week or per-month averages with a bar like displayReading's
+ */
+function displayPeriodTable(buckets, period) {
+  console.log(`\n🗓️  ${period === 'week' ? 'Weekly' : 'Monthly'} Averages:\n`);
+  console.log(`  ${'Period'.padEnd(9)} ${'Epochs'.padStart(6)}  ${ANALYTICS_METRICS.map(metric => metricLabel(metric).padStart(9)).join(' ')}`);
+  buckets.forEach(bucket => {
+    const averages = ANALYTICS_METRICS.map(metric => `${bucket.metrics[metric].mean.toFixed(1)}%`.padStart(9)).join(' ');
+    console.log(`  ${bucket.period.padEnd(9)} ${String(bucket.epochs).padStart(6)}  ${averages}`);
+  });
+}
+
+/**
+ * Full trend report: a line chart per metric with its rolling
+ * average, streaks, then the per-period table
+ */
+function displayTrends(soul, analytics, period = 'month') {
+  console.log(`\n📈 Trends for ${soul.name}:\n`);
+  console.log('═'.repeat(60));
   
-  console.log('🌱 GROWTH:');
-  console.log('  • "What am I meant to learn from [experience]?"');
-  console.log('  • "How can I grow through [difficulty]?"');
-  console.log('  • "What pattern am I repeating?"\n');
+  if (analytics.epochs === 0) {
+    console.log('  No epochs yet. Ask your first question!');
+    console.log('═'.repeat(60) + '\n');
+    return;
+  }
   
-  console.log('🔗 RELATIONSHIPS:');
-  console.log('  • "What does [person] need from me?"');
-  console.log('  • "How can I improve [relationship]?"');
-  console.log('  • "What is the truth about [connection]?"\n');
+  console.log(`  ${analytics.epochs} epoch${analytics.epochs === 1 ? '' : 's'} · ${analytics.from.substring(0, 10)} → ${analytics.to.substring(0, 10)}`);
+  console.log(`  █ reading  · ${analytics.window}-epoch rolling average`);
   
-  console.log('💡 Tip: Be specific. The oracle responds to clarity.\n');
+  ANALYTICS_METRICS.forEach(metric => {
+    const { values, rolling, summary, streaks } = analytics.metrics[metric];
+    console.log(`\n  ${metricLabel(metric)} — ${describeSummary(summary)}`);
+    lineChart(values, { rolling, height: 8, width: 50 }).forEach(line => console.log(line));
+    console.log(`  Streaks: ${describeStreaks(streaks)}`);
+  });
+  
+  displayPeriodTable(period === 'week' ? analytics.weekly : analytics.monthly, period);
+  console.log('═'.repeat(60) + '\n');
 }
 
-async function askQuestion(rl, context = 'general') {
-  console.log('\n🌾 Ask your question:');
-  console.log('   (Type ? for examples, or press Enter to cancel)\n');
-  
-  const q = await question(rl, '→ ');
+// ═══════════════════════════════════════════════════════════════
+// 🧭 PATTERN JOURNEY
+// ═══════════════════════════════════════════════════════════════
+
+// Path lengths and list sizes shown on screen; --json has everything
+const JOURNEY_PATH_LENGTH = 12;
+const JOURNEY_TOP_TRANSITIONS = 5;
+
+function shortPattern(pattern) {
+  return pattern.replace(/^The /, '');
+}
+
+/**
+ * Transition counts between the patterns a soul has drawn, rows are
+ * "from" and numbered columns are "to"
+ */
+function displayTransitionMatrix(journey) {
+  const seen = journey.recency.filter(entry => entry.count > 0).map(entry => entry.pattern)
+    .sort((a, b) => journey.path.indexOf(a) - journey.path.indexOf(b));
+  console.log('\n🔢 Transition Matrix (row → column):\n');
+  console.log(`  ${' '.repeat(13)}${seen.map((_, index) => String(index + 1).padStart(3)).join('')}`);
+  seen.forEach((from, row) => {
+    const cells = seen.map(to => {
+      const count = (journey.matrix[from] || {})[to];
+      return (count ? String(count) : '·').padStart(3);
+    });
+    console.log(`  ${String(row + 1).padStart(2)} ${shortPattern(from).padEnd(10)}${cells.join('')}`);
+  });
+}
+
+function displayPatternJourney(soul, journey) {
+  console.log(`\n🧭 Pattern Journey for ${soul.name}:\n`);
+  console.log('═'.repeat(60));
   
-  if (q === '?' || q.toLowerCase() === 'help') {
-    displayQuestionExamples();
-    return await askQuestion(rl, context);
+  if (journey.epochs === 0) {
+    console.log('  No epochs yet. Ask your first question!');
+    console.log('═'.repeat(60) + '\n');
+    return;
   }
   
-  if (!q) {
-    return null;
+  const seenCount = Object.values(journey.counts).filter(count => count > 0).length;
+  console.log(`  ${journey.epochs} epoch${journey.epochs === 1 ? '' : 's'} · ${seenCount} of ${Object.keys(journey.counts).length} patterns seen`);
+  const recent = journey.path.slice(-JOURNEY_PATH_LENGTH).map(shortPattern).join(' → ');
+  console.log(`  Path${journey.path.length > JOURNEY_PATH_LENGTH ? ` (last ${JOURNEY_PATH_LENGTH})` : ''}: ${recent}`);
+  
+  console.log('\n🔁 Recurring Cycles:');
+  if (journey.cycles.length === 0) {
+    console.log('  None yet — no sequence of patterns has repeated.');
   }
+  journey.cycles.forEach(cycle => {
+    console.log(`  ${cycle.sequence.map(shortPattern).join(' → ')}  ×${cycle.count} (last ended at epoch ${cycle.lastEpoch})`);
+  });
   
-  // Validate question quality
-  if (q.length < 5) {
-    console.log('\n⚠️  Question too short. Try being more specific.');
-    console.log('   Example: "What should I know about my current path?"\n');
-    return await askQuestion(rl, context);
+  if (journey.transitions.length > 0) {
+    console.log('\n↪️  Strongest Transitions:');
+    journey.transitions.slice(0, JOURNEY_TOP_TRANSITIONS).forEach(({ from, to, count, share }) => {
+      console.log(`  ${`${shortPattern(from)} → ${shortPattern(to)}`.padEnd(24)} ${count}× (${Math.round(share * 100)}% of moves from ${shortPattern(from)})`);
+    });
+    displayTransitionMatrix(journey);
   }
   
-  return q;
+  console.log('\n⏳ Since Last Seen:');
+  journey.recency.filter(entry => entry.count > 0).forEach(entry => {
+    const since = entry.epochsSince === 0 ? 'latest epoch' : `${entry.epochsSince} epoch${entry.epochsSince === 1 ? '' : 's'} ago`;
+    console.log(`  ${entry.pattern.padEnd(15)} ${`${entry.count}×`.padStart(4)}  epoch ${entry.lastEpoch}, ${since} (${entry.lastSeen.substring(0, 10)})`);
+  });
+  
+  if (journey.neverSeen.length > 0) {
+    console.log(`\n🌑 Never Seen: ${journey.neverSeen.map(shortPattern).join(', ')}`);
+  }
+  console.log('═'.repeat(60) + '\n');
 }
 
-function displaySoulNameSuggestions() {
-  console.log('\n💡 Soul Name Ideas:\n');
-  console.log('👤 PERSONAL:');
-  console.log('  • Your name ("Alice", "Bob")');
-  console.log('  • "Self", "True Self", "Higher Self"\n');
-  
+// ═══════════════════════════════════════════════════════════════
+// ⚖️ SOUL COMPARISON & SYNASTRY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Bar like displayReading's: one block per 5%
+ */
+function meterBar(percent) {
+  const filled = Math.max(0, Math.min(20, Math.floor(percent / 5)));
+  return `${'█'.repeat(filled)}${'░'.repeat(20 - filled)}`;
+}
+
+function displaySoulComparison(comparison) {
+  const { souls } = comparison;
+  const width = Math.max(...souls.map(soul => soul.name.length), 8);
+  console.log(`\n⚖️  Comparing ${souls.map(soul => soul.name).join(', ')}:\n`);
+  console.log('═'.repeat(60));
+  souls.forEach(soul => {
+    const top = soul.topPattern ? `${soul.topPattern.pattern} (${soul.topPattern.count}×)` : 'no epochs yet';
+    console.log(`  ${soul.name.padEnd(width)}  ${String(soul.epochs).padStart(4)} epoch${soul.epochs === 1 ? ' ' : 's'} · top: ${top}`);
+  });
+  
+  ANALYTICS_METRICS.forEach(metric => {
+    console.log(`\n  ${metricLabel(metric)}`);
+    souls.forEach(soul => {
+      const summary = soul.metrics[metric];
+      const detail = summary ? `${summary.mean.toFixed(1)}% (σ ${summary.stdDev.toFixed(1)})` : '—';
+      console.log(`    ${soul.name.padEnd(width)} ${meterBar(summary ? summary.mean : 0)} ${detail}`);
+    });
+  });
+  
+  // Souls on different decks name different patterns
+  const seen = [...new Set(souls.flatMap(soul => Object.keys(soul.patterns)))]
+    .filter(pattern => souls.some(soul => soul.patterns[pattern] > 0));
+  if (seen.length > 0) {
+    const columns = souls.map(soul => Math.max(soul.name.length, 4));
+    console.log('\n🌌 Pattern Distribution:\n');
+    console.log(`  ${''.padEnd(15)}${souls.map((soul, index) => soul.name.padStart(columns[index] + 2)).join('')}`);
+    seen.forEach(pattern => {
+      const counts = souls.map((soul, index) => String(soul.patterns[pattern] || '·').padStart(columns[index] + 2));
+      console.log(`  ${pattern.padEnd(15)}${counts.join('')}`);
+    });
+  }
+  
+  console.log('\n🔗 Pattern Overlap:');
+  comparison.overlap.forEach(({ souls: [a, b], patternOverlap }) => {
+    console.log(`  ${a} ↔ ${b}: ${patternOverlap === null ? 'needs epochs on both souls' : `${patternOverlap}%`}`);
+  });
+  console.log('═'.repeat(60) + '\n');
+}
+
+function displaySynastry(result) {
+  const { joint, compatibility } = result;
+  const names = result.souls.map(member => member.name);
+  
+  console.log(`\n💞 "${result.question}"\n`);
+  result.souls.forEach(({ name, epochNumber, reading, recorded }) => {
+    const note = recorded ? 'recorded as epoch' : 'as epoch';
+    console.log(`  ${name} (${note} ${epochNumber}): ${reading.pattern} | R${reading.resonance} C${reading.clarity} F${reading.flux} E${reading.emergence}`);
+  });
+  
+  console.log('\n╔═══════════════════════════════════════════════════════════════╗');
+  console.log(`║  💞 SYNASTRY READING — ${names.join(' + ').substring(0, 38)}`);
+  console.log('╠═══════════════════════════════════════════════════════════════╣');
+  console.log(`║  Resonance: ${meterBar(joint.resonance)} ${joint.resonance}%`);
+  console.log(`║  Clarity:   ${meterBar(joint.clarity)} ${joint.clarity}%`);
+  console.log(`║  Flux:      ${meterBar(joint.flux)} ${joint.flux}%`);
+  console.log(`║  Emergence: ${meterBar(joint.emergence)} ${joint.emergence}%`);
+  console.log('╠═══════════════════════════════════════════════════════════════╣');
+  console.log(`║  🌌 Pattern: ${joint.pattern}`);
+  console.log('╠═══════════════════════════════════════════════════════════════╣');
+  console.log(`║  📜 Oracle: "${joint.message}"`);
+  console.log('╠═══════════════════════════════════════════════════════════════╣');
+  console.log(`║  🤝 Compatibility: ${meterBar(compatibility.score)} ${compatibility.score}%`);
+  compatibility.pairs.forEach(({ souls: [a, b], score, samePattern }) => {
+    console.log(`║     ${a} ↔ ${b}: ${score}%${samePattern ? ' · same pattern' : ''}`);
+  });
+  console.log('╚═══════════════════════════════════════════════════════════════╝\n');
+}
+
+function displaySoulList(souls) {
+  if (souls.length === 0) {
+    console.log('\n⚠️  No souls exist yet.');
+    console.log('💡 Create your first soul with option [1]\n');
+    return;
+  }
+  
+  console.log('\n🌌 Soul Registry:\n');
+  console.log('═'.repeat(60));
+  
+  // Optimize: compute total epochs once
+  let totalEpochs = 0;
+  
+  souls.forEach(soul => {
+    totalEpochs += soul.epochs;
+    
+    const avgResonance = soul.avgResonance !== null ? soul.avgResonance.toFixed(1) : 'N/A';
+    
+    console.log(`  • ${soul.name}`);
+    console.log(`    Created: ${soul.created.substring(0, 10)}`);
+    console.log(`    Epochs: ${soul.epochs} | Avg Resonance: ${avgResonance}%`);
+    console.log(`    Last: ${soul.lastEpoch ? soul.lastEpoch.substring(0, 10) : 'Never'}`);
+    console.log();
+  });
+  
+  console.log('═'.repeat(60));
+  console.log(`Total: ${souls.length} soul${souls.length === 1 ? '' : 's'}, ${totalEpochs} epoch${totalEpochs === 1 ? '' : 's'}\n`);
+}
+
+function displayTrash(souls) {
+  if (souls.length === 0) {
+    console.log('\n🗑️  The trash is empty.\n');
+    return;
+  }
+  
+  console.log('\n🗑️  Trash:\n');
+  souls.forEach((soul, idx) => {
+    console.log(`  [${idx + 1}] ${soul.name.padEnd(20)} (${soul.epochs} epochs, deleted ${soul.trashedAt.substring(0, 10)})`);
+  });
+  console.log();
+}
+
+/**
+ * Numbered soul picker shared by the registry menus
+ * Returns: the chosen soul summary, or null
+ */
+async function pickSoul(rl, souls, prompt) {
+  const choice = await question(rl, `${prompt} (1-${souls.length}, Enter to cancel): `);
+  if (!choice) {
+    return null;
+  }
+  const index = parseInt(choice, 10) - 1;
+  if (isNaN(index) || index < 0 || index >= souls.length) {
+    console.log(`⚠️  Invalid selection. Please enter a number between 1 and ${souls.length}.\n`);
+    return null;
+  }
+  return souls[index];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 💬 SMART QUESTION PROMPTING
+// ═══════════════════════════════════════════════════════════════
+
+function displayQuestionExamples() {
+  console.log('\n💡 Example Questions:\n');
+  console.log('📍 GUIDANCE:');
+  console.log('  • "What should I know about [situation]?"');
+  console.log('  • "How can I approach [challenge]?"');
+  console.log('  • "What is the nature of [concept]?"\n');
+  
+  console.log('🔮 DECISION:');
+  console.log('  • "Should I pursue [opportunity]?"');
+  console.log('  • "What happens if I choose [option]?"');
+  console.log('  • "Is this the right time for [action]?"\n');
+  
+  console.log('🌱 GROWTH:');
+  console.log('  • "What am I meant to learn from [experience]?"');
+  console.log('  • "How can I grow through [difficulty]?"');
+  console.log('  • "What pattern am I repeating?"\n');
+  
+  console.log('🔗 RELATIONSHIPS:');
+  console.log('  • "What does [person] need from me?"');
+  console.log('  • "How can I improve [relationship]?"');
+  console.log('  • "What is the truth about [connection]?"\n');
+  
+  console.log('💡 Tip: Be specific. The oracle responds to clarity.\n');
+}
+
+async function askQuestion(rl, context = 'general') {
+  console.log('\n🌾 Ask your question:');
+  console.log('   (Type ? for examples, or press Enter to cancel)\n');
+  
+  const q = await question(rl, '→ ');
+  
+  if (q === '?' || q.toLowerCase() === 'help') {
+    displayQuestionExamples();
+    return await askQuestion(rl, context);
+  }
+  
+  if (!q) {
+    return null;
+  }
+  
+  // Validate question quality
+  if (q.length < 5) {
+    console.log('\n⚠️  Question too short. Try being more specific.');
+    console.log('   Example: "What should I know about my current path?"\n');
+    return await askQuestion(rl, context);
+  }
+  
+  return q;
+}
+
+/**
+ * Spread choice for a new epoch; Enter keeps the single reading
+ * Returns: spread key, or null when cancelled
+ */
+async function askSpread(rl) {
+  const spreads = Object.keys(SPREADS);
+  console.log('\n🃏 Choose a spread:');
+  spreads.forEach((key, index) => {
+    const positions = SPREADS[key].positions.map(position => position.label).join(', ');
+    console.log(`   [${index + 1}] ${SPREADS[key].title}${positions ? ` (${positions})` : ''}`);
+  });
+  
+  const choice = await question(rl, '\n→ Spread (Enter = single, C to cancel): ');
+  if (!choice) {
+    return 'single';
+  }
+  if (choice.toLowerCase() === 'c') {
+    return null;
+  }
+  const index = parseInt(choice, 10) - 1;
+  if (isNaN(index) || index < 0 || index >= spreads.length) {
+    console.log(`⚠️  Invalid selection. Please enter a number between 1 and ${spreads.length}.`);
+    return askSpread(rl);
+  }
+  return spreads[index];
+}
+
+function displaySoulNameSuggestions() {
+  console.log('\n💡 Soul Name Ideas:\n');
+  console.log('👤 PERSONAL:');
+  console.log('  • Your name ("Alice", "Bob")');
+  console.log('  • "Self", "True Self", "Higher Self"\n');
+  
   console.log('🎭 ARCHETYPES:');
   console.log('  • "Oracle", "Guide", "Sage"');
   console.log('  • "Shadow", "Light", "Balance"\n');
@@ -1145,12 +1525,120 @@ async function createSoulWithHelp(rl, soulRegistry) {
 // 🌊 MAIN RITUAL FLOW
 // ═══════════════════════════════════════════════════════════════
 
-async function runSoulMenu(soul, soulRegistry, key, username) {
+/**
+ * Soul lifecycle submenu
+ * Returns: { soul } after a rename/unarchive, { leave: true } once the
+ * soul has left the registry, or null when nothing changed
+ */
+async function manageSoul(rl, client, soul) {
+  console.log(`\n🛠️  Manage "${soul.name}":`);
+  console.log('   [R] Rename');
+  console.log('   [D] Duplicate (fork seed and history)');
+  console.log('   [C] Change Deck');
+  console.log(soul.archived ? '   [A] Unarchive' : '   [A] Archive (hide from lists, keep epochs)');
+  console.log('   [X] Delete (moves to trash)');
+  console.log('   [Enter] Cancel\n');
+  const action = (await question(rl, '→ ')).toLowerCase();
+  
+  switch (action) {
+    case 'r': {
+      const newName = await question(rl, '→ New name: ');
+      if (!newName || newName === soul.name) {
+        return null;
+      }
+      const result = client.renameSoul(soul.name, newName);
+      if (!result.success) {
+        console.log(`\n❌ ${result.error}\n`);
+        return null;
+      }
+      console.log(`\n✅ Renamed to "${newName}".\n`);
+      return { soul: result.soul };
+    }
+    
+    case 'd': {
+      const newName = await question(rl, '→ Name for the fork: ');
+      if (!newName) {
+        return null;
+      }
+      const result = client.duplicateSoul(soul.name, newName);
+      if (!result.success) {
+        console.log(`\n❌ ${result.error}\n`);
+        return null;
+      }
+      console.log(`\n🌿 "${newName}" forked from "${soul.name}" with ${result.soul.epochs} epochs.`);
+      console.log('💡 Both share a seed: the same question gives the same reading in each.\n');
+      return null;
+    }
+    
+    case 'c': {
+      const library = client.listDecks();
+      displayDeckList(library.decks, library.invalid);
+      const choice = await question(rl, '→ Deck id or file (Enter to keep): ');
+      if (!choice) {
+        return null;
+      }
+      const deck = resolveDeckArgument(choice);
+      if (!deck.success) {
+        console.log(`\n❌ ${deck.error}\n`);
+        return null;
+      }
+      const locale = await question(rl, '→ Locale (Enter for the deck\'s own language): ');
+      const result = client.setSoulDeck(soul.name, deck.deck, { locale: locale || null });
+      if (!result.success) {
+        console.log(`\n❌ ${result.error}\n`);
+        return null;
+      }
+      console.log(`\n🃏 New readings for "${soul.name}" come from "${result.deck.name}".`);
+      console.log('💡 Past epochs keep the deck they were read from.\n');
+      return { soul: result.soul };
+    }
+    
+    case 'a': {
+      const result = soul.archived ? client.unarchiveSoul(soul.name) : client.archiveSoul(soul.name);
+      if (!result.success) {
+        console.log(`\n❌ ${result.error}\n`);
+        return null;
+      }
+      if (soul.archived) {
+        console.log(`\n✅ "${soul.name}" is back in the registry.\n`);
+        return { soul: result.soul };
+      }
+      console.log(`\n📦 "${soul.name}" archived. Find it under [A] Archived Souls.\n`);
+      return { leave: true };
+    }
+    
+    case 'x': {
+      if (!await confirm(rl, `\n⚠️  Move "${soul.name}" to the trash?`)) {
+        return null;
+      }
+      const result = client.deleteSoul(soul.name);
+      if (!result.success) {
+        console.log(`\n❌ ${result.error}\n`);
+        return null;
+      }
+      console.log(`\n🗑️  "${soul.name}" moved to the trash. Restore it from [T] Trash.\n`);
+      return { leave: true };
+    }
+    
+    default:
+      return null;
+  }
+}
+
+async function runSoulMenu(client, soulName) {
   const rl = createInterface();
   let quantumMode = false;
   
+  const loaded = client.getSoul(soulName);
+  if (!loaded.success) {
+    console.log(`\n❌ ${loaded.error}\n`);
+    rl.close();
+    return;
+  }
+  let soul = loaded.soul;
+  
   // First-time tip
-  if (soul.epochs.length === 0) {
+  if (soul.epochs === 0) {
     console.log('\n💡 First consultation with this soul!');
     console.log('   Each soul generates unique readings based on its cryptographic seed.');
     console.log('   The same question asked twice will give the same answer (deterministic).\n');
@@ -1169,7 +1657,12 @@ async function runSoulMenu(soul, soulRegistry, key, username) {
           break;
         }
         
-        const epochNumber = soul.epochs.length + 1;
+        // Spreads are deterministic, so quantum mode always asks for a single reading
+        const spread = quantumMode ? 'single' : await askSpread(rl);
+        if (!spread) {
+          console.log('↩️  Returning to soul menu...\n');
+          break;
+        }
         
         // Loading indicator
         if (quantumMode) {
@@ -1178,27 +1671,16 @@ async function runSoulMenu(soul, soulRegistry, key, username) {
           showLoading('🔮 Consulting oracle...');
         }
         
-        const reading = await consultQuantumOracle(q, soul.seed, epochNumber, quantumMode);
+        // Consultation records and saves the epoch
+        const result = await client.consult(soulName, q, { quantum: quantumMode, spread });
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
         showLoadingDone();
         
-        soul.epochs.push({
-          number: epochNumber,
-          question: q,
-          timestamp: new Date().toISOString(),
-          reading
-        });
-        
-        soul.lastEpoch = soul.epochs[soul.epochs.length - 1].timestamp;
-        
-        // Invalidate stats cache since soul data changed
-        invalidateStatsCache(soul.name);
-        
-        displayReading(reading, epochNumber);
-        
-        // Save indicator
-        process.stdout.write('💾 Saving...');
-        saveSouls(soulRegistry, key, username);
-        process.stdout.write(' ✓\n');
+        displayReading(result.epoch.reading, result.epoch.number);
+        console.log('💾 Saved ✓');
         
         console.log('💡 Tip: Ask the same question again later to see how your path evolves.\n');
         break;
@@ -1215,14 +1697,28 @@ async function runSoulMenu(soul, soulRegistry, key, username) {
         } else {
           console.log('\n⚠️  Quantum Forge not available.');
           console.log('💡 To enable: Set PI_FORGE_PATH environment variable');
+          console.log('   Run `oinio diagnose` to see what is missing');
           console.log('   See OINIO-FORGE-INTEGRATION.md for details\n');
         }
         break;
       }
       
       case 'p': {
-        // Pattern library
-        displayPatternLibrary();
+        // Pattern library of this soul's deck, with its counts
+        const usage = client.patternCounts({ names: [soulName] });
+        const deck = client.getSoulDeck(soulName);
+        displayPatternLibrary(usage.success ? { ...usage, label: soulName } : null, deck.success ? deck.deck : null);
+        break;
+      }
+      
+      case 'j': {
+        // Pattern journey
+        const result = client.patternJourney(soulName);
+        if (result.success) {
+          displayPatternJourney(result.soul, result.journey);
+        } else {
+          console.log(`\n❌ ${result.error}\n`);
+        }
         break;
       }
       
@@ -1235,44 +1731,46 @@ async function runSoulMenu(soul, soulRegistry, key, username) {
       }
       
       case '2': {
-        // View History
-        if (soul.epochs.length === 0) {
-          console.log('\n📖 No epochs recorded yet.\n');
-        } else {
-          console.log(`\n📖 Epoch History for ${soul.name}:\n`);
-          soul.epochs.forEach(epoch => {
-            console.log(`  Epoch ${epoch.number} — ${epoch.timestamp}`);
-            console.log(`  Q: ${epoch.question}`);
-            console.log(`  Pattern: ${epoch.reading.pattern} | Oracle: "${epoch.reading.message}"`);
-            console.log();
-          });
-        }
+        // Browse, filter and search history
+        await browseEpochs(rl, client, { names: [soulName], title: `History of ${soulName}` });
         break;
       }
       
       case '3': {
         // Statistics
-        console.log(`\n📊 Soul Statistics for ${soul.name}:\n`);
-        console.log('═'.repeat(60));
-        console.log(`  Created: ${soul.created}`);
-        console.log(`  Total Epochs: ${soul.epochs.length}`);
-        console.log(`  Last Epoch: ${soul.lastEpoch || 'Never'}`);
-        
-        // Use cached statistics for better performance
-        const stats = getSoulStats(soul);
-        if (stats) {
-          console.log(`  Avg Resonance: ${stats.avgResonance.toFixed(1)}%`);
-          console.log(`  Avg Clarity: ${stats.avgClarity.toFixed(1)}%`);
-          console.log(`  Avg Flux: ${stats.avgFlux.toFixed(1)}%`);
-          console.log(`  Avg Emergence: ${stats.avgEmergence.toFixed(1)}%`);
-          
-          // Pattern distribution
-          const topPattern = Object.entries(stats.patternCount).sort((a, b) => b[1] - a[1])[0];
-          console.log(`  Most Common Pattern: ${topPattern[0]} (${topPattern[1]}x)`);
+        const result = client.stats(soulName);
+        if (result.success) {
+          displaySoulStats(result.soul, result.stats, client.analytics(soulName).analytics);
         } else {
-          console.log('  No epochs yet. Ask your first question!');
+          console.log(`\n❌ ${result.error}\n`);
+        }
+        break;
+      }
+      
+      case 't': {
+        // Trend charts
+        const result = client.analytics(soulName);
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        const grouping = (await question(rl, 'Group averages by [W]eek or [M]onth (Enter = month): ')).toLowerCase();
+        displayTrends(result.soul, result.analytics, grouping === 'w' ? 'week' : 'month');
+        break;
+      }
+      
+      case 'm': {
+        // Rename, duplicate, change deck, archive or delete
+        const managed = await manageSoul(rl, client, soul);
+        if (!managed) {
+          break;
+        }
+        if (managed.leave) {
+          rl.close();
+          return;
         }
-        console.log('═'.repeat(60) + '\n');
+        soul = managed.soul;
+        soulName = soul.name;
         break;
       }
       
@@ -1284,42 +1782,39 @@ async function runSoulMenu(soul, soulRegistry, key, username) {
       
       default:
         console.log(`⚠️  Invalid choice: "${choice}"`);
-        console.log('💡 Enter 1-4, [Q] for quantum, [P] for patterns, or [?] for help\n');
+        console.log('💡 Enter 1-4, [T] for trends, [J] for journey, [Q] for quantum, [P] for patterns, [M] to manage, or [?] for help\n');
     }
   }
 }
 
-async function mainMenu() {
+async function mainMenu(client = new OinioClient()) {
   displayBanner();
   
   // User authentication
-  const userCreds = await loginScreen();
-  if (!userCreds) {
+  const loggedIn = await loginScreen(client);
+  if (!loggedIn) {
     // User chose to exit
     return;
   }
   
-  const { username, password, encryptionSalt } = userCreds;
-  
+  console.log(`✅ Welcome back, ${client.username}!\n`);
+  return runRegistryMenu(client, true);
+}
+
+async function runRegistryMenu(client, showWelcome = false) {
   const rl = createInterface();
   
-  // Use PBKDF2 with encryption salt for deriving encryption key
-  // This provides better security than simple SHA-256 hashing
-  const key = deriveEncryptionKey(password, encryptionSalt);
-  let soulRegistry = loadSouls(key, username);
-  
-  if (soulRegistry === null) {
+  const listed = client.listSouls();
+  if (!listed.success) {
     // Decryption failed - shouldn't happen after successful login
-    console.log('❌ Failed to load soul data. This shouldn\'t happen.\n');
+    console.log(`❌ Failed to load soul data: ${listed.error}\n`);
     rl.close();
     return;
   }
   
-  console.log(`✅ Welcome back, ${username}!\n`);
-  
   // First-run welcome
-  const soulCount = Object.keys(soulRegistry).length;
-  if (soulCount === 0) {
+  const soulCount = listed.souls.length;
+  if (soulCount === 0 && showWelcome) {
     console.log('🌟 Welcome to OINIO!\n');
     console.log('💡 Quick Start:');
     console.log('   1. Create your first soul (option 1)');
@@ -1327,7 +1822,7 @@ async function mainMenu() {
     console.log('   3. Select the soul (option 2)');
     console.log('   4. Ask your first question\n');
     console.log('📚 Press [?] at any menu for detailed help\n');
-  } else {
+  } else if (soulCount > 0) {
     console.log(`📊 Registry: ${soulCount} soul${soulCount === 1 ? '' : 's'} | Press [?] for help\n`);
   }
   
@@ -1339,15 +1834,18 @@ async function mainMenu() {
     switch (choice.toLowerCase()) {
       case '1': {
         // Create new soul
-        const name = await askSoulName(rl, Object.keys(soulRegistry));
+        const existing = client.listSouls();
+        const name = await askSoulName(rl, existing.success ? existing.souls.map(soul => soul.name) : []);
         if (!name) {
           break;
         }
         
         showLoading('🌱 Creating soul...');
-        const newSoul = createSoul(name);
-        soulRegistry[name] = newSoul;
-        saveSouls(soulRegistry, key, username);
+        const result = client.createSoul(name);
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
         showLoadingDone();
         console.log(`\n✨ Soul "${name}" created with unique cryptographic seed.`);
         console.log(`💡 Same question to different souls = different answers.`);
@@ -1357,151 +1855,1664 @@ async function mainMenu() {
       
       case '2': {
         // Select soul
-        const soulNames = Object.keys(soulRegistry);
-        if (soulNames.length === 0) {
+        const result = client.listSouls();
+        const souls = result.success ? result.souls : [];
+        if (souls.length === 0) {
           console.log('\n⚠️  No souls exist yet.');
           console.log('💡 Create a soul first with option [1]\n');
           break;
         }
         
         console.log('\n🌌 Available Souls:\n');
-        soulNames.forEach((name, idx) => {
-          const soul = soulRegistry[name];
-          console.log(`  [${idx + 1}] ${name.padEnd(20)} (${soul.epochs.length} epochs)`);
+        souls.forEach((soul, idx) => {
+          console.log(`  [${idx + 1}] ${soul.name.padEnd(20)} (${soul.epochs} epochs)`);
         });
         console.log();
         
-        const soulChoice = await question(rl, '→ Select soul number (1-' + soulNames.length + '): ');
+        const soulChoice = await question(rl, '→ Select soul number (1-' + souls.length + '): ');
         const soulIndex = parseInt(soulChoice, 10) - 1;
         
-        if (isNaN(soulIndex) || soulIndex < 0 || soulIndex >= soulNames.length) {
-          console.log(`⚠️  Invalid selection. Please enter a number between 1 and ${soulNames.length}.\n`);
+        if (isNaN(soulIndex) || soulIndex < 0 || soulIndex >= souls.length) {
+          console.log(`⚠️  Invalid selection. Please enter a number between 1 and ${souls.length}.\n`);
           break;
         }
         
-        const selectedSoul = soulRegistry[soulNames[soulIndex]];
         rl.close();
-        await runSoulMenu(selectedSoul, soulRegistry, key, username);
-        return mainMenu(); // Restart main menu after soul menu exits
+        await runSoulMenu(client, souls[soulIndex].name);
+        return runRegistryMenu(client); // Restart main menu after soul menu exits
       }
       
       case '3': {
         // List all souls
-        const souls = Object.values(soulRegistry);
-        if (souls.length === 0) {
-          console.log('\n⚠️  No souls exist yet.');
-          console.log('💡 Create your first soul with option [1]\n');
+        const result = client.listSouls();
+        if (result.success) {
+          displaySoulList(result.souls);
         } else {
-          console.log('\n🌌 Soul Registry:\n');
-          console.log('═'.repeat(60));
-          
-          // Optimize: compute total epochs once
-          let totalEpochs = 0;
-          
-          souls.forEach(soul => {
-            const epochCount = soul.epochs.length;
-            totalEpochs += epochCount;
-            
-            // Use cached stats for average resonance
-            const stats = getSoulStats(soul);
-            const avgResonance = stats ? stats.avgResonance.toFixed(1) : 'N/A';
-            
-            console.log(`  • ${soul.name}`);
-            console.log(`    Created: ${soul.created.substring(0, 10)}`);
-            console.log(`    Epochs: ${epochCount} | Avg Resonance: ${avgResonance}%`);
-            console.log(`    Last: ${soul.lastEpoch ? soul.lastEpoch.substring(0, 10) : 'Never'}`);
-            console.log();
-          });
-          
-          console.log('═'.repeat(60));
-          console.log(`Total: ${souls.length} soul${souls.length === 1 ? '' : 's'}, ${totalEpochs} epoch${totalEpochs === 1 ? '' : 's'}\n`);
+          console.log(`\n❌ ${result.error}\n`);
         }
         break;
       }
       
       case '4': {
-        // Export lineage
-        showLoading('📜 Exporting lineage to CSV...');
-        exportLineageToCSV(soulRegistry);
-        showLoadingDone();
+        // Export lineage or epoch-level readings
+        console.log('\n📜 Export Readings\n');
+        console.log('   [1] Lineage summary (CSV, one row per soul)');
+        console.log('   [2] Every epoch (CSV)');
+        console.log('   [3] Every epoch (JSON Lines)');
+        console.log('   [4] Journal (Markdown)');
+        console.log('   [Enter] Cancel\n');
+        const format = { 1: 'lineage', 2: 'csv', 3: 'jsonl', 4: 'markdown' }[await question(rl, '→ ')];
+        if (!format) {
+          break;
+        }
+        
+        if (format === 'lineage') {
+          showLoading('📜 Exporting lineage to CSV...');
+          exportLineageToCSV(client);
+          showLoadingDone();
+          break;
+        }
+        
+        const answer = await question(rl, '→ Souls to export (comma-separated, Enter for all): ');
+        const names = answer.split(',').map(name => name.trim()).filter(Boolean);
+        const result = writeEpochExport(client, format, defaultEpochExportFile(client, format), names);
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        console.log(`\n📜 Exported ${result.epochs} epoch${result.epochs === 1 ? '' : 's'} to: ${result.file}\n`);
         break;
       }
       
-      case '?':
-      case 'h':
-      case 'help': {
-        // Help
-        displayMainHelp();
+      case 's': {
+        // Search epochs across every soul
+        displayFilterHelp();
+        const query = await question(rl, '→ Search (Enter to list every epoch): ');
+        await browseEpochs(rl, client, { title: 'Search all souls', query });
         break;
       }
       
-      case 'l':
-      case 'logout': {
-        // Logout and return to login screen
-        const shouldLogout = await confirm(rl, '\n🔄 Logout and switch user?');
-        if (shouldLogout) {
-          console.log('\n👋 Logging out...\n');
-          rl.close();
-          return mainMenu(); // Restart with login screen
+      case 'c': {
+        // Compare souls, then optionally ask them together
+        console.log('\n⚖️  Compare Souls & Synastry\n');
+        const answer = await question(rl, '→ Souls to compare (comma-separated, at least 2): ');
+        const names = answer.split(',').map(name => name.trim()).filter(Boolean);
+        if (names.length === 0) {
+          break;
+        }
+        const comparison = client.compareSouls(names);
+        if (!comparison.success) {
+          console.log(`\n❌ ${comparison.error}\n`);
+          break;
+        }
+        displaySoulComparison(comparison);
+        
+        const q = await question(rl, '→ Ask them one question together (Enter to skip): ');
+        if (!q) {
+          break;
+        }
+        const record = await confirm(rl, 'Record each soul\'s reading as its next epoch?');
+        const result = client.synastry(names, q, { record });
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
         }
+        displaySynastry(result);
         break;
       }
       
-      case '5': {
-        // Exit with confirmation
-        const shouldExit = await confirm(rl, '\n🚪 Exit OINIO?');
-        if (shouldExit) {
-          console.log('\n🌾 The pattern persists. Farewell.\n');
-          console.log('💾 All data saved to: ' + getSoulsFilePath(username));
+      case 'e': {
+        // Export souls to a portable bundle
+        console.log('\n📤 Export Souls\n');
+        const answer = await question(rl, '→ Souls to export (comma-separated, Enter for all): ');
+        const names = answer.split(',').map(name => name.trim()).filter(Boolean);
+        
+        let passphrase = null;
+        if (await confirm(rl, '🔐 Encrypt with a transfer passphrase? (recommended)')) {
+          passphrase = await questionHidden(rl, '🔐 Transfer passphrase: ');
+          const again = await questionHidden(rl, '🔐 Repeat passphrase: ');
+          if (!passphrase || passphrase !== again) {
+            console.log('\n⚠️  Passphrases empty or do not match. Nothing exported.\n');
+            break;
+          }
+        }
+        
+        const defaultFile = path.join(client.store.basePath, 'oinio-souls.json');
+        const target = await question(rl, `→ Save to [${defaultFile}]: `);
+        const result = writeSoulBundle(client, target ? path.resolve(target) : defaultFile, { names, passphrase });
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        console.log(`\n📤 Exported ${result.souls.length} soul${result.souls.length === 1 ? '' : 's'} to: ${result.file}`);
+        if (!passphrase) {
+          console.log('⚠️  Not encrypted: anyone with this file can read these souls.');
+        }
+        console.log();
+        break;
+      }
+      
+      case 'i': {
+        // Import souls from a bundle
+        const file = await question(rl, '\n→ Bundle file to import (Enter to cancel): ');
+        if (!file) {
+          break;
+        }
+        
+        let content;
+        try {
+          content = fs.readFileSync(path.resolve(file), 'utf8');
+        } catch (err) {
+          console.log(`\n❌ Cannot read ${file}: ${err.message}\n`);
+          break;
+        }
+        
+        let passphrase = null;
+        let preview = client.previewImport(content);
+        if (!preview.success && preview.encrypted) {
+          passphrase = await questionHidden(rl, '🔐 Transfer passphrase: ');
+          preview = client.previewImport(content, { passphrase });
+        }
+        if (!preview.success) {
+          console.log(`\n❌ ${preview.error}\n`);
+          break;
+        }
+        
+        // Settle each name collision before anything is written
+        const choices = {};
+        for (const soul of preview.souls.filter(candidate => candidate.conflict)) {
+          const mergeable = soul.conflict === 'exists' && soul.sameSeed;
+          console.log(`\n⚠️  ${describeImportConflict(soul)}`);
+          if (mergeable) {
+            console.log('   [M] Merge its new epochs into the existing soul');
+          }
+          console.log('   [R] Import it under another name');
+          console.log('   [S] Skip it (default)\n');
+          const answer = (await question(rl, '→ ')).toLowerCase();
+          
+          if (answer === 'm' && mergeable) {
+            choices[soul.name] = 'merge';
+          } else if (answer === 'r') {
+            const newName = await question(rl, '→ New name (Enter for automatic): ');
+            choices[soul.name] = { action: 'rename', name: newName || undefined };
+          } else {
+            choices[soul.name] = 'skip';
+          }
+        }
+        
+        const result = client.importSouls(content, { passphrase, choices });
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        console.log();
+        displayImportResult(result);
+        console.log();
+        break;
+      }
+      
+      case 'a': {
+        // Archived souls
+        const result = client.listSouls({ archived: true });
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        if (result.souls.length === 0) {
+          console.log('\n📦 No archived souls.');
+          console.log('💡 Archive a soul from its menu with [M] Manage Soul\n');
+          break;
+        }
+        
+        console.log('\n📦 Archived Souls:\n');
+        result.souls.forEach((soul, idx) => {
+          console.log(`  [${idx + 1}] ${soul.name.padEnd(20)} (${soul.epochs} epochs)`);
+        });
+        console.log();
+        
+        const soul = await pickSoul(rl, result.souls, '→ Open soul number');
+        if (!soul) {
+          break;
+        }
+        
+        rl.close();
+        await runSoulMenu(client, soul.name);
+        return runRegistryMenu(client);
+      }
+      
+      case 't': {
+        // Trash
+        const result = client.listTrash();
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        displayTrash(result.souls);
+        if (result.souls.length === 0) {
+          break;
+        }
+        
+        console.log('   [R] Restore a soul');
+        console.log('   [D] Delete a soul for good');
+        console.log('   [E] Empty the trash');
+        console.log('   [Enter] Cancel\n');
+        const action = (await question(rl, '→ ')).toLowerCase();
+        
+        if (action === 'r' || action === 'd') {
+          const soul = await pickSoul(rl, result.souls, '→ Soul number');
+          if (!soul) {
+            break;
+          }
+          if (action === 'd' && !await confirm(rl, `\n⚠️  Delete "${soul.name}" and its ${soul.epochs} epochs forever?`)) {
+            break;
+          }
+          const outcome = action === 'r' ? client.restoreSoul(soul.name) : client.purgeSoul(soul.name);
+          if (outcome.success) {
+            console.log(action === 'r' ? `\n✅ Soul "${soul.name}" restored.\n` : `\n🗑️  Soul "${soul.name}" deleted for good.\n`);
+          } else {
+            console.log(`\n❌ ${outcome.error}\n`);
+          }
+        } else if (action === 'e') {
+          if (!await confirm(rl, `\n⚠️  Delete all ${result.souls.length} trashed soul${result.souls.length === 1 ? '' : 's'} forever?`)) {
+            break;
+          }
+          const outcome = client.emptyTrash();
+          console.log(outcome.success ? '\n🗑️  Trash emptied.\n' : `\n❌ ${outcome.error}\n`);
+        }
+        break;
+      }
+      
+      case 'p': {
+        // Change password
+        console.log('\n🔑 Change Password\n');
+        console.log('💡 Enter your current password first.');
+        const oldPassword = await askUserPassword(rl, false);
+        if (!oldPassword) {
+          break;
+        }
+        
+        const newPassword = await askUserPassword(rl, true);
+        if (!newPassword) {
+          break;
+        }
+        
+        showLoading('🔐 Re-encrypting souls...');
+        const result = client.changePassword(oldPassword, newPassword);
+        if (!result.success) {
+          console.log(`\n❌ ${result.error}\n`);
+          break;
+        }
+        showLoadingDone();
+        console.log('\n✅ Password changed. Use the new password next time you log in.\n');
+        break;
+      }
+      
+      case 'r': {
+        // Recovery phrase
+        const status = client.recoveryStatus();
+        if (!status.success) {
+          console.log(`\n❌ ${status.error}\n`);
+          break;
+        }
+        
+        let action = null;
+        if (status.enabled) {
+          console.log('\n🗝️  Recovery is ON for this account.');
+          console.log('   [N] Generate a new phrase (the old one stops working)');
+          console.log('   [D] Disable recovery');
+          console.log('   [Enter] Cancel\n');
+          const answer = (await question(rl, '→ ')).toLowerCase();
+          action = answer === 'n' ? 'new' : answer === 'd' ? 'disable' : null;
+        } else {
+          console.log('\n🗝️  Recovery is OFF. A forgotten password means lost souls.');
+          action = await confirm(rl, '   Generate a recovery phrase?') ? 'new' : null;
+        }
+        
+        if (action === 'new') {
+          const result = client.enableRecovery();
+          if (result.success) {
+            console.log();
+            displayRecoveryPhrase(result.recoveryPhrase);
+          } else {
+            console.log(`\n❌ ${result.error}\n`);
+          }
+        } else if (action === 'disable') {
+          const result = client.disableRecovery();
+          if (result.success) {
+            console.log('\n✅ Recovery disabled. Only your password can unlock your souls now.\n');
+          } else {
+            console.log(`\n❌ ${result.error}\n`);
+          }
+        }
+        break;
+      }
+      
+      case '?':
+      case 'h':
+      case 'help': {
+        // Help
+        displayMainHelp();
+        break;
+      }
+      
+      case 'l':
+      case 'logout': {
+        // Logout and return to login screen
+        const shouldLogout = await confirm(rl, '\n🔄 Logout and switch user?');
+        if (shouldLogout) {
+          console.log('\n👋 Logging out...\n');
+          client.logout();
+          rl.close();
+          return mainMenu(client); // Restart with login screen
+        }
+        break;
+      }
+      
+      case '5': {
+        // Exit with confirmation
+        const shouldExit = await confirm(rl, '\n🚪 Exit OINIO?');
+        if (shouldExit) {
+          console.log('\n🌾 The pattern persists. Farewell.\n');
+          console.log('💾 All data saved to: ' + client.store.getSoulsFilePath(client.username));
           rl.close();
           return;
         }
         break;
       }
-      
-      default:
-        console.log(`⚠️  Invalid choice: "${choice}"`);
-        console.log('💡 Enter 1-5, [L] for logout, or [?] for help\n');
+      
+      default:
+        console.log(`⚠️  Invalid choice: "${choice}"`);
+        console.log('💡 Enter 1-5, [S] search, [C] compare, [E] export, [I] import, [A] archived, [T] trash, [P] password, [R] recovery, [L] logout, or [?] for help\n');
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧭 NON-INTERACTIVE COMMANDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Process exit codes for scripted use
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  AUTH_FAILED: 3,
+  NOT_FOUND: 4,
+  LOCKED: 5
+};
+
+// Options that consume the following argument as their value
+const VALUE_OPTIONS = [
+  'user', 'password-fd', 'new-password-fd', 'passphrase-fd', 'on-conflict',
+  'format', 'output', 'page', 'page-size', 'window', 'period', 'spread', 'locale', 'port', 'host'
+];
+
+/**
+ * Splits argv into positional arguments and --options
+ * Supports both "--name value" and "--name=value" forms
+ */
+function parseCommandArgs(argv) {
+  const positional = [];
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    
+    const eqIndex = arg.indexOf('=');
+    if (eqIndex !== -1) {
+      options[arg.substring(2, eqIndex)] = arg.substring(eqIndex + 1);
+    } else if (VALUE_OPTIONS.includes(arg.substring(2))) {
+      options[arg.substring(2)] = argv[++i];
+    } else {
+      options[arg.substring(2)] = true;
+    }
+  }
+  
+  return { positional, options };
+}
+
+// fd -> lines, so several secrets can come from one stream
+const fdLineCache = new Map();
+
+/**
+ * Reads one line from a file descriptor (stdin is fd 0)
+ */
+function readLineFromFd(fd, lineIndex = 0) {
+  if (!fdLineCache.has(fd)) {
+    fdLineCache.set(fd, fs.readFileSync(fd, 'utf8').split(/\r?\n/));
+  }
+  return fdLineCache.get(fd)[lineIndex] || '';
+}
+
+/**
+ * Parses a --*-fd option value
+ */
+function parseFdOption(value) {
+  const fd = parseInt(value, 10);
+  if (isNaN(fd) || fd < 0) {
+    throw new Error(`Invalid file descriptor: ${value}`);
+  }
+  return fd;
+}
+
+/**
+ * Reads the account password for a command
+ * Sources, in order: --password-fd <n>, --password-stdin, piped stdin, TTY prompt
+ * lineIndex selects a later line of the same stream (e.g. a new password)
+ */
+async function readCommandPassword(options, lineIndex = 0, prompt = '🔐 Password: ') {
+  if (options['password-fd'] !== undefined) {
+    return readLineFromFd(parseFdOption(options['password-fd']), lineIndex);
+  }
+  
+  if (options['password-stdin'] || !process.stdin.isTTY) {
+    return readLineFromFd(0, lineIndex);
+  }
+  
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const password = await questionHidden(rl, prompt);
+  rl.close();
+  return password;
+}
+
+/**
+ * Reads a bundle's transfer passphrase: --passphrase-fd, else the line
+ * after the password, else a hidden prompt (entered twice to confirm)
+ */
+async function readTransferPassphrase(options, { confirmEntry = false } = {}) {
+  if (options['passphrase-fd'] !== undefined) {
+    return readLineFromFd(parseFdOption(options['passphrase-fd']));
+  }
+  
+  const passphrase = await readCommandPassword(options, 1, '🔐 Transfer passphrase: ');
+  const prompted = process.stdin.isTTY && options['password-fd'] === undefined && !options['password-stdin'];
+  if (confirmEntry && prompted && passphrase !== await readCommandPassword(options, 1, '🔐 Repeat passphrase: ')) {
+    throw new Error('passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Resolves the username for a command from --user or OINIO_USER
+ */
+function resolveCommandUser(options) {
+  return typeof options.user === 'string' ? options.user : (process.env.OINIO_USER || null);
+}
+
+/**
+ * Maps a failed client result to a process exit code
+ */
+function exitCodeFor(result) {
+  switch (result.code) {
+    case RESULT_CODES.INVALID: return EXIT_CODES.USAGE;
+    case RESULT_CODES.AUTH: return EXIT_CODES.AUTH_FAILED;
+    case RESULT_CODES.LOCKED: return EXIT_CODES.LOCKED;
+    case RESULT_CODES.NOT_FOUND: return EXIT_CODES.NOT_FOUND;
+    default: return EXIT_CODES.ERROR;
+  }
+}
+
+/**
+ * Authenticates a command invocation
+ * Returns: { success, client } or { success: false, exitCode, error }
+ */
+async function authenticateCommand(options) {
+  const username = resolveCommandUser(options);
+  if (!username) {
+    return { success: false, exitCode: EXIT_CODES.USAGE, error: 'Username required (use --user <name> or OINIO_USER)' };
+  }
+  
+  let password;
+  try {
+    password = await readCommandPassword(options);
+  } catch (err) {
+    return { success: false, exitCode: EXIT_CODES.USAGE, error: `Failed to read password: ${err.message}` };
+  }
+  
+  if (!password) {
+    return { success: false, exitCode: EXIT_CODES.USAGE, error: 'Password required' };
+  }
+  
+  const client = new OinioClient();
+  const result = client.login(username, password, { source: 'cli' });
+  if (!result.success) {
+    return { success: false, exitCode: exitCodeFor(result), error: result.error };
+  }
+  
+  // stderr keeps --json output on stdout parseable
+  displayFailedAttempts(result.failedAttempts, console.error);
+  return { success: true, client };
+}
+
+/**
+ * Prints a command result as JSON when --json is set
+ */
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function commandError(message, exitCode = EXIT_CODES.ERROR) {
+  console.error(`❌ ${message}`);
+  return exitCode;
+}
+
+function commandFailure(result) {
+  return commandError(result.error, exitCodeFor(result));
+}
+
+async function commandRegister(positional, options) {
+  const username = resolveCommandUser(options);
+  if (!username) {
+    return commandError('Username required (use --user <name> or OINIO_USER)', EXIT_CODES.USAGE);
+  }
+  
+  const usernameError = validateUsername(username);
+  if (usernameError) {
+    return commandError(usernameError, EXIT_CODES.USAGE);
+  }
+  
+  let password;
+  try {
+    password = await readCommandPassword(options);
+  } catch (err) {
+    return commandError(`Failed to read password: ${err.message}`, EXIT_CODES.USAGE);
+  }
+  
+  const result = new OinioClient().register(username, password, { recovery: Boolean(options.recovery) });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson(result.recoveryPhrase ? { username, recoveryPhrase: result.recoveryPhrase } : { username });
+  } else {
+    console.log(`✅ Account "${username}" created.`);
+    if (result.recoveryPhrase) {
+      console.log(`🗝️  Recovery phrase (shown once): ${result.recoveryPhrase}`);
+    }
+  }
+  return EXIT_CODES.OK;
+}
+
+// Positional names each soul action expects
+const SOUL_ACTION_ARGS = {
+  create: ['name'],
+  list: [],
+  rename: ['name', 'new name'],
+  duplicate: ['name', 'new name'],
+  archive: ['name'],
+  unarchive: ['name'],
+  delete: ['name'],
+  trash: [],
+  undelete: ['name'],
+  purge: []
+};
+
+const SOUL_USAGE = 'Usage: oinio soul <create|list|rename|duplicate|archive|unarchive|delete|trash|undelete|purge> [name] [new name]';
+
+async function commandSoul(positional, options) {
+  const [action, name, newName] = positional;
+  
+  const expected = SOUL_ACTION_ARGS[action];
+  if (!expected) {
+    return commandError(SOUL_USAGE, EXIT_CODES.USAGE);
+  }
+  
+  const missing = expected.slice(positional.length - 1);
+  if (missing.length > 0) {
+    return commandError(`Soul ${missing.join(' and ')} required`, EXIT_CODES.USAGE);
+  }
+  
+  if (action === 'purge' && !name && !options.all) {
+    return commandError('Soul name or --all required', EXIT_CODES.USAGE);
+  }
+  
+  // Scripts cannot answer a prompt, so --yes is the confirmation
+  if ((action === 'delete' || action === 'purge') && !options.yes) {
+    return commandError(`Refusing to ${action} without --yes`, EXIT_CODES.USAGE);
+  }
+  
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  const { client } = session;
+  
+  if (action === 'list' || action === 'trash') {
+    const result = action === 'trash' ? client.listTrash() : client.listSouls({ archived: Boolean(options.archived) });
+    if (!result.success) {
+      return commandFailure(result);
+    }
+    if (options.json) {
+      printJson(result.souls);
+    } else if (action === 'trash') {
+      displayTrash(result.souls);
+    } else {
+      displaySoulList(result.souls);
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  if (action === 'purge' && !name) {
+    const result = client.emptyTrash();
+    if (!result.success) {
+      return commandFailure(result);
+    }
+    if (options.json) {
+      printJson({ purged: result.purged });
+    } else {
+      console.log(`🗑️  Trash emptied (${result.purged.length} soul${result.purged.length === 1 ? '' : 's'} deleted for good).`);
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  const result = {
+    create: () => client.createSoul(name),
+    rename: () => client.renameSoul(name, newName),
+    duplicate: () => client.duplicateSoul(name, newName),
+    archive: () => client.archiveSoul(name),
+    unarchive: () => client.unarchiveSoul(name),
+    delete: () => client.deleteSoul(name),
+    undelete: () => client.restoreSoul(name),
+    purge: () => client.purgeSoul(name)
+  }[action]();
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson(result.soul || { name, purged: true });
+    return EXIT_CODES.OK;
+  }
+  
+  const messages = {
+    create: `✨ Soul "${name}" created with unique cryptographic seed.`,
+    rename: `✅ Soul "${name}" renamed to "${newName}".`,
+    duplicate: `🌿 Soul "${newName}" forked from "${name}" (same seed, ${result.soul.epochs} epochs).`,
+    archive: `📦 Soul "${name}" archived. List it with: soul list --archived`,
+    unarchive: `✅ Soul "${name}" is back in the registry.`,
+    delete: `🗑️  Soul "${name}" moved to the trash. Undo with: soul undelete "${name}"`,
+    undelete: `✅ Soul "${name}" restored from the trash.`,
+    purge: `🗑️  Soul "${name}" deleted for good.`
+  };
+  console.log(messages[action]);
+  return EXIT_CODES.OK;
+}
+
+async function commandConsult(positional, options) {
+  const [soulName, q] = positional;
+  
+  if (!soulName || !q === !options.batch) {
+    return commandError('Usage: oinio consult <soul> ("<question>" | --batch) [--quantum | --spread <name>]', EXIT_CODES.USAGE);
+  }
+  if (options.batch && process.stdin.isTTY) {
+    return commandError('--batch reads one question per line from stdin; pipe the questions in', EXIT_CODES.USAGE);
+  }
+  
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  const { client } = session;
+  
+  let useQuantum = false;
+  if (options.quantum) {
+    useQuantum = await client.isQuantumAvailable();
+    if (!useQuantum) {
+      console.error('⚠️  Quantum Forge not available, using deterministic oracle (run `oinio diagnose`)');
+    }
+  }
+  
+  const consultOptions = {
+    quantum: useQuantum,
+    spread: options.spread === undefined ? 'single' : options.spread
+  };
+  if (options.batch) {
+    return consultBatch(client, soulName, readBatchQuestions(options), consultOptions, options);
+  }
+  
+  const result = await client.consult(soulName, q, consultOptions);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ soul: soulName, ...result.epoch });
+  } else {
+    displayReading(result.epoch.reading, result.epoch.number);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Questions for consult --batch: the non-empty lines of stdin, after
+ * the password line when the password came from stdin too
+ */
+function readBatchQuestions(options) {
+  const fromStdin = options['password-fd'] === undefined || parseFdOption(options['password-fd']) === 0;
+  const passwordLines = fromStdin ? 1 : 0;
+  readLineFromFd(0);
+  return fdLineCache.get(0).slice(passwordLines).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Records one epoch per question, in order, in this one process (a
+ * worker provider then starts the Forge only once). Stops at the
+ * first failure; epochs recorded before it are kept.
+ */
+async function consultBatch(client, soulName, questions, consultOptions, options) {
+  if (questions.length === 0) {
+    return commandError('No questions on stdin', EXIT_CODES.USAGE);
+  }
+  
+  const epochs = [];
+  let failed = null;
+  for (const question of questions) {
+    const result = await client.consult(soulName, question, consultOptions);
+    if (!result.success) {
+      failed = result;
+      break;
+    }
+    epochs.push(result.epoch);
+    if (!options.json) {
+      displayReading(result.epoch.reading, result.epoch.number);
+    }
+  }
+  await shutdownQuantumBridge();
+  
+  if (options.json) {
+    printJson(epochs.map(epoch => ({ soul: soulName, ...epoch })));
+  }
+  if (failed) {
+    if (epochs.length > 0) {
+      console.error(`⚠️  Stopped after ${epochs.length} of ${questions.length} questions`);
+    }
+    return commandFailure(failed);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandHistory(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const [soulName, ...queryTerms] = positional;
+  if (!soulName) {
+    return commandError('Soul name required', EXIT_CODES.USAGE);
+  }
+  
+  const result = session.client.searchEpochs({ names: [soulName], ...searchCommandOptions(queryTerms, options) });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  // --json stays a plain epoch array, as before filters existed
+  const epochs = result.matches.map(match => match.epoch);
+  if (options.json) {
+    printJson(epochs);
+  } else {
+    displayHistory(soulName, epochs);
+    displayPageFooter(result, options);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * searchEpochs options from a command's query words and paging flags
+ * Without --page every match is returned
+ */
+function searchCommandOptions(queryTerms, options) {
+  // The shell already split the words; keep multi-word arguments together
+  const quote = term => {
+    if (!/\s/.test(term)) {
+      return term;
+    }
+    const filterTerm = /^(\w+)(>=|<=|:|>|<|=)(.*)$/s.exec(term);
+    return filterTerm ? `${filterTerm[1]}${filterTerm[2]}"${filterTerm[3]}"` : `"${term}"`;
+  };
+  return {
+    query: queryTerms.map(quote).join(' '),
+    page: options.page === undefined ? null : Number(options.page),
+    pageSize: options['page-size'] === undefined ? 20 : Number(options['page-size']),
+    newestFirst: Boolean(options.newest)
+  };
+}
+
+function displayPageFooter(result, options) {
+  if (options.page !== undefined) {
+    console.log(`Page ${result.page}/${result.pages} · ${result.total} matching epoch${result.total === 1 ? '' : 's'}`);
+  }
+}
+
+async function commandSearch(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const search = searchCommandOptions(positional, options);
+  const result = session.client.searchEpochs(search);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    const { success, ...page } = result;
+    printJson(page);
+    return EXIT_CODES.OK;
+  }
+  
+  if (result.total === 0) {
+    console.log('No matching epochs.');
+    return EXIT_CODES.OK;
+  }
+  console.log(`\n🔎 ${describeEpochFilter(parseEpochQuery(search.query))}\n`);
+  result.matches.forEach((match, idx) => {
+    displayEpochMatch(match, (result.page - 1) * result.pageSize + idx + 1, true);
+  });
+  console.log();
+  displayPageFooter(result, options);
+  return EXIT_CODES.OK;
+}
+
+async function commandStats(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const soulName = positional[0];
+  if (!soulName) {
+    return commandError('Soul name required', EXIT_CODES.USAGE);
+  }
+  
+  const result = session.client.stats(soulName);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ ...result.soul, stats: result.stats });
+  } else {
+    displaySoulStats(result.soul, result.stats, session.client.analytics(soulName).analytics);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandTrends(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const soulName = positional[0];
+  if (!soulName) {
+    return commandError('Usage: oinio trends <soul> [--window <n>] [--period week|month]', EXIT_CODES.USAGE);
+  }
+  const period = options.period === undefined ? 'month' : options.period;
+  if (!ANALYTICS_PERIODS.includes(period)) {
+    return commandError(`Period must be ${ANALYTICS_PERIODS.join(' or ')}`, EXIT_CODES.USAGE);
+  }
+  
+  const result = session.client.analytics(soulName, {
+    window: options.window === undefined ? undefined : Number(options.window)
+  });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ ...result.soul, analytics: result.analytics });
+  } else {
+    displayTrends(result.soul, result.analytics, period);
+  }
+  return EXIT_CODES.OK;
+}
+
+// Everything `export` can write; bundle is the default
+const EXPORT_FORMATS = ['bundle', 'lineage', ...Object.keys(EPOCH_EXPORT_FORMATS)];
+
+/**
+ * Export format from --format, else from the --output extension
+ * (.csv stays the lineage summary older scripts expect)
+ */
+function resolveExportFormat(options, outputFile) {
+  if (typeof options.format === 'string') {
+    return options.format === 'md' ? 'markdown' : options.format;
+  }
+  const extension = outputFile ? path.extname(outputFile).toLowerCase() : '';
+  return { '.csv': 'lineage', '.jsonl': 'jsonl', '.md': 'markdown' }[extension] || 'bundle';
+}
+
+async function commandExport(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const { client } = session;
+  const toStdout = options.output === '-';
+  const outputFile = typeof options.output === 'string' && !toStdout ? path.resolve(options.output) : undefined;
+  
+  const format = resolveExportFormat(options, outputFile);
+  if (!EXPORT_FORMATS.includes(format)) {
+    return commandError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`, EXIT_CODES.USAGE);
+  }
+  if (toStdout && !EPOCH_EXPORT_FORMATS[format]) {
+    return commandError('--output - works with the csv, jsonl and markdown formats', EXIT_CODES.USAGE);
+  }
+  
+  if (format === 'lineage') {
+    if (positional.length > 0) {
+      return commandError('The lineage CSV always covers every soul; drop the soul names', EXIT_CODES.USAGE);
+    }
+    return exportLineageToCSV(client, outputFile) ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+  }
+  
+  if (EPOCH_EXPORT_FORMATS[format]) {
+    if (toStdout) {
+      const result = client.exportEpochs({ names: positional, format });
+      if (!result.success) {
+        return commandFailure(result);
+      }
+      process.stdout.write(result.content);
+      return EXIT_CODES.OK;
+    }
+    
+    const result = writeEpochExport(client, format, outputFile || defaultEpochExportFile(client, format), positional);
+    if (!result.success) {
+      return commandFailure(result);
+    }
+    if (options.json) {
+      printJson({ file: result.file, format, souls: result.souls, epochs: result.epochs });
+    } else {
+      console.log(`📜 Exported ${result.epochs} epoch${result.epochs === 1 ? '' : 's'} from ${result.souls.length} soul${result.souls.length === 1 ? '' : 's'} to: ${result.file}`);
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  let passphrase = null;
+  if (options.encrypt) {
+    try {
+      passphrase = await readTransferPassphrase(options, { confirmEntry: true });
+    } catch (err) {
+      return commandError(`Failed to read transfer passphrase: ${err.message}`, EXIT_CODES.USAGE);
+    }
+    if (!passphrase) {
+      return commandError('Transfer passphrase required with --encrypt', EXIT_CODES.USAGE);
+    }
+  }
+  
+  const result = writeSoulBundle(client, outputFile || path.join(client.store.basePath, 'oinio-souls.json'), {
+    names: positional,
+    passphrase
+  });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ file: result.file, souls: result.souls, encrypted: Boolean(passphrase) });
+  } else {
+    console.log(`📤 Exported ${result.souls.length} soul${result.souls.length === 1 ? '' : 's'} to: ${result.file}`);
+    if (!passphrase) {
+      console.error('⚠️  Not encrypted: anyone with this file can read these souls (use --encrypt).');
     }
   }
+  return EXIT_CODES.OK;
 }
 
-// ═══════════════════════════════════════════════════════════════
-// 🚀 ENTRY POINT
-// ═══════════════════════════════════════════════════════════════
+async function commandImport(positional, options) {
+  const [file] = positional;
+  if (!file) {
+    return commandError('Bundle file required', EXIT_CODES.USAGE);
+  }
+  
+  const strategy = options['on-conflict'];
+  if (strategy !== undefined && !IMPORT_STRATEGIES.includes(strategy)) {
+    return commandError(`--on-conflict must be one of: ${IMPORT_STRATEGIES.join(', ')}`, EXIT_CODES.USAGE);
+  }
+  
+  let content;
+  try {
+    content = fs.readFileSync(path.resolve(file), 'utf8');
+  } catch (err) {
+    return commandError(`Cannot read ${file}: ${err.message}`);
+  }
+  
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  const { client } = session;
+  
+  let passphrase = null;
+  let preview = client.previewImport(content);
+  if (!preview.success && preview.encrypted) {
+    try {
+      passphrase = await readTransferPassphrase(options);
+    } catch (err) {
+      return commandError(`Failed to read transfer passphrase: ${err.message}`, EXIT_CODES.USAGE);
+    }
+    preview = client.previewImport(content, { passphrase });
+  }
+  if (!preview.success) {
+    return commandFailure(preview);
+  }
+  
+  // Collisions need an explicit decision; scripts give it up front
+  const conflicts = preview.souls.filter(soul => soul.conflict);
+  if (conflicts.length > 0 && !strategy) {
+    console.error(`⚠️  ${conflicts.length} soul name${conflicts.length === 1 ? ' is' : 's are'} already in use:`);
+    conflicts.forEach(soul => console.error(`   • ${describeImportConflict(soul)}`));
+    console.error(`💡 Re-run with --on-conflict ${IMPORT_STRATEGIES.join('|')}`);
+    return EXIT_CODES.ERROR;
+  }
+  
+  const result = client.importSouls(content, { passphrase, strategy });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ imported: result.imported, skipped: result.skipped });
+  } else {
+    displayImportResult(result);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandPasswd(positional, options) {
+  const username = resolveCommandUser(options);
+  if (!username) {
+    return commandError('Username required (use --user <name> or OINIO_USER)', EXIT_CODES.USAGE);
+  }
+  
+  let oldPassword;
+  let newPassword;
+  try {
+    oldPassword = await readCommandPassword(options);
+    newPassword = options['new-password-fd'] !== undefined
+      ? readLineFromFd(parseFdOption(options['new-password-fd']))
+      : await readCommandPassword(options, 1, '🔐 New password: ');
+  } catch (err) {
+    return commandError(`Failed to read password: ${err.message}`, EXIT_CODES.USAGE);
+  }
+  
+  // A typo typed at a prompt would lock the account: ask twice
+  const prompted = process.stdin.isTTY && options['password-fd'] === undefined &&
+    !options['password-stdin'] && options['new-password-fd'] === undefined;
+  if (prompted && newPassword !== await readCommandPassword(options, 1, '🔐 Repeat new password: ')) {
+    return commandError('New passwords do not match', EXIT_CODES.USAGE);
+  }
+  
+  const client = new OinioClient();
+  const login = client.login(username, oldPassword, { source: 'cli' });
+  if (!login.success) {
+    return commandFailure(login);
+  }
+  
+  const result = client.changePassword(oldPassword, newPassword);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  console.log('✅ Password changed. All souls re-keyed under the new password.');
+  return EXIT_CODES.OK;
+}
+
+async function commandRecovery(positional, options) {
+  const [action = 'status'] = positional;
+  if (!['status', 'enable', 'disable'].includes(action)) {
+    return commandError('Usage: oinio recovery <status|enable|disable>', EXIT_CODES.USAGE);
+  }
+  
+  const auth = await authenticateCommand(options);
+  if (!auth.success) {
+    return commandError(auth.error, auth.exitCode);
+  }
+  
+  if (action === 'status') {
+    const status = auth.client.recoveryStatus();
+    if (!status.success) {
+      return commandFailure(status);
+    }
+    if (options.json) {
+      printJson({ enabled: status.enabled });
+    } else {
+      console.log(status.enabled ? '🗝️  Recovery phrase: enabled' : '🗝️  Recovery phrase: disabled');
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  const result = action === 'enable' ? auth.client.enableRecovery() : auth.client.disableRecovery();
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (action === 'disable') {
+    console.log('✅ Recovery disabled.');
+  } else if (options.json) {
+    printJson({ recoveryPhrase: result.recoveryPhrase });
+  } else {
+    console.log(`🗝️  Recovery phrase (shown once): ${result.recoveryPhrase}`);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandResetPassword(positional, options) {
+  const username = resolveCommandUser(options);
+  if (!username) {
+    return commandError('Username required (use --user <name> or OINIO_USER)', EXIT_CODES.USAGE);
+  }
+  
+  let phrase;
+  let newPassword;
+  try {
+    phrase = await readCommandPassword(options, 0, '🗝️  Recovery phrase: ');
+    newPassword = options['new-password-fd'] !== undefined
+      ? readLineFromFd(parseFdOption(options['new-password-fd']))
+      : await readCommandPassword(options, 1, '🔐 New password: ');
+  } catch (err) {
+    return commandError(`Failed to read input: ${err.message}`, EXIT_CODES.USAGE);
+  }
+  
+  const result = new OinioClient().resetPassword(username, phrase, newPassword);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  console.log('✅ Password reset. The recovery phrase still works.');
+  return EXIT_CODES.OK;
+}
+
+async function commandRestore(positional, options) {
+  const [selector] = positional;
+  
+  const auth = await authenticateCommand(options);
+  if (!auth.success) {
+    return commandError(auth.error, auth.exitCode);
+  }
+  
+  const listed = auth.client.listBackups();
+  if (!listed.success) {
+    return commandFailure(listed);
+  }
+  const backups = listed.backups;
+  
+  if (!selector) {
+    if (options.json) {
+      printJson(backups);
+      return EXIT_CODES.OK;
+    }
+    if (backups.length === 0) {
+      console.log('No backups yet. One is kept each time your souls are saved.');
+      return EXIT_CODES.OK;
+    }
+    console.log(`\n💾 Backups for ${auth.client.username} (newest first):\n`);
+    backups.forEach((backup, idx) => {
+      const detail = backup.restorable
+        ? `${backup.souls} soul${backup.souls === 1 ? '' : 's'}`
+        : `not restorable: ${backup.error}`;
+      console.log(`  [${idx + 1}] ${backup.id}  ${backup.created}  ${detail}`);
+    });
+    console.log('\n💡 Restore one with: oinio-system restore <number|id>\n');
+    return EXIT_CODES.OK;
+  }
+  
+  // Accept a list number or a backup id
+  const index = /^\d{1,4}$/.test(selector) ? parseInt(selector, 10) - 1 : -1;
+  const backup = backups[index] || backups.find(candidate => candidate.id === selector);
+  if (!backup) {
+    return commandError(`Backup not found: ${selector}`, EXIT_CODES.NOT_FOUND);
+  }
+  
+  const result = auth.client.restoreBackup(backup.id);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ id: backup.id, souls: result.souls });
+  } else {
+    console.log(`✅ Restored backup ${backup.id} (${result.souls.length} soul${result.souls.length === 1 ? '' : 's'}).`);
+    console.log('💡 The replaced registry was backed up too; run restore again to undo.');
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandVerify(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const result = session.client.verifyReadings({ names: positional });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ souls: result.souls, totals: result.totals });
+  } else {
+    displayVerification(result.souls, result.totals);
+  }
+  // Scripts can alert on a non-zero exit
+  return result.totals.mismatch + result.totals.unverifiable > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+}
+
+async function commandDiagnose(positional, options) {
+  const report = await diagnoseQuantumBridge();
+  if (!report) {
+    return commandError('The quantum bridge (oinio-forge-bridge.js) is not installed');
+  }
+  
+  if (options.json) {
+    printJson(report);
+  } else {
+    displayDiagnosis(report);
+  }
+  await shutdownQuantumBridge();
+  return report.handshake.success ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+}
+
+async function commandPatterns(positional, options) {
+  // Counts need the account, so they are only shown when --user is given
+  if (options.user === undefined) {
+    displayPatternLibrary();
+    return EXIT_CODES.OK;
+  }
+  
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const result = session.client.patternCounts({ names: positional });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  // A single soul is shown with its own deck
+  const deck = positional.length === 1 ? session.client.getSoulDeck(positional[0]) : null;
+  
+  if (options.json) {
+    printJson({ counts: result.counts, epochs: result.epochs, souls: result.souls });
+  } else {
+    displayPatternLibrary({ ...result, label: positional.length > 0 ? positional.join(', ') : 'All souls' },
+      deck && deck.success ? deck.deck : null);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandCompare(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  if (positional.length < 2) {
+    return commandError('Usage: oinio compare <soul> <soul> [soul...]', EXIT_CODES.USAGE);
+  }
+  
+  const result = session.client.compareSouls(positional);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ souls: result.souls, overlap: result.overlap });
+  } else {
+    displaySoulComparison(result);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function commandSynastry(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const [q, ...names] = positional;
+  if (!q || names.length < 2) {
+    return commandError('Usage: oinio synastry "<question>" <soul> <soul> [soul...] [--record]', EXIT_CODES.USAGE);
+  }
+  
+  const { success, ...result } = session.client.synastry(names, q, { record: Boolean(options.record) });
+  if (!success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    displaySynastry(result);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * "classic", a deck id, or a path to a deck file (anything ending in
+ * .json or containing a path separator)
+ * Returns: { success, deck } where deck is what client.setSoulDeck takes
+ */
+function resolveDeckArgument(argument) {
+  if (!argument.endsWith('.json') && !argument.includes('/') && !argument.includes(path.sep)) {
+    return { success: true, deck: argument };
+  }
+  const loaded = readDeckFile(path.resolve(argument));
+  return loaded.success ? { success: true, deck: loaded.deck } : loaded;
+}
+
+const DECK_USAGE = 'Usage: oinio deck <list|validate|show|use> [file|soul] [deck]';
+
+async function commandDeck(positional, options) {
+  const [action, target, deckArgument] = positional;
+  
+  if (action === 'list') {
+    const result = new OinioClient().listDecks();
+    if (options.json) {
+      printJson({ decks: result.decks, invalid: result.invalid });
+    } else {
+      displayDeckList(result.decks, result.invalid);
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  if (action === 'validate') {
+    if (!target) {
+      return commandError('Deck file required', EXIT_CODES.USAGE);
+    }
+    const loaded = readDeckFile(path.resolve(target));
+    if (!loaded.success) {
+      return commandFailure(loaded);
+    }
+    if (options.json) {
+      printJson({ id: loaded.deck.id, name: loaded.deck.name, hash: loaded.hash, patterns: loaded.deck.patterns.length });
+    } else {
+      console.log(`✅ ${target}: deck "${loaded.deck.id}" with ${loaded.deck.patterns.length} patterns and ${loaded.deck.messages.length} messages`);
+      console.log(`   Hash: ${loaded.hash}`);
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  if (action !== 'show' && action !== 'use') {
+    return commandError(DECK_USAGE, EXIT_CODES.USAGE);
+  }
+  if (!target) {
+    return commandError('Soul name required', EXIT_CODES.USAGE);
+  }
+  if (action === 'use' && !deckArgument) {
+    return commandError(`Deck id, file or "${CLASSIC_DECK_ID}" required`, EXIT_CODES.USAGE);
+  }
+  
+  const deck = action === 'use' ? resolveDeckArgument(deckArgument) : null;
+  if (deck && !deck.success) {
+    return commandFailure(deck);
+  }
+  
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  if (action === 'show') {
+    const result = session.client.getSoulDeck(target);
+    if (!result.success) {
+      return commandFailure(result);
+    }
+    if (options.json) {
+      printJson({ deck: result.deck, drift: result.drift });
+    } else {
+      displaySoulDeck(result.soul.name, result.deck, result.drift);
+    }
+    return EXIT_CODES.OK;
+  }
+  
+  const result = session.client.setSoulDeck(target, deck.deck, { locale: options.locale || null });
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  if (options.json) {
+    printJson({ soul: result.soul, deck: result.deck });
+  } else {
+    console.log(`🃏 "${result.soul.name}" now reads from "${result.deck.name}" (${shortHash(result.deck.hash)}).`);
+  }
+  return EXIT_CODES.OK;
+}
 
-// Handle CLI arguments
-const args = process.argv.slice(2);
+async function commandJourney(positional, options) {
+  const session = await authenticateCommand(options);
+  if (!session.success) {
+    return commandError(session.error, session.exitCode);
+  }
+  
+  const soulName = positional[0];
+  if (!soulName) {
+    return commandError('Soul name required', EXIT_CODES.USAGE);
+  }
+  
+  const result = session.client.patternJourney(soulName);
+  if (!result.success) {
+    return commandFailure(result);
+  }
+  
+  if (options.json) {
+    printJson({ ...result.soul, journey: result.journey });
+  } else {
+    displayPatternJourney(result.soul, result.journey);
+  }
+  return EXIT_CODES.OK;
+}
 
-if (args.includes('--version') || args.includes('-v')) {
+async function commandServe(positional, options) {
   const config = require('./config');
-  console.log(`OINIO Soul System v${config.VERSION}`);
-  console.log('Pattern Recognition Oracle - Deterministic Cryptographic Divination');
-  process.exit(0);
+  const { startServer } = require('./oinio-server');
+  
+  const port = options.port !== undefined ? parseInt(options.port, 10) : parseInt(config.PORT, 10);
+  if (isNaN(port) || port < 0 || port > 65535) {
+    return commandError(`Invalid port: ${options.port}`, EXIT_CODES.USAGE);
+  }
+  const host = typeof options.host === 'string' ? options.host : config.HOST;
+  
+  isQuantumAvailable = await detectQuantumAvailability();
+  
+  try {
+    const server = await startServer({ port, host });
+    const address = server.address();
+    console.log(`🌐 OINIO API listening on http://${address.address}:${address.port}`);
+    console.log('   Press Ctrl+C to stop\n');
+  } catch (err) {
+    return commandError(`Failed to start server: ${err.message}`);
+  }
+  
+  // Keep running until the process receives a signal
+  return new Promise(resolve => {
+    const shutdown = () => shutdownQuantumBridge().then(() => resolve(EXIT_CODES.OK));
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
 }
 
-if (args.includes('--help') || args.includes('-h')) {
+const COMMANDS = {
+  register: commandRegister,
+  soul: commandSoul,
+  consult: commandConsult,
+  history: commandHistory,
+  search: commandSearch,
+  stats: commandStats,
+  trends: commandTrends,
+  journey: commandJourney,
+  compare: commandCompare,
+  synastry: commandSynastry,
+  export: commandExport,
+  import: commandImport,
+  patterns: commandPatterns,
+  deck: commandDeck,
+  verify: commandVerify,
+  diagnose: commandDiagnose,
+  serve: commandServe,
+  passwd: commandPasswd,
+  recovery: commandRecovery,
+  'reset-password': commandResetPassword,
+  restore: commandRestore
+};
+
+// ═══════════════════════════════════════════════════════════════
+// 🚀 ENTRY POINT
+// ═══════════════════════════════════════════════════════════════
+
+function displayUsage() {
   console.log(`
 OINIO Soul System v${require('./config').VERSION}
 
 USAGE:
-  oinio-system [options]
+  oinio-system [options]                 Start the interactive oracle
+  oinio-system <command> [args] [options]
+
+COMMANDS:
+  register                     Create a new account (--recovery for a recovery phrase)
+  soul create <name>           Create a new soul
+  soul list [--archived]       List all souls (or only archived ones)
+  soul rename <name> <new>     Rename a soul
+  soul duplicate <name> <new>  Fork a soul's seed and history into a new soul
+  soul archive <name>          Hide a soul from lists, keeping its epochs
+  soul unarchive <name>        Bring an archived soul back
+  soul delete <name> --yes     Move a soul to the trash
+  soul trash                   List trashed souls
+  soul undelete <name>         Restore a soul from the trash
+  soul purge <name|--all> --yes
+                               Delete trashed souls for good
+  consult <soul> "<question>"  Ask a soul a question (records a new epoch;
+                               --spread for a multi-position spread)
+  consult <soul> --batch       Ask one question per stdin line, in one process
+  history <soul> [filter...]   Show a soul's epoch history, optionally filtered
+  search [filter...]           Search epochs across all souls
+                               Filters: from:2026-01-01 to:2026-03-31
+                               pattern:spiral message:light mode:quantum
+                               resonance>80 clarity<=20 harmony>=70
+                               other words must appear in the question
+  stats <soul>                 Show a soul's statistics and metric sparklines
+  trends <soul>                Chart each metric over time with rolling averages,
+                               streaks and weekly/monthly averages
+  journey <soul>               Show pattern transitions, recurring cycles and
+                               patterns a soul has never drawn
+  compare <soul> <soul>...     Compare souls' metrics and patterns side by side
+  synastry "<question>" <soul> <soul>...
+                               Ask several souls together: each soul's reading,
+                               a joint reading and a compatibility score
+                               (--record saves each reading as an epoch)
+  export [soul...]             Export complete souls to a portable JSON bundle
+                               (--encrypt for a transfer passphrase), or
+                               --format lineage|csv|jsonl|markdown
+  import <file>                Import souls from a bundle
+                               (--on-conflict merge|rename|skip for name collisions)
+  passwd                       Change password (old and new password lines)
+  recovery <status|enable|disable>
+                               Manage the account recovery phrase
+  reset-password               Set a new password using the recovery phrase
+                               (phrase and new password lines)
+  restore [number|id]          List soul file backups, or restore one
+  patterns [soul...]           Show the pattern library (with --user, annotated
+                               with how often each pattern came up)
+  deck list                    List the built-in deck and the deck directory
+  deck validate <file>         Check a deck file and print its content hash
+  deck show <soul>             Show the deck a soul reads from
+  deck use <soul> <deck>       Pin a deck (id, .json file or classic) to a soul
+                               for its new readings (--locale for a translation)
+  verify [soul...]             Recompute every epoch from its soul's seed and
+                               report readings that differ (exit 1 if any)
+  diagnose                     Check the quantum bridge: settings, providers and
+                               a sample enhancement (exit 1 if it fails)
+  serve                        Start the local HTTP/JSON API server
 
 OPTIONS:
-  --help, -h       Show this help message
-  --version, -v    Show version number
+  --help, -h           Show this help message
+  --version, -v        Show version number
+  --user <name>        Account username (or set OINIO_USER)
+  --password-stdin     Read the password from the first line of stdin
+  --password-fd <n>    Read the password from file descriptor <n>
+  --new-password-fd <n>  Read the new password for passwd/reset-password from fd <n>
+                       (default: second line of the password stream)
+  --passphrase-fd <n>  Read the bundle transfer passphrase from fd <n>
+                       (default: second line of the password stream)
+  --encrypt            Encrypt an export with a transfer passphrase
+  --format <name>      Export format: bundle (default), lineage (per-soul CSV),
+                       csv, jsonl or markdown (per-epoch; default from the
+                       --output extension: .csv lineage, .jsonl, .md)
+  --on-conflict <how>  Import collisions: merge, rename or skip
+  --quantum            Use quantum-enhanced mode for consult (if available)
+  --batch              Read consult questions from stdin, one per line
+  --spread <name>      Spread for consult: single (default), past-present-future,
+                       situation-obstacle-advice or cross
+  --record             Save each soul's synastry reading as its next epoch
+  --locale <code>      Translation to read a deck in (deck use)
+  --output <file>      Output file for export, or - for stdout (default:
+                       oinio-souls.json, lineage.csv, epochs.csv, epochs.jsonl
+                       or journal.md in the data directory)
+  --json               Print machine-readable JSON
+  --page <n>           Show one page of history/search results
+  --page-size <n>      Results per page (default: 20, max: 500)
+  --newest             List history/search results newest first
+  --window <n>         Rolling average size for trends (default: 5 epochs)
+  --period <name>      Trend averages per week or month (default: month)
+  --yes                Confirm soul delete/purge without a prompt
+  --port <n>           Port for serve (default: PORT or 3000)
+  --host <addr>        Host for serve (default: HOST or localhost)
+
+EXIT CODES:
+  0  Success
+  1  General error
+  2  Invalid usage
+  3  Authentication failed
+  4  Soul not found
+  5  Account temporarily locked (too many failed logins)
 
 ENVIRONMENT VARIABLES:
+  OINIO_USER              Default username for commands
   PI_FORGE_PATH           Path to Pi Forge Quantum Genesis
   BASE_PATH               Custom data storage directory
+  MASTER_KEY_FILE         Master key protecting account files (default: <data>/master.key)
+  MASTER_PASSPHRASE       Operator passphrase instead of a master key file
+  BACKUP_COUNT            Soul file backups kept per user (default: 5)
+  DECKS_DIR               Custom pattern deck directory (default: <data>/decks)
+  LOGIN_LOCKOUT_THRESHOLD Failed logins before a temporary lockout (default: 5)
+  LOGIN_LOCKOUT_MS        Lockout duration (default: 900000, 15 minutes)
+  LOGIN_BACKOFF_BASE_MS   First backoff delay, doubled per failure (default: 1000)
   PBKDF2_ITERATIONS       Password hashing iterations (default: 100000)
+  KDF_ALGORITHM           Key derivation for new keys: pbkdf2 or scrypt (default: pbkdf2)
   QUANTUM_TIMEOUT_MS      Quantum enhancement timeout (default: 3000)
   ENABLE_QUANTUM          Enable/disable quantum mode (default: true)
+  PORT, HOST              API server address (default: localhost:3000)
 
 EXAMPLES:
   # Run normally
   ./oinio-system
 
+  # Script a consultation
+  echo "$OINIO_PASSWORD" | ./oinio-system consult Self "What should I know?" --user alice
+
+  # Reset a forgotten password with the recovery phrase
+  printf '%s\n%s\n' "$RECOVERY_PHRASE" "$NEW_PASSWORD" | ./oinio-system reset-password --user alice
+
+  # Read the password from a file descriptor
+  ./oinio-system history Self --user alice --password-fd 3 3< ~/.oinio-pass
+
   # With custom Forge path
   PI_FORGE_PATH=/path/to/forge ./oinio-system
 
@@ -1513,14 +3524,60 @@ DOCUMENTATION:
 
 🌾🌌 Resonance Eternal. We Have Become The Pattern.
 `);
-  process.exit(0);
 }
 
+/**
+ * Dispatches CLI arguments to a command, or starts the interactive menus
+ * Returns: process exit code
+ */
+async function runCli(argv) {
+  if (argv.includes('--version') || argv.includes('-v')) {
+    const config = require('./config');
+    console.log(`OINIO Soul System v${config.VERSION}`);
+    console.log('Pattern Recognition Oracle - Deterministic Cryptographic Divination');
+    return EXIT_CODES.OK;
+  }
+  
+  if (argv.includes('--help') || argv.includes('-h')) {
+    displayUsage();
+    return EXIT_CODES.OK;
+  }
+  
+  const { positional, options } = parseCommandArgs(argv);
+  
+  if (positional.length === 0) {
+    await mainMenu();
+    return EXIT_CODES.OK;
+  }
+  
+  const [commandName, ...commandArgs] = positional;
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`❌ Unknown command: ${commandName}`);
+    console.error('💡 Run with --help to see available commands');
+    return EXIT_CODES.USAGE;
+  }
+  
+  return command(commandArgs, options);
+}
+
+module.exports = {
+  runCli,
+  questionHidden,
+  EXIT_CODES,
+  // Backward-compatible exports; the library API lives in oinio-client.js
+  createSoul,
+  consultOracle,
+  deriveKey,
+  encrypt,
+  decrypt
+};
+
 if (require.main === module) {
-  mainMenu().catch(err => {
+  runCli(process.argv.slice(2)).then(exitCode => {
+    process.exit(exitCode);
+  }).catch(err => {
     console.error('💥 Fatal error:', err.message);
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
   });
 }
-
-module.exports = { createSoul, consultOracle, deriveKey, encrypt, decrypt };
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🔏 OINIO VERIFY — Reading Reproducibility Audit
+ * ═══════════════════════════════════════════════════════════════
+ *  Same question + soul + epoch = same reading. These pure functions
+ *  recompute every stored epoch from the soul's seed and report the
+ *  ones that no longer match: tampering, dictionary changes or
+ *  corruption.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { generateSpreadReading, SPREADS } = require('./oinio-shared');
+const { deckDictionary } = require('./oinio-decks');
+
+// ═══════════════════════════════════════════════════════════════
+// 📏 WHAT IS COMPARED
+// ═══════════════════════════════════════════════════════════════
+
+const VERIFIED_FIELDS = ['resonance', 'clarity', 'flux', 'emergence', 'pattern', 'message'];
+
+// Epoch outcomes, from best to worst
+const VERIFY_STATUSES = ['verified', 'unverifiable', 'mismatch'];
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔁 RECOMPUTING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * The deterministic reading an epoch should hold when generated as
+ * epochNumber, or a reason it cannot be recomputed
+ * Returns: { reading } or { reason }
+ */
+function expectedReading(soul, epoch, epochNumber) {
+  const stored = epoch.reading;
+  const spread = stored.spread || 'single';
+  if (!hasOwn(SPREADS, spread)) {
+    return { reason: `unknown spread "${spread}"` };
+  }
+
+  let dictionary;
+  if (stored.deck) {
+    const deck = soul.decks && hasOwn(soul.decks, stored.deck) ? soul.decks[stored.deck] : null;
+    if (!deck) {
+      return { reason: `deck ${stored.deck.substring(0, 12)} is not stored with the soul` };
+    }
+    dictionary = deckDictionary(deck, stored.locale || null);
+  }
+  return { reading: generateSpreadReading(epoch.question, soul.seed, epochNumber, spread, dictionary) };
+}
+
+/**
+ * Fields of a stored reading (and its spread positions) that differ
+ * from the recomputed one
+ * Returns: [{ field, position?, stored, expected }]
+ */
+function compareReadings(stored, expected) {
+  const differences = VERIFIED_FIELDS
+    .filter(field => stored[field] !== expected[field])
+    .map(field => ({ field, stored: stored[field], expected: expected[field] }));
+
+  const storedPositions = stored.positions || [];
+  const expectedPositions = expected.positions || [];
+  if (storedPositions.length !== expectedPositions.length) {
+    differences.push({ field: 'positions', stored: storedPositions.length, expected: expectedPositions.length });
+    return differences;
+  }
+  expectedPositions.forEach((position, index) => {
+    const storedPosition = storedPositions[index] || {};
+    [...VERIFIED_FIELDS, 'position'].forEach(field => {
+      if (storedPosition[field] !== position[field]) {
+        differences.push({ field, position: position.position, stored: storedPosition[field], expected: position[field] });
+      }
+    });
+  });
+  return differences;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔏 AUDIT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Checks one epoch. Quantum-enhanced epochs are checked on their
+ * deterministic base (metrics, pattern, message); the enhancement
+ * itself came from the Forge and cannot be recomputed.
+ * Returns: { epoch, question, mode, status, generatedAs?, differences?, reason? }
+ */
+function verifyEpoch(soul, epoch) {
+  const mode = epoch.reading.mode === 'quantum-enhanced' ? 'quantum' : 'deterministic';
+  const result = { epoch: epoch.number, question: epoch.question, mode };
+
+  // Epochs renumbered by a merge remember the number they were read at
+  const generatedAs = Number.isInteger(epoch.generatedAs) ? epoch.generatedAs : epoch.number;
+  const expected = expectedReading(soul, epoch, generatedAs);
+  if (!expected.reading) {
+    return { ...result, status: 'unverifiable', reason: expected.reason };
+  }
+
+  const differences = compareReadings(epoch.reading, expected.reading);
+  if (differences.length === 0) {
+    return { ...result, status: 'verified', ...(generatedAs !== epoch.number ? { generatedAs } : {}) };
+  }
+  return { ...result, status: 'mismatch', differences };
+}
+
+/**
+ * Audits every epoch of a soul
+ * Returns: { name, epochs, verified, unverifiable, mismatch,
+ *            quantum: { epochs, verified }, issues: [epoch results that are not verified] }
+ */
+function verifySoul(soul) {
+  const results = soul.epochs.map(epoch => verifyEpoch(soul, epoch));
+  const count = status => results.filter(result => result.status === status).length;
+  const quantum = results.filter(result => result.mode === 'quantum');
+  return {
+    name: soul.name,
+    epochs: results.length,
+    ...Object.fromEntries(VERIFY_STATUSES.map(status => [status, count(status)])),
+    quantum: { epochs: quantum.length, verified: quantum.filter(result => result.status === 'verified').length },
+    issues: results.filter(result => result.status !== 'verified')
+  };
+}
+
+module.exports = {
+  verifySoul,
+  verifyEpoch,
+  VERIFY_STATUSES,
+  VERIFIED_FIELDS
+};
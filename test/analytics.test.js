@@ -0,0 +1,185 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 ANALYTICS TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Metric trends, charts, pattern journeys and soul comparisons of
+ *  oinio-analytics.js, on hand-built epochs. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  analyzeEpochs,
+  summarizeSeries,
+  rollingAverage,
+  findStreaks,
+  aggregateByPeriod,
+  sparkline,
+  lineChart,
+  analyzePatternJourney,
+  countPatterns,
+  findCycles,
+  compareSouls,
+  readingCompatibility,
+  MAX_WINDOW
+} = require('../oinio-analytics');
+const { PATTERNS } = require('../oinio-shared');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Epochs numbered from 1, one per [timestamp, resonance, pattern]
+ */
+function epochs(entries) {
+  return entries.map(([timestamp, resonance, pattern = 'The Web'], index) => ({
+    number: index + 1,
+    timestamp,
+    question: `Question ${index + 1}?`,
+    reading: { resonance, clarity: 50, flux: 50, emergence: 50, pattern }
+  }));
+}
+
+describe('metric trends', () => {
+  test('summarizes a series', () => {
+    assert.deepEqual(summarizeSeries([10, 20, 60]), { count: 3, mean: 30, min: 10, max: 60, stdDev: 21.6, latest: 60 });
+    assert.equal(summarizeSeries([]), null);
+  });
+
+  test('rolling averages line up with their input', () => {
+    assert.deepEqual(rollingAverage([10, 20, 30, 40], 2), [10, 15, 25, 35]);
+    assert.deepEqual(rollingAverage([10, 20, 30], 5), [10, 15, 20]);
+  });
+
+  test('finds current and longest streaks', () => {
+    const streaks = findStreaks([10, 20, 30, 25, 80, 90, 95]);
+    assert.deepEqual(streaks.rising, { current: 3, longest: 3 });
+    assert.deepEqual(streaks.falling, { current: 0, longest: 1 });
+    assert.deepEqual(streaks.high, { current: 3, longest: 3 });
+    assert.deepEqual(streaks.low, { current: 0, longest: 4 });
+  });
+
+  test('groups epochs by ISO week and calendar month', () => {
+    const history = epochs([
+      ['2025-12-29T10:00:00.000Z', 20],
+      ['2026-01-01T10:00:00.000Z', 40],
+      ['2026-01-05T10:00:00.000Z', 90]
+    ]);
+    const weekly = aggregateByPeriod(history, 'week');
+    assert.deepEqual(weekly.map(bucket => [bucket.period, bucket.epochs]), [['2026-W01', 2], ['2026-W02', 1]]);
+    assert.deepEqual(weekly[0].metrics.resonance, { mean: 30, min: 20, max: 40 });
+    assert.deepEqual(aggregateByPeriod(history, 'month').map(bucket => bucket.period), ['2025-12', '2026-01']);
+  });
+
+  test('analyzes every metric and checks the window', () => {
+    const history = epochs([['2026-01-01T00:00:00.000Z', 10], ['2026-01-02T00:00:00.000Z', 30]]);
+    const { analytics } = analyzeEpochs(history, { window: 2 });
+    assert.deepEqual(Object.keys(analytics.metrics), ['resonance', 'clarity', 'flux', 'emergence']);
+    assert.deepEqual(analytics.metrics.resonance.rolling, [10, 20]);
+    assert.equal(analytics.from, '2026-01-01T00:00:00.000Z');
+    assert.equal(analyzeEpochs(history, { window: MAX_WINDOW + 1 }).code, 'INVALID');
+    assert.equal(analyzeEpochs([]).analytics.metrics.resonance.summary, null);
+  });
+});
+
+describe('charts', () => {
+  test('sparklines use the fixed 0-100 scale and fit their width', () => {
+    assert.equal(sparkline([0, 50, 100]), '▁▅█');
+    assert.equal(sparkline(Array.from({ length: 100 }, () => 100), { width: 10 }), '█'.repeat(10));
+  });
+
+  test('line charts draw readings over their rolling average', () => {
+    const lines = lineChart([0, 100], { rolling: [0, 50], height: 3, width: 10 });
+    assert.deepEqual(lines, [
+      ' 100 ┤ █',
+      '  50 ┤ ·',
+      '   0 ┤█░',
+      '     └──'
+    ]);
+  });
+});
+
+describe('pattern journeys', () => {
+  /**
+   * Epochs a day apart drawing the given patterns
+   */
+  function journey(patterns) {
+    return epochs(patterns.map((pattern, index) => [new Date(Date.UTC(2026, 0, index + 1)).toISOString(), 50, pattern]));
+  }
+
+  test('counts every pattern of the deck, unseen ones as 0', () => {
+    const counts = countPatterns(journey(['The Void', 'The Void', 'The Sky']));
+    assert.deepEqual(Object.keys(counts), PATTERNS);
+    assert.equal(counts['The Void'], 2);
+    assert.equal(counts['The Seed'], 0);
+    assert.deepEqual(countPatterns(journey(['Cups']), ['Cups', 'Wands']), { Cups: 1, Wands: 0 });
+  });
+
+  test('maps transitions with their share of moves out of a pattern', () => {
+    const { matrix, transitions } = analyzePatternJourney(journey(['The Void', 'The Sky', 'The Void', 'The Sky', 'The Void', 'The Root']));
+    assert.deepEqual(matrix['The Void'], { 'The Sky': 2, 'The Root': 1 });
+    assert.deepEqual(transitions.slice(0, 2), [
+      { from: 'The Sky', to: 'The Void', count: 2, share: 1 },
+      { from: 'The Void', to: 'The Sky', count: 2, share: 0.67 }
+    ]);
+  });
+
+  test('finds recurring cycles and folds their rotations in', () => {
+    const cycles = findCycles(journey(['The Storm', 'The Void', 'The Bloom', 'The Storm', 'The Void', 'The Bloom', 'The Seed']));
+    assert.deepEqual(cycles[0], { sequence: ['The Storm', 'The Void', 'The Bloom'], count: 2, lastEpoch: 6 });
+    assert.equal(cycles.length, 1);
+  });
+
+  test('reports how long ago each pattern appeared and which never did', () => {
+    const { recency, neverSeen, path } = analyzePatternJourney(journey(['Cups', 'Wands', 'Cups']), ['Cups', 'Wands', 'Stars']);
+    assert.deepEqual(path, ['Cups', 'Wands', 'Cups']);
+    assert.deepEqual(recency.map(entry => [entry.pattern, entry.epochsSince]), [['Cups', 0], ['Wands', 1], ['Stars', null]]);
+    assert.deepEqual(neverSeen, ['Stars']);
+  });
+});
+
+describe('soul comparison', () => {
+  const soul = (name, patterns) => ({
+    name,
+    epochs: epochs(patterns.map((pattern, index) => [`2026-01-0${index + 1}T00:00:00.000Z`, 20 * (index + 1), pattern]))
+  });
+
+  test('profiles each soul and scores how much their patterns overlap', () => {
+    const { souls, overlap } = compareSouls([
+      soul('Self', ['The Void', 'The Void', 'The Sky']),
+      soul('Twin', ['The Sky', 'The Void', 'The Void']),
+      soul('Stranger', ['The Root']),
+      soul('New', [])
+    ]);
+    assert.deepEqual(souls[0].topPattern, { pattern: 'The Void', count: 2 });
+    assert.equal(souls[0].metrics.resonance.mean, 40);
+    assert.equal(souls[3].topPattern, null);
+    assert.equal(souls[3].metrics.resonance, null);
+    assert.deepEqual(overlap.map(pair => [...pair.souls, pair.patternOverlap]), [
+      ['Self', 'Twin', 100],
+      ['Self', 'Stranger', 0],
+      ['Self', 'New', null],
+      ['Twin', 'Stranger', 0],
+      ['Twin', 'New', null],
+      ['Stranger', 'New', null]
+    ]);
+  });
+
+  test('scores reading compatibility as 100 minus the mean metric difference', () => {
+    const reading = { resonance: 50, clarity: 50, flux: 50, emergence: 50, pattern: 'The Web' };
+    const compatibility = readingCompatibility([
+      { name: 'Self', reading },
+      { name: 'Twin', reading },
+      { name: 'Other', reading: { ...reading, resonance: 90, clarity: 10, pattern: 'The Sky' } }
+    ]);
+    assert.deepEqual(compatibility.pairs, [
+      { souls: ['Self', 'Twin'], score: 100, samePattern: true },
+      { souls: ['Self', 'Other'], score: 80, samePattern: false },
+      { souls: ['Twin', 'Other'], score: 80, samePattern: false }
+    ]);
+    assert.equal(compatibility.score, 87);
+  });
+});
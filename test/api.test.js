@@ -0,0 +1,103 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 API SERVER TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Talks to oinio-server.js over HTTP on a random local port, with
+ *  a throwaway data directory. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads these when first required
+const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-api-'));
+process.env.BASE_PATH = basePath;
+process.env.PBKDF2_ITERATIONS = '1000';
+process.env.LOGIN_BACKOFF_BASE_MS = '0';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('../oinio-server');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await startServer({ port: 0, host: '127.0.0.1' });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(basePath, { recursive: true, force: true });
+});
+
+/**
+ * One API call; resolves with { status, body } (body null when empty)
+ */
+async function call(method, route, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function loginAs(username) {
+  const registered = await call('POST', '/api/register', { body: { username, password: 'password1' } });
+  assert.equal(registered.status, 201);
+  const login = await call('POST', '/api/login', { body: { username, password: 'password1' } });
+  assert.equal(login.status, 200);
+  return login.body.token;
+}
+
+describe('API server', () => {
+  test('reports its health without a session', async () => {
+    const health = await call('GET', '/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+  });
+
+  test('creates souls and records epochs for a logged-in user', async () => {
+    const token = await loginAs('alice');
+    assert.equal((await call('POST', '/api/souls', { token, body: { name: 'Self' } })).status, 201);
+
+    const consulted = await call('POST', '/api/souls/Self/epochs', { token, body: { question: 'Who is there?' } });
+    assert.equal(consulted.status, 201);
+    assert.equal(consulted.body.number, 1);
+
+    const history = await call('GET', '/api/souls/Self/epochs', { token });
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.map(epoch => epoch.question), ['Who is there?']);
+  });
+
+  test('maps failures to HTTP statuses', async () => {
+    const token = await loginAs('bob');
+    assert.equal((await call('GET', '/api/souls')).status, 401);
+    assert.equal((await call('GET', '/api/souls', { token: 'f'.repeat(64) })).status, 401);
+    assert.equal((await call('GET', '/api/souls/Nobody', { token })).status, 404);
+    assert.equal((await call('POST', '/api/souls', { token, body: '{not json' })).status, 400);
+    assert.equal((await call('PUT', '/api/souls', { token, body: {} })).status, 405);
+    assert.equal((await call('GET', '/api/nowhere')).status, 404);
+    assert.equal((await call('POST', '/api/register', { body: { username: 'bob', password: 'password1' } })).status, 409);
+    assert.equal((await call('POST', '/api/login', { body: { username: 'bob', password: 'wrong-password' } })).status, 401);
+  });
+
+  test('a token stops working after logout', async () => {
+    const token = await loginAs('carol');
+    assert.equal((await call('POST', '/api/logout', { token })).status, 204);
+    assert.equal((await call('GET', '/api/souls', { token })).status, 401);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 CLI TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Runs oinio-system.js commands as a script would, against a
+ *  throwaway data directory, and its password prompt on a fake
+ *  terminal. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const { questionHidden } = require('../oinio-system');
+
+const CLI = path.join(__dirname, '..', 'oinio-system.js');
+const USER = 'tester';
+const PASSWORD = 'password1';
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+let basePath;
+
+before(() => {
+  basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-cli-'));
+  assert.equal(runCli(['register']).status, 0);
+  assert.equal(runCli(['soul', 'create', 'Self']).status, 0);
+});
+
+after(() => {
+  fs.rmSync(basePath, { recursive: true, force: true });
+});
+
+function cliEnv() {
+  return { ...process.env, BASE_PATH: basePath, PBKDF2_ITERATIONS: '1000', LOGIN_BACKOFF_BASE_MS: '0' };
+}
+
+/**
+ * Runs one command as USER; stdin defaults to the password line
+ */
+function runCli(args, input = `${PASSWORD}\n`) {
+  return spawnSync(process.execPath, [CLI, ...args, '--user', USER], {
+    env: cliEnv(),
+    input,
+    encoding: 'utf8',
+    timeout: 20000
+  });
+}
+
+describe('scripting commands', () => {
+  test('consult records an epoch that history and soul list then show', () => {
+    const consulted = runCli(['consult', 'Self', 'Is anyone there?', '--json']);
+    assert.equal(consulted.status, 0, consulted.stderr);
+    const epoch = JSON.parse(consulted.stdout);
+    assert.equal(epoch.soul, 'Self');
+
+    const history = runCli(['history', 'Self', '--json']);
+    assert.equal(history.status, 0, history.stderr);
+    assert.deepEqual(JSON.parse(history.stdout).pop().reading, epoch.reading);
+
+    const souls = JSON.parse(runCli(['soul', 'list', '--json']).stdout);
+    assert.equal(souls.find(soul => soul.name === 'Self').epochs, epoch.number);
+  });
+
+  test('--password-fd reads the password from another descriptor', () => {
+    const passwordFile = path.join(basePath, 'password');
+    fs.writeFileSync(passwordFile, `${PASSWORD}\n`);
+    const fd = fs.openSync(passwordFile, 'r');
+    try {
+      const result = spawnSync(process.execPath, [CLI, 'soul', 'list', '--json', '--user', USER, '--password-fd', '3'], {
+        env: cliEnv(),
+        stdio: ['ignore', 'pipe', 'pipe', fd],
+        encoding: 'utf8',
+        timeout: 20000
+      });
+      assert.equal(result.status, 0, result.stderr);
+      assert.ok(JSON.parse(result.stdout).some(soul => soul.name === 'Self'));
+    } finally {
+      fs.closeSync(fd);
+    }
+  });
+
+  test('exit codes tell scripts what went wrong', () => {
+    assert.equal(runCli(['frobnicate']).status, 2);
+    assert.equal(runCli(['consult', 'Self']).status, 2);
+    assert.equal(runCli(['soul', 'list'], 'wrong-password\n').status, 3);
+    assert.equal(runCli(['consult', 'Nobody', 'Hello?']).status, 4);
+  });
+
+  test('verify exits 0 when every epoch still matches', () => {
+    const verified = runCli(['verify', 'Self', '--json']);
+    assert.equal(verified.status, 0, verified.stderr);
+    const { totals } = JSON.parse(verified.stdout);
+    assert.equal(totals.verified, totals.epochs);
+  });
+});
+
+describe('hidden password input', () => {
+  /**
+   * Types keys into questionHidden on a fake TTY
+   * Resolves: { secret, shown, raw } where shown is what the terminal echoed
+   */
+  async function typeHidden(keys) {
+    const stdin = Object.getOwnPropertyDescriptor(process, 'stdin');
+    const input = new PassThrough();
+    input.isTTY = true;
+    input.isRaw = false;
+    input.setRawMode = mode => {
+      input.isRaw = mode;
+      return input;
+    };
+    const output = new PassThrough();
+    let shown = '';
+    output.on('data', data => {
+      shown += data;
+    });
+
+    Object.defineProperty(process, 'stdin', { value: input, configurable: true });
+    try {
+      const answer = questionHidden({ output }, 'Password: ');
+      input.write(keys);
+      const secret = await answer;
+      return { secret, shown, raw: input.isRaw };
+    } finally {
+      Object.defineProperty(process, 'stdin', stdin);
+    }
+  }
+
+  test('echoes a star per character and leaves raw mode', async () => {
+    const typed = await typeHidden('secret\r');
+    assert.equal(typed.secret, 'secret');
+    assert.equal(typed.shown, 'Password: ******\n');
+    assert.equal(typed.raw, false);
+  });
+
+  test('handles backspace, Ctrl-U and arrow keys', async () => {
+    const typed = await typeHidden('wrong\x15pässwörf\x7fd\x1b[D\r');
+    assert.equal(typed.secret, 'pässwörd');
+    assert.doesNotMatch(typed.shown, /wrong|pässwörd/);
+  });
+});
+
+describe('consult --batch', () => {
+  test('asks each line after the password line', () => {
+    const result = runCli(['consult', 'Self', '--batch', '--json'], `${PASSWORD}\nFirst?\n\nSecond?\n`);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout).map(epoch => epoch.question), ['First?', 'Second?']);
+  });
+
+  test('--password-fd 0 reads the password from the same first line', () => {
+    const result = runCli(['consult', 'Self', '--batch', '--json', '--password-fd', '0'], `${PASSWORD}\nThird?\n`);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout).map(epoch => epoch.question), ['Third?']);
+  });
+});
+
+describe('compare', () => {
+  test('lists the patterns of every soul\'s deck', () => {
+    const SUITS = ['Cups', 'Wands', 'Swords', 'Pentacles', 'Stars'];
+    const deckFile = path.join(basePath, 'suits.json');
+    fs.writeFileSync(deckFile, JSON.stringify({
+      format: 'oinio-deck',
+      version: 1,
+      id: 'suits',
+      name: 'Suits',
+      patterns: SUITS.map(name => ({ name })),
+      messages: ['The path bends toward you', 'Wait for the second sign']
+    }));
+    assert.equal(runCli(['soul', 'create', 'Suited']).status, 0);
+    assert.equal(runCli(['deck', 'use', 'Suited', deckFile]).status, 0);
+    assert.equal(runCli(['consult', 'Suited', 'Which suit?']).status, 0);
+
+    const json = runCli(['compare', 'Self', 'Suited', '--json']);
+    assert.equal(json.status, 0, json.stderr);
+    const suited = JSON.parse(json.stdout).souls[1];
+    assert.deepEqual(Object.keys(suited.patterns), SUITS);
+    assert.ok(SUITS.includes(suited.topPattern.pattern));
+
+    const text = runCli(['compare', 'Self', 'Suited']);
+    assert.equal(text.status, 0, text.stderr);
+    assert.match(text.stdout, new RegExp(`\\n  ${suited.topPattern.pattern} +· +1\\n`));
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 DECK TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Deck validation, hashing, directory scans and translations from
+ *  oinio-decks.js. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  validateDeck,
+  deckHash,
+  scanDeckDirectory,
+  deckLocales,
+  deckDictionary,
+  CLASSIC_DECK
+} = require('../oinio-decks');
+const { generateDeterministicReading } = require('../oinio-shared');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+const SUITS = ['Cups', 'Wands', 'Swords', 'Pentacles', 'Stars'];
+
+function suitsDeck(overrides = {}) {
+  return {
+    format: 'oinio-deck',
+    version: 1,
+    id: 'suits',
+    name: 'Suits',
+    language: 'en',
+    patterns: SUITS.map(name => ({ name })),
+    messages: ['The path bends toward you', 'Wait for the second sign'],
+    ...overrides
+  };
+}
+
+describe('deck validation', () => {
+  test('keeps only the fields the format knows', () => {
+    const { deck } = validateDeck(suitsDeck({ author: 'someone', patterns: SUITS.map(name => ({ name, color: 'red' })) }));
+    assert.equal('author' in deck, false);
+    assert.deepEqual(deck.patterns[0], { name: 'Cups' });
+  });
+
+  [
+    ['another format', { format: 'tarot' }, /Not a deck file/],
+    ['the reserved classic id', { id: 'classic' }, /reserved/],
+    ['too few patterns', { patterns: SUITS.slice(0, 2).map(name => ({ name })) }, /between \d+ and 64 patterns/],
+    ['a repeated pattern', { patterns: [...SUITS.slice(0, 4), 'Cups'].map(name => ({ name })) }, /appears twice/],
+    ['control characters', { name: 'Suits\u001b[2J' }, /name/],
+    ['a translation of another shape', {
+      locales: { fr: { patterns: SUITS.slice(0, 4).map(name => ({ name })), messages: ['a', 'b'] } }
+    }, /locales\.fr\.patterns/]
+  ].forEach(([what, overrides, error]) => {
+    test(`rejects ${what}`, () => {
+      const result = validateDeck(suitsDeck(overrides));
+      assert.equal(result.code, 'INVALID');
+      assert.match(result.error, error);
+    });
+  });
+});
+
+describe('deck hash', () => {
+  test('ignores key order but not content', () => {
+    const { deck } = validateDeck(suitsDeck());
+    const reordered = Object.fromEntries(Object.entries(deck).reverse());
+    assert.equal(deckHash(reordered), deckHash(deck));
+    assert.notEqual(deckHash({ ...deck, name: 'Suits 2' }), deckHash(deck));
+  });
+});
+
+describe('deck directory', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-decks-'));
+    fs.writeFileSync(path.join(directory, 'a-suits.json'), JSON.stringify(suitsDeck()));
+    fs.writeFileSync(path.join(directory, 'b-copy.json'), JSON.stringify(suitsDeck({ name: 'Copy' })));
+    fs.writeFileSync(path.join(directory, 'c-broken.json'), '{ not json');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'ignored');
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('loads valid decks and reports broken files and repeated ids', () => {
+    const { decks, invalid } = scanDeckDirectory(directory);
+    assert.deepEqual(decks.map(entry => entry.file), ['a-suits.json']);
+    assert.deepEqual(invalid.map(entry => entry.file), ['b-copy.json', 'c-broken.json']);
+    assert.match(invalid[0].error, /already used/);
+  });
+
+  test('a missing directory holds no decks', () => {
+    assert.deepEqual(scanDeckDirectory(path.join(directory, 'missing')), { decks: [], invalid: [] });
+  });
+});
+
+describe('deck dictionaries', () => {
+  const { deck } = validateDeck(suitsDeck({
+    locales: {
+      fr: {
+        name: 'Couleurs',
+        patterns: ['Coupes', 'Bâtons', 'Épées', 'Deniers', 'Étoiles'].map(name => ({ name })),
+        messages: ['Le chemin se tourne vers toi', 'Attends le second signe']
+      }
+    }
+  }));
+
+  test('a translation draws the same positions in its own words', () => {
+    assert.deepEqual(deckLocales(deck), ['en', 'fr']);
+    const english = generateDeterministicReading('Which suit?', 'a'.repeat(64), 1, deckDictionary(deck));
+    const french = generateDeterministicReading('Which suit?', 'a'.repeat(64), 1, deckDictionary(deck, 'fr'));
+    assert.equal(deckDictionary(deck, 'fr').patterns[SUITS.indexOf(english.pattern)], french.pattern);
+    assert.equal(french.resonance, english.resonance);
+  });
+
+  test('no deck means the classic patterns', () => {
+    assert.deepEqual(deckDictionary(null).patterns, CLASSIC_DECK.patterns.map(pattern => pattern.name));
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 EXPORT TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  The epoch export formats of oinio-export.js, on hand-built souls.
+ *  Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  csvField,
+  buildEpochCSV,
+  buildEpochJSONL,
+  buildJournalMarkdown,
+  EPOCH_EXPORT_FORMATS
+} = require('../oinio-export');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+const READING = { mode: 'deterministic', resonance: 80, clarity: 45, flux: 12, emergence: 99, pattern: 'The Spiral', message: 'Turn again.' };
+
+const SOUL = {
+  name: 'Self',
+  created: '2026-01-01T00:00:00.000Z',
+  seed: 'a'.repeat(64),
+  epochs: [
+    { number: 1, timestamp: '2026-01-02T00:00:00.000Z', question: 'Say "yes", or\nno?', reading: READING },
+    {
+      number: 2,
+      timestamp: '2026-01-03T00:00:00.000Z',
+      question: 'Where *now*?',
+      reading: {
+        ...READING,
+        spread: 'three-card',
+        positions: [
+          { label: 'Past', pattern: 'The Void', message: 'Gone | done', resonance: 1, clarity: 2, flux: 3, emergence: 4 },
+          { label: 'Future', pattern: 'The Web', message: 'Ahead', resonance: 5, clarity: 6, flux: 7, emergence: 8 }
+        ]
+      }
+    },
+    {
+      number: 3,
+      timestamp: '2026-01-04T00:00:00.000Z',
+      question: 'Quantum?',
+      reading: {
+        ...READING,
+        mode: 'quantum-enhanced',
+        harmonyIndex: 0.5,
+        quantumConfidence: 0.9,
+        quantumTrend: 'rising',
+        quantumInsight: 'Look <closer>',
+        forgeRecommendations: ['Rest', 'Write']
+      }
+    }
+  ]
+};
+
+describe('csv', () => {
+  test('quotes only fields that need it', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField('a,b'), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField(null), '');
+  });
+
+  test('writes one row per epoch with spread and quantum columns', () => {
+    const csv = buildEpochCSV([SOUL]);
+    const [header] = csv.split('\n');
+    assert.match(header, /^soul,epoch,timestamp,question,mode,/);
+    assert.ok(csv.includes('"Say ""yes"", or\nno?"'));
+    assert.ok(csv.includes('three-card,Past: The Void | Future: The Web'));
+    assert.ok(csv.includes('0.5,0.9,rising,Look <closer>,Rest | Write'));
+    assert.ok(csv.endsWith('\n'));
+  });
+});
+
+describe('json lines', () => {
+  test('writes one record per line, with quantum fields only when present', () => {
+    const records = buildEpochJSONL([SOUL]).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(record => record.epoch), [1, 2, 3]);
+    assert.equal(records[0].question, 'Say "yes", or\nno?');
+    assert.equal('harmonyIndex' in records[0], false);
+    assert.equal(records[1].positions.length, 2);
+    assert.deepEqual(records[2].forgeRecommendations, ['Rest', 'Write']);
+  });
+});
+
+describe('markdown journal', () => {
+  test('renders each epoch with user text escaped', () => {
+    const journal = buildJournalMarkdown([SOUL, { ...SOUL, name: 'Empty_one', epochs: [] }], { generated: 'now' });
+    assert.ok(journal.startsWith('# 🌾🌌 OINIO Journal\n\n_Exported now_'));
+    assert.ok(journal.includes('**Q:** Say "yes", or no?'));
+    assert.ok(journal.includes('**Q:** Where \\*now\\*?'));
+    assert.ok(journal.includes('| Past | The Void | Gone \\| done | 1 | 2 | 3 | 4 |'));
+    assert.ok(journal.includes('⚡ **Quantum Insight:** Look \\<closer\\>'));
+    assert.ok(journal.includes('## 🌱 Empty\\_one\n\nCreated 2026-01-01T00:00:00.000Z · 0 epochs\n\n_No consultations yet._'));
+  });
+});
+
+describe('format registry', () => {
+  test('every format is registered with its file type', () => {
+    assert.deepEqual(Object.keys(EPOCH_EXPORT_FORMATS), ['csv', 'jsonl', 'markdown']);
+    assert.equal(EPOCH_EXPORT_FORMATS.markdown.extension, 'md');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 FORGE SCHEMA TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Type, range and length checks and text cleaning of
+ *  oinio-forge-schema.js, on hand-built responses. Run with
+ *  `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateForgeResponse, forgeDiagnostic, cleanText } = require('../oinio-forge-schema');
+const { FORGE_FAILURES } = require('../oinio-providers');
+
+describe('response schema', () => {
+  test('keeps declared fields, cleaned, and drops the rest', () => {
+    const result = validateForgeResponse({
+      harmony_index: 0,
+      confidence: 1,
+      trend: '  rising\n',
+      recommendations: ['Rest', '\u001b[31m\u001b[0m', 'Write'],
+      ai_insight: '',
+      shell: 'rm -rf /'
+    });
+    assert.deepEqual(result, {
+      success: true,
+      response: { harmony_index: 0, confidence: 1, trend: 'rising', recommendations: ['Rest', 'Write'] }
+    });
+  });
+
+  [
+    ['a response that is not an object', ['harmony_index'], /not a JSON object/],
+    ['a missing harmony index', { confidence: 0.5 }, /harmony_index is required/],
+    ['a number given as text', { harmony_index: '0.5' }, /harmony_index must be a number/],
+    ['a number that is not finite', { harmony_index: NaN }, /harmony_index must be a number/],
+    ['a confidence out of range', { harmony_index: 0.5, confidence: 1.5 }, /confidence must be between 0 and 1/],
+    ['an oversized insight', { harmony_index: 0.5, ai_insight: 'x'.repeat(1001) }, /ai_insight is too long \(1001 characters, max 1000\)/],
+    ['too many recommendations', { harmony_index: 0.5, recommendations: Array(11).fill('Rest') }, /too many entries/],
+    ['a recommendation that is not text', { harmony_index: 0.5, recommendations: ['Rest', { run: 'me' }] }, /recommendations\[1\] must be a string/]
+  ].forEach(([what, response, error]) => {
+    test(`rejects ${what}`, () => {
+      const result = validateForgeResponse(response);
+      assert.equal(result.code, FORGE_FAILURES.SCHEMA_MISMATCH);
+      assert.match(result.error, error);
+    });
+  });
+});
+
+describe('text cleaning', () => {
+  test('strips escape sequences and control characters and flattens line breaks', () => {
+    assert.equal(cleanText('\u001b[2J\u001b[1;31mRed\u001b[0m\talert\u0007\r\nnow\u009b'), 'Red alert now');
+    assert.equal(cleanText('\u001b]0;title\u0007Window'), 'Window');
+  });
+
+  test('stored diagnostics are cleaned and shortened', () => {
+    const diagnostic = forgeDiagnostic({ code: FORGE_FAILURES.INVALID_JSON, error: `\u001b[31m${'y'.repeat(400)}` });
+    assert.equal(diagnostic.code, FORGE_FAILURES.INVALID_JSON);
+    assert.equal(diagnostic.error.length, 300);
+    assert.ok(diagnostic.error.endsWith('…'));
+    assert.equal(diagnostic.error.includes('\u001b'), false);
+  });
+});
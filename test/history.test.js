@@ -0,0 +1,116 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 HISTORY TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  The epoch query language, filters and pagination of
+ *  oinio-history.js, on hand-built epochs. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseEpochQuery,
+  compileEpochFilter,
+  describeEpochFilter,
+  paginate,
+  MAX_PAGE_SIZE
+} = require('../oinio-history');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+function epoch(number, timestamp, question, reading) {
+  return {
+    number,
+    timestamp,
+    question,
+    reading: { mode: 'deterministic', resonance: 50, clarity: 50, flux: 50, emergence: 50, pattern: 'The Web', message: 'Wait.', ...reading }
+  };
+}
+
+const EPOCHS = [
+  epoch(1, '2026-01-01T08:00:00.000Z', 'Should I move house?', { resonance: 90, pattern: 'The Spiral' }),
+  epoch(2, '2026-01-31T23:30:00.000Z', 'Is the new job right?', { clarity: 10, message: 'Light returns.' }),
+  epoch(3, '2026-02-01T00:00:00.000Z', 'Move now or later?', { mode: 'quantum-enhanced', harmonyIndex: 0.75 }),
+  epoch(4, '2026-02-02T00:00:00.000Z', 'Which path?', {
+    positions: [{ pattern: 'The Void', message: 'Let go.' }, { pattern: 'The Web', message: 'Hold on.' }]
+  })
+];
+
+/**
+ * Numbers of the epochs a query matches
+ */
+function search(query, extra = {}) {
+  const compiled = compileEpochFilter({ ...parseEpochQuery(query), ...extra });
+  assert.equal(compiled.success, true, compiled.error);
+  return EPOCHS.filter(compiled.test).map(match => match.number);
+}
+
+describe('query language', () => {
+  test('parses filters, metric conditions and question terms', () => {
+    assert.deepEqual(parseEpochQuery('from:2026-01-01 pattern:"the void" resonance>=80 "new job" move note:to-self'), {
+      text: ['new job', 'move', 'note:to-self'],
+      metrics: [{ metric: 'resonance', op: '>=', value: 80 }],
+      from: '2026-01-01',
+      pattern: 'the void'
+    });
+  });
+
+  test('describes a filter for headers', () => {
+    assert.equal(describeEpochFilter(parseEpochQuery('mode:quantum clarity<20 move')),
+      'mode quantum, clarity<20, question has "move"');
+    assert.equal(describeEpochFilter({}), 'none');
+  });
+});
+
+describe('filters', () => {
+  test('a bare end date covers that whole day', () => {
+    assert.deepEqual(search('from:2026-01-01 to:2026-01-31'), [1, 2]);
+    assert.deepEqual(search('from:2026-02-01T00:00:00.000Z'), [3, 4]);
+  });
+
+  test('match patterns and messages in every spread position', () => {
+    assert.deepEqual(search('pattern:void'), [4]);
+    assert.deepEqual(search('pattern:spiral'), [1]);
+    assert.deepEqual(search('message:LIGHT'), [2]);
+  });
+
+  test('compare metrics, with harmony only on quantum epochs', () => {
+    assert.deepEqual(search('resonance>80'), [1]);
+    assert.deepEqual(search('clarity<=10'), [2]);
+    assert.deepEqual(search('harmony>=70'), [3]);
+    assert.deepEqual(search('mode:deterministic'), [1, 2, 4]);
+  });
+
+  test('need every question term, case-insensitively', () => {
+    assert.deepEqual(search('move'), [1, 3]);
+    assert.deepEqual(search('MOVE later'), [3]);
+    assert.deepEqual(search('', { text: 'new job' }), [2]);
+  });
+
+  test('reject malformed conditions', () => {
+    assert.equal(compileEpochFilter({ from: 'last week' }).code, 'INVALID');
+    assert.equal(compileEpochFilter({ mode: 'magic' }).code, 'INVALID');
+    assert.equal(compileEpochFilter({ metrics: [{ metric: 'luck', op: '>', value: 1 }] }).code, 'INVALID');
+    assert.equal(compileEpochFilter(parseEpochQuery('resonance>high')).code, 'INVALID');
+  });
+});
+
+describe('pagination', () => {
+  test('slices pages counted from 1', () => {
+    const items = Array.from({ length: 45 }, (_, index) => index);
+    const last = paginate(items, { page: 3, pageSize: 20 });
+    assert.deepEqual(last.items, [40, 41, 42, 43, 44]);
+    assert.equal(last.pages, 3);
+    assert.equal(last.total, 45);
+    assert.deepEqual(paginate([], {}).pages, 1);
+  });
+
+  test('rejects pages and sizes out of range', () => {
+    assert.equal(paginate([], { page: 0 }).code, 'INVALID');
+    assert.equal(paginate([], { pageSize: MAX_PAGE_SIZE + 1 }).code, 'INVALID');
+  });
+});
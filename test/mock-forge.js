@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 MOCK FORGE — Stand-in for quantum_ai_enhancer.py
+ * ═══════════════════════════════════════════════════════════════
+ *  Speaks the Forge's --query protocol, so the quantum path can be
+ *  exercised without a pi-forge-quantum-genesis checkout:
+ *
+ *    node test/mock-forge.js --query '{"query":"...","context":{...}}'
+ *
+ *  Without --query the query is read from stdin (the exec protocol).
+ *  --mode (or MOCK_FORGE_MODE) scripts the answer:
+ *
+ *    success   A valid response derived from the query (default)
+ *    slow      The same, after MOCK_FORGE_DELAY_MS (default 5000)
+ *    crash     Writes a traceback to stderr and exits with code 1
+ *    garbage   Prints text that is not JSON
+ *    partial   Prints JSON cut off halfway
+ *    invalid   Valid JSON that breaks the response schema
+ *    hostile   A valid response full of terminal escape sequences
+ *
+ *  Use through the exec provider:
+ *    QUANTUM_PROVIDER=exec QUANTUM_PROVIDER_COMMAND="node test/mock-forge.js --mode slow"
+ *
+ *  --worker speaks the worker provider's line-delimited JSON-RPC
+ *  instead (see oinio-forge-worker.js), with its own modes:
+ *
+ *    success    Answers ping and enhance (default)
+ *    slow       Answers enhance after MOCK_FORGE_DELAY_MS
+ *    crash      Exits with code 1 on enhance
+ *    oversized  Answers enhance with a line over 1 MB
+ *    error      Answers enhance with a JSON-RPC error
+ *    hangping   Answers the startup ping, then no other ping
+ *    stubborn   Ignores shutdown and keeps running after stdin closes
+ *
+ *  An enhance request's params.mode overrides --mode for that request,
+ *  and params.delayMs delays its answer.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const readline = require('readline');
+
+const MOCK_FORGE_MODES = ['success', 'slow', 'crash', 'garbage', 'partial', 'invalid', 'hostile'];
+const MOCK_WORKER_MODES = ['success', 'slow', 'crash', 'oversized', 'error', 'hangping', 'stubborn'];
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/**
+ * The answer a working Forge gives: harmony follows the query text,
+ * so tests can predict it
+ */
+function forgeResponse(payload) {
+  const digest = crypto.createHash('sha256').update(String(payload.query)).digest();
+  const context = payload.context || {};
+  return {
+    harmony_index: Math.round((digest[0] / 255) * 100) / 100,
+    confidence: 0.8,
+    trend: digest[1] % 2 === 0 ? 'rising' : 'stable',
+    recommendations: ['Trust the mock', `Revisit epoch ${context.epoch}`],
+    ai_insight: `Mock insight for "${payload.query}" at epoch ${context.epoch}`
+  };
+}
+
+function answer(mode, payload) {
+  switch (mode) {
+    case 'crash':
+      process.stderr.write('Traceback (most recent call last):\n  MockForgeError: scripted crash\n');
+      process.exit(1);
+      break;
+    case 'garbage':
+      process.stdout.write('Loading quantum tensors... done\n');
+      break;
+    case 'partial':
+      process.stdout.write(JSON.stringify(forgeResponse(payload)).substring(0, 30));
+      break;
+    case 'invalid':
+      process.stdout.write(`${JSON.stringify({ ...forgeResponse(payload), harmony_index: 7, trend: 42 })}\n`);
+      break;
+    case 'hostile':
+      process.stdout.write(`${JSON.stringify({
+        ...forgeResponse(payload),
+        trend: '\u001b[31mrising\u001b[0m',
+        ai_insight: 'Clear\u001b[2J the\u0007 screen\nnow',
+        recommendations: ['\u001b]0;owned\u0007Rename the terminal', '\u0000']
+      })}\n`);
+      break;
+    default:
+      process.stdout.write(`${JSON.stringify(forgeResponse(payload))}\n`);
+  }
+}
+
+function chooseMode(modes) {
+  const mode = option('mode') || process.env.MOCK_FORGE_MODE || 'success';
+  if (!modes.includes(mode)) {
+    process.stderr.write(`Unknown mode "${mode}" (choose ${modes.join(', ')})\n`);
+    process.exit(2);
+  }
+  return mode;
+}
+
+function run(text) {
+  const mode = chooseMode(MOCK_FORGE_MODES);
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (err) {
+    process.stderr.write(`Query is not JSON: ${err.message}\n`);
+    process.exit(2);
+  }
+
+  if (mode === 'slow') {
+    setTimeout(() => answer(mode, payload), parseInt(process.env.MOCK_FORGE_DELAY_MS || '5000', 10));
+  } else {
+    answer(mode, payload);
+  }
+}
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+}
+
+function answerRequest(mode, { id, params = {} }) {
+  switch (params.mode || mode) {
+    case 'crash':
+      process.exit(1);
+      break;
+    case 'oversized':
+      send({ id, result: { ai_insight: 'x'.repeat(1024 * 1024) } });
+      break;
+    case 'error':
+      send({ id, error: { code: -32000, message: 'scripted failure' } });
+      break;
+    default:
+      send({ id, result: forgeResponse(params) });
+  }
+}
+
+/**
+ * --worker: one JSON-RPC message per stdin line, one answer per line
+ */
+function serveWorker() {
+  const mode = chooseMode(MOCK_WORKER_MODES);
+  let pings = 0;
+  const lines = readline.createInterface({ input: process.stdin });
+  lines.on('line', line => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      return;
+    }
+    if (message.method === 'shutdown') {
+      if (mode !== 'stubborn') {
+        process.exit(0);
+      }
+    } else if (message.method === 'ping') {
+      pings++;
+      if (mode !== 'hangping' || pings === 1) {
+        send({ id: message.id, result: 'pong' });
+      }
+    } else if (message.method === 'enhance') {
+      const params = message.params || {};
+      const delay = params.delayMs !== undefined ? params.delayMs
+        : mode === 'slow' ? parseInt(process.env.MOCK_FORGE_DELAY_MS || '5000', 10) : 0;
+      setTimeout(() => answerRequest(mode, message), delay);
+    } else {
+      send({ id: message.id, error: { code: -32601, message: 'Method not found' } });
+    }
+  });
+  if (mode === 'stubborn') {
+    process.on('SIGTERM', () => {});
+    setInterval(() => {}, 1000);
+  }
+}
+
+if (require.main === module) {
+  const query = option('query');
+  if (process.argv.includes('--worker')) {
+    serveWorker();
+  } else if (query !== undefined) {
+    run(query);
+  } else {
+    let text = '';
+    process.stdin.on('data', chunk => {
+      text += chunk;
+    });
+    process.stdin.on('end', () => run(text));
+  }
+}
+
+module.exports = {
+  forgeResponse,
+  MOCK_FORGE_MODES,
+  MOCK_WORKER_MODES
+};
@@ -0,0 +1,455 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 QUANTUM PATH TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Drives the Forge bridge and the CLI against test/mock-forge.js,
+ *  through the exec provider (the query goes over stdin), and checks
+ *  the other providers of the registry. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config');
+const {
+  invokeQuantumForge,
+  consultQuantumOracle,
+  configureBridge,
+  bridgeSettings,
+  shutdownBridge,
+  providerStatuses,
+  FORGE_FAILURES
+} = require('../oinio-forge-bridge');
+const { registerProvider } = require('../oinio-providers');
+const { generateDeterministicReading } = require('../oinio-shared');
+const { forgeResponse } = require('./mock-forge');
+
+const CLI = path.join(__dirname, '..', 'oinio-system.js');
+const MOCK_FORGE = path.join(__dirname, 'mock-forge.js');
+const SEED = 'a'.repeat(64);
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/;
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function mockCommand(mode) {
+  return `${process.execPath} ${MOCK_FORGE} --mode ${mode}`;
+}
+
+function useMock(mode, overrides = {}) {
+  return configureBridge({ enabled: true, provider: 'exec', command: mockCommand(mode), timeoutMs: 5000, ...overrides });
+}
+
+function baseFields(reading) {
+  const { resonance, clarity, flux, emergence, pattern, message } = reading;
+  return { resonance, clarity, flux, emergence, pattern, message };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🌌 invokeQuantumForge
+// ═══════════════════════════════════════════════════════════════
+
+describe('invokeQuantumForge', () => {
+  const context = { seed: 'aaaaaaaa', epoch: 3, resonance: 50, pattern: 'The Seed' };
+
+  after(() => shutdownBridge());
+
+  test('returns the Forge response on success', async () => {
+    await useMock('success');
+    const result = await invokeQuantumForge('Where does this lead?', context);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.response, forgeResponse({ query: 'Where does this lead?', context }));
+  });
+
+  const failures = [
+    ['slow', FORGE_FAILURES.TIMEOUT, /within 300ms/, { timeoutMs: 300 }],
+    ['crash', FORGE_FAILURES.EXIT_CODE, /code 1: Traceback[\s\S]*scripted crash/],
+    ['garbage', FORGE_FAILURES.INVALID_JSON, /Loading quantum tensors/],
+    ['partial', FORGE_FAILURES.INVALID_JSON, /not JSON/],
+    ['invalid', FORGE_FAILURES.SCHEMA_MISMATCH, /harmony_index must be between 0 and 1/]
+  ];
+  failures.forEach(([mode, code, error, overrides]) => {
+    test(`reports ${code} in ${mode} mode`, async () => {
+      await useMock(mode, overrides);
+      const result = await invokeQuantumForge('Will it fail?', context);
+      assert.equal(result.success, false);
+      assert.equal(result.code, code);
+      assert.match(result.error, error);
+    });
+  });
+
+  test('reports DISABLED without asking the Forge', async () => {
+    await useMock('crash', { enabled: false });
+    const result = await invokeQuantumForge('Anyone there?', context);
+    assert.equal(result.code, FORGE_FAILURES.DISABLED);
+  });
+
+  test('takes its settings from config.js unless told otherwise', async () => {
+    const saved = config.QUANTUM_TIMEOUT_MS;
+    config.QUANTUM_TIMEOUT_MS = 1234;
+    try {
+      assert.equal((await configureBridge()).timeoutMs, 1234);
+      assert.equal((await configureBridge({ timeoutMs: 50 })).timeoutMs, 50);
+      assert.equal(bridgeSettings().forgePath, config.PI_FORGE_PATH);
+    } finally {
+      config.QUANTUM_TIMEOUT_MS = saved;
+    }
+  });
+
+  test('reports NOT_INSTALLED when PI_FORGE_PATH has no Forge', async () => {
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-no-forge-'));
+    try {
+      await configureBridge({ enabled: true, provider: 'python', forgePath: empty });
+      const result = await invokeQuantumForge('Anyone there?', context);
+      assert.equal(result.code, FORGE_FAILURES.NOT_INSTALLED);
+    } finally {
+      fs.rmSync(empty, { recursive: true, force: true });
+    }
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 🌐 http provider
+// ═══════════════════════════════════════════════════════════════
+
+describe('http provider', () => {
+  const context = { seed: 'aaaaaaaa', epoch: 3, resonance: 50, pattern: 'The Seed' };
+  let server;
+  let handler;
+
+  before(async () => {
+    server = http.createServer((req, res) => handler(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await shutdownBridge();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function useServer(respond, timeoutMs = 1000) {
+    handler = respond;
+    return configureBridge({ enabled: true, provider: 'http', url: `http://127.0.0.1:${server.address().port}/enhance`, timeoutMs });
+  }
+
+  test('returns the endpoint\'s answer', async () => {
+    await useServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ harmony_index: 0.5 }));
+    });
+    const result = await invokeQuantumForge('Over HTTP?', context);
+    assert.deepEqual(result, { success: true, response: { harmony_index: 0.5 } });
+  });
+
+  test('reports UNREACHABLE when the server drops the connection mid-body', async () => {
+    await useServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': 100 });
+      res.write('{"harmony_index":');
+      setTimeout(() => res.destroy(), 50);
+    });
+    const result = await invokeQuantumForge('Dropped?', context);
+    assert.equal(result.code, FORGE_FAILURES.UNREACHABLE);
+  });
+
+  test('reports TIMEOUT when the server trickles its answer', async () => {
+    let trickle;
+    await useServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      trickle = setInterval(() => res.write(' '), 100);
+      res.on('close', () => clearInterval(trickle));
+    }, 500);
+    const started = Date.now();
+    const result = await invokeQuantumForge('Trickled?', context);
+    clearInterval(trickle);
+    assert.equal(result.code, FORGE_FAILURES.TIMEOUT);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 📚 provider registry
+// ═══════════════════════════════════════════════════════════════
+
+describe('provider registry', () => {
+  const context = { seed: 'aaaaaaaa', epoch: 2, resonance: 50, pattern: 'The Seed' };
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-providers-'));
+  });
+
+  after(async () => {
+    await shutdownBridge();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function writeModule(name, source) {
+    const file = path.join(directory, `${name}.js`);
+    fs.writeFileSync(file, source);
+    return file;
+  }
+
+  test('the module provider answers from a JavaScript module', async () => {
+    const file = writeModule('harmony', `
+      exports.capabilities = ['harmony_index', 'trend', 'teleportation'];
+      exports.enhance = async payload => ({ harmony_index: 0.25, trend: payload.context.pattern });
+    `);
+    await configureBridge({ enabled: true, provider: 'module', module: file });
+    assert.deepEqual(await invokeQuantumForge('From a module?', context), {
+      success: true,
+      response: { harmony_index: 0.25, trend: 'The Seed' }
+    });
+
+    const [active] = await providerStatuses();
+    assert.equal(active.name, 'module');
+    assert.equal(active.active, true);
+    assert.equal(active.status, 'ready');
+    assert.deepEqual(active.capabilities, ['harmony_index', 'trend']);
+  });
+
+  test('a module without enhance() is not installed', async () => {
+    await configureBridge({ enabled: true, provider: 'module', module: writeModule('empty', 'exports.health = () => ({ status: "ready" });') });
+    const result = await invokeQuantumForge('Anyone home?', context);
+    assert.equal(result.code, FORGE_FAILURES.NOT_INSTALLED);
+    assert.match(result.error, /does not export enhance\(\)/);
+  });
+
+  test('an unknown provider name shows as unavailable', async () => {
+    await configureBridge({ enabled: true, provider: 'telepathy' });
+    const [active] = await providerStatuses();
+    assert.equal(active.status, 'unavailable');
+    assert.match(active.detail, /Unknown provider "telepathy"/);
+    assert.equal((await invokeQuantumForge('Hello?', context)).code, FORGE_FAILURES.NOT_INSTALLED);
+  });
+
+  test('registered providers can be selected and are listed with the built-in ones', async () => {
+    registerProvider('fixed', () => ({
+      name: 'fixed',
+      transport: 'memory',
+      description: 'Always the same answer',
+      capabilities: ['harmony_index'],
+      health: async () => ({ status: 'ready', detail: 'in memory' }),
+      enhance: async () => ({ success: true, response: { harmony_index: 1 } })
+    }));
+    await configureBridge({ enabled: true, provider: 'fixed' });
+    assert.deepEqual((await invokeQuantumForge('Fixed?', context)).response, { harmony_index: 1 });
+    assert.deepEqual((await providerStatuses()).map(provider => provider.name), ['fixed', 'python', 'exec', 'http', 'module', 'worker']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 🔮 consultQuantumOracle
+// ═══════════════════════════════════════════════════════════════
+
+describe('consultQuantumOracle', () => {
+  const question = 'What is the nature of integration?';
+  const deterministic = generateDeterministicReading(question, SEED, 3);
+
+  after(() => shutdownBridge());
+
+  test('merges Forge predictions over the deterministic reading', async () => {
+    await useMock('success');
+    const reading = await consultQuantumOracle(question, SEED, 3);
+    const expected = forgeResponse({ query: question, context: { epoch: 3 } });
+    assert.equal(reading.mode, 'quantum-enhanced');
+    assert.deepEqual(baseFields(reading), baseFields(deterministic));
+    assert.equal(reading.harmonyIndex, expected.harmony_index);
+    assert.equal(reading.quantumConfidence, expected.confidence);
+    assert.equal(reading.quantumTrend, expected.trend);
+    assert.deepEqual(reading.forgeRecommendations, expected.recommendations);
+    assert.equal(reading.quantumInsight, expected.ai_insight);
+  });
+
+  ['slow', 'crash', 'garbage', 'partial', 'invalid'].forEach(mode => {
+    test(`falls back to the deterministic reading in ${mode} mode`, async () => {
+      await useMock(mode, { timeoutMs: 300 });
+      const reading = await consultQuantumOracle(question, SEED, 3);
+      const { quantumDiagnostic, ...rest } = reading;
+      assert.deepEqual(rest, deterministic);
+      assert.ok(Object.values(FORGE_FAILURES).includes(quantumDiagnostic.code));
+      assert.equal(typeof quantumDiagnostic.error, 'string');
+    });
+  });
+
+  test('strips control characters and escape sequences from Forge text', async () => {
+    await useMock('hostile');
+    const reading = await consultQuantumOracle(question, SEED, 3);
+    assert.equal(reading.mode, 'quantum-enhanced');
+    assert.equal(reading.quantumTrend, 'rising');
+    assert.equal(reading.quantumInsight, 'Clear the screen now');
+    assert.deepEqual(reading.forgeRecommendations, ['Rename the terminal']);
+    [reading.quantumTrend, reading.quantumInsight, ...reading.forgeRecommendations].forEach(text => {
+      assert.doesNotMatch(text, CONTROL_CHARACTERS);
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 💻 CLI
+// ═══════════════════════════════════════════════════════════════
+
+describe('CLI quantum mode', () => {
+  const USER = 'tester';
+  const PASSWORD = 'password1';
+  let basePath;
+
+  function cliEnv(mode, extra = {}) {
+    return {
+      ...process.env,
+      BASE_PATH: basePath,
+      PBKDF2_ITERATIONS: '1000',
+      LOGIN_BACKOFF_BASE_MS: '0',
+      ENABLE_QUANTUM: 'true',
+      QUANTUM_PROVIDER: 'exec',
+      QUANTUM_PROVIDER_COMMAND: mockCommand(mode),
+      QUANTUM_TIMEOUT_MS: '2000',
+      ...extra
+    };
+  }
+
+  function runCli(args, env) {
+    return spawnSync(process.execPath, [CLI, ...args, '--user', USER], {
+      env,
+      input: `${PASSWORD}\n`,
+      encoding: 'utf8',
+      timeout: 20000
+    });
+  }
+
+  /**
+   * Runs the interactive CLI, answering each prompt once its text has
+   * appeared: steps are [text to wait for, line to send or null]
+   */
+  function runInteractive(env, steps) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [CLI], { env, stdio: ['pipe', 'pipe', 'pipe'] });
+      let output = '';
+      let searchFrom = 0;
+      let step = 0;
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`No "${steps[step][0]}" in the output:\n${output}`));
+      }, 20000);
+
+      const advance = () => {
+        while (step < steps.length) {
+          const [expected, input] = steps[step];
+          const found = output.indexOf(expected, searchFrom);
+          if (found === -1) {
+            return;
+          }
+          searchFrom = found + expected.length;
+          step++;
+          if (input !== null) {
+            child.stdin.write(`${input}\n`);
+          }
+        }
+        child.stdin.end();
+      };
+      child.stdout.on('data', data => {
+        output += data.toString();
+        advance();
+      });
+      child.stderr.on('data', data => {
+        output += data.toString();
+      });
+      child.on('close', () => {
+        clearTimeout(timer);
+        if (step < steps.length) {
+          reject(new Error(`Exited before "${steps[step][0]}":\n${output}`));
+        } else {
+          resolve(output);
+        }
+      });
+    });
+  }
+
+  // Log in, open the only soul and press [Q]
+  const TOGGLE_STEPS = [
+    ['→ ', '1'],
+    ['Username: ', USER],
+    ['Password: ', PASSWORD],
+    ['Registry:', null],
+    ['→ ', '2'],
+    ['Select soul number (1-1): ', '1'],
+    ['→ ', 'q']
+  ];
+
+  // Leave the soul menu and exit
+  const EXIT_STEPS = [
+    ['→ ', '4'],
+    ['→ ', '5'],
+    ['Exit OINIO? (y/n): ', 'y']
+  ];
+
+  before(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-quantum-'));
+    assert.equal(runCli(['register'], cliEnv('success')).status, 0);
+    assert.equal(runCli(['soul', 'create', 'Self'], cliEnv('success')).status, 0);
+  });
+
+  after(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  test('consult --quantum records an enhanced epoch', () => {
+    const result = runCli(['consult', 'Self', 'Is the mock listening?', '--quantum', '--json'], cliEnv('success'));
+    assert.equal(result.status, 0, result.stderr);
+    const epoch = JSON.parse(result.stdout);
+    assert.equal(epoch.reading.mode, 'quantum-enhanced');
+    assert.equal(epoch.reading.quantumInsight, `Mock insight for "Is the mock listening?" at epoch ${epoch.number}`);
+  });
+
+  test('diagnose runs the handshake under the configured timeout', () => {
+    const connected = runCli(['diagnose', '--json'], cliEnv('success'));
+    assert.equal(connected.status, 0, connected.stderr);
+    const report = JSON.parse(connected.stdout);
+    assert.equal(report.handshake.success, true);
+    assert.deepEqual(report.providers.filter(provider => provider.active).map(provider => provider.name), ['exec']);
+
+    const slow = runCli(['diagnose', '--json'], cliEnv('slow', { QUANTUM_TIMEOUT_MS: '300' }));
+    assert.equal(slow.status, 1);
+    const { settings, handshake } = JSON.parse(slow.stdout);
+    assert.equal(settings.timeoutMs, 300);
+    assert.equal(handshake.code, FORGE_FAILURES.TIMEOUT);
+  });
+
+  test('consult --quantum records the failure when the Forge crashes', () => {
+    const result = runCli(['consult', 'Self', 'Still there?', '--quantum', '--json'], cliEnv('crash'));
+    assert.equal(result.status, 0, result.stderr);
+    const epoch = JSON.parse(result.stdout);
+    assert.equal(epoch.reading.mode, 'deterministic');
+    assert.equal(epoch.reading.quantumDiagnostic.code, FORGE_FAILURES.EXIT_CODE);
+  });
+
+  test('[Q] toggles quantum mode for the next reading', async () => {
+    const output = await runInteractive(cliEnv('success'), [
+      ...TOGGLE_STEPS,
+      ['Quantum Mode ACTIVATED', null],
+      ['→ ', '1'],
+      ['Ask your question', null],
+      ['→ ', 'Does the toggle work?'],
+      ['[QUANTUM-ENHANCED]', null],
+      ['Mock insight for "Does the toggle work?"', null],
+      ...EXIT_STEPS
+    ]);
+    assert.match(output, /Farewell/);
+  });
+
+  test('[Q] explains that the Forge is unavailable when disabled', async () => {
+    const output = await runInteractive(cliEnv('success', { ENABLE_QUANTUM: 'false' }), [
+      ...TOGGLE_STEPS,
+      ['Quantum Forge not available', null],
+      ...EXIT_STEPS
+    ]);
+    assert.doesNotMatch(output, /Quantum Mode ACTIVATED/);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 READING TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Reading generation and rendering from oinio-shared.js. Run with
+ *  `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  generateDeterministicReading,
+  generateSynastryReading,
+  generateSpreadReading,
+  displayReading,
+  SPREADS
+} = require('../oinio-shared');
+const { validateDeck, deckHash, deckDictionary } = require('../oinio-decks');
+
+const SEED = 'a'.repeat(64);
+
+/**
+ * Lines displayReading prints, without touching the terminal
+ */
+function captureDisplay(reading) {
+  const lines = [];
+  const log = console.log;
+  console.log = (text = '') => lines.push(...String(text).split('\n'));
+  try {
+    displayReading(reading, 1);
+  } finally {
+    console.log = log;
+  }
+  return lines;
+}
+
+describe('spread readings', () => {
+  const spreads = Object.keys(SPREADS).filter(spread => SPREADS[spread].positions.length > 0);
+
+  test('a single reading is the plain deterministic reading', () => {
+    assert.deepEqual(generateSpreadReading('One card?', SEED, 3), generateDeterministicReading('One card?', SEED, 3));
+  });
+
+  spreads.forEach(spread => {
+    test(`${spread} lays out distinct patterns and summarizes them at its focus`, () => {
+      const reading = generateSpreadReading('Which way?', SEED, 1, spread);
+      assert.deepEqual(reading, generateSpreadReading('Which way?', SEED, 1, spread));
+      assert.deepEqual(reading.positions.map(position => position.position), SPREADS[spread].positions.map(({ key }) => key));
+      assert.equal(new Set(reading.positions.map(position => position.pattern)).size, reading.positions.length);
+
+      const focus = reading.positions.find(position => position.position === SPREADS[spread].focus);
+      assert.equal(reading.pattern, focus.pattern);
+      const mean = Math.round(reading.positions.reduce((sum, position) => sum + position.resonance, 0) / reading.positions.length);
+      assert.equal(reading.resonance, mean);
+    });
+  });
+
+  test('the epoch and the spread both change the cards', () => {
+    const [first, second] = spreads;
+    const cards = (spread, epoch) => generateSpreadReading('Which way?', SEED, epoch, spread).positions.map(position => position.resonance);
+    assert.notDeepEqual(cards(first, 1), cards(first, 2));
+    assert.notDeepEqual(cards(first, 1), cards(second, 1));
+  });
+});
+
+describe('spread rendering', () => {
+  // Five distinct names at the deck maximum of 40 characters
+  const longNames = [1, 2, 3, 4, 5].map(n => `The ${n}${'Unending Labyrinth of Mirrors '.repeat(2)}`.substring(0, 40));
+  const dictionary = { patterns: longNames, messages: ['Stay the course'], pools: longNames.map(() => null) };
+
+  Object.keys(SPREADS).filter(spread => SPREADS[spread].positions.length > 0).forEach(spread => {
+    test(`keeps 40-character pattern names inside the ${spread} cards`, () => {
+      const reading = generateSpreadReading('Will it fit?', SEED, 1, spread, dictionary);
+      const lines = captureDisplay(reading);
+      const cardLines = lines.filter(line => line.includes('│'));
+      assert.ok(cardLines.length > 0);
+
+      cardLines.forEach(line => {
+        const cells = line.trim().split(/(?<=│)\s+(?=│)/u);
+        cells.forEach(cell => assert.equal([...cell].length, 20, `"${cell}" does not fill one card`));
+      });
+      reading.positions.forEach(position => {
+        assert.ok(lines.some(line => line.includes(`${position.pattern.substring(0, 15)}…`)));
+      });
+      assert.ok(lines.some(line => line.includes(reading.pattern)), 'the focus line keeps the full name');
+    });
+  });
+});
+
+describe('synastry reading', () => {
+  const { deck } = validateDeck({
+    format: 'oinio-deck',
+    version: 1,
+    id: 'minor-tarot',
+    name: 'Minor Tarot',
+    patterns: ['Cups', 'Wands', 'Swords', 'Pentacles', 'Stars'].map(name => ({ name })),
+    messages: ['The path bends toward you', 'Wait for the second sign']
+  });
+  const QUESTIONS = Array.from({ length: 30 }, (_, index) => `Question ${index}?`);
+  const self = { seed: 'a'.repeat(64), epochNumber: 4 };
+  const partner = { seed: 'b'.repeat(64), epochNumber: 2 };
+  const tarotSelf = { ...self, dictionary: deckDictionary(deck), deck: deckHash(deck) };
+
+  test('classic souls keep their joint reading', () => {
+    const bond = [self, partner].map(member => `${member.seed}:${member.epochNumber}`).sort().join('|');
+    assert.deepEqual(generateSynastryReading('Together?', [self, partner]),
+      { ...generateDeterministicReading('Together?', `synastry|${bond}`, 2), mode: 'synastry' });
+  });
+
+  test('draws from a member\'s deck and records it', () => {
+    const joints = QUESTIONS.map(question => generateSynastryReading(question, [tarotSelf, partner]));
+    joints.forEach(joint => assert.deepEqual(joint.decks, [{ deck: deckHash(deck) }, null]));
+    assert.ok(joints.some(joint => deck.patterns.some(pattern => pattern.name === joint.pattern)));
+  });
+
+  test('does not depend on the order of the members', () => {
+    QUESTIONS.forEach(question => {
+      const joint = generateSynastryReading(question, [partner, tarotSelf]);
+      const reversed = generateSynastryReading(question, [tarotSelf, partner]);
+      assert.deepEqual({ ...reversed, decks: null }, { ...joint, decks: null });
+    });
+  });
+});
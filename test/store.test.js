@@ -0,0 +1,693 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 STORE TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Accounts, soul names, backups and verification through OinioClient,
+ *  each test in a throwaway data directory. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+// Fast key derivation; config.js reads these when first required
+process.env.PBKDF2_ITERATIONS = '1000';
+process.env.LOGIN_BACKOFF_BASE_MS = '0';
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config');
+const { OinioClient } = require('../oinio-client');
+const { deriveKey, encrypt, deriveKeyWithParams, writeFileAtomic, CONTAINER_VERSION } = require('../oinio-store');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+let basePath;
+
+beforeEach(() => {
+  basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'oinio-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(basePath, { recursive: true, force: true });
+});
+
+/**
+ * A client logged in as a fresh account, with the given souls
+ */
+function registerWithSouls(names, options = {}) {
+  const client = new OinioClient({ basePath });
+  assert.equal(client.register('tester', 'password1', options).success, true);
+  assert.equal(client.login('tester', 'password1').success, true);
+  names.forEach(name => assert.equal(client.createSoul(name).success, true));
+  return client;
+}
+
+describe('library', () => {
+  test('a logged-out client refuses with AUTH instead of throwing', () => {
+    const client = new OinioClient({ basePath });
+    assert.equal(client.listSouls().code, 'AUTH');
+    assert.equal(client.createSoul('Self').code, 'AUTH');
+    assert.equal(client.history('Self').code, 'AUTH');
+  });
+
+  test('returns plain results and never prints', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const error = mock.method(console, 'error', () => {});
+    try {
+      const client = registerWithSouls(['Self']);
+      const consulted = await client.consult('Self', 'Am I quiet?');
+      assert.equal(consulted.success, true);
+      assert.deepEqual(client.history('Self').epochs, [consulted.epoch]);
+      assert.equal(client.stats('Self').soul.epochs, 1);
+      assert.match(client.exportLineage().csv, /^Self,.*,1,/m);
+      assert.equal(client.renameSoul('Self', 'Other').success, true);
+      assert.equal(client.deleteSoul('Other').success, true);
+      assert.deepEqual(client.listSouls().souls, []);
+      assert.equal(log.mock.callCount() + error.mock.callCount(), 0);
+    } finally {
+      log.mock.restore();
+      error.mock.restore();
+    }
+  });
+});
+
+describe('container format', () => {
+  const soulsFile = () => path.join(basePath, 'souls_tester.enc');
+  const readHeader = () => JSON.parse(fs.readFileSync(soulsFile(), 'utf8'));
+
+  test('records the format version, cipher and KDF parameters', () => {
+    registerWithSouls(['Self']);
+    const header = readHeader();
+    assert.equal(header.format, 'oinio-container');
+    assert.equal(header.version, CONTAINER_VERSION);
+    assert.equal(header.cipher, 'aes-256-gcm');
+    assert.equal(header.keySlots[0].kdf.iterations, config.PBKDF2_ITERATIONS);
+    assert.equal(typeof header.keySlots[0].kdf.salt, 'string');
+  });
+
+  test('raising the iteration count keeps users in and upgrades them at login', () => {
+    registerWithSouls(['Self']);
+    const iterations = config.PBKDF2_ITERATIONS;
+    config.PBKDF2_ITERATIONS = iterations * 2;
+    try {
+      const client = new OinioClient({ basePath });
+      assert.equal(client.login('tester', 'password1').success, true);
+      assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['Self']);
+      assert.equal(readHeader().keySlots[0].kdf.iterations, iterations * 2);
+      assert.equal(client.store.loadAccount('tester').account.kdf.iterations, iterations * 2);
+    } finally {
+      config.PBKDF2_ITERATIONS = iterations;
+    }
+  });
+
+  test('migrates a legacy file forward on the next save', () => {
+    const client = registerWithSouls(['Self']);
+    const { souls } = client.store.loadSouls('tester', client.keyring);
+    const salt = 'ab'.repeat(32);
+    const key = deriveKeyWithParams('password1', salt, { algorithm: 'pbkdf2-sha256', iterations: 100000, keyLength: 32 });
+    const { iv, authTag, encrypted } = encrypt(JSON.stringify(souls), key);
+    fs.writeFileSync(soulsFile(), JSON.stringify({
+      iv: iv.toString('hex'),
+      authTag: authTag.toString('hex'),
+      data: encrypted.toString('hex')
+    }));
+    const { account } = client.store.loadAccount('tester');
+    client.store.saveAccount('tester', { ...account, encryptionSalt: salt });
+
+    const relogin = new OinioClient({ basePath });
+    assert.equal(relogin.login('tester', 'password1').success, true);
+    assert.equal(relogin.createSoul('Second').success, true);
+    assert.equal(readHeader().version, CONTAINER_VERSION);
+    assert.deepEqual(relogin.listSouls().souls.map(soul => soul.name), ['Self', 'Second']);
+  });
+
+  test('refuses a header whose KDF parameters are out of bounds', () => {
+    registerWithSouls(['Self']);
+    const header = readHeader();
+    header.keySlots[0].kdf.iterations = 1e9;
+    fs.writeFileSync(soulsFile(), JSON.stringify(header));
+    assert.equal(new OinioClient({ basePath }).login('tester', 'password1').success, false);
+  });
+});
+
+describe('password change', () => {
+  test('needs the current password and at least 8 characters', () => {
+    const client = registerWithSouls(['Self']);
+    assert.equal(client.changePassword('wrong-password', 'password2').code, 'AUTH');
+    assert.equal(client.changePassword('password1', 'short').code, 'INVALID');
+    assert.equal(new OinioClient({ basePath }).login('tester', 'password1').success, true);
+  });
+
+  test('rotates the data key so other sessions must log in again', () => {
+    const client = registerWithSouls(['Self']);
+    const other = new OinioClient({ basePath });
+    other.login('tester', 'password1');
+
+    assert.equal(client.changePassword('password1', 'password2').success, true);
+    assert.notEqual(client.keyring.keyId, other.keyring.keyId);
+    assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['Self']);
+    assert.equal(other.listSouls().code, 'AUTH');
+  });
+
+  test('rolls back to the old password when the new registry cannot be swapped in', () => {
+    const client = registerWithSouls(['Self']);
+    const rename = fs.renameSync;
+    const swap = mock.method(fs, 'renameSync', (from, to) => {
+      if (from.endsWith('.pending')) {
+        throw new Error('disk full');
+      }
+      return rename(from, to);
+    });
+    try {
+      const result = client.changePassword('password1', 'password2');
+      assert.equal(result.success, false);
+      assert.match(result.error, /Password unchanged: disk full/);
+    } finally {
+      swap.mock.restore();
+    }
+
+    const relogin = new OinioClient({ basePath });
+    assert.equal(relogin.login('tester', 'password2').success, false);
+    assert.equal(relogin.login('tester', 'password1').success, true);
+    assert.deepEqual(relogin.listSouls().souls.map(soul => soul.name), ['Self']);
+    assert.equal(fs.existsSync(path.join(basePath, 'souls_tester.enc.pending')), false);
+  });
+});
+
+describe('recovery phrase', () => {
+  function registerWithRecovery() {
+    const client = new OinioClient({ basePath });
+    const { recoveryPhrase } = client.register('tester', 'password1', { recovery: true });
+    client.login('tester', 'password1');
+    client.createSoul('Self');
+    return { client, recoveryPhrase };
+  }
+
+  test('resets a forgotten password and keeps working afterwards', () => {
+    const { recoveryPhrase } = registerWithRecovery();
+    const client = new OinioClient({ basePath });
+    const typed = recoveryPhrase.toLowerCase().replace(/-/g, ' ');
+    assert.equal(client.resetPassword('tester', typed, 'password2').success, true);
+    assert.equal(client.login('tester', 'password1').success, false);
+    assert.equal(client.login('tester', 'password2').success, true);
+    assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['Self']);
+    assert.equal(client.resetPassword('tester', recoveryPhrase, 'password3').success, true);
+  });
+
+  test('refuses a wrong, replaced or disabled phrase', () => {
+    const { client, recoveryPhrase } = registerWithRecovery();
+    const reset = phrase => new OinioClient({ basePath }).resetPassword('tester', phrase, 'password2').code;
+    assert.equal(reset('0000-0000-0000'), 'AUTH');
+
+    const { recoveryPhrase: replacement } = client.enableRecovery();
+    assert.equal(reset(recoveryPhrase), 'AUTH');
+
+    assert.equal(client.disableRecovery().success, true);
+    assert.equal(client.recoveryStatus().enabled, false);
+    assert.equal(reset(replacement), 'AUTH');
+    assert.equal(new OinioClient({ basePath }).login('tester', 'password1').success, true);
+  });
+});
+
+describe('atomic writes and backups', () => {
+  test('a failed write leaves the old file and no temp file behind', () => {
+    const target = path.join(basePath, 'file.json');
+    writeFileAtomic(target, 'old');
+    const write = mock.method(fs, 'writeSync', () => {
+      throw new Error('disk full');
+    });
+    try {
+      assert.throws(() => writeFileAtomic(target, 'new'), /disk full/);
+    } finally {
+      write.mock.restore();
+    }
+    assert.equal(fs.readFileSync(target, 'utf8'), 'old');
+    assert.deepEqual(fs.readdirSync(basePath), ['file.json']);
+  });
+
+  test('keeps only the newest BACKUP_COUNT backups', () => {
+    const client = registerWithSouls(['Self']);
+    const backupDir = client.store.getBackupDir();
+    const live = path.join(basePath, 'souls_tester.enc');
+    fs.mkdirSync(backupDir, { recursive: true });
+    ['20200101T000000000Z', '20200102T000000000Z', '20200103T000000000Z'].forEach(id => {
+      fs.copyFileSync(live, path.join(backupDir, `souls_tester.${id}.enc`));
+    });
+
+    const count = config.BACKUP_COUNT;
+    config.BACKUP_COUNT = 2;
+    try {
+      client.createSoul('Other');
+      const ids = client.listBackups().backups.map(backup => backup.id);
+      assert.equal(ids.length, 2);
+      assert.equal(ids[1], '20200103T000000000Z', 'the oldest are pruned first');
+    } finally {
+      config.BACKUP_COUNT = count;
+    }
+  });
+
+  test('a restore can itself be undone', () => {
+    const client = registerWithSouls(['First', 'Second']);
+    const oldest = client.listBackups().backups.pop();
+    assert.equal(client.restoreBackup(oldest.id).success, true);
+    assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['First']);
+
+    const newest = client.listBackups().backups[0];
+    assert.equal(client.restoreBackup(newest.id).success, true);
+    assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['First', 'Second']);
+    assert.equal(client.restoreBackup('20200101T000000000Z').code, 'NOT_FOUND');
+  });
+});
+
+describe('backups across a password change', () => {
+  test('every backup stays restorable after the data key is rotated', () => {
+    const client = registerWithSouls(['First', 'Second']);
+    const before = client.listBackups();
+    assert.ok(before.backups.length > 0);
+
+    assert.equal(client.changePassword('password1', 'password2').success, true);
+
+    const after = client.listBackups();
+    assert.ok(after.backups.length > before.backups.length, 'the pre-change registry is backed up too');
+    after.backups.forEach(backup => assert.equal(backup.restorable, true, backup.error));
+
+    // The oldest backup holds only the first soul
+    const oldest = after.backups[after.backups.length - 1];
+    assert.equal(client.restoreBackup(oldest.id).success, true);
+    assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['First']);
+  });
+
+  test('the new password, not the old one, opens the restored registry', () => {
+    const client = registerWithSouls(['First']);
+    client.changePassword('password1', 'password2');
+    const oldest = client.listBackups().backups.pop();
+    assert.equal(client.restoreBackup(oldest.id).success, true);
+
+    const relogin = new OinioClient({ basePath });
+    assert.equal(relogin.login('tester', 'password1').success, false);
+    assert.equal(relogin.login('tester', 'password2').success, true);
+    assert.equal(relogin.listBackups().backups.every(backup => backup.restorable), true);
+  });
+
+  test('backups keep working when a recovery phrase keeps the data key', () => {
+    const client = registerWithSouls(['First'], { recovery: true });
+    client.changePassword('password1', 'password2');
+    const backups = client.listBackups().backups;
+    assert.ok(backups.length > 0);
+    backups.forEach(backup => assert.equal(backup.restorable, true, backup.error));
+  });
+});
+
+describe('account protection', () => {
+  test('account files reveal neither usernames nor password hashes', () => {
+    registerWithSouls([]);
+    const accountsDir = path.join(basePath, 'accounts');
+    const files = fs.readdirSync(accountsDir).filter(file => file !== 'master.json');
+    assert.equal(files.length, 1);
+    assert.doesNotMatch(files[0], /tester/);
+    assert.doesNotMatch(fs.readFileSync(path.join(accountsDir, files[0]), 'utf8'), /tester|"hash"/);
+    assert.equal(fs.statSync(path.join(basePath, 'master.key')).mode & 0o077, 0);
+  });
+
+  test('migrates a users.enc from earlier versions and deletes it', () => {
+    const salt = 'cd'.repeat(32);
+    const hash = deriveKeyWithParams('password1', salt, { algorithm: 'pbkdf2-sha512', iterations: 100000, keyLength: 64 });
+    const users = { tester: { salt, hash: hash.toString('hex'), created: new Date().toISOString() } };
+    const { iv, authTag, encrypted } = encrypt(JSON.stringify(users), deriveKey('oinio-users-db-v1'));
+    fs.writeFileSync(path.join(basePath, 'users.enc'), JSON.stringify({
+      iv: iv.toString('hex'),
+      authTag: authTag.toString('hex'),
+      data: encrypted.toString('hex')
+    }));
+
+    const client = new OinioClient({ basePath });
+    assert.equal(client.login('tester', 'password1').success, true);
+    assert.equal(fs.existsSync(path.join(basePath, 'users.enc')), false);
+    assert.equal(new OinioClient({ basePath }).login('tester', 'password1').success, true);
+  });
+
+  test('refuses a key file that is shared or belongs to another installation', () => {
+    registerWithSouls([]);
+    const keyFile = path.join(basePath, 'master.key');
+    fs.chmodSync(keyFile, 0o644);
+    assert.match(new OinioClient({ basePath }).login('tester', 'password1').error, /accessible by other users/);
+
+    fs.writeFileSync(keyFile, `${'ab'.repeat(32)}\n`, { mode: 0o600 });
+    fs.chmodSync(keyFile, 0o600);
+    assert.match(new OinioClient({ basePath }).login('tester', 'password1').error, /does not match this installation/);
+  });
+
+  test('an installation set up with MASTER_PASSPHRASE needs it on every run', () => {
+    const passphrase = config.MASTER_PASSPHRASE;
+    config.MASTER_PASSPHRASE = 'operator secret';
+    try {
+      registerWithSouls([]);
+      assert.equal(fs.existsSync(path.join(basePath, 'master.key')), false);
+      config.MASTER_PASSPHRASE = 'another secret';
+      assert.match(new OinioClient({ basePath }).login('tester', 'password1').error, /does not match/);
+      config.MASTER_PASSPHRASE = null;
+      assert.match(new OinioClient({ basePath }).login('tester', 'password1').error, /set MASTER_PASSPHRASE/);
+    } finally {
+      config.MASTER_PASSPHRASE = passphrase;
+    }
+  });
+});
+
+describe('login auditing', () => {
+  test('locks the account after LOGIN_LOCKOUT_THRESHOLD failures', () => {
+    const client = new OinioClient({ basePath });
+    client.register('tester', 'password1');
+    for (let i = 0; i < config.LOGIN_LOCKOUT_THRESHOLD; i++) {
+      assert.equal(client.login('tester', 'wrong-password').code, 'AUTH');
+    }
+    const locked = client.login('tester', 'password1');
+    assert.equal(locked.code, 'LOCKED');
+    assert.ok(locked.retryAfterMs > config.LOGIN_LOCKOUT_MS - 60 * 1000);
+  });
+
+  test('backs off exponentially between failures', () => {
+    const client = new OinioClient({ basePath });
+    client.register('tester', 'password1');
+    const base = config.LOGIN_BACKOFF_BASE_MS;
+    config.LOGIN_BACKOFF_BASE_MS = 10 * 1000;
+    try {
+      client.login('tester', 'wrong-password');
+      const first = client.login('tester', 'password1');
+      assert.equal(first.code, 'LOCKED');
+      assert.ok(first.retryAfterMs <= 10 * 1000);
+
+      const store = client.store;
+      const { account } = store.loadAccount('tester');
+      store.saveAccount('tester', { ...account, lockedUntil: null });
+      client.login('tester', 'wrong-password');
+      assert.ok(client.login('tester', 'password1').retryAfterMs > 10 * 1000);
+    } finally {
+      config.LOGIN_BACKOFF_BASE_MS = base;
+    }
+  });
+
+  test('reports failed attempts at the next successful login, then clears them', () => {
+    const client = new OinioClient({ basePath });
+    client.register('tester', 'password1');
+    client.login('tester', 'wrong-password', { source: 'api 10.0.0.7' });
+    client.login('tester', 'wrong-password', { source: 'api 10.0.0.8' });
+
+    const login = client.login('tester', 'password1');
+    assert.equal(login.success, true);
+    assert.deepEqual(login.failedAttempts.map(attempt => attempt.source), ['api 10.0.0.7', 'api 10.0.0.8']);
+    assert.deepEqual(new OinioClient({ basePath }).login('tester', 'password1').failedAttempts, []);
+  });
+
+  test('attempts refused while locked are audited without extending the lock', () => {
+    const client = new OinioClient({ basePath });
+    client.register('tester', 'password1');
+    const store = client.store;
+    const { account } = store.loadAccount('tester');
+    const lockedUntil = new Date(Date.now() + 60 * 1000).toISOString();
+    store.saveAccount('tester', { ...account, failedAttempts: 5, lockedUntil });
+
+    const refused = client.login('tester', 'password1', { source: 'api 10.0.0.9' });
+    assert.equal(refused.code, 'LOCKED');
+
+    const audited = store.loadAccount('tester').account;
+    assert.equal(audited.failedAttempts, 5);
+    assert.equal(audited.lockedUntil, lockedUntil);
+    assert.equal(audited.failureLog.length, 1);
+    assert.equal(audited.failureLog[0].source, 'api 10.0.0.9');
+    assert.equal(audited.failureLog[0].locked, true);
+  });
+
+  test('unknown usernames cost the same key derivation as a wrong password', () => {
+    const client = new OinioClient({ basePath });
+    client.register('tester', 'password1');
+    const derive = mock.method(crypto, 'pbkdf2Sync');
+    try {
+      const wrong = client.login('tester', 'wrong-password');
+      const wrongDerivations = derive.mock.callCount();
+      const unknown = client.login('nobody', 'wrong-password');
+
+      assert.equal(unknown.code, wrong.code);
+      assert.equal(unknown.error, wrong.error);
+      assert.equal(derive.mock.callCount() - wrongDerivations, wrongDerivations);
+      const [first, second] = derive.mock.calls;
+      assert.deepEqual(second.arguments.slice(2), first.arguments.slice(2), 'same iterations, key length and digest');
+    } finally {
+      derive.mock.restore();
+    }
+  });
+});
+
+describe('soul names', () => {
+  ['__proto__', 'constructor', 'prototype'].forEach(name => {
+    test(`"${name}" is refused instead of being lost`, () => {
+      const client = registerWithSouls([]);
+      assert.equal(client.createSoul(name).code, 'INVALID');
+      assert.equal(client.createSoul('Self').success, true);
+      assert.equal(client.renameSoul('Self', name).code, 'INVALID');
+      assert.deepEqual(client.listSouls().souls.map(soul => soul.name), ['Self']);
+    });
+  });
+});
+
+describe('soul management', () => {
+  const names = result => result.souls.map(soul => soul.name);
+
+  test('renames a soul with its epochs, refusing a taken name', async () => {
+    const client = registerWithSouls(['Self', 'Other']);
+    await client.consult('Self', 'Still me?');
+    assert.equal(client.renameSoul('Self', 'Other').code, 'EXISTS');
+    assert.equal(client.renameSoul('Self', 'Renamed').success, true);
+    assert.equal(client.history('Renamed').epochs.length, 1);
+    assert.equal(client.history('Self').code, 'NOT_FOUND');
+  });
+
+  test('trashed souls keep their name reserved until purged', () => {
+    const client = registerWithSouls(['Self', 'Other', 'Third']);
+    client.deleteSoul('Self');
+    client.deleteSoul('Other');
+    assert.deepEqual(names(client.listSouls()), ['Third']);
+    assert.deepEqual(names(client.listTrash()), ['Self', 'Other']);
+    assert.equal(client.createSoul('Self').code, 'EXISTS');
+
+    assert.equal(client.restoreSoul('Self').success, true);
+    assert.equal(client.restoreSoul('Third').code, 'NOT_FOUND');
+    assert.equal(client.purgeSoul('Self').code, 'NOT_FOUND');
+    assert.deepEqual(client.emptyTrash().purged, ['Other']);
+    assert.equal(client.createSoul('Other').success, true);
+  });
+
+  test('archived souls leave the list but can still be consulted', async () => {
+    const client = registerWithSouls(['Self', 'Other']);
+    client.archiveSoul('Self');
+    assert.deepEqual(names(client.listSouls()), ['Other']);
+    assert.deepEqual(names(client.listSouls({ archived: true })), ['Self']);
+    assert.equal((await client.consult('Self', 'Still here?')).success, true);
+    client.unarchiveSoul('Self');
+    assert.deepEqual(names(client.listSouls()), ['Self', 'Other']);
+  });
+
+  test('a duplicate shares the seed and history, then grows on its own', async () => {
+    const client = registerWithSouls(['Self']);
+    await client.consult('Self', 'Before the fork?');
+    assert.equal(client.duplicateSoul('Self', 'Fork').success, true);
+    assert.deepEqual(client.history('Fork').epochs.map(epoch => epoch.question), ['Before the fork?']);
+
+    const original = await client.consult('Self', 'Same answer?');
+    const fork = await client.consult('Fork', 'Same answer?');
+    assert.deepEqual(fork.epoch.reading, original.epoch.reading);
+    await client.consult('Fork', 'Only the fork?');
+    assert.equal(client.history('Self').epochs.length, 2);
+  });
+});
+
+describe('import', () => {
+  ['toString', 'valueOf', 'hasOwnProperty'].forEach(name => {
+    test(`imports a soul named "${name}"`, () => {
+      const source = registerWithSouls([name]);
+      const { content } = source.exportSouls();
+
+      const target = new OinioClient({ basePath });
+      target.register('other', 'password2');
+      target.login('other', 'password2');
+      const result = target.importSouls(content);
+      assert.equal(result.success, true, result.error);
+      assert.deepEqual(target.listSouls().souls.map(soul => soul.name), [name]);
+    });
+  });
+
+  function otherAccount() {
+    const client = new OinioClient({ basePath });
+    client.register('other', 'password2');
+    client.login('other', 'password2');
+    return client;
+  }
+
+  test('a passphrase-sealed bundle opens only with its passphrase', () => {
+    const { content } = registerWithSouls(['Self']).exportSouls({ passphrase: 'transfer words' });
+    const target = otherAccount();
+    const locked = target.previewImport(content);
+    assert.equal(locked.code, 'AUTH');
+    assert.equal(locked.encrypted, true);
+    assert.equal(target.importSouls(content, { passphrase: 'wrong words' }).code, 'AUTH');
+
+    const preview = target.previewImport(content, { passphrase: 'transfer words' });
+    assert.deepEqual(preview.souls.map(soul => [soul.name, soul.conflict]), [['Self', null]]);
+    assert.equal(target.importSouls(content, { passphrase: 'transfer words' }).success, true);
+  });
+
+  test('merging the same soul adds only the epochs the registry lacks', async () => {
+    const source = registerWithSouls(['Self']);
+    await source.consult('Self', 'First?');
+    const target = otherAccount();
+    target.importSouls(source.exportSouls().content);
+
+    await source.consult('Self', 'Second?');
+    const result = target.importSouls(source.exportSouls().content, { strategy: 'merge' });
+    assert.deepEqual(result.imported, [{ name: 'Self', as: 'Self', action: 'merged', epochs: 1, duplicates: 1 }]);
+    assert.deepEqual(target.history('Self').epochs.map(epoch => epoch.question), ['First?', 'Second?']);
+  });
+
+  test('settles each conflict by its choice and saves nothing if one cannot be placed', () => {
+    const { content } = registerWithSouls(['Self', 'Other']).exportSouls();
+    const target = otherAccount();
+    target.createSoul('Self');
+    target.createSoul('Other');
+
+    assert.equal(target.importSouls(content, { strategy: 'merge' }).code, 'EXISTS');
+    assert.deepEqual(target.listSouls().souls.map(soul => soul.name), ['Self', 'Other']);
+
+    const result = target.importSouls(content, { choices: { Self: { action: 'rename', name: 'Imported' } } });
+    assert.deepEqual(result.imported.map(entry => entry.as), ['Imported']);
+    assert.deepEqual(result.skipped, ['Other']);
+  });
+});
+
+describe('soul selection', () => {
+  test('commands taking soul names select each once, in order, and skip the trash', () => {
+    const client = registerWithSouls(['First', 'Second', 'Gone']);
+    client.deleteSoul('Gone');
+    assert.deepEqual(client.exportSouls().souls, ['First', 'Second']);
+    assert.deepEqual(client.exportSouls({ names: ['Second', 'First', 'Second'] }).souls, ['Second', 'First']);
+    assert.equal(client.exportSouls({ names: ['First', 'Gone'] }).code, 'NOT_FOUND');
+    assert.equal(client.verifyReadings({ names: ['Nobody'] }).code, 'NOT_FOUND');
+  });
+});
+
+describe('decks', () => {
+  const SUITS = ['Cups', 'Wands', 'Swords', 'Pentacles', 'Stars'];
+
+  function writeSuitsDeck(names = SUITS) {
+    const directory = path.join(basePath, 'decks');
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'suits.json'), JSON.stringify({
+      format: 'oinio-deck',
+      version: 1,
+      id: 'suits',
+      name: 'Suits',
+      patterns: names.map(name => ({ name })),
+      messages: ['The path bends toward you'],
+      locales: { fr: { patterns: names.map(name => ({ name: `${name} (fr)` })), messages: ['Le chemin se tourne vers toi'] } }
+    }));
+  }
+
+  test('a pinned deck draws readings and survives edits to its file', async () => {
+    const client = registerWithSouls(['Self']);
+    writeSuitsDeck();
+    assert.deepEqual(client.listDecks().decks.map(deck => deck.id), ['classic', 'suits']);
+    const pinned = client.setSoulDeck('Self', 'suits');
+    assert.equal(pinned.success, true);
+    const { epoch } = await client.consult('Self', 'Which suit?');
+    assert.ok(SUITS.includes(epoch.reading.pattern));
+
+    writeSuitsDeck(SUITS.map(name => `${name} II`));
+    const { deck, drift } = client.getSoulDeck('Self');
+    assert.equal(deck.hash, pinned.deck.hash);
+    assert.equal(drift.file, 'suits.json');
+    assert.ok(SUITS.includes((await client.consult('Self', 'Still suits?')).epoch.reading.pattern));
+    assert.equal(client.verifyReadings().totals.verified, 2);
+  });
+
+  test('a translation keeps the pinned hash; classic unpins', () => {
+    const client = registerWithSouls(['Self']);
+    writeSuitsDeck();
+    const english = client.setSoulDeck('Self', 'suits');
+    const french = client.setSoulDeck('Self', 'suits', { locale: 'fr' });
+    assert.equal(french.deck.hash, english.deck.hash);
+    assert.equal(french.deck.patterns[0].name, 'Cups (fr)');
+    assert.equal(client.setSoulDeck('Self', 'suits', { locale: 'de' }).code, 'INVALID');
+    assert.equal(client.setSoulDeck('Self', 'tarot').code, 'NOT_FOUND');
+    assert.equal(client.setSoulDeck('Self', 'classic').deck.builtin, true);
+    assert.equal(client.getSoulDeck('Self').drift, null);
+  });
+});
+
+describe('synastry', () => {
+  test('each soul answers as its next epoch would, and record saves them all', () => {
+    const client = registerWithSouls(['Self', 'Partner']);
+    const preview = client.synastry(['Self', 'Partner'], 'Together?');
+    assert.equal(preview.souls.every(member => member.epochNumber === 1 && !member.recorded), true);
+    assert.equal(client.history('Self').epochs.length, 0);
+
+    const recorded = client.synastry(['Self', 'Partner'], 'Together?', { record: true });
+    assert.deepEqual(recorded.joint, preview.joint);
+    assert.deepEqual(client.history('Partner').epochs.map(epoch => epoch.reading), [preview.souls[1].reading]);
+    assert.equal(client.synastry(['Self', 'Partner'], 'Together?').souls[0].epochNumber, 2);
+  });
+
+  test('needs two to twelve souls that all exist', () => {
+    const client = registerWithSouls(['Self', 'Partner']);
+    assert.equal(client.synastry(['Self', 'Self'], 'Alone?').code, 'INVALID');
+    assert.equal(client.synastry(['Self', 'Nobody'], 'Who?', { record: true }).code, 'NOT_FOUND');
+    assert.equal(client.history('Self').epochs.length, 0);
+    assert.equal(client.compareSouls(['Self']).code, 'INVALID');
+  });
+});
+
+describe('verification', () => {
+  async function consultTwice() {
+    const client = registerWithSouls(['Self']);
+    assert.equal((await client.consult('Self', 'Same question?')).success, true);
+    assert.equal((await client.consult('Self', 'Same question?')).success, true);
+    return client;
+  }
+
+  function rewriteEpochs(client, fn) {
+    const { souls } = client.store.loadSouls(client.username, client.keyring);
+    fn(souls.Self.epochs);
+    assert.equal(client.store.saveSouls(client.username, client.keyring, souls).success, true);
+  }
+
+  test('epochs read at the number they carry are verified', async () => {
+    const client = await consultTwice();
+    const report = client.verifyReadings();
+    assert.equal(report.totals.verified, 2);
+    assert.equal(report.totals.mismatch, 0);
+  });
+
+  test('swapped epochs are mismatches even though each matches the other number', async () => {
+    const client = await consultTwice();
+    rewriteEpochs(client, epochs => {
+      [epochs[0].reading, epochs[1].reading] = [epochs[1].reading, epochs[0].reading];
+    });
+    const report = client.verifyReadings();
+    assert.equal(report.totals.verified, 0);
+    assert.equal(report.totals.mismatch, 2);
+    assert.equal('renumbered' in report.totals, false);
+  });
+
+  test('epochs renumbered by a merge are checked at generatedAs', async () => {
+    const client = await consultTwice();
+    rewriteEpochs(client, epochs => {
+      epochs.forEach(epoch => { epoch.generatedAs = epoch.number; });
+      epochs.reverse().forEach((epoch, index) => { epoch.number = index + 1; });
+    });
+    const report = client.verifyReadings();
+    assert.equal(report.totals.verified, 2);
+    assert.deepEqual(report.souls[0].issues, []);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 VERIFY TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  The reading reproducibility audit of oinio-verify.js, on souls
+ *  built from generated readings. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { verifySoul, verifyEpoch } = require('../oinio-verify');
+const { generateSpreadReading } = require('../oinio-shared');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 FIXTURE
+// ═══════════════════════════════════════════════════════════════
+
+const SEED = 'b'.repeat(64);
+
+/**
+ * A soul whose epochs hold the readings their numbers generate
+ */
+function soulWith(questions, spread = 'single') {
+  return {
+    name: 'Self',
+    seed: SEED,
+    epochs: questions.map((question, index) => ({
+      number: index + 1,
+      question,
+      reading: { ...generateSpreadReading(question, SEED, index + 1, spread), mode: 'deterministic' }
+    }))
+  };
+}
+
+describe('epoch audit', () => {
+  test('names every field that no longer matches', () => {
+    const soul = soulWith(['Is it true?']);
+    const stored = soul.epochs[0].reading;
+    const expected = { ...stored };
+    stored.message = 'Rewritten.';
+    stored.resonance = stored.resonance === 100 ? 1 : stored.resonance + 1;
+
+    const result = verifyEpoch(soul, soul.epochs[0]);
+    assert.equal(result.status, 'mismatch');
+    assert.deepEqual(result.differences.map(difference => [difference.field, difference.expected]), [
+      ['resonance', expected.resonance],
+      ['message', expected.message]
+    ]);
+  });
+
+  test('checks each spread position', () => {
+    const soul = soulWith(['Where now?'], 'past-present-future');
+    soul.epochs[0].reading.positions[2].pattern = 'Not a pattern';
+    const [difference] = verifyEpoch(soul, soul.epochs[0]).differences;
+    assert.equal(difference.field, 'pattern');
+    assert.equal(difference.position, 'future');
+  });
+
+  test('checks quantum epochs on their deterministic base only', () => {
+    const soul = soulWith(['Enhanced?', 'Tampered?']);
+    soul.epochs.forEach(epoch => Object.assign(epoch.reading, { mode: 'quantum-enhanced', harmonyIndex: 0.4, quantumInsight: 'Anything' }));
+    soul.epochs[1].reading.pattern = 'Not a pattern';
+
+    const report = verifySoul(soul);
+    assert.deepEqual(report.quantum, { epochs: 2, verified: 1 });
+    assert.deepEqual(report.issues.map(issue => [issue.epoch, issue.status, issue.mode]), [[2, 'mismatch', 'quantum']]);
+  });
+
+  test('cannot recompute readings from an unknown spread or a missing deck', () => {
+    const soul = soulWith(['Lost spread?', 'Lost deck?']);
+    soul.epochs[0].reading.spread = 'tarot-wheel';
+    soul.epochs[1].reading.deck = 'c'.repeat(64);
+
+    const report = verifySoul(soul);
+    assert.equal(report.unverifiable, 2);
+    assert.match(report.issues[0].reason, /unknown spread/);
+    assert.match(report.issues[1].reason, /not stored with the soul/);
+  });
+});
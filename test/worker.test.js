@@ -0,0 +1,210 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ *  🌾🧪 FORGE WORKER TESTS
+ * ═══════════════════════════════════════════════════════════════
+ *  Drives ForgeWorker against test/mock-forge.js --worker: restarts,
+ *  heartbeats, id matching and the limits that keep a misbehaving
+ *  worker from taking OINIO down with it, then the worker provider
+ *  built on it. Run with `npm test`.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { ForgeWorker, MAX_PENDING } = require('../oinio-forge-worker');
+const { createProvider, FORGE_FAILURES } = require('../oinio-providers');
+const { forgeResponse } = require('./mock-forge');
+
+const MOCK_FORGE = path.join(__dirname, 'mock-forge.js');
+
+// ═══════════════════════════════════════════════════════════════
+// 🔧 HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls until check() is true, failing after timeoutMs
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the worker');
+    }
+    await sleep(25);
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🔁 ForgeWorker
+// ═══════════════════════════════════════════════════════════════
+
+describe('ForgeWorker', () => {
+  const workers = [];
+
+  function mockWorker(mode, options = {}) {
+    const worker = new ForgeWorker({
+      command: process.execPath,
+      args: [MOCK_FORGE, '--worker', '--mode', mode],
+      timeoutMs: 2000,
+      heartbeatMs: 0,
+      ...options
+    });
+    workers.push(worker);
+    return worker;
+  }
+
+  afterEach(async () => {
+    await Promise.all(workers.splice(0).map(worker => worker.close()));
+  });
+
+  test('answers enhance requests', async () => {
+    const worker = mockWorker('success');
+    const params = { query: 'Anyone home?', context: { epoch: 2 } };
+    assert.deepEqual(await worker.request('enhance', params), { result: forgeResponse(params) });
+    assert.equal(worker.status().state, 'running');
+  });
+
+  test('matches answers that arrive out of order by id', async () => {
+    const worker = mockWorker('success');
+    const order = [];
+    const ask = (query, delayMs) => worker.request('enhance', { query, context: {}, delayMs }).then(answer => {
+      order.push(query);
+      return answer;
+    });
+
+    const [late, early] = await Promise.all([ask('late', 300), ask('early', 0)]);
+    assert.deepEqual(order, ['early', 'late']);
+    assert.deepEqual(late.result, forgeResponse({ query: 'late', context: {} }));
+    assert.deepEqual(early.result, forgeResponse({ query: 'early', context: {} }));
+  });
+
+  test('reports a JSON-RPC error as rpc', async () => {
+    const worker = mockWorker('error');
+    assert.deepEqual(await worker.request('enhance', { query: 'Fail?' }), { error: 'scripted failure', reason: 'rpc' });
+  });
+
+  test('restarts a worker that crashes', async () => {
+    const worker = mockWorker('success');
+    await worker.request('enhance', { query: 'Warm up' });
+    const firstPid = worker.status().pid;
+
+    const crashed = await worker.request('enhance', { query: 'Crash', mode: 'crash' });
+    assert.equal(crashed.reason, 'exited');
+    assert.match(crashed.error, /code 1/);
+
+    const answer = await worker.request('enhance', { query: 'Again', context: {} });
+    assert.deepEqual(answer.result, forgeResponse({ query: 'Again', context: {} }));
+    assert.notEqual(worker.status().pid, firstPid);
+    assert.equal(worker.status().restarts, 1);
+  });
+
+  test('kills and restarts a worker that misses a heartbeat', async () => {
+    const worker = mockWorker('hangping', { timeoutMs: 300, heartbeatMs: 100 });
+    await worker.request('enhance', { query: 'Warm up' });
+    const firstPid = worker.status().pid;
+
+    await waitFor(() => worker.status().restarts > 0 && worker.status().pid !== null);
+    assert.notEqual(worker.status().pid, firstPid);
+    assert.equal(isAlive(firstPid), false);
+  });
+
+  test('refuses requests past MAX_PENDING as busy', async () => {
+    const worker = mockWorker('success');
+    const inFlight = Array.from({ length: MAX_PENDING }, (_, index) => worker.request('enhance', { query: `q${index}`, delayMs: 500 }));
+    assert.deepEqual(await worker.request('enhance', { query: 'one too many' }),
+      { error: 'too many requests in flight', reason: 'busy' });
+    const answers = await Promise.all(inFlight);
+    assert.equal(answers.filter(answer => answer.result).length, MAX_PENDING);
+  });
+
+  test('kills a worker that writes an oversized line', async () => {
+    const worker = mockWorker('success');
+    const answer = await worker.request('enhance', { query: 'Too much', mode: 'oversized' });
+    assert.deepEqual(answer, { error: 'worker wrote an oversized line', reason: 'exited' });
+    assert.ok((await worker.request('enhance', { query: 'Recovered?' })).result);
+  });
+
+  test('close() kills a worker that ignores shutdown', async () => {
+    const worker = mockWorker('stubborn');
+    await worker.request('enhance', { query: 'Warm up' });
+    const { pid } = worker.status();
+
+    const started = Date.now();
+    await worker.close();
+    assert.ok(Date.now() - started >= 900, 'close waits for the grace period first');
+    assert.equal(isAlive(pid), false);
+    assert.deepEqual(await worker.request('enhance', { query: 'After close' }),
+      { error: 'worker was shut down', reason: 'unavailable' });
+  });
+
+  test('does not restart a command that fails its startup ping', async () => {
+    const worker = new ForgeWorker({ command: process.execPath, args: ['-e', 'process.exit(2)'], timeoutMs: 2000, heartbeatMs: 0 });
+    workers.push(worker);
+
+    const answer = await worker.request('enhance', { query: 'Worker?' });
+    assert.equal(answer.reason, 'unsupported');
+    assert.match(answer.error, /code 2\) before answering its startup ping/);
+
+    await sleep(600);
+    assert.equal(worker.status().state, 'failed');
+    assert.equal(worker.status().restarts, 0);
+    assert.equal((await worker.request('enhance', { query: 'Again?' })).reason, 'unsupported');
+  });
+
+  test('reports a missing command as missing', async () => {
+    const worker = new ForgeWorker({ command: 'oinio-no-such-worker', timeoutMs: 2000, heartbeatMs: 0 });
+    workers.push(worker);
+    assert.equal((await worker.request('enhance', { query: 'Worker?' })).reason, 'missing');
+    assert.equal(worker.status().state, 'failed');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 🔌 worker provider
+// ═══════════════════════════════════════════════════════════════
+
+describe('worker provider', () => {
+  // The bridge always passes forgePath; a custom command ignores it
+  const settings = command => ({ command, forgePath: __dirname, timeoutMs: 2000 });
+
+  test('serves concurrent readings from one process and stops it on close', async () => {
+    const provider = createProvider('worker', settings(`${process.execPath} ${MOCK_FORGE} --worker --mode success`));
+    assert.equal((await provider.health()).detail, 'Not started yet (starts with the first reading)');
+
+    let pid;
+    try {
+      const queries = ['One?', 'Two?', 'Three?'];
+      const results = await Promise.all(queries.map(query => provider.enhance({ query, context: {} })));
+      assert.deepEqual(results.map(result => result.response), queries.map(query => forgeResponse({ query, context: {} })));
+
+      pid = provider.worker.status().pid;
+      assert.match((await provider.health()).detail, new RegExp(`^pid ${pid}, ping \\d+ms, 0 restarts$`));
+    } finally {
+      await provider.close();
+    }
+    assert.equal(isAlive(pid), false);
+  });
+
+  test('a Forge without a worker mode is reported not installed', async () => {
+    const provider = createProvider('worker', settings(`${process.execPath} -e process.exit(2)`));
+    try {
+      assert.equal((await provider.enhance({ query: 'Worker?' })).code, FORGE_FAILURES.NOT_INSTALLED);
+      assert.equal((await provider.health()).status, 'unavailable');
+    } finally {
+      await provider.close();
+    }
+  });
+});